@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+
+const { run } = require('../src/cli');
+
+// Exit explicitly: Qt event loop threads keep the process alive after cleanup
+run(process.argv.slice(2)).then(code => process.exit(code));
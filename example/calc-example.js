@@ -21,6 +21,9 @@
  *
  *   Or with environment variables:
  *   LOGOS_LIB_PATH=<path> LOGOS_MODULES_DIR=<path> node example/calc-example.js
+ *
+ *   Or with a logos.config.json profile in the working directory:
+ *   LOGOS_PROFILE=dev node example/calc-example.js
  */
 
 const path = require('path');
@@ -47,6 +50,7 @@ function parseArgs() {
       console.log('Environment variables:');
       console.log('  LOGOS_LIB_PATH      Same as --lib');
       console.log('  LOGOS_MODULES_DIR   Same as --modules');
+      console.log('  LOGOS_PROFILE       Profile to use from logos.config.{js,cjs,json}');
       process.exit(0);
     }
   }
@@ -57,18 +61,28 @@ function parseArgs() {
 async function main() {
   const args = parseArgs();
 
-  const libPath = args.libPath || process.env.LOGOS_LIB_PATH || null;
-  const moduleClientLibPath = process.env.LOGOS_MODULE_CLIENT_LIB_PATH || null;
-  const modulesDir = args.modulesDir || process.env.LOGOS_MODULES_DIR || null;
+  // Config file profile, then LOGOS_* environment variables, then flags
+  const config = LogosAPI.loadConfig({
+    overrides: { libPath: args.libPath, pluginsDir: args.modulesDir }
+  });
 
   console.log('=== Logos JS SDK - Calculator Module Example ===\n');
 
-  // Initialize the SDK (autoInit: false so we can control the flow)
+  // Initialize the SDK (autoInit: false so we can control the flow;
+  // LogosAPI.fromConfig() would boot everything in one step)
   const logos = new LogosAPI({
-    libPath,
-    moduleClientLibPath,
-    pluginsDir: modulesDir,
-    autoInit: false
+    ...config.options,
+    autoInit: false,
+    // Mirrors the Q_INVOKABLE declarations in calc_module_interface.h
+    signatures: {
+      calc_module: {
+        add: ['int', 'int'],
+        multiply: ['int', 'int'],
+        factorial: ['int'],
+        fibonacci: ['int'],
+        libVersion: { params: [], returns: 'string' }
+      }
+    }
   });
 
   try {
@@ -98,9 +112,10 @@ async function main() {
     console.log('');
 
     // Step 6: Wait for the Qt Remote Objects connection to establish
-    // The module runs in a logos_host process; the SDK needs time to connect.
+    // The module runs in a logos_host process; probe it until it answers.
     console.log('Waiting for module connection...');
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const readiness = await logos.waitForPlugin('calc_module', { timeout: 15000, probe: 'libVersion' });
+    console.log(`calc_module ready after ${readiness.elapsed}ms (${readiness.attempts} probe(s)).\n`);
 
     // Step 7: Call methods using the reflective proxy API
     // logos.calc_module.methodName(args) returns a Promise
@@ -0,0 +1,1299 @@
+// Type definitions for logos-api.
+//
+// Plugin proxies are untyped (`any`) unless declarations generated by
+// scripts/generate-typings.js augment `LogosAPI.LogosPlugins`.
+
+/// <reference types="node" />
+
+import { EventEmitter } from 'events';
+
+declare namespace LogosAPI {
+  // ===== Options =====
+
+  interface LogosAPIOptions {
+    /** Path to liblogos_core */
+    libPath?: string | null;
+    /** Path to liblogos_module_client */
+    moduleClientLibPath?: string | null;
+    /** Plugins directory */
+    pluginsDir?: string | null;
+    /** Path to the logos_host binary */
+    logosHostPath?: string;
+    /** Method signatures per plugin (see defineSignatures()) */
+    signatures?: Record<string, Record<string, SignatureSpec>>;
+    /** Backend instance (default: NativeBackend) */
+    backend?: Backend;
+    /** Host the backend in a worker thread (see WorkerBackend) */
+    worker?: boolean | WorkerBackendOptions;
+    /** Default call timeout in ms (default: none) */
+    defaultTimeout?: number | null;
+    /** Default waitForPlugin() probe, also used by `<plugin>.ready` (default: none, wait until loaded) */
+    readyProbe?: ReadinessProbe | null;
+    /** Retry policy for idempotent methods (default: no retries) */
+    retry?: boolean | RetryPolicyOptions | RetryPolicy;
+    /** Per-plugin circuit breakers (default: off) */
+    circuitBreaker?: boolean | CircuitBreakerOptions;
+    /** Request queue limits by "plugin", "plugin.method" or "*" */
+    queues?: Record<string, CallQueueOptions>;
+    /** Initialize on construction (default: true) */
+    autoInit?: boolean;
+    /** Set by fromConfig(): the config file and profile used */
+    configPath?: string | null;
+    profile?: string | null;
+  }
+
+  interface CallOptionsInit {
+    /** Timeout in ms; 0 disables the default timeout */
+    timeout?: number;
+    signal?: AbortSignal;
+    /** Overrides retry policy options for this call; false disables retries */
+    retry?: false | RetryPolicyOptions;
+    /** Treat this call as safe to repeat, whatever the allowlist says */
+    idempotent?: boolean;
+    /** false bypasses the plugin's circuit breaker */
+    circuitBreaker?: false;
+    /** false bypasses the call's request queue */
+    queue?: false;
+  }
+
+  // ===== Retries and circuit breakers =====
+
+  /** "plugin.method", "plugin.*", "*.method" or "*" patterns, or a predicate */
+  type MethodPatterns = string[] | ((pluginName: string, methodName: string) => boolean);
+
+  interface RetryPolicyOptions {
+    /** Attempts in total, including the first (default: 3) */
+    maxAttempts?: number;
+    /** ms before the first retry (default: 100) */
+    initialDelay?: number;
+    /** Backoff cap in ms (default: 5000) */
+    maxDelay?: number;
+    /** Backoff multiplier per attempt (default: 2) */
+    factor?: number;
+    /** Random spread as a fraction of the delay (default: 0.2) */
+    jitter?: number;
+    /** Default: isTransientError */
+    retryable?: (error: unknown, attempt: number) => boolean;
+    /** Methods that are safe to repeat (default: none) */
+    idempotent?: MethodPatterns;
+  }
+
+  class RetryPolicy {
+    constructor(options?: RetryPolicyOptions);
+    readonly maxAttempts: number;
+    readonly initialDelay: number;
+    readonly maxDelay: number;
+    readonly factor: number;
+    readonly jitter: number;
+    with(overrides: RetryPolicyOptions): RetryPolicy;
+    isIdempotent(pluginName: string, methodName: string): boolean;
+    shouldRetry(error: unknown, attempt: number): boolean;
+    delay(attempt: number): number;
+  }
+
+  type CircuitState = 'closed' | 'open' | 'half-open';
+
+  interface CircuitBreakerOptions {
+    /** Consecutive failures that open the circuit (default: 5) */
+    failureThreshold?: number;
+    /** ms to stay open before a trial call (default: 30000) */
+    resetTimeout?: number;
+    /** Concurrent trial calls while half-open (default: 1) */
+    halfOpenMaxCalls?: number;
+    /** Which errors count as failures (default: isTransientError) */
+    isFailure?: (error: unknown) => boolean;
+  }
+
+  interface CircuitSnapshot {
+    pluginName: string;
+    state: CircuitState;
+    failures: number;
+    failureThreshold: number;
+    openedAt: string | null;
+    retryAt: string | null;
+    lastError: { name: string; code: string | null; message: string } | null;
+    /** When the circuit last changed state */
+    since: string;
+  }
+
+  interface CircuitStateChange {
+    pluginName: string;
+    from: CircuitState;
+    to: CircuitState;
+    failures: number;
+    error: unknown;
+  }
+
+  class CircuitBreaker {
+    constructor(pluginName: string, options?: CircuitBreakerOptions, onStateChange?: (change: CircuitStateChange) => void);
+    readonly pluginName: string;
+    readonly state: CircuitState;
+    /** Throws CircuitOpenError when the call must fail fast */
+    acquire(methodName?: string): 'closed' | 'trial';
+    record(permit: 'closed' | 'trial', success: boolean, error?: unknown): void;
+    reset(): void;
+    snapshot(): CircuitSnapshot;
+  }
+
+  /** TimeoutError and ModuleClientUnavailableError, by code */
+  function isTransientError(error: unknown): boolean;
+
+  // ===== Request queues and batches =====
+
+  interface CallQueueOptions {
+    /** Calls in flight at once (default: unlimited) */
+    concurrency?: number;
+    /** Calls allowed to wait; more fail with QueueFullError (default: unlimited) */
+    maxQueue?: number;
+    /** Start at most `limit` calls per `interval` ms */
+    rate?: { limit: number; interval: number } | null;
+  }
+
+  interface QueueStats {
+    /** "plugin" or "plugin.method" */
+    key: string;
+    pluginName: string;
+    methodName: string | null;
+    concurrency: number | null;
+    maxQueue: number | null;
+    rate: { limit: number; interval: number } | null;
+    active: number;
+    queued: number;
+    started: number;
+    completed: number;
+    rejected: number;
+    cancelled: number;
+    maxQueued: number;
+  }
+
+  interface QueueTicket {
+    readonly queued: boolean;
+    /** Withdraw a waiting call */
+    cancel(): boolean;
+  }
+
+  class CallQueue {
+    constructor(pluginName: string, methodName?: string | null, options?: CallQueueOptions);
+    readonly key: string;
+    readonly pluginName: string;
+    readonly methodName: string | null;
+    update(options?: CallQueueOptions): void;
+    /** Throws QueueFullError when the call can neither start nor wait */
+    schedule(start: (release: () => void) => void, methodName?: string): QueueTicket;
+    snapshot(): QueueStats;
+    close(): void;
+  }
+
+  type BatchCall =
+    | { plugin: string; method: string; args?: unknown[]; options?: CallOptionsInit }
+    | [string, string, unknown[]?, CallOptionsInit?]
+    | ((signal: AbortSignal | null) => unknown);
+
+  interface BatchOptions {
+    /** Calls in flight at once (default: 8) */
+    concurrency?: number;
+    signal?: AbortSignal;
+  }
+
+  type BatchResult<T = any> = { status: 'fulfilled'; value: T } | { status: 'rejected'; reason: any };
+
+  // ===== Typed parameters =====
+
+  type WireType =
+    | 'int' | 'uint' | 'int64' | 'uint64' | 'double' | 'bool' | 'string' | 'bytes' | 'list' | 'map'
+    | `list<${string}>`;
+
+  class TypedValue<T = unknown> {
+    constructor(type: string, value: T);
+    readonly type: WireType;
+    readonly value: T;
+  }
+
+  /** An argument to a plugin method: a plain value or an explicitly typed one */
+  type PluginArg<T> = T | TypedValue;
+
+  type SignatureSpec =
+    | Array<string | { name?: string; type: string }>
+    | { params?: Array<string | { name?: string; type: string }>; returns?: string };
+
+  interface Signature {
+    params: Array<{ name: string; type: string }>;
+    returns: string | null;
+  }
+
+  const types: {
+    int(value: number | bigint | string): TypedValue;
+    uint(value: number | bigint | string): TypedValue;
+    int64(value: number | bigint | string): TypedValue;
+    uint64(value: number | bigint | string): TypedValue;
+    double(value: number | bigint): TypedValue;
+    bool(value: boolean): TypedValue;
+    string(value: string): TypedValue;
+    bytes(value: Buffer | Uint8Array | ArrayBuffer): TypedValue;
+    list(value: unknown[], elementType?: string): TypedValue;
+    map(value: Record<string, unknown> | Map<string, unknown>): TypedValue;
+  };
+
+  class CallOptions implements CallOptionsInit {
+    constructor(options?: CallOptionsInit);
+    timeout?: number;
+    signal?: AbortSignal;
+    retry?: false | RetryPolicyOptions;
+    idempotent?: boolean;
+    circuitBreaker?: false;
+    queue?: false;
+  }
+
+  function callOptions(options?: CallOptionsInit): CallOptions;
+
+  // ===== Plugin proxies =====
+
+  /** Returned by on<Event>(); call it to unsubscribe */
+  interface EventDisposer {
+    (): boolean;
+    readonly listenerId: string;
+  }
+
+  interface ReadyResult {
+    pluginName: string;
+    attempts: number;
+    elapsed: number;
+  }
+
+  /** Members every plugin proxy has besides its methods and on<Event> subscriptions */
+  interface PluginProxy {
+    readonly pluginName: string;
+    /**
+     * Resolves once the plugin is ready (see waitForPlugin() and the
+     * `readyProbe` option). Shadows a plugin method named `ready`; call
+     * that one through callPluginMethodAsync().
+     */
+    readonly ready: Promise<ReadyResult>;
+    toString(): string;
+  }
+
+  /**
+   * Plugin name -> proxy type. Empty here; generated declarations add
+   * entries such as `calc_module: CalcModulePlugin`.
+   */
+  interface LogosPlugins {}
+
+  // ===== Results =====
+
+  interface CallMeta {
+    callbackId: string;
+    timestamp: string;
+    rawMessage: string | null;
+  }
+
+  type CallCallback = (success: boolean, value: any, meta: CallMeta) => void;
+
+  interface PendingCall {
+    callbackId: string;
+    pluginName: string;
+    methodName: string;
+    startedAt: string;
+    age: number;
+    timeout: number | null;
+    /** Queue key while the call waits in a request queue */
+    queued: string | null;
+  }
+
+  interface ValidationIssue {
+    field: string;
+    message: string;
+  }
+
+  interface TriedVariant {
+    variant: string;
+    file: string | null;
+    exists: boolean;
+  }
+
+  interface PluginValidationReport {
+    pluginName: string;
+    found: boolean;
+    valid: boolean;
+    layout: 'backend' | 'manifest' | 'metadata' | 'flat' | null;
+    manifestPath: string | null;
+    path: string | null;
+    errors: ValidationIssue[];
+    warnings: ValidationIssue[];
+    triedVariants: TriedVariant[];
+    checked: string[];
+  }
+
+  interface CatalogEntry {
+    name: string;
+    version: string | null;
+    type: string | null;
+    category: string | null;
+    description: string | null;
+    dependencies: string[];
+    variants: string[];
+    path: string | null;
+    dir: string | null;
+    layout: 'backend' | 'manifest' | 'metadata' | 'flat';
+    manifestPath: string | null;
+    error: string | null;
+    shadowed: boolean;
+    shadowedBy: string | null;
+    shadows: string[];
+  }
+
+  interface LoadPlan {
+    ok: boolean;
+    requested: string[];
+    order: string[];
+    steps: Array<{ name: string; action: 'load' | 'skip'; reason: string; dependencies: string[] }>;
+    missing: Array<{ name: string; requiredBy: string | null }>;
+    cycles: string[][];
+  }
+
+  interface LoadResult {
+    processed: boolean;
+    loaded?: boolean;
+    skipped?: boolean;
+    error?: string;
+  }
+
+  type ReadinessProbe =
+    | string
+    | { method: string; args?: unknown[] }
+    | ((plugin: any) => unknown);
+
+  interface WaitForPluginOptions {
+    /** Overall deadline in ms (default: 30000) */
+    timeout?: number;
+    /**
+     * Method name, `{ method, args }`, or a function that throws while not
+     * ready (default: the `readyProbe` option). null only waits until the
+     * core reports the plugin loaded.
+     */
+    probe?: ReadinessProbe | null;
+    initialDelay?: number;
+    maxDelay?: number;
+    signal?: AbortSignal;
+  }
+
+  // ===== Config files =====
+
+  /** One layer of a config file: its top level, a profile, or overrides */
+  interface ConfigSettings {
+    libPath?: string;
+    moduleClientLibPath?: string;
+    pluginsDir?: string;
+    logosHostPath?: string;
+    defaultTimeout?: number;
+    readyProbe?: string | { method: string; args?: unknown[] };
+    signatures?: Record<string, Record<string, SignatureSpec>>;
+    worker?: boolean | WorkerBackendOptions;
+    retry?: boolean | RetryPolicyOptions;
+    circuitBreaker?: boolean | CircuitBreakerOptions;
+    queues?: Record<string, CallQueueOptions>;
+    /** Added with addPluginsDir() */
+    pluginsDirs?: string[];
+    /** Loaded with their dependencies by fromConfig() */
+    plugins?: string[];
+    /** startEventProcessing() options; false leaves the pump off */
+    eventProcessing?: false | number | EventPumpOptions;
+    /** Wait for each plugin with waitForPlugin() */
+    ready?: boolean | Omit<WaitForPluginOptions, 'signal'>;
+  }
+
+  interface ConfigFile extends ConfigSettings {
+    defaultProfile?: string;
+    profiles?: Record<string, ConfigSettings & { extends?: string }>;
+  }
+
+  interface ConfigOptions {
+    /** Default: $LOGOS_CONFIG, else logos.config.{js,cjs,json} in cwd */
+    configPath?: string;
+    /** Default: $LOGOS_PROFILE, else the file's defaultProfile */
+    profile?: string;
+    /** Settings that win over the file and the environment */
+    overrides?: ConfigSettings;
+    cwd?: string;
+    env?: Record<string, string | undefined>;
+  }
+
+  interface FromConfigOptions extends ConfigOptions {
+    backend?: Backend;
+  }
+
+  interface ResolvedConfig {
+    configPath: string | null;
+    profile: string | null;
+    /** Constructor options */
+    options: LogosAPIOptions;
+    pluginsDirs: string[];
+    plugins: string[];
+    /** null when not configured */
+    eventProcessing: false | number | EventPumpOptions | null;
+    ready: false | Omit<WaitForPluginOptions, 'signal'>;
+  }
+
+  type OverflowPolicy = 'drop-oldest' | 'drop-newest' | 'error';
+
+  interface EventStreamOptions {
+    /** Max events buffered while not being consumed (default: 100) */
+    bufferSize?: number;
+    overflow?: OverflowPolicy;
+  }
+
+  class EventStream<T = any> implements AsyncIterableIterator<T> {
+    readonly pluginName: string;
+    readonly eventName: string;
+    readonly bufferSize: number;
+    readonly overflow: OverflowPolicy;
+    /** Events discarded because the buffer was full */
+    readonly dropped: number;
+    next(): Promise<IteratorResult<T>>;
+    return(value?: any): Promise<IteratorResult<T>>;
+    [Symbol.asyncIterator](): AsyncIterableIterator<T>;
+  }
+
+  class DependencyGraph {
+    constructor(entries?: Array<{ name: string; dependencies?: string[]; shadowed?: boolean }>);
+    has(name: string): boolean;
+    dependenciesOf(name: string): string[];
+    dependentsOf(name: string): string[];
+    planLoad(names: string[], options?: { loaded?: Iterable<string> }): LoadPlan;
+    unloadOrder(name: string, loaded: Iterable<string>): string[];
+  }
+
+  // ===== Stats monitoring =====
+
+  interface ModuleSample {
+    name: string;
+    pid: number | null;
+    cpuPercent: number | null;
+    memoryBytes: number | null;
+  }
+
+  interface StatsSnapshot {
+    timestamp: number;
+    modules: ModuleSample[];
+  }
+
+  type AlertRule =
+    | string
+    | {
+        name?: string;
+        /** Module name, or '*' for every module (default) */
+        module?: string;
+        metric: 'cpu' | 'memory';
+        above?: number | string;
+        below?: number | string;
+        /** How long the condition must hold: ms or e.g. '30s' */
+        for?: number | string;
+      };
+
+  interface StatsAlert {
+    rule: string;
+    module: string;
+    metric: 'cpuPercent' | 'memoryBytes';
+    value: number | null;
+    threshold: number;
+    since: string;
+    duration: number;
+    state: 'firing' | 'resolved';
+    resolvedAt?: string;
+  }
+
+  interface MetricSummary {
+    min: number;
+    max: number;
+    avg: number;
+    last: number;
+  }
+
+  interface StatsMonitorOptions {
+    /** Sampling interval in ms (default: 5000) */
+    interval?: number;
+    /** How long samples are kept, in ms (default: 300000) */
+    window?: number;
+    alerts?: AlertRule[];
+  }
+
+  class StatsMonitor extends EventEmitter {
+    constructor(api: LogosAPI, options?: StatsMonitorOptions);
+    static normalizeStats(stats: unknown): ModuleSample[];
+    static parseRule(rule: AlertRule): {
+      name: string; module: string; metric: 'cpuPercent' | 'memoryBytes'; op: '<' | '>'; threshold: number; for: number;
+    };
+    readonly interval: number;
+    readonly window: number;
+    readonly running: boolean;
+    start(): this;
+    stop(): boolean;
+    addAlert(rule: AlertRule): void;
+    sample(): StatsSnapshot | null;
+    samples(moduleName?: string): Array<ModuleSample & { timestamp: number }>;
+    latest(): StatsSnapshot | null;
+    summary(): Record<string, { samples: number; cpuPercent: MetricSummary | null; memoryBytes: MetricSummary | null }>;
+    activeAlerts(): StatsAlert[];
+    toPrometheus(): string;
+    toJsonLines(moduleName?: string): string;
+
+    on(event: 'sample', listener: (snapshot: StatsSnapshot) => void): this;
+    on(event: 'alert' | 'resolved', listener: (alert: StatsAlert) => void): this;
+    on(event: 'sampleError', listener: (info: { error: unknown; timestamp: number }) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+  }
+
+  // ===== Middleware =====
+
+  interface CallContext {
+    kind: 'call';
+    callbackId: string;
+    pluginName: string;
+    methodName: string;
+    /** Typed wire params; may be rewritten before next() */
+    params: Array<{ name: string; value: string; type: string }> | string;
+    options: { timeout: number | null; signal: AbortSignal | null };
+    /** 1 for the first attempt; higher when a retry policy resends the call */
+    attempt: number;
+    startedAt: number;
+    /** ms spent in the core, once next() settles */
+    duration: number | null;
+    result: any;
+    error: any;
+    meta: CallMeta | null;
+    state: Record<string, any>;
+  }
+
+  interface EventContext {
+    kind: 'event';
+    pluginName: string;
+    eventName: string;
+    startedAt: number;
+    /** ms spent in listeners, once next() settles */
+    duration: number | null;
+    result: any;
+    error: any;
+    meta: CallMeta | null;
+    state: Record<string, any>;
+  }
+
+  type MiddlewareContext = CallContext | EventContext;
+  type Middleware = (ctx: MiddlewareContext, next: () => Promise<any>) => unknown;
+
+  interface LogRecord {
+    time: string;
+    level: 'debug' | 'warn';
+    kind: 'call' | 'event';
+    operation: string;
+    pluginName: string;
+    methodName?: string;
+    eventName?: string;
+    callbackId?: string;
+    durationMs: number;
+    status: 'ok' | 'error';
+    params?: unknown;
+    result?: unknown;
+    error?: { name?: string; code?: string | null; message: string };
+  }
+
+  interface LoggingOptions {
+    /** Defaults to a JSON line on stderr */
+    write?: (record: LogRecord) => void;
+    params?: boolean;
+    results?: boolean;
+    events?: boolean;
+    filter?: (ctx: MiddlewareContext) => boolean;
+  }
+
+  interface Span {
+    traceId: string;
+    spanId: string;
+    parentSpanId: string | null;
+    name: string;
+    kind: 'call' | 'event';
+    startTime: string;
+    durationMs: number | null;
+    status: 'ok' | 'error';
+    error: { name?: string; code?: string | null; message: string } | null;
+    attributes: Record<string, string>;
+  }
+
+  interface LatencyHistogram {
+    count: number;
+    errors: number;
+    sumMs: number;
+    minMs: number;
+    maxMs: number;
+    avgMs: number;
+    /** Cumulative counts per upper bound in ms */
+    buckets: Array<{ le: number | '+Inf'; count: number }>;
+  }
+
+  interface TracerOptions {
+    maxSpans?: number;
+    /** Histogram upper bounds in ms */
+    buckets?: number[];
+    events?: boolean;
+  }
+
+  class Tracer {
+    constructor(options?: TracerOptions);
+    readonly maxSpans: number;
+    readonly buckets: number[];
+    middleware(): Middleware;
+    currentSpan(): Span | null;
+    spans(): Span[];
+    histograms(): Record<string, LatencyHistogram>;
+    toJSON(): { generatedAt: string; spans: Span[]; histograms: Record<string, LatencyHistogram> };
+    reset(): void;
+  }
+
+  const middleware: {
+    logging(options?: LoggingOptions): Middleware;
+    tracing(options?: TracerOptions | Tracer): Middleware & { tracer: Tracer };
+  };
+
+  // ===== Event pump =====
+
+  interface EventPumpOptions {
+    /** Adapt the rate to outstanding work (default: true) */
+    adaptive?: boolean;
+    /** Delay while calls are pending or results are arriving, in ms (default: 5) */
+    minInterval?: number;
+    /** Backoff cap when quiet, in ms (default: 100) */
+    maxInterval?: number;
+    /** Delay multiplier per quiet pump (default: 2) */
+    backoff?: number;
+    /** Fixed delay when `adaptive` is false, in ms (default: 100) */
+    interval?: number;
+  }
+
+  interface EventPumpStats {
+    running: boolean;
+    adaptive: boolean | null;
+    /** Current delay between pumps in ms */
+    interval: number | null;
+    /** Whether the pump timer keeps the process alive */
+    referenced: boolean;
+    pumps: number;
+    /** Pumps after which results or events had arrived */
+    activePumps: number;
+    deliveries: number;
+    totalMs: number;
+    avgMs: number | null;
+    maxMs: number;
+    lastMs: number | null;
+    startedAt: string | null;
+    stoppedAt: string | null;
+  }
+
+  // ===== Gateway =====
+
+  interface GatewayOptions {
+    /** Port to listen on; 0 picks a free port (default: 8765) */
+    port?: number;
+    /** Interface to bind (default: '127.0.0.1') */
+    host?: string;
+    /** Bearer token required on every request; needed unless `insecure` is set */
+    token?: string | null;
+    /** Serve without a token (default: false) */
+    insecure?: boolean;
+    /** Callable "plugin.method" patterns; `*` matches any run of characters */
+    allow?: string[];
+    /** Subscribable "plugin.event" patterns */
+    allowEvents?: string[];
+    /** Origin allowed to call from a browser, sent as Access-Control-Allow-Origin; true for "*" */
+    cors?: string | boolean | null;
+    /** Per-call timeout in ms (default: the api's defaultTimeout) */
+    timeout?: number;
+    /** Largest accepted request body or WebSocket message in bytes (default: 1048576) */
+    maxBodySize?: number;
+  }
+
+  interface JsonRpcResponse {
+    jsonrpc: '2.0';
+    id: string | number | null;
+    result?: unknown;
+    error?: { code: number; message: string; data?: { code?: string; [key: string]: unknown } };
+  }
+
+  class Gateway {
+    constructor(api: LogosAPI, options?: GatewayOptions);
+    static readonly RPC_ERRORS: {
+      PARSE_ERROR: -32700;
+      INVALID_REQUEST: -32600;
+      METHOD_NOT_FOUND: -32601;
+      INVALID_PARAMS: -32602;
+      INTERNAL_ERROR: -32603;
+      CALL_FAILED: -32000;
+    };
+    readonly api: LogosAPI;
+    listen(): Promise<{ address: string; port: number }>;
+    address(): { address: string; port: number } | null;
+    close(): Promise<void>;
+    handleRpc(payload: unknown, context?: { signal?: AbortSignal }): Promise<JsonRpcResponse | JsonRpcResponse[] | null>;
+  }
+
+  // ===== Hot reload =====
+
+  interface ReloadPluginOptions {
+    /** Changed files, passed through to the lifecycle events */
+    files?: string[];
+    /** Wait for the plugin with waitForPlugin() after reloading */
+    ready?: boolean | WaitForPluginOptions;
+  }
+
+  interface ReloadResult {
+    pluginName: string;
+    files: string[];
+    /** Loaded dependents that were reloaded with it */
+    dependents: string[];
+    /** Event listeners re-attached */
+    listeners: number;
+    durationMs: number;
+  }
+
+  interface WatchPluginsOptions {
+    /** Quiet period in ms before reloading (default: 300) */
+    debounce?: number;
+    /** Only reload these plugins */
+    plugins?: string[];
+    ready?: boolean | WaitForPluginOptions;
+  }
+
+  class PluginWatcher {
+    constructor(onChange: (pluginName: string, files: string[]) => void, options?: { debounce?: number });
+    readonly debounce: number;
+    readonly closed: boolean;
+    add(dir: string): void;
+    directories(): string[];
+    close(): void;
+  }
+
+  // ===== Installing modules =====
+
+  interface InstallPluginOptions {
+    /** Plugins directory to install into (default: the primary one) */
+    dir?: string;
+    /** Replace even a newer installed version */
+    force?: boolean;
+    /** Fail unless every variant in `main` has a checksum */
+    requireChecksums?: boolean;
+  }
+
+  interface InstallResult {
+    name: string;
+    version: string;
+    /** Version that was replaced, if any */
+    previousVersion: string | null;
+    dir: string;
+    /** The installed plugin directory */
+    path: string;
+    verified: Array<{ variant: string; file: string; sha256: string }>;
+    warnings: ValidationIssue[];
+  }
+
+  interface UninstallResult {
+    name: string;
+    version: string | null;
+    path: string;
+  }
+
+  // ===== Lifecycle events =====
+
+  interface LifecycleEvents {
+    initialized: { timestamp: string; backend: string; pluginsDir: string };
+    started: { timestamp: string };
+    pluginProcessed: { timestamp: string; pluginName: string; path: string };
+    pluginLoaded: {
+      timestamp: string;
+      pluginName: string;
+      trigger: 'loadPlugin' | 'loadPluginWithDependencies' | 'module-client';
+      requestedBy?: string | null;
+    };
+    pluginUnloaded: { timestamp: string; pluginName: string };
+    pluginLoadFailed: {
+      timestamp: string;
+      pluginName: string;
+      stage: 'process' | 'load';
+      trigger?: string;
+      path?: string;
+      error: Error | null;
+    };
+    callbackError: {
+      timestamp: string;
+      error: unknown;
+      callbackId?: string;
+      listenerId?: string;
+      pluginName?: string;
+      methodName?: string;
+      eventName?: string;
+    };
+    callRetry: {
+      timestamp: string;
+      callbackId: string;
+      pluginName: string;
+      methodName: string;
+      /** The attempt that failed */
+      attempt: number;
+      /** ms until the next attempt */
+      delay: number;
+      error: unknown;
+    };
+    pluginReloaded: ReloadResult & { timestamp: string };
+    pluginReloadFailed: {
+      timestamp: string;
+      pluginName: string;
+      stage: 'unload' | 'process' | 'load' | 'ready';
+      files: string[];
+      error: Error;
+    };
+    pluginInstalled: InstallResult & { timestamp: string; pluginName: string; archivePath: string };
+    pluginUninstalled: UninstallResult & { timestamp: string; pluginName: string };
+    circuitStateChange: CircuitStateChange & { timestamp: string };
+    shutdown: { timestamp: string };
+  }
+
+  // ===== Backends =====
+
+  interface Backend {
+    isVirtual?: boolean;
+    core: any;
+    client: any;
+    load(): void;
+    createCallback(fn: (...args: any[]) => void, kind: 'async' | 'host'): any;
+    releaseCallback(handle: any): void;
+    resolvePlugin(pluginName: string): string | null;
+    listPlugins?(): Array<Partial<CatalogEntry> & { name: string }>;
+  }
+
+  class NativeBackend implements Backend {
+    constructor(options?: LogosAPIOptions);
+    isVirtual?: boolean;
+    core: any;
+    client: any;
+    load(): void;
+    createCallback(fn: (...args: any[]) => void, kind: 'async' | 'host'): any;
+    releaseCallback(handle: any): void;
+    resolvePlugin(pluginName: string): string | null;
+    listPlugins(): CatalogEntry[];
+  }
+
+  interface WorkerBackendOptions {
+    libPath?: string | null;
+    moduleClientLibPath?: string | null;
+    /** Module exporting `(options) => Backend` to host instead of NativeBackend */
+    backendModule?: string;
+    /** Options for the hosted backend (default: libPath and moduleClientLibPath) */
+    backendOptions?: unknown;
+    /** Max ms to wait for a synchronous reply from the worker (default: 30000) */
+    syncTimeout?: number;
+  }
+
+  class WorkerBackend implements Backend {
+    constructor(options?: WorkerBackendOptions);
+    isVirtual: boolean;
+    core: any;
+    client: any;
+    readonly worker: import('worker_threads').Worker | null;
+    /** Constructor name of the backend inside the worker, once loaded */
+    readonly hostedBackend: string | null;
+    readonly syncTimeout: number;
+    load(): void;
+    createCallback(fn: (...args: any[]) => void, kind: 'async' | 'host'): any;
+    releaseCallback(handle: any): void;
+    resolvePlugin(pluginName: string): string | null;
+    listPlugins(): CatalogEntry[];
+  }
+
+  interface MockPluginDefinition {
+    methods?: Record<string, (...args: any[]) => unknown>;
+    /** Result wire type per method (inferred when omitted) */
+    returns?: Record<string, string>;
+    version?: string;
+    dependencies?: string[];
+    type?: string;
+    category?: string;
+    description?: string;
+    /** Entry reported by getModuleStats() while loaded */
+    stats?: Record<string, unknown>;
+  }
+
+  class MockPlugin {
+    readonly name: string;
+    version: string;
+    dependencies: string[];
+    methods: Record<string, (...args: any[]) => unknown>;
+    returns: Record<string, string>;
+    stats: Record<string, unknown> | null;
+    /** Emit an event; delivered on the next processEvents() */
+    emit(eventName: string, data: unknown): void;
+  }
+
+  class MockBackend implements Backend {
+    constructor();
+    readonly isVirtual: true;
+    core: any;
+    client: any;
+    readonly plugins: Map<string, MockPlugin>;
+    /** Backs getToken() */
+    readonly tokens: Map<string, string>;
+    registerPlugin(name: string, definition?: MockPluginDefinition): MockPlugin;
+    load(): void;
+    createCallback(fn: (...args: any[]) => void, kind: 'async' | 'host'): any;
+    releaseCallback(handle: any): void;
+    resolvePlugin(pluginName: string): string | null;
+    listPlugins(): CatalogEntry[];
+  }
+
+  // ===== Record and replay =====
+
+  interface RecordingHeader {
+    type: 'header';
+    format: 'logos-recording';
+    version: number;
+    startedAt: string;
+    /** Plugins loaded when recording started */
+    plugins: string[];
+  }
+
+  interface RecordedCall {
+    type: 'call';
+    /** ms since recording started */
+    t: number;
+    time: string;
+    pluginName: string;
+    methodName: string;
+    /** Wire params, as sent */
+    params: Array<{ name: string; value: unknown; type: string }> | string;
+    result: 0 | 1;
+    /** Raw message from the module client */
+    message: string | null;
+    durationMs: number;
+  }
+
+  interface RecordedEvent {
+    type: 'event';
+    t: number;
+    time: string;
+    pluginName: string;
+    eventName: string;
+    result: 0 | 1;
+    message: string | null;
+  }
+
+  type RecordingEntry = RecordingHeader | RecordedCall | RecordedEvent;
+
+  interface RecordOptions {
+    /** Only record these plugins */
+    plugins?: string[];
+  }
+
+  class Recorder {
+    constructor(target: string | ((entry: RecordingEntry) => void), options?: RecordOptions, onStop?: (recorder: Recorder) => void);
+    /** null when recording to a function */
+    readonly path: string | null;
+    /** Calls and events recorded so far */
+    readonly count: number;
+    readonly startedAt: number | null;
+    readonly stopped: boolean;
+    start(loadedPlugins?: Iterable<string>): void;
+    capture(entry: Omit<RecordedCall, 't' | 'time'> | Omit<RecordedEvent, 't' | 'time'>): void;
+    stop(): void;
+  }
+
+  function readRecording(source: string | RecordingEntry[]): {
+    header: RecordingHeader;
+    entries: Array<RecordedCall | RecordedEvent>;
+  };
+
+  interface ReplayBackendOptions {
+    /** 'fast' (default) delivers as soon as allowed; 'realtime' keeps recorded timing */
+    timing?: 'fast' | 'realtime';
+    /** Playback rate for 'realtime' (default: 1) */
+    speed?: number;
+    /** Calls must match the recording in order and params */
+    strict?: boolean;
+  }
+
+  interface ReplayProgress {
+    calls: { total: number; replayed: number; unmatched: number };
+    events: { total: number; delivered: number };
+    done: boolean;
+  }
+
+  class ReplayBackend extends MockBackend {
+    /** A recording file, JSONL text or entries */
+    constructor(recording: string | RecordingEntry[], options?: ReplayBackendOptions);
+    readonly header: RecordingHeader;
+    readonly timing: 'fast' | 'realtime';
+    readonly speed: number;
+    readonly strict: boolean;
+    progress(): ReplayProgress;
+    unmatchedCalls(): Array<{ pluginName: string; methodName: string; params: unknown; reason: string }>;
+    whenDone(): Promise<void>;
+  }
+
+  // ===== Errors =====
+
+  type ErrorCode =
+    | 'ERR_NOT_INITIALIZED'
+    | 'ERR_INVALID_STATE'
+    | 'ERR_INIT_FAILED'
+    | 'ERR_LIBRARY_NOT_FOUND'
+    | 'ERR_PLUGINS_DIR_NOT_FOUND'
+    | 'ERR_MODULE_CLIENT_UNAVAILABLE'
+    | 'ERR_PLUGIN_NOT_FOUND'
+    | 'ERR_PLUGIN_LOAD_FAILED'
+    | 'ERR_INVALID_MANIFEST'
+    | 'ERR_DEPENDENCY'
+    | 'ERR_METHOD_CALL_FAILED'
+    | 'ERR_TIMEOUT'
+    | 'ERR_ABORTED'
+    | 'ERR_CIRCUIT_OPEN'
+    | 'ERR_QUEUE_FULL'
+    | 'ERR_EVENT_OVERFLOW'
+    | 'ERR_INVALID_CONFIG'
+    | 'ERR_INVALID_RECORDING'
+    | 'ERR_INSTALL_FAILED'
+    | 'ERR_INTEGRITY';
+
+  class LogosError extends Error {
+    constructor(message: string, code: ErrorCode, context?: { cause?: unknown });
+    readonly code: ErrorCode;
+    readonly cause?: unknown;
+  }
+
+  class NotInitializedError extends LogosError {
+    readonly code: 'ERR_NOT_INITIALIZED';
+    readonly operation: string | null;
+  }
+
+  class InvalidStateError extends LogosError {
+    readonly code: 'ERR_INVALID_STATE';
+    readonly operation: string | null;
+  }
+
+  class InitializationError extends LogosError {
+    readonly code: 'ERR_INIT_FAILED';
+  }
+
+  class LibraryNotFoundError extends LogosError {
+    readonly code: 'ERR_LIBRARY_NOT_FOUND';
+    readonly library: string | null;
+    readonly searched: string[];
+    readonly envVar: string | null;
+  }
+
+  class PluginsDirNotFoundError extends LogosError {
+    readonly code: 'ERR_PLUGINS_DIR_NOT_FOUND';
+    readonly pluginsDir: string | null;
+  }
+
+  class ModuleClientUnavailableError extends LogosError {
+    readonly code: 'ERR_MODULE_CLIENT_UNAVAILABLE';
+    readonly operation: string | null;
+  }
+
+  class PluginNotFoundError extends LogosError {
+    readonly code: 'ERR_PLUGIN_NOT_FOUND';
+    readonly pluginName: string | null;
+    readonly searched: string[];
+  }
+
+  class PluginLoadError extends LogosError {
+    readonly code: 'ERR_PLUGIN_LOAD_FAILED' | 'ERR_INVALID_MANIFEST';
+    readonly pluginName: string | null;
+    readonly stage: 'process' | 'load' | 'unload' | null;
+  }
+
+  class ManifestValidationError extends PluginLoadError {
+    readonly code: 'ERR_INVALID_MANIFEST';
+    readonly manifestPath: string | null;
+    readonly errors: ValidationIssue[];
+    readonly warnings: ValidationIssue[];
+    readonly triedVariants: TriedVariant[];
+  }
+
+  class DependencyError extends LogosError {
+    readonly code: 'ERR_DEPENDENCY';
+    readonly missing: Array<{ name: string; requiredBy: string | null }>;
+    readonly cycles: string[][];
+    readonly plan: LoadPlan | null;
+  }
+
+  class MethodCallError extends LogosError {
+    readonly code: 'ERR_METHOD_CALL_FAILED';
+    readonly pluginName: string | null;
+    readonly methodName: string | null;
+    /** Structured failure payload from the module client, if any */
+    readonly details: unknown;
+    /** Message exactly as delivered over FFI */
+    readonly rawMessage: string | null;
+  }
+
+  class TimeoutError extends LogosError {
+    readonly code: 'ERR_TIMEOUT';
+    readonly pluginName: string | null;
+    readonly methodName: string | null;
+    readonly timeout: number | null;
+  }
+
+  class AbortError extends LogosError {
+    readonly code: 'ERR_ABORTED';
+    readonly pluginName: string | null;
+    readonly methodName: string | null;
+    readonly reason: unknown;
+  }
+
+  class CircuitOpenError extends LogosError {
+    readonly code: 'ERR_CIRCUIT_OPEN';
+    readonly pluginName: string | null;
+    readonly methodName: string | null;
+    readonly state: 'open' | 'half-open' | null;
+    /** ms until the circuit lets a trial call through */
+    readonly retryAfter: number | null;
+  }
+
+  class QueueFullError extends LogosError {
+    readonly code: 'ERR_QUEUE_FULL';
+    readonly pluginName: string | null;
+    readonly methodName: string | null;
+    /** Queue key, "plugin" or "plugin.method" */
+    readonly queue: string | null;
+    readonly maxQueue: number | null;
+  }
+
+  class EventOverflowError extends LogosError {
+    readonly code: 'ERR_EVENT_OVERFLOW';
+    readonly pluginName: string | null;
+    readonly eventName: string | null;
+    readonly bufferSize: number | null;
+  }
+
+  class ConfigError extends LogosError {
+    readonly code: 'ERR_INVALID_CONFIG';
+    readonly configPath: string | null;
+    readonly profile: string | null;
+    readonly errors: Array<{ field: string; message: string }>;
+  }
+
+  class RecordingError extends LogosError {
+    readonly code: 'ERR_INVALID_RECORDING';
+    readonly path: string | null;
+    /** 1-based line of the offending entry */
+    readonly line: number | null;
+  }
+
+  class InstallError extends LogosError {
+    readonly code: 'ERR_INSTALL_FAILED' | 'ERR_INTEGRITY';
+    readonly pluginName: string | null;
+    readonly archivePath: string | null;
+    /** Version in the archive */
+    readonly version: string | null;
+    /** Version already installed */
+    readonly installedVersion: string | null;
+  }
+
+  class IntegrityError extends InstallError {
+    readonly code: 'ERR_INTEGRITY';
+    readonly variant: string | null;
+    readonly file: string | null;
+    readonly expected: string | null;
+    /** null if the file is missing */
+    readonly actual: string | null;
+  }
+}
+
+interface LogosAPI extends LogosAPI.LogosPlugins {}
+
+declare class LogosAPI extends EventEmitter {
+  constructor(options?: LogosAPI.LogosAPIOptions);
+
+  /** Build and boot a LogosAPI from a config file profile */
+  static fromConfig(options?: LogosAPI.FromConfigOptions): Promise<LogosAPI>;
+  /** Resolve a config file profile without booting anything */
+  static loadConfig(options?: LogosAPI.ConfigOptions): LogosAPI.ResolvedConfig;
+
+  /** Plugins not covered by generated declarations are untyped */
+  [pluginName: string]: any;
+
+  readonly options: LogosAPI.LogosAPIOptions;
+  readonly isInitialized: boolean;
+  readonly isStarted: boolean;
+
+  // Core
+  init(): true;
+  start(): true;
+  /** With the `worker` option, resolves with the exit code instead of blocking */
+  exec(): number | Promise<number>;
+  cleanup(): void;
+
+  // Plugin management
+  getLoadedPlugins(): string[];
+  getKnownPlugins(): string[];
+  getPluginStatus(): { loaded: string[]; known: string[] };
+  processPlugin(pluginName: string): boolean;
+  validatePlugin(pluginName: string): LogosAPI.PluginValidationReport;
+  loadPlugin(pluginName: string): boolean;
+  unloadPlugin(pluginName: string, options?: { cascade?: boolean }): boolean;
+  loadPluginWithDependencies(pluginName: string): boolean;
+  addPluginsDir(dir: string): void;
+  getPluginsDirs(): string[];
+  discoverPlugins(): LogosAPI.CatalogEntry[];
+  processAndLoadPlugin(pluginName: string): true;
+  processAndLoadPlugins(pluginNames: string[]): Record<string, LogosAPI.LoadResult>;
+  getDependencyGraph(): LogosAPI.DependencyGraph;
+  planLoad(pluginNames: string[]): LogosAPI.LoadPlan;
+  waitForPlugin(pluginName: string, options?: LogosAPI.WaitForPluginOptions): Promise<LogosAPI.ReadyResult>;
+  reloadPlugin(pluginName: string, options?: LogosAPI.ReloadPluginOptions): Promise<LogosAPI.ReloadResult>;
+  watchPlugins(options?: LogosAPI.WatchPluginsOptions): LogosAPI.PluginWatcher;
+  installPlugin(archivePath: string, options?: LogosAPI.InstallPluginOptions): LogosAPI.InstallResult;
+  uninstallPlugin(pluginName: string, options?: { dir?: string }): LogosAPI.UninstallResult;
+  getToken(key: string): string | null;
+  getModuleStats(): any;
+
+  // Async operations
+  callPluginMethodAsync(
+    pluginName: string,
+    methodName: string,
+    params: string,
+    callback: LogosAPI.CallCallback,
+    options?: LogosAPI.CallOptionsInit
+  ): string;
+  /** Returns a function that removes the middleware */
+  use(middleware: LogosAPI.Middleware): () => boolean;
+  record(target: string | ((entry: LogosAPI.RecordingEntry) => void), options?: LogosAPI.RecordOptions): LogosAPI.Recorder;
+  cancelCall(callbackId: string, reason?: unknown): boolean;
+  getPendingCalls(): LogosAPI.PendingCall[];
+  /** null when the circuitBreaker option is off */
+  getCircuitState(pluginName: string): LogosAPI.CircuitSnapshot | null;
+  getCircuitStates(): LogosAPI.CircuitSnapshot[];
+  resetCircuit(pluginName: string): boolean;
+  /** `target` is "plugin", "plugin.method", "*" or, for dotted plugin names, `{ plugin, method? }` */
+  configureQueue(target: string | { plugin: string; method?: string }, options: LogosAPI.CallQueueOptions | null): void;
+  getQueueStats(): LogosAPI.QueueStats[];
+  batch<T = any>(calls: LogosAPI.BatchCall[], options?: LogosAPI.BatchOptions): Promise<Array<LogosAPI.BatchResult<T>>>;
+  registerEventListener(pluginName: string, eventName: string, callback: LogosAPI.CallCallback): string;
+  removeEventListener(listenerId: string): boolean;
+  events<T = any>(pluginName: string, eventName: string, options?: LogosAPI.EventStreamOptions): LogosAPI.EventStream<T>;
+
+  // Signatures
+  defineSignatures(pluginName: string, methods: Record<string, LogosAPI.SignatureSpec>): void;
+  getSignature(pluginName: string, methodName: string): LogosAPI.Signature | null;
+
+  // Event processing
+  /** A number sets `maxInterval` */
+  startEventProcessing(options?: number | LogosAPI.EventPumpOptions): true;
+  stopEventProcessing(): boolean;
+  getEventPumpStats(): LogosAPI.EventPumpStats;
+
+  // Lifecycle events
+  on<K extends keyof LogosAPI.LifecycleEvents>(event: K, listener: (payload: LogosAPI.LifecycleEvents[K]) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  once<K extends keyof LogosAPI.LifecycleEvents>(event: K, listener: (payload: LogosAPI.LifecycleEvents[K]) => void): this;
+  once(event: string | symbol, listener: (...args: any[]) => void): this;
+  off<K extends keyof LogosAPI.LifecycleEvents>(event: K, listener: (payload: LogosAPI.LifecycleEvents[K]) => void): this;
+  off(event: string | symbol, listener: (...args: any[]) => void): this;
+}
+
+export = LogosAPI;
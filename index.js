@@ -1,6 +1,34 @@
-const koffi = require('koffi');
 const path = require('path');
 const fs = require('fs');
+const { EventEmitter } = require('events');
+const NativeBackend = require('./src/backends/native');
+const MockBackend = require('./src/backends/mock');
+const WorkerBackend = require('./src/backends/worker');
+const ReplayBackend = require('./src/backends/replay');
+const { getPlatformDir, getLibraryExtension } = require('./src/platform');
+const { buildCatalog } = require('./src/discovery');
+const { validateManifest, formatIssues, isValidPluginName } = require('./src/manifest');
+const DependencyGraph = require('./src/dependency-graph');
+const { types, TypedValue, normalizeSignature, encodeParams } = require('./src/types');
+const { decodeResult, decodeError } = require('./src/codec');
+const errors = require('./src/errors');
+const {
+  NotInitializedError, InvalidStateError, InitializationError, PluginsDirNotFoundError,
+  ModuleClientUnavailableError, PluginNotFoundError, PluginLoadError, LogosError,
+  MethodCallError, TimeoutError, AbortError, ManifestValidationError, DependencyError, InstallError
+} = errors;
+const EventStream = require('./src/event-stream');
+const StatsMonitor = require('./src/stats-monitor');
+const EventPump = require('./src/event-pump');
+const { compose, logging, tracing, Tracer } = require('./src/middleware');
+const { RetryPolicy, CircuitBreaker, isTransientError } = require('./src/resilience');
+const Gateway = require('./src/gateway');
+const PluginWatcher = require('./src/plugin-watcher');
+const CallQueue = require('./src/call-queue');
+const { Recorder, readRecording } = require('./src/recorder');
+const { installArchive, findInstalled, readInstalledManifest } = require('./src/installer');
+const { CallOptions, callOptions, splitCallOptions } = require('./src/call-options');
+const { resolveConfig } = require('./src/config');
 
 /**
  * LogosAPI - A JavaScript SDK for interacting with liblogos_core and liblogos_module_client
@@ -11,30 +39,65 @@ const fs = require('fs');
  * - Async method calls and event handling (liblogos_module_client)
  * - Event processing and lifecycle management
  *
- * Uses koffi for FFI (supports Node.js 16+, including v24).
+ * The native libraries are reached through a backend (see src/backends/).
+ * The default NativeBackend uses koffi for FFI (supports Node.js 16+,
+ * including v24); MockBackend runs the same surface in plain Node,
+ * ReplayBackend plays back a recording made with record(), and
+ * WorkerBackend (the `worker` option) hosts a backend in a worker thread.
+ *
+ * Lifecycle events (see README "Lifecycle Events"): initialized, started,
+ * pluginProcessed, pluginLoaded, pluginUnloaded, pluginLoadFailed,
+ * pluginReloaded, pluginReloadFailed, pluginInstalled, pluginUninstalled,
+ * callbackError, callRetry, circuitStateChange, shutdown.
  */
-class LogosAPI {
+class LogosAPI extends EventEmitter {
   constructor(options = {}) {
+    super();
     this.options = {
       libPath: options.libPath || null,
       moduleClientLibPath: options.moduleClientLibPath || null,
       pluginsDir: options.pluginsDir || null,
+      defaultTimeout: options.defaultTimeout || null, // ms; null = calls never time out
+      readyProbe: options.readyProbe || null, // default waitForPlugin() probe; null = the core's loaded state
       autoInit: options.autoInit !== false, // Default to true
       ...options
     };
 
-    this._coreLib = null;       // koffi handle for liblogos_core
-    this._clientLib = null;     // koffi handle for liblogos_module_client
-    this._core = {};            // bound C functions from liblogos_core
-    this._client = {};          // bound C functions from liblogos_module_client
+    this._backend = this.options.backend || this._createDefaultBackend();
+    this._core = {};            // core functions from the backend (liblogos_core)
+    this._client = {};          // client functions from the backend (liblogos_module_client)
     this.isInitialized = false;
     this.isStarted = false;
-    this.eventProcessingInterval = null;
-    this.callbacks = new Map();
-    this.eventListeners = new Map();
-    this._registeredCallbacks = []; // prevent GC of koffi.register() handles
+    this.eventProcessingInterval = null; // the running EventPump, or null
+    this._eventPump = null;
+    this._deliveries = 0;       // callbacks delivered, read by the event pump
+    this.callbacks = new Map(); // pending method calls by callbackId
+    this.eventListeners = new Map();  // JS listeners by listenerId
+    this._eventChannels = new Map();  // one native registration per plugin/event pair
+    this._eventStreams = new Set();
+    this._readyPromises = new Map();  // pluginName -> pending/fulfilled waitForPlugin() promise
+    this._registeredCallbacks = new Set(); // backend callback handles (prevents GC of koffi.register() handles)
     this._loadedPluginSet = new Set(); // JS-side tracking (avoids reentrant FFI in host callbacks)
     this._knownPluginSet = new Set();
+    this._extraPluginsDirs = [];  // directories added via addPluginsDir()
+    this._signatures = new Map(); // pluginName -> Map(methodName -> normalized signature)
+    this._middleware = [];        // (ctx, next) => {} functions added with use()
+    this._retryPolicy = this._createRetryPolicy(this.options.retry);
+    this._circuitOptions = this.options.circuitBreaker === true ? {} : (this.options.circuitBreaker || null);
+    this._circuitBreakers = new Map(); // pluginName -> CircuitBreaker, created on first call
+    this._pluginWatchers = new Set(); // PluginWatchers from watchPlugins()
+    // Keyed by plugin name first: plugin names may contain dots, so "a.b" alone
+    // cannot tell plugin "a.b" from method "b" of plugin "a"
+    this._queueOptions = new Map(); // plugin name or "*" -> { options, methods: Map(methodName -> options) }
+    this._callQueues = new Map();   // plugin name -> { queue, methods: Map(methodName -> CallQueue) }, created on first call
+    this._recorders = new Set();    // active Recorders from record()
+
+    for (const [pluginName, methods] of Object.entries(this.options.signatures || {})) {
+      this.defineSignatures(pluginName, methods);
+    }
+    for (const [target, queueOptions] of Object.entries(this.options.queues || {})) {
+      this.configureQueue(target, queueOptions);
+    }
 
     if (this.options.autoInit) {
       this.init();
@@ -61,174 +124,93 @@ class LogosAPI {
   }
 
   /**
-   * Initialize the LogosCore library
+   * Build a LogosAPI from a config file profile and boot it: initialize,
+   * add the profile's plugin directories, start, run the event pump, load
+   * its plugins with their dependencies and, with `ready`, wait until each
+   * one answers. See src/config.js for the file format and the precedence
+   * of file, profile, environment and overrides.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.configPath] - Default: $LOGOS_CONFIG, else logos.config.{js,cjs,json} in `cwd`
+   * @param {string} [options.profile] - Default: $LOGOS_PROFILE, else the file's `defaultProfile`
+   * @param {Object} [options.overrides] - Settings that win over the file and the environment
+   * @param {Object} [options.backend] - Backend instance, e.g. a MockBackend
+   * @param {string} [options.cwd=process.cwd()]
+   * @param {Object} [options.env=process.env]
+   * @returns {Promise<LogosAPI>}
    */
-  init() {
-    if (this.isInitialized) {
-      throw new Error('LogosAPI is already initialized');
-    }
+  static async fromConfig(options = {}) {
+    const config = resolveConfig(options);
+    const logos = new LogosAPI({
+      ...config.options,
+      ...(options.backend ? { backend: options.backend } : {}),
+      configPath: config.configPath,
+      profile: config.profile,
+      autoInit: false
+    });
 
     try {
-      this._loadCoreLibrary();
-      this._loadModuleClientLibrary();
-      this._initializeCore();
-      this._initializeModuleClient();
-      this.isInitialized = true;
-      return true;
+      logos.init();
+      for (const dir of config.pluginsDirs) logos.addPluginsDir(dir);
+      logos.start();
+      if (config.eventProcessing !== false) logos.startEventProcessing(config.eventProcessing || {});
+      if (config.plugins.length) {
+        const results = logos.processAndLoadPlugins(config.plugins);
+        const failed = Object.entries(results).find(([, result]) => !result.loaded);
+        if (failed) {
+          throw new PluginLoadError(`Failed to load ${failed[0]}: ${failed[1].error || 'rejected by the core'}`, {
+            pluginName: failed[0], stage: failed[1].processed ? 'load' : 'process'
+          });
+        }
+        if (config.ready) {
+          for (const pluginName of config.plugins) await logos.waitForPlugin(pluginName, config.ready);
+        }
+      }
     } catch (error) {
-      throw new Error(`Failed to initialize LogosAPI: ${error.message}`);
-    }
-  }
-
-  // ===== Library loading =====
-
-  /**
-   * Load the liblogos_core library via koffi
-   * @private
-   */
-  _loadCoreLibrary() {
-    const libPath = this._findLibrary('liblogos_core', this.options.libPath, 'LOGOS_LIBLOGOS_ROOT');
-
-    this._coreLib = koffi.load(libPath);
-    const lib = this._coreLib;
-
-    // Define callback types used by both core and module-client libraries
-    if (!this._AsyncCallbackProto) {
-      this._AsyncCallbackProto = koffi.proto('void AsyncCallback(int result, const char *message, void *user_data)');
+      try { logos.cleanup(); } catch (_e) { /* report the boot failure instead */ }
+      throw error;
     }
-
-    this._core = {
-      // Core lifecycle
-      init:               lib.func('void logos_core_init(int argc, void *argv)'),
-      setPluginsDir:      lib.func('void logos_core_set_plugins_dir(const char *dir)'),
-      addPluginsDir:      lib.func('void logos_core_add_plugins_dir(const char *dir)'),
-      start:              lib.func('void logos_core_start()'),
-      exec:               lib.func('int logos_core_exec()'),
-      cleanup:            lib.func('void logos_core_cleanup()'),
-
-      // Plugin management
-      getLoadedPlugins:   lib.func('void *logos_core_get_loaded_plugins()'),
-      getKnownPlugins:    lib.func('void *logos_core_get_known_plugins()'),
-      loadPlugin:         lib.func('int logos_core_load_plugin(const char *name)'),
-      loadPluginWithDeps: lib.func('int logos_core_load_plugin_with_dependencies(const char *name)'),
-      unloadPlugin:       lib.func('int logos_core_unload_plugin(const char *name)'),
-      processPlugin:      lib.func('const char *logos_core_process_plugin(const char *path)'),
-
-      // Token management
-      getToken:           lib.func('const char *logos_core_get_token(const char *key)'),
-
-      // Module stats
-      getModuleStats:     lib.func('const char *logos_core_get_module_stats()'),
-
-      // Qt event processing
-      processEvents:      lib.func('void logos_core_process_events()'),
-    };
-
-    // Async method calls are handled by logos-module-client (no longer in liblogos_core)
-    this._core.callMethodAsync = null;
+    return logos;
   }
 
   /**
-   * Load the liblogos_module_client library via koffi
-   * @private
+   * Resolve a config file profile without booting anything; fromConfig()
+   * takes the same options.
+   * @param {Object} [options]
+   * @returns {{ configPath: string|null, profile: string|null, options: Object, pluginsDirs: string[],
+   *   plugins: string[], eventProcessing: false|number|Object|null, ready: false|Object }}
    */
-  _loadModuleClientLibrary() {
-    let libPath;
-    try {
-      libPath = this._findLibrary('liblogos_module_client', this.options.moduleClientLibPath, 'LOGOS_MODULE_CLIENT_ROOT');
-    } catch (_e) {
-      // Module client is optional — proxy API calls will fail if not loaded
-      console.warn('logos-module-client not found; proxy/async API will not be available.');
-      return;
-    }
-
-    this._clientLib = koffi.load(libPath);
-    const lib = this._clientLib;
-
-    // Ensure async callback type is defined (may already exist from core library)
-    if (!this._AsyncCallbackProto) {
-      this._AsyncCallbackProto = koffi.proto('void AsyncCallback(int result, const char *message, void *user_data)');
-    }
-
-    // Define the host callback types for init
-    this._HostCallbackProto = koffi.proto('int HostCallback(const char *name)');
-
-    this._client = {
-      // Initialization with individual function pointers (FFI-friendly)
-      initWithCallbacks: lib.func('void logos_module_client_init_with_callbacks(HostCallback *is_loaded, HostCallback *is_known, HostCallback *load_plugin)'),
-
-      // Async operations
-      callMethodAsync:      lib.func('void logos_module_client_call_method_async(const char *plugin, const char *method, const char *params, AsyncCallback *cb, void *user_data)'),
-      asyncOperation:       lib.func('void logos_module_client_async_operation(const char *data, AsyncCallback *cb, void *user_data)'),
-      loadPluginAsync:      lib.func('void logos_module_client_load_plugin_async(const char *name, AsyncCallback *cb, void *user_data)'),
-
-      // Event listener
-      registerEventListener: lib.func('void logos_module_client_register_event_listener(const char *plugin, const char *event, AsyncCallback *cb, void *user_data)'),
-
-      // Cleanup
-      shutdown:             lib.func('void logos_module_client_shutdown()'),
-    };
+  static loadConfig(options = {}) {
+    return resolveConfig(options);
   }
 
   /**
-   * Find a native library by name, searching standard locations.
-   * @private
-   * @param {string} libBaseName - e.g. "liblogos_core"
-   * @param {string|null} explicitPath - User-provided path (highest priority)
-   * @param {string} envVar - Environment variable pointing to the install root
-   * @returns {string} Resolved path
+   * Initialize the LogosCore library
    */
-  _findLibrary(libBaseName, explicitPath, envVar) {
-    if (explicitPath) {
-      if (!fs.existsSync(explicitPath)) {
-        throw new Error(`Library not found at explicit path: ${explicitPath}`);
-      }
-      return explicitPath;
-    }
-
-    const ext = this._getLibraryExtension();
-    const libName = `${libBaseName}${ext}`;
-    const platformDir = this._getPlatformDir();
-    const envRoot = process.env[envVar];
-
-    const candidates = [
-      path.resolve(__dirname, 'lib', platformDir, libName),
-      path.resolve(__dirname, 'lib', libName),
-      envRoot && path.join(envRoot, 'lib', libName),
-      path.resolve(__dirname, 'result', 'lib', libName),
-    ].filter(Boolean);
-
-    const found = candidates.find(p => fs.existsSync(p));
-    if (!found) {
-      throw new Error(
-        `${libBaseName} not found. Searched:\n` +
-        candidates.map(p => `  - ${p}`).join('\n') + '\n' +
-        `Set ${envVar} or pass the path in constructor options.`
-      );
+  init() {
+    if (this.isInitialized) {
+      throw new InvalidStateError('LogosAPI is already initialized', { operation: 'init' });
     }
-    return found;
-  }
 
-  /**
-   * Get the appropriate library extension for the current platform
-   * @private
-   */
-  _getLibraryExtension() {
-    switch (process.platform) {
-      case 'darwin': return '.dylib';
-      case 'win32':  return '.dll';
-      default:       return '.so';
+    try {
+      this._backend.load();
+      this._core = this._backend.core;
+      this._client = this._backend.client || {};
+      this._initializeCore();
+      this._initializeModuleClient();
+      this.isInitialized = true;
+      this._emitLifecycle('initialized', {
+        backend: this._backend.constructor.name,
+        pluginsDir: this._resolvePluginsDir()
+      });
+      return true;
+    } catch (error) {
+      // Our own errors already say what went wrong; wrap anything else
+      if (error instanceof LogosError) throw error;
+      throw new InitializationError(`Failed to initialize LogosAPI: ${error.message}`, { cause: error });
     }
   }
 
-  /**
-   * Get the platform subdirectory name (e.g. "darwin-arm64", "linux-x64")
-   * @private
-   */
-  _getPlatformDir() {
-    return `${process.platform}-${process.arch}`;
-  }
-
   // ===== Initialization =====
 
   /**
@@ -242,7 +224,12 @@ class LogosAPI {
     const pluginsDir = this._resolvePluginsDir();
 
     if (!fs.existsSync(pluginsDir)) {
-      throw new Error(`Plugins directory not found at: ${pluginsDir}. Please ensure modules are available.`);
+      // Virtual backends (e.g. MockBackend) can run without any modules on disk
+      if (this._backend.isVirtual) return;
+      throw new PluginsDirNotFoundError(
+        `Plugins directory not found at: ${pluginsDir}. Please ensure modules are available.`,
+        { pluginsDir }
+      );
     }
 
     // Auto-detect logos_host if not already set via env
@@ -257,56 +244,60 @@ class LogosAPI {
    * @private
    */
   _initializeModuleClient() {
-    if (!this._clientLib) return;
-
-    // Define the async callback proto if not already done
-    if (!this._AsyncCallbackProto) {
-      this._AsyncCallbackProto = koffi.proto('void AsyncCallback(int result, const char *message, void *user_data)');
-    }
+    if (!this._hasModuleClient()) return;
 
     // Host callbacks use JS-side Sets instead of calling back into C.
     // This avoids reentrant C→JS→C calls which koffi doesn't support.
-    const isLoadedCb = koffi.register((name) => {
+    const isLoadedCb = this._backend.createCallback((name) => {
       return this._loadedPluginSet.has(name) ? 1 : 0;
-    }, koffi.pointer(this._HostCallbackProto));
+    }, 'host');
 
-    const isKnownCb = koffi.register((name) => {
+    const isKnownCb = this._backend.createCallback((name) => {
       return this._knownPluginSet.has(name) ? 1 : 0;
-    }, koffi.pointer(this._HostCallbackProto));
+    }, 'host');
 
-    const loadPluginCb = koffi.register((name) => {
+    const loadPluginCb = this._backend.createCallback((name) => {
       // This is called from C when module-client needs to trigger a plugin load.
       // We call into C here — this is safe because the call originates from JS
       // context (event processing), not from within a C→JS callback.
       try {
         const result = this._core.loadPlugin(name);
-        if (result === 1) this._loadedPluginSet.add(name);
+        if (result === 1) {
+          this._loadedPluginSet.add(name);
+          this._emitLifecycle('pluginLoaded', { pluginName: name, trigger: 'module-client' });
+        } else {
+          this._emitLifecycle('pluginLoadFailed', { pluginName: name, stage: 'load', trigger: 'module-client', error: null });
+        }
         return result;
       } catch (_e) { return 0; }
-    }, koffi.pointer(this._HostCallbackProto));
+    }, 'host');
 
-    this._registeredCallbacks.push(isLoadedCb, isKnownCb, loadPluginCb);
+    this._registeredCallbacks.add(isLoadedCb).add(isKnownCb).add(loadPluginCb);
     this._client.initWithCallbacks(isLoadedCb, isKnownCb, loadPluginCb);
   }
 
   /**
-   * Try to locate logos_host and set LOGOS_HOST_PATH env var.
+   * Try to locate logos_host and set LOGOS_HOST_PATH env var. An explicit
+   * `logosHostPath` wins over the variable.
    * @private
    */
   _resolveLogosHost(pluginsDir) {
+    if (this.options.logosHostPath && fs.existsSync(this.options.logosHostPath)) {
+      process.env.LOGOS_HOST_PATH = this.options.logosHostPath;
+      return;
+    }
     if (process.env.LOGOS_HOST_PATH && fs.existsSync(process.env.LOGOS_HOST_PATH)) {
       return;
     }
 
     const hostName = process.platform === 'win32' ? 'logos_host.exe' : 'logos_host';
-    const platformDir = this._getPlatformDir();
+    const platformDir = getPlatformDir();
     const candidates = [
       path.resolve(__dirname, 'bin', platformDir, hostName),
       path.resolve(__dirname, 'bin', hostName),
       process.env.LOGOS_LIBLOGOS_ROOT && path.join(process.env.LOGOS_LIBLOGOS_ROOT, 'bin', hostName),
       path.resolve(pluginsDir, '..', 'bin', hostName),
       path.resolve(__dirname, 'result', 'bin', hostName),
-      this.options.logosHostPath,
     ].filter(Boolean);
 
     const found = candidates.find(p => fs.existsSync(p));
@@ -322,24 +313,24 @@ class LogosAPI {
    */
   start() {
     if (!this.isInitialized) {
-      throw new Error('LogosAPI must be initialized before starting');
+      throw new NotInitializedError('LogosAPI must be initialized before starting', { operation: 'start' });
     }
     if (this.isStarted) {
-      throw new Error('LogosAPI is already started');
+      throw new InvalidStateError('LogosAPI is already started', { operation: 'start' });
     }
 
     this._core.start();
     this.isStarted = true;
+    this._emitLifecycle('started', {});
     return true;
   }
 
   /**
-   * Execute the core event loop (blocking)
+   * Execute the core event loop. Blocks the calling thread, except with
+   * the `worker` option, where it returns a Promise of the exit code.
    */
   exec() {
-    if (!this.isInitialized) {
-      throw new Error('LogosAPI must be initialized first');
-    }
+    this._assertInitialized('exec');
     return this._core.exec();
   }
 
@@ -348,6 +339,19 @@ class LogosAPI {
    */
   cleanup() {
     this.stopEventProcessing();
+    for (const watcher of this._pluginWatchers) watcher.close();
+    this._pluginWatchers.clear();
+    // Drop queued calls first so settling the calls in flight does not start them
+    for (const queue of this._allCallQueues()) queue.close();
+
+    // Settle anything still in flight so callers are not left hanging
+    for (const callbackId of Array.from(this.callbacks.keys())) {
+      const entry = this.callbacks.get(callbackId);
+      this._settleCall(callbackId, false, new AbortError(
+        `${entry.pluginName}.${entry.methodName} aborted: LogosAPI cleaned up`,
+        { pluginName: entry.pluginName, methodName: entry.methodName }
+      ), this._callbackMeta(callbackId, null));
+    }
 
     if (this._client.shutdown) {
       this._client.shutdown();
@@ -356,31 +360,40 @@ class LogosAPI {
       this._core.cleanup();
     }
 
-    // Unregister all koffi callbacks
+    // Release all backend callbacks
     for (const handle of this._registeredCallbacks) {
-      try { koffi.unregister(handle); } catch (_e) { /* ignore */ }
+      try { this._backend.releaseCallback(handle); } catch (_e) { /* ignore */ }
     }
-    this._registeredCallbacks = [];
+    this._registeredCallbacks.clear();
+
+    for (const stream of Array.from(this._eventStreams)) stream._end();
 
+    this._callQueues.clear();
     this.callbacks.clear();
     this.eventListeners.clear();
+    this._eventChannels.clear();
     this._loadedPluginSet.clear();
     this._knownPluginSet.clear();
+    this._readyPromises.clear();
 
+    for (const recorder of Array.from(this._recorders)) recorder.stop();
+
+    const wasInitialized = this.isInitialized;
     this.isInitialized = false;
     this.isStarted = false;
+    if (wasInitialized) this._emitLifecycle('shutdown', {});
   }
 
   // ===== Plugin management (core) =====
 
   getLoadedPlugins() {
-    if (!this.isInitialized) throw new Error('LogosAPI must be initialized first');
-    return this._readCStringArray(this._core.getLoadedPlugins());
+    this._assertInitialized('getLoadedPlugins');
+    return this._core.getLoadedPlugins();
   }
 
   getKnownPlugins() {
-    if (!this.isInitialized) throw new Error('LogosAPI must be initialized first');
-    return this._readCStringArray(this._core.getKnownPlugins());
+    this._assertInitialized('getKnownPlugins');
+    return this._core.getKnownPlugins();
   }
 
   getPluginStatus() {
@@ -391,66 +404,144 @@ class LogosAPI {
    * Process a plugin file and add it to known plugins.
    *
    * Supports two directory layouts:
-   *   1. Subdirectory with manifest.json (current standard)
+   *   1. Subdirectory with manifest.json (current standard), or metadata.json
    *   2. Flat layout (legacy): modules/calc_module_plugin.so
+   *
+   * Backends that provide plugins themselves (e.g. MockBackend) are asked first.
+   * A manifest that fails validation raises ManifestValidationError rather
+   * than falling through to other locations.
    */
   processPlugin(pluginName) {
-    if (!this.isInitialized) throw new Error('LogosAPI must be initialized first');
+    this._assertInitialized('processPlugin');
+
+    const report = this.validatePlugin(pluginName);
+    let error = null;
+    if (!report.found) {
+      error = new PluginNotFoundError(
+        `Plugin "${pluginName}" not found. Checked:\n` + report.checked.map(p => `  - ${p}`).join('\n'),
+        { pluginName, searched: report.checked }
+      );
+    } else if (!report.valid) {
+      const tried = report.triedVariants.length
+        ? `\nPlatform variants tried: ${report.triedVariants.map(t => t.variant).join(', ')}`
+        : '';
+      error = new ManifestValidationError(
+        `Invalid manifest for plugin "${pluginName}" at ${report.manifestPath}:\n` +
+        formatIssues(report.errors) + tried,
+        { ...report, pluginName }
+      );
+    }
+    if (error) {
+      this._emitLifecycle('pluginLoadFailed', { pluginName, stage: 'process', error });
+      throw error;
+    }
+    return this._processPluginPath(pluginName, report.path);
+  }
 
-    const pluginsDir = this._resolvePluginsDir();
-    const pluginExtension = this._getLibraryExtension();
+  /**
+   * Locate a plugin and validate its manifest without processing it.
+   *
+   * Lookup order matches processPlugin(): the backend, then for each plugins
+   * directory `<name>/manifest.json`, `<name>/metadata.json` and
+   * `<name>_plugin<ext>`. The first location that exists decides the result.
+   *
+   * @param {string} pluginName
+   * @returns {{ pluginName: string, found: boolean, valid: boolean, layout: string|null,
+   *   manifestPath: string|null, path: string|null, errors: Array, warnings: Array,
+   *   triedVariants: Array, checked: string[] }}
+   */
+  validatePlugin(pluginName) {
+    const report = {
+      pluginName,
+      found: false,
+      valid: false,
+      layout: null,
+      manifestPath: null,
+      path: null,
+      errors: [],
+      warnings: [],
+      triedVariants: [],
+      checked: []
+    };
 
-    // Strategy 1: subdirectory with manifest.json
-    const manifestPath = path.join(pluginsDir, pluginName, 'manifest.json');
-    if (fs.existsSync(manifestPath)) {
-      try {
-        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-        const mainObj = manifest.main;
-        if (mainObj && typeof mainObj === 'object') {
-          const variants = this._platformVariants();
-          for (const variant of variants) {
-            if (mainObj[variant]) {
-              const pluginPath = path.join(pluginsDir, pluginName, mainObj[variant]);
-              if (fs.existsSync(pluginPath)) {
-                const result = !!this._core.processPlugin(pluginPath);
-                if (result) this._knownPluginSet.add(pluginName);
-                return result;
-              }
-            }
-          }
-        }
-      } catch (_e) { /* fall through */ }
+    const backendPath = this._backend.resolvePlugin(pluginName);
+    if (backendPath) {
+      return { ...report, found: true, valid: true, layout: 'backend', path: backendPath };
     }
 
-    // Strategy 2: flat layout
-    const flatPath = path.join(pluginsDir, `${pluginName}_plugin${pluginExtension}`);
-    if (fs.existsSync(flatPath)) {
-      const result = !!this._core.processPlugin(flatPath);
-      if (result) this._knownPluginSet.add(pluginName);
-      return result;
+    const pluginExtension = getLibraryExtension();
+    for (const pluginsDir of this.getPluginsDirs()) {
+      const pluginDir = path.join(pluginsDir, pluginName);
+      for (const [file, layout] of [['manifest.json', 'manifest'], ['metadata.json', 'metadata']]) {
+        const manifestPath = path.join(pluginDir, file);
+        report.checked.push(manifestPath);
+        if (!fs.existsSync(manifestPath)) continue;
+
+        let manifest;
+        try {
+          manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        } catch (error) {
+          return {
+            ...report, found: true, layout, manifestPath,
+            errors: [{ field: '(root)', message: `invalid JSON: ${error.message}` }]
+          };
+        }
+        const result = validateManifest(manifest, { pluginDir, dirName: pluginName });
+        return { ...report, ...result, found: true, layout, manifestPath };
+      }
+
+      const flatPath = path.join(pluginsDir, `${pluginName}_plugin${pluginExtension}`);
+      report.checked.push(flatPath);
+      if (fs.existsSync(flatPath)) {
+        return { ...report, found: true, valid: true, layout: 'flat', path: flatPath };
+      }
     }
 
-    throw new Error(
-      `Plugin "${pluginName}" not found. Checked:\n  - ${manifestPath}\n  - ${flatPath}`
-    );
+    report.errors.push({ field: '(plugin)', message: 'not found in any plugins directory' });
+    return report;
   }
 
   loadPlugin(pluginName) {
-    if (!this.isInitialized) throw new Error('LogosAPI must be initialized first');
+    this._assertInitialized('loadPlugin');
     const result = this._core.loadPlugin(pluginName) === 1;
-    if (result) this._loadedPluginSet.add(pluginName);
+    if (result) {
+      this._loadedPluginSet.add(pluginName);
+      this._emitLifecycle('pluginLoaded', { pluginName, trigger: 'loadPlugin' });
+    } else {
+      this._emitLifecycle('pluginLoadFailed', { pluginName, stage: 'load', trigger: 'loadPlugin', error: null });
+    }
     return result;
   }
 
-  unloadPlugin(pluginName) {
-    if (!this.isInitialized) throw new Error('LogosAPI must be initialized first');
+  /**
+   * Unload a plugin.
+   * @param {string} pluginName
+   * @param {Object} [options]
+   * @param {boolean} [options.cascade=false] - First unload every loaded plugin that
+   *   (transitively) depends on this one, dependents first. Stops at the first failure.
+   * @returns {boolean}
+   */
+  unloadPlugin(pluginName, options = {}) {
+    this._assertInitialized('unloadPlugin');
+    if (options.cascade) {
+      const order = this.getDependencyGraph().unloadOrder(pluginName, this._loadedPluginSet);
+      for (const name of order) {
+        if (!this.unloadPlugin(name)) return false;
+      }
+      return true;
+    }
     const result = this._core.unloadPlugin(pluginName) === 1;
-    if (result) this._loadedPluginSet.delete(pluginName);
+    if (result) {
+      this._loadedPluginSet.delete(pluginName);
+      this._readyPromises.delete(pluginName);
+      this._emitLifecycle('pluginUnloaded', { pluginName });
+    }
     return result;
   }
 
   loadPluginWithDependencies(pluginName) {
-    if (!this.isInitialized) throw new Error('LogosAPI must be initialized first');
+    this._assertInitialized('loadPluginWithDependencies');
+    const before = new Set(this._loadedPluginSet);
     const result = this._core.loadPluginWithDeps(pluginName) === 1;
     if (result) {
       this._loadedPluginSet.add(pluginName);
@@ -458,45 +549,310 @@ class LogosAPI {
       try {
         for (const name of this.getLoadedPlugins()) this._loadedPluginSet.add(name);
       } catch (_e) { /* best effort */ }
+      for (const name of this._loadedPluginSet) {
+        if (before.has(name)) continue;
+        this._emitLifecycle('pluginLoaded', {
+          pluginName: name,
+          trigger: 'loadPluginWithDependencies',
+          requestedBy: name === pluginName ? null : pluginName
+        });
+      }
+    } else {
+      this._emitLifecycle('pluginLoadFailed', {
+        pluginName, stage: 'load', trigger: 'loadPluginWithDependencies', error: null
+      });
     }
     return result;
   }
 
   addPluginsDir(dir) {
-    if (!this.isInitialized) throw new Error('LogosAPI must be initialized first');
+    this._assertInitialized('addPluginsDir');
     this._core.addPluginsDir(dir);
+    const resolved = path.resolve(dir);
+    if (!this._extraPluginsDirs.includes(resolved)) this._extraPluginsDirs.push(resolved);
+    for (const watcher of Array.from(this._pluginWatchers)) {
+      if (watcher.closed) this._pluginWatchers.delete(watcher);
+      else watcher.add(resolved);
+    }
+  }
+
+  /**
+   * All plugins directories, in lookup order: the primary directory first,
+   * then those added via addPluginsDir().
+   * @returns {string[]}
+   */
+  getPluginsDirs() {
+    const primary = path.resolve(this._resolvePluginsDir());
+    return [primary, ...this._extraPluginsDirs.filter(dir => dir !== primary)];
+  }
+
+  /**
+   * Scan every plugins directory (and the backend) for available plugins.
+   *
+   * Each entry has name, version, type, category, description, dependencies,
+   * variants (platform keys in the manifest's `main`), path (binary resolved
+   * for this platform, or null), dir, layout ('backend' | 'manifest' |
+   * 'metadata' | 'flat'), manifestPath and error (unreadable manifest).
+   * When a name appears more than once, the first entry in lookup order
+   * wins; later ones have `shadowed: true` and `shadowedBy`, and the winner
+   * lists them in `shadows`.
+   *
+   * @returns {Object[]}
+   */
+  discoverPlugins() {
+    const backendPlugins = this._backend.listPlugins ? this._backend.listPlugins() : [];
+    return buildCatalog(this.getPluginsDirs(), backendPlugins);
   }
 
   processAndLoadPlugin(pluginName) {
     const processed = this.processPlugin(pluginName);
-    if (!processed) throw new Error(`Failed to process plugin: ${pluginName}`);
+    if (!processed) {
+      throw new PluginLoadError(`Failed to process plugin: ${pluginName}`, { pluginName, stage: 'process' });
+    }
     const loaded = this.loadPlugin(pluginName);
-    if (!loaded) throw new Error(`Failed to load plugin: ${pluginName}`);
+    if (!loaded) {
+      throw new PluginLoadError(`Failed to load plugin: ${pluginName}`, { pluginName, stage: 'load' });
+    }
     return true;
   }
 
+  /**
+   * Process and load several plugins plus their dependencies, in dependency order.
+   *
+   * The plan (see planLoad()) is computed from manifests before anything is
+   * passed to the core; cycles, and dependencies that no manifest provides,
+   * throw DependencyError. Requested plugins without a manifest are still
+   * handed to the core first, and fail on their own with `processed: false`.
+   * Results are keyed by every plugin in the plan, including pulled-in
+   * dependencies and already-loaded plugins (`skipped: true`).
+   *
+   * @param {string[]} pluginNames
+   * @returns {Object<string, {processed: boolean, loaded?: boolean, skipped?: boolean, error?: string}>}
+   */
   processAndLoadPlugins(pluginNames) {
+    const plan = this.planLoad(pluginNames);
+    const unknown = plan.missing.filter(m => m.requiredBy === null).map(m => ({ name: m.name, dependencies: [] }));
+    if (plan.cycles.length || unknown.length < plan.missing.length) throw this._dependencyError(plan);
+
     const results = {};
-    for (const name of pluginNames) {
+    const toLoad = [...unknown, ...plan.steps.filter(step => step.action === 'load')];
+    for (const step of plan.steps) {
+      if (step.action === 'skip') results[step.name] = { processed: true, loaded: true, skipped: true };
+    }
+    for (const { name } of toLoad) {
       try { results[name] = { processed: this.processPlugin(name) }; }
       catch (error) { results[name] = { processed: false, error: error.message }; }
     }
-    for (const name of pluginNames) {
-      if (results[name].processed) {
-        try { results[name].loaded = this.loadPlugin(name); }
-        catch (error) { results[name].loaded = false; results[name].error = error.message; }
+    for (const { name, dependencies } of toLoad) {
+      if (!results[name].processed) continue;
+      const failedDep = dependencies.find(dep => !(results[dep] && results[dep].loaded));
+      if (failedDep) {
+        results[name].loaded = false;
+        results[name].error = `Dependency "${failedDep}" was not loaded`;
+        continue;
       }
+      try { results[name].loaded = this.loadPlugin(name); }
+      catch (error) { results[name].loaded = false; results[name].error = error.message; }
     }
     return results;
   }
 
+  /**
+   * Reload a loaded plugin from disk, e.g. after its module was rebuilt.
+   *
+   * The plugin is unloaded together with the loaded plugins that depend on
+   * it (dependents first), then each is processed and loaded again in
+   * dependency order and its event listeners are re-attached. With `ready`
+   * the plugin is then awaited with waitForPlugin(). Emits 'pluginReloaded',
+   * or 'pluginReloadFailed' with the stage that failed; plugins not yet
+   * reloaded at that point stay unloaded.
+   *
+   * @param {string} pluginName
+   * @param {Object} [options]
+   * @param {string[]} [options.files=[]] - Changed files, passed through to the events
+   * @param {boolean|Object} [options.ready=false] - true, or waitForPlugin() options
+   * @returns {Promise<{pluginName: string, files: string[], dependents: string[], listeners: number, durationMs: number}>}
+   */
+  async reloadPlugin(pluginName, options = {}) {
+    this._assertInitialized('reloadPlugin');
+    const { files = [], ready = false } = options;
+    if (!this._loadedPluginSet.has(pluginName)) {
+      throw new InvalidStateError(`Plugin "${pluginName}" is not loaded`, { operation: 'reloadPlugin' });
+    }
+    const startedAt = Date.now();
+    const fail = (stage, error) => {
+      if (this.listenerCount('pluginReloadFailed') > 0) {
+        this._emitLifecycle('pluginReloadFailed', { pluginName, stage, files, error });
+      } else {
+        console.error(`Reloading plugin "${pluginName}" failed (${stage}):`, error);
+      }
+      return error;
+    };
+
+    const order = this.getDependencyGraph().unloadOrder(pluginName, this._loadedPluginSet)
+      .filter(name => this._loadedPluginSet.has(name));
+    for (const name of order) {
+      if (!this.unloadPlugin(name)) {
+        throw fail('unload', new PluginLoadError(`Failed to unload plugin: ${name}`, { pluginName: name, stage: 'unload' }));
+      }
+    }
+
+    let listeners = 0;
+    for (const name of order.slice().reverse()) {
+      let processed;
+      try {
+        processed = this.processPlugin(name);
+      } catch (error) {
+        throw fail('process', error);
+      }
+      if (!processed) {
+        throw fail('process', new PluginLoadError(`Failed to process plugin: ${name}`, { pluginName: name, stage: 'process' }));
+      }
+      if (!this.loadPlugin(name)) {
+        throw fail('load', new PluginLoadError(`Failed to load plugin: ${name}`, { pluginName: name, stage: 'load' }));
+      }
+      listeners += this._reattachEventChannels(name);
+    }
+    if (this.eventProcessingInterval) this.eventProcessingInterval.wake();
+
+    if (ready) {
+      try {
+        await this.waitForPlugin(pluginName, ready === true ? {} : ready);
+      } catch (error) {
+        throw fail('ready', error);
+      }
+    }
+
+    const result = {
+      pluginName,
+      files,
+      dependents: order.filter(name => name !== pluginName),
+      listeners,
+      durationMs: Date.now() - startedAt
+    };
+    this._emitLifecycle('pluginReloaded', result);
+    return result;
+  }
+
+  /**
+   * Watch the plugins directories and reload loaded plugins whose module
+   * binary or manifest changes (see PluginWatcher). Directories added
+   * later with addPluginsDir() are watched too. Changes to plugins that
+   * are not loaded are ignored, and reloads run one at a time.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.debounce=300] - Quiet period in ms before reloading
+   * @param {string[]} [options.plugins] - Only reload these plugins
+   * @param {boolean|Object} [options.ready=false] - Passed to reloadPlugin()
+   * @returns {PluginWatcher} close() it to stop watching
+   */
+  watchPlugins(options = {}) {
+    this._assertInitialized('watchPlugins');
+    const { debounce, plugins = null, ready = false } = options;
+    let queue = Promise.resolve();
+    const watcher = new PluginWatcher((pluginName, files) => {
+      if (plugins && !plugins.includes(pluginName)) return;
+      queue = queue.then(() => {
+        if (watcher.closed || !this.isInitialized || !this._loadedPluginSet.has(pluginName)) return null;
+        return this.reloadPlugin(pluginName, { files, ready });
+      }).catch(() => { /* reported through 'pluginReloadFailed' */ });
+    }, { debounce });
+    for (const dir of this.getPluginsDirs()) watcher.add(dir);
+    this._pluginWatchers.add(watcher);
+    return watcher;
+  }
+
+  /**
+   * Install a module archive (.tar, .tar.gz or .zip) into a plugins
+   * directory as `<dir>/<name>/`; see src/installer.js for the package
+   * layout. The manifest is validated and every SHA-256 in its `checksums`
+   * verified before anything is replaced. An installed newer version is
+   * kept unless `force` is set. Does not process or load the plugin; a
+   * loaded plugin keeps running the old binary until reloadPlugin().
+   * Emits 'pluginInstalled'.
+   *
+   * @param {string} archivePath
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Plugins directory (default: the primary one)
+   * @param {boolean} [options.force=false] - Replace even a newer installed version
+   * @param {boolean} [options.requireChecksums=false] - Fail unless every variant in `main` has a checksum
+   * @returns {{ name: string, version: string, previousVersion: string|null, dir: string, path: string,
+   *   verified: Array<{variant: string, file: string, sha256: string}>, warnings: Array }}
+   */
+  installPlugin(archivePath, options = {}) {
+    const { dir = this._resolvePluginsDir(), force = false, requireChecksums = false } = options;
+    const result = installArchive(archivePath, dir, { force, requireChecksums });
+    this._emitLifecycle('pluginInstalled', { pluginName: result.name, ...result, archivePath });
+    return result;
+  }
+
+  /**
+   * Remove an installed plugin directory (`<dir>/<name>/` with a
+   * manifest.json). Without `dir`, the plugins directories are searched in
+   * lookup order and the first match is removed. A loaded plugin must be
+   * unloaded first. Emits 'pluginUninstalled'.
+   *
+   * @param {string} pluginName
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Only look in this plugins directory
+   * @returns {{ name: string, version: string|null, path: string }}
+   */
+  uninstallPlugin(pluginName, options = {}) {
+    // Names such as ".." would address a directory outside the plugins directory
+    if (!isValidPluginName(pluginName)) {
+      throw new InstallError(`Invalid plugin name ${JSON.stringify(pluginName)}`, { pluginName });
+    }
+    if (this._loadedPluginSet.has(pluginName)) {
+      throw new InvalidStateError(`Plugin "${pluginName}" is loaded; unload it before uninstalling`, {
+        operation: 'uninstallPlugin'
+      });
+    }
+    const dirs = options.dir ? [options.dir] : this.getPluginsDirs();
+    const found = findInstalled(pluginName, dirs);
+    if (!found.path) {
+      throw new PluginNotFoundError(
+        `Plugin "${pluginName}" is not installed. Checked:\n` + found.searched.map(p => `  - ${p}`).join('\n'),
+        { pluginName, searched: found.searched }
+      );
+    }
+    const manifest = readInstalledManifest(found.path);
+    fs.rmSync(found.path, { recursive: true, force: true });
+    const result = {
+      name: pluginName,
+      version: manifest && typeof manifest.version === 'string' ? manifest.version : null,
+      path: found.path
+    };
+    this._emitLifecycle('pluginUninstalled', { pluginName, ...result });
+    return result;
+  }
+
+  /**
+   * Build the dependency graph from the manifests of all discoverable plugins.
+   * @returns {DependencyGraph}
+   */
+  getDependencyGraph() {
+    return new DependencyGraph(this.discoverPlugins());
+  }
+
+  /**
+   * Compute a deterministic load plan for the given plugins without loading anything.
+   *
+   * @param {string[]} pluginNames
+   * @returns {{ ok: boolean, requested: string[], order: string[],
+   *   steps: Array<{name: string, action: 'load'|'skip', reason: string, dependencies: string[]}>,
+   *   missing: Array<{name: string, requiredBy: string|null}>, cycles: string[][] }}
+   */
+  planLoad(pluginNames) {
+    return this.getDependencyGraph().planLoad(pluginNames, { loaded: this._loadedPluginSet });
+  }
+
   getToken(key) {
-    if (!this.isInitialized) throw new Error('LogosAPI must be initialized first');
+    this._assertInitialized('getToken');
     return this._core.getToken(key);
   }
 
   getModuleStats() {
-    if (!this.isInitialized) throw new Error('LogosAPI must be initialized first');
+    this._assertInitialized('getModuleStats');
     const json = this._core.getModuleStats();
     if (!json) return null;
     try { return JSON.parse(json); } catch (_e) { return json; }
@@ -506,142 +862,1319 @@ class LogosAPI {
 
   /**
    * Call a plugin method asynchronously via logos-module-client.
+   *
+   * The callback is invoked exactly once: with the decoded result, a
+   * MethodCallError, a TimeoutError when `timeout` elapses, or an AbortError
+   * when `signal` aborts. The native callback handle is released once the
+   * module client has answered (for timed-out or cancelled calls, when the
+   * late answer arrives or at cleanup()).
+   *
+   * With the `retry` constructor option, idempotent methods that fail
+   * transiently are sent again after a backoff (each attempt gets the full
+   * `timeout`). With `circuitBreaker`, a plugin whose circuit is open fails
+   * fast: this throws a CircuitOpenError instead of sending the call.
+   *
+   * @param {string} pluginName
+   * @param {string} methodName
+   * @param {string} params - JSON wire params
+   * @param {Function} callback - (success, value, meta) => void
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - ms; defaults to the `defaultTimeout` constructor option, 0 disables
+   * @param {AbortSignal} [options.signal]
+   * @param {Object|false} [options.retry] - Overrides retry policy options for this call; false disables retries
+   * @param {boolean} [options.idempotent] - Treat this call as safe to repeat, whatever the allowlist says
+   * @param {false} [options.circuitBreaker] - false bypasses the plugin's circuit breaker
+   * @returns {string} callbackId
    */
-  callPluginMethodAsync(pluginName, methodName, params, callback) {
-    if (!this.isInitialized) throw new Error('LogosAPI must be initialized first');
-    if (!this._clientLib) {
-      throw new Error('logos-module-client not loaded; cannot call plugin methods');
+  callPluginMethodAsync(pluginName, methodName, params, callback, options = {}) {
+    this._assertInitialized('callPluginMethodAsync');
+    if (!this._hasModuleClient()) {
+      throw new ModuleClientUnavailableError('logos-module-client not loaded; cannot call plugin methods', {
+        operation: 'callPluginMethodAsync'
+      });
     }
 
-    const callbackId = this._generateCallbackId();
-    const registered = this._createRegisteredCallback(callback, callbackId);
-    this.callbacks.set(callbackId, { callback, registered });
+    const { signal } = options;
+    if (signal && signal.aborted) {
+      throw new AbortError(`${pluginName}.${methodName} aborted before it was sent`, {
+        pluginName, methodName, reason: signal.reason
+      });
+    }
 
-    this._client.callMethodAsync(pluginName, methodName, params, registered, null);
+    const callbackId = this._generateCallbackId();
+    const queue = options.queue === false ? null : this._getCallQueue(pluginName, methodName);
+    if (queue) {
+      this._queueCall(queue, callbackId, pluginName, methodName, params, callback, options);
+    } else {
+      this._dispatchCall(callbackId, pluginName, methodName, params, callback, options);
+    }
+    if (this.eventProcessingInterval) this.eventProcessingInterval.wake();
     return callbackId;
   }
 
   /**
-   * Register an event listener (via logos-module-client)
+   * Add a middleware around every method call (including proxy calls) and
+   * event delivery: `async (ctx, next) => {}`. See src/middleware.js for the
+   * context fields; `LogosAPI.middleware` has logging and tracing built in.
+   * Middleware runs in the order added.
+   *
+   * @param {Function} middleware
+   * @returns {Function} Removes the middleware
    */
-  registerEventListener(pluginName, eventName, callback) {
-    if (!this.isInitialized) throw new Error('LogosAPI must be initialized first');
-    if (!this._clientLib) throw new Error('logos-module-client not loaded; cannot register events');
-
-    const listenerId = this._generateCallbackId();
-    const registered = this._createRegisteredCallback(callback, listenerId);
-    this.eventListeners.set(listenerId, { pluginName, eventName, callback, registered });
-    this._client.registerEventListener(pluginName, eventName, registered, null);
-    return listenerId;
+  use(middleware) {
+    if (typeof middleware !== 'function') {
+      throw new TypeError('Middleware must be a function (ctx, next) => {}');
+    }
+    this._middleware.push(middleware);
+    return () => {
+      const index = this._middleware.indexOf(middleware);
+      if (index === -1) return false;
+      this._middleware.splice(index, 1);
+      return true;
+    };
   }
 
-  // ===== Event processing =====
-
-  startEventProcessing(interval = 100) {
-    if (this.eventProcessingInterval) throw new Error('Event processing is already running');
+  /**
+   * Record method call results and event deliveries to a JSONL file, for
+   * replay with ReplayBackend. Messages are written exactly as the module
+   * client delivered them, with timestamps; see src/recorder.js for the
+   * format. Several recorders may run at once.
+   *
+   * @param {string|Function} target - File path, or (entry) => void to receive entries instead
+   * @param {Object} [options]
+   * @param {string[]} [options.plugins] - Only record these plugins
+   * @returns {Recorder} stop() it to finish the recording
+   */
+  record(target, options = {}) {
+    const recorder = new Recorder(target, options, () => this._recorders.delete(recorder));
+    recorder.start(this._loadedPluginSet);
+    this._recorders.add(recorder);
+    return recorder;
+  }
 
-    this.eventProcessingInterval = setInterval(() => {
-      if (this._core.processEvents) this._core.processEvents();
-    }, interval);
+  /**
+   * Cancel a pending method call. Its callback receives an AbortError.
+   * @param {string} callbackId
+   * @returns {boolean} false if the call was not pending
+   */
+  cancelCall(callbackId, reason) {
+    const entry = this.callbacks.get(callbackId);
+    if (!entry) return false;
+    this._settleCall(callbackId, false, new AbortError(
+      `${entry.pluginName}.${entry.methodName} cancelled`,
+      { pluginName: entry.pluginName, methodName: entry.methodName, reason }
+    ), this._callbackMeta(callbackId, null));
     return true;
   }
 
-  stopEventProcessing() {
-    if (this.eventProcessingInterval) {
-      clearInterval(this.eventProcessingInterval);
-      this.eventProcessingInterval = null;
-      return true;
-    }
-    return false;
+  /**
+   * List method calls that have not settled yet.
+   * @returns {Array<{callbackId: string, pluginName: string, methodName: string, startedAt: string, age: number,
+   *   timeout: number|null, queued: string|null}>} `queued` is the queue key while the call waits in one
+   */
+  getPendingCalls() {
+    const now = Date.now();
+    return Array.from(this.callbacks, ([callbackId, entry]) => ({
+      callbackId,
+      pluginName: entry.pluginName,
+      methodName: entry.methodName,
+      startedAt: new Date(entry.startedAt).toISOString(),
+      age: now - entry.startedAt,
+      timeout: entry.timeout,
+      queued: entry.queued || null
+    }));
   }
 
-  // ===== Private helpers =====
-
-  _resolvePluginsDir() {
-    if (this.options.pluginsDir) return this.options.pluginsDir;
-
-    for (const candidate of ['modules', 'plugins']) {
-      const dir = path.resolve(process.cwd(), candidate);
-      if (fs.existsSync(dir)) return dir;
-    }
-
-    const sdkModules = path.resolve(__dirname, 'lib', 'modules');
-    if (fs.existsSync(sdkModules)) return sdkModules;
-
-    return path.resolve(process.cwd(), 'modules');
+  /**
+   * State of a plugin's circuit breaker, or null when the `circuitBreaker`
+   * option is off. Plugins that have not been called yet read as closed.
+   * @param {string} pluginName
+   * @returns {{ pluginName: string, state: 'closed'|'open'|'half-open', failures: number,
+   *   failureThreshold: number, openedAt: string|null, retryAt: string|null,
+   *   lastError: Object|null, since: string }|null}
+   */
+  getCircuitState(pluginName) {
+    const breaker = this._getCircuitBreaker(pluginName);
+    return breaker ? breaker.snapshot() : null;
   }
 
-  _platformVariants() {
-    const arch = process.arch === 'arm64' ? 'aarch64' : 'x86_64';
-    switch (process.platform) {
-      case 'darwin':
-        return [`darwin-${arch === 'aarch64' ? 'arm64' : arch}`, `darwin-${arch}`];
-      case 'win32':
-        return [`windows-${arch}`];
-      default:
-        return [`linux-${arch}`];
-    }
+  /**
+   * States of all circuit breakers created so far.
+   * @returns {Object[]} See getCircuitState()
+   */
+  getCircuitStates() {
+    return Array.from(this._circuitBreakers.values(), breaker => breaker.snapshot());
   }
 
   /**
-   * Read a null-terminated char** array from a C pointer into a JS string array.
-   * @private
+   * Close a plugin's circuit and forget its failures, e.g. after restarting
+   * its host by hand.
+   * @param {string} pluginName
+   * @returns {boolean} false if the plugin has no circuit breaker
    */
-  _readCStringArray(ptr) {
-    const result = [];
-    if (!ptr) return result;
-    const ptrSize = koffi.sizeof('void *');
-    for (let i = 0; ; i++) {
-      const str = koffi.decode(ptr, i * ptrSize, 'char *');
-      if (!str) break;
-      result.push(str);
-    }
-    return result;
+  resetCircuit(pluginName) {
+    const breaker = this._circuitBreakers.get(pluginName);
+    if (!breaker) return false;
+    breaker.reset();
+    return true;
   }
 
-  _generateCallbackId() {
+  /**
+   * Set the request queue limits for a plugin, one of its methods, or "*"
+   * (every plugin without an entry of its own); null removes them. A call
+   * goes through the most specific queue configured for it. Existing
+   * queues take on the new limits at once; a queue whose entry is removed
+   * lets its waiting calls through under the old limits.
+   *
+   * A string target is "plugin", "plugin.method" (split at the last dot,
+   * since method names have none) or "*". A plugin whose name contains a
+   * dot is targeted as a whole with `{ plugin }`.
+   *
+   * @param {string|{plugin: string, method?: string}} target
+   * @param {Object|null} options - See CallQueue: { concurrency, maxQueue, rate: { limit, interval } }
+   */
+  configureQueue(target, options) {
+    const { pluginName, methodName } = this._queueTarget(target);
+    let entry = this._queueOptions.get(pluginName);
+    if (options === null || options === false) {
+      if (entry && methodName) entry.methods.delete(methodName);
+      else if (entry) entry.options = null;
+      if (entry && !entry.options && !entry.methods.size) this._queueOptions.delete(pluginName);
+    } else {
+      new CallQueue(pluginName, methodName, options); // validates
+      if (!entry) {
+        entry = { options: null, methods: new Map() };
+        this._queueOptions.set(pluginName, entry);
+      }
+      if (methodName) entry.methods.set(methodName, { ...options });
+      else entry.options = { ...options };
+    }
+    for (const [name, queues] of Array.from(this._callQueues)) {
+      const pluginOptions = this._queueOptionsFor(name);
+      if (queues.queue && pluginOptions) queues.queue.update(pluginOptions);
+      else queues.queue = null;
+      for (const [method, queue] of Array.from(queues.methods)) {
+        const methodOptions = this._queueOptionsFor(name, method);
+        if (methodOptions) queue.update(methodOptions);
+        else queues.methods.delete(method);
+      }
+      if (!queues.queue && !queues.methods.size) this._callQueues.delete(name);
+    }
+  }
+
+  /**
+   * Depth and counters of every request queue created so far.
+   * @returns {Object[]} See CallQueue#snapshot()
+   */
+  getQueueStats() {
+    return this._allCallQueues().map(queue => queue.snapshot());
+  }
+
+  /**
+   * Run many calls with at most `concurrency` of them in flight.
+   *
+   * Each call is `{ plugin, method, args, options }`, `[plugin, method, args]`
+   * or a function returning a promise. The result array is in the order of
+   * `calls`, one entry per call shaped like Promise.allSettled()'s:
+   * `{ status: 'fulfilled', value }` or `{ status: 'rejected', reason }`.
+   * Aborting `signal` cancels the calls in flight and fails the rest
+   * without sending them.
+   *
+   * @param {Array<Object|Array|Function>} calls
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=8]
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<Array<{status: string, value?: *, reason?: *}>>}
+   */
+  async batch(calls, options = {}) {
+    const { concurrency = 8, signal = null } = options;
+    if (!(concurrency === Infinity || (Number.isInteger(concurrency) && concurrency >= 1))) {
+      throw new RangeError('concurrency must be an integer >= 1');
+    }
+    const list = Array.from(calls);
+    const results = new Array(list.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < list.length) {
+        const index = next++;
+        try {
+          results[index] = { status: 'fulfilled', value: await this._runBatchCall(list[index], signal) };
+        } catch (reason) {
+          results[index] = { status: 'rejected', reason };
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, list.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Register an event listener (via logos-module-client)
+   *
+   * Listeners for the same plugin/event share one native registration.
+   * @returns {string} listenerId, accepted by removeEventListener()
+   */
+  registerEventListener(pluginName, eventName, callback) {
+    this._assertInitialized('registerEventListener');
+    if (!this._hasModuleClient()) {
+      throw new ModuleClientUnavailableError('logos-module-client not loaded; cannot register events', {
+        operation: 'registerEventListener'
+      });
+    }
+
+    const channel = this._getEventChannel(pluginName, eventName);
+    const listenerId = this._generateCallbackId();
+    this.eventListeners.set(listenerId, { pluginName, eventName, callback });
+    channel.listenerIds.add(listenerId);
+    if (this.eventProcessingInterval) this.eventProcessingInterval.wake();
+    return listenerId;
+  }
+
+  /**
+   * Remove an event listener registered with registerEventListener().
+   * @param {string} listenerId
+   * @returns {boolean} false if no such listener
+   */
+  removeEventListener(listenerId) {
+    const listener = this.eventListeners.get(listenerId);
+    if (!listener) return false;
+    this.eventListeners.delete(listenerId);
+    const channel = this._eventChannels.get(this._eventChannelKey(listener.pluginName, listener.eventName));
+    if (channel) channel.listenerIds.delete(listenerId);
+    return true;
+  }
+
+  /**
+   * Subscribe to a plugin event as an async iterator.
+   *
+   *   for await (const msg of logos.events('chat', 'chatMessage')) { ... }
+   *
+   * @param {string} pluginName
+   * @param {string} eventName
+   * @param {Object} [options]
+   * @param {number} [options.bufferSize=100] - Max events buffered while not being consumed
+   * @param {string} [options.overflow='drop-oldest'] - 'drop-oldest' | 'drop-newest' | 'error'
+   * @returns {EventStream}
+   */
+  events(pluginName, eventName, options = {}) {
+    let listenerId = null;
+    const stream = new EventStream({
+      ...options,
+      pluginName,
+      eventName,
+      onClose: () => {
+        this._eventStreams.delete(stream);
+        if (listenerId) this.removeEventListener(listenerId);
+      }
+    });
+    listenerId = this.registerEventListener(pluginName, eventName, (success, value) => {
+      if (success) stream._push(value);
+      else stream._fail(value);
+    });
+    this._eventStreams.add(stream);
+    return stream;
+  }
+
+  // ===== Method signatures =====
+
+  /**
+   * Declare method signatures for a plugin. The reflective proxy uses them to
+   * coerce and validate arguments instead of inferring types from JS values.
+   *
+   * @param {string} pluginName
+   * @param {Object<string, Array|Object>} methods - e.g. { add: ['int', 'int'], libVersion: { params: [], returns: 'string' } }
+   */
+  defineSignatures(pluginName, methods) {
+    if (!methods || typeof methods !== 'object') {
+      throw new TypeError(`Signatures for ${pluginName} must be an object keyed by method name`);
+    }
+    if (!this._signatures.has(pluginName)) this._signatures.set(pluginName, new Map());
+    const table = this._signatures.get(pluginName);
+    for (const [methodName, signature] of Object.entries(methods)) {
+      table.set(methodName, normalizeSignature(signature));
+    }
+  }
+
+  /**
+   * Get the declared signature for a plugin method, or null if none.
+   */
+  getSignature(pluginName, methodName) {
+    const table = this._signatures.get(pluginName);
+    return (table && table.get(methodName)) || null;
+  }
+
+  // ===== Readiness =====
+
+  /**
+   * Wait until a plugin is loaded and its module connection is callable.
+   *
+   * Modules run in a separate logos_host process, so a freshly loaded plugin
+   * is not callable until the Qt Remote Objects connection is up. With a
+   * probe, this calls the module with it, backing off between attempts, and
+   * resolves on the first successful answer. There is no method every module
+   * answers remotely, so without a probe (neither `probe` nor the `readyProbe`
+   * option) it only waits until the core reports the plugin loaded.
+   *
+   * @param {string} pluginName
+   * @param {Object} [options]
+   * @param {number} [options.timeout=30000] - Overall deadline in ms
+   * @param {string|Object|Function|null} [options.probe] - Method name,
+   *   `{ method, args }`, or `async (pluginProxy) => {}` that throws while not
+   *   ready; default: the `readyProbe` option. null skips probing
+   * @param {number} [options.initialDelay=50] - First backoff delay in ms
+   * @param {number} [options.maxDelay=1000] - Backoff cap in ms
+   * @param {AbortSignal} [options.signal]
+   * @returns {Promise<{ pluginName: string, attempts: number, elapsed: number }>}
+   */
+  async waitForPlugin(pluginName, options = {}) {
+    this._assertInitialized('waitForPlugin');
+    const {
+      timeout = 30000,
+      probe = this.options.readyProbe,
+      initialDelay = 50,
+      maxDelay = 1000,
+      signal
+    } = options;
+    const probeFn = probe ? this._makeReadinessProbe(pluginName, probe) : null;
+
+    if (probeFn && !this._hasModuleClient()) {
+      throw new ModuleClientUnavailableError('logos-module-client not loaded; cannot probe plugins', {
+        operation: 'waitForPlugin'
+      });
+    }
+    if (probeFn && !this.eventProcessingInterval) {
+      throw new InvalidStateError(
+        `Cannot wait for ${pluginName}: event processing is not running; call startEventProcessing() first`,
+        { operation: 'waitForPlugin' }
+      );
+    }
+
+    const startedAt = Date.now();
+    const deadline = startedAt + timeout;
+    let delay = initialDelay;
+    let attempts = 0;
+    let lastError = null;
+
+    while (true) {
+      if (signal && signal.aborted) {
+        throw new AbortError(`Waiting for ${pluginName} aborted`, { pluginName, reason: signal.reason });
+      }
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) break;
+
+      if (this._loadedPluginSet.has(pluginName) && !probeFn) {
+        attempts++;
+        if (this.getLoadedPlugins().includes(pluginName)) {
+          return { pluginName, attempts, elapsed: Date.now() - startedAt };
+        }
+        lastError = new PluginLoadError(`${pluginName} is not loaded in the core`, { pluginName, stage: 'load' });
+      } else if (this._loadedPluginSet.has(pluginName)) {
+        attempts++;
+        try {
+          await probeFn(remaining, signal);
+          return { pluginName, attempts, elapsed: Date.now() - startedAt };
+        } catch (error) {
+          if (error instanceof AbortError && signal && signal.aborted) throw error;
+          lastError = error;
+        }
+      } else {
+        lastError = new PluginLoadError(`${pluginName} is not loaded`, { pluginName, stage: 'load' });
+      }
+
+      const wait = Math.min(delay, deadline - Date.now());
+      if (wait <= 0) break;
+      await new Promise(resolve => setTimeout(resolve, wait));
+      delay = Math.min(delay * 2, maxDelay);
+    }
+
+    const hostPath = process.env.LOGOS_HOST_PATH;
+    const hostHint = this._backend.isVirtual ? '' : (hostPath
+      ? ` Check that logos_host (${hostPath}) starts and stays up.`
+      : ' logos_host was not found; set LOGOS_HOST_PATH or the logosHostPath option.');
+    throw new TimeoutError(
+      `${pluginName} did not become ready within ${timeout}ms after ${attempts} probe(s)` +
+      (lastError ? ` (last error: ${lastError.message})` : '') + '.' + hostHint,
+      { pluginName, timeout, cause: lastError || undefined }
+    );
+  }
+
+  /**
+   * Build the probe used by waitForPlugin().
+   * @private
+   */
+  _makeReadinessProbe(pluginName, probe) {
+    if (typeof probe === 'function') {
+      const proxy = this._getPluginProxy(pluginName);
+      return (_remaining, _signal) => probe(proxy);
+    }
+    const { method, args = [] } = typeof probe === 'string' ? { method: probe } : probe;
+    return (remaining, signal) => new Promise((resolve, reject) => {
+      const params = JSON.stringify(encodeParams(args, this.getSignature(pluginName, method), `${pluginName}.${method}`));
+      this.callPluginMethodAsync(pluginName, method, params, (success, value) => {
+        if (success) resolve(value);
+        else reject(value);
+      }, { timeout: Math.min(remaining, 5000), signal, retry: false, circuitBreaker: false, queue: false });
+    });
+  }
+
+  // ===== Event processing =====
+
+  /**
+   * Start pumping Qt events (and with them, async results and events).
+   *
+   * The pump is adaptive: fast while calls are pending or results keep
+   * arriving, backing off to `maxInterval` when quiet, and unref()'d when
+   * no calls or listeners are outstanding. A number is taken as `maxInterval`.
+   * See src/event-pump.js for the options; `{ adaptive: false, interval }`
+   * restores a fixed timer.
+   *
+   * @param {number|Object} [options]
+   * @returns {true}
+   */
+  startEventProcessing(options = {}) {
+    if (this.eventProcessingInterval) {
+      throw new InvalidStateError('Event processing is already running', { operation: 'startEventProcessing' });
+    }
+    if (typeof options === 'number') {
+      options = { maxInterval: options, minInterval: Math.min(5, options), interval: options };
+    }
+
+    this._eventPump = new EventPump(() => {
+      if (this._core.processEvents) this._core.processEvents();
+    }, {
+      pendingCalls: () => this.callbacks.size,
+      listeners: () => this.eventListeners.size,
+      deliveries: () => this._deliveries
+    }, options);
+    this._eventPump.start();
+    this.eventProcessingInterval = this._eventPump;
+    return true;
+  }
+
+  stopEventProcessing() {
+    if (this.eventProcessingInterval) {
+      this.eventProcessingInterval.stop();
+      this.eventProcessingInterval = null;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Timing and scheduling stats of the event pump, for tuning its options.
+   * Counters cover the current (or last) startEventProcessing() run.
+   * @returns {{ running: boolean, adaptive: boolean, interval: number|null, referenced: boolean,
+   *   pumps: number, activePumps: number, deliveries: number, totalMs: number, avgMs: number|null,
+   *   maxMs: number, lastMs: number|null, startedAt: string|null, stoppedAt: string|null }}
+   */
+  getEventPumpStats() {
+    return this._eventPump ? this._eventPump.stats() : EventPump.idleStats();
+  }
+
+  // ===== Private helpers =====
+
+  _createRetryPolicy(retry) {
+    if (!retry) return null;
+    return retry instanceof RetryPolicy ? retry : new RetryPolicy(retry === true ? {} : retry);
+  }
+
+  _createDefaultBackend() {
+    const { worker } = this.options;
+    if (!worker) return new NativeBackend(this.options);
+    return new WorkerBackend({
+      libPath: this.options.libPath,
+      moduleClientLibPath: this.options.moduleClientLibPath,
+      ...(typeof worker === 'object' ? worker : {})
+    });
+  }
+
+  _resolvePluginsDir() {
+    if (this.options.pluginsDir) return this.options.pluginsDir;
+
+    for (const candidate of ['modules', 'plugins']) {
+      const dir = path.resolve(process.cwd(), candidate);
+      if (fs.existsSync(dir)) return dir;
+    }
+
+    const sdkModules = path.resolve(__dirname, 'lib', 'modules');
+    if (fs.existsSync(sdkModules)) return sdkModules;
+
+    return path.resolve(process.cwd(), 'modules');
+  }
+
+  /**
+   * Settle a pending call exactly once; later results for it are ignored.
+   * @private
+   */
+  _settleCall(callbackId, success, value, meta) {
+    const entry = this._takeCall(callbackId);
+    if (!entry) return;
+    try {
+      entry.callback(success, value, meta);
+    } catch (error) {
+      this._reportCallbackError(error, { callbackId, pluginName: entry.pluginName, methodName: entry.methodName });
+    }
+  }
+
+  /**
+   * Remove a pending call and stop its timeout and abort handling.
+   * @private
+   * @returns {Object|null} The entry, or null if it was not pending
+   */
+  _takeCall(callbackId) {
+    const entry = this.callbacks.get(callbackId);
+    if (!entry) return null;
+    this.callbacks.delete(callbackId);
+    if (entry.timer) clearTimeout(entry.timer);
+    if (entry.signal && entry.onAbort) entry.signal.removeEventListener('abort', entry.onAbort);
+    return entry;
+  }
+
+  /**
+   * Start a call under its retry policy and circuit breaker, if any.
+   * Throws if it cannot be sent, with nothing left pending.
+   * @private
+   */
+  _dispatchCall(callbackId, pluginName, methodName, params, callback, options) {
+    const retry = this._retryPolicyFor(pluginName, methodName, options);
+    const breaker = options.circuitBreaker === false ? null : this._getCircuitBreaker(pluginName);
+    // An open circuit fails the call here, before anything is pending
+    const permit = breaker ? breaker.acquire(methodName) : null;
+
+    if (retry || breaker) {
+      try {
+        this._startResilientCall(callbackId, pluginName, methodName, params, callback, options, { retry, breaker, permit });
+      } catch (error) {
+        // Sending failed outright: free the call and, if it was a trial, the half-open slot
+        this._takeCall(callbackId);
+        if (breaker) breaker.record(permit, false, error);
+        throw error;
+      }
+    } else {
+      try {
+        this._startCall(callbackId, pluginName, methodName, params, callback, options);
+      } catch (error) {
+        // Drop the entry and its timer so the call cannot also time out later
+        this._takeCall(callbackId);
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Register a pending call (with its timeout and abort handling) and send
+   * it, through the middleware chain if there is one.
+   * @private
+   */
+  _startCall(callbackId, pluginName, methodName, params, callback, options, attempt = 1) {
+    const { signal } = options;
+    const timeout = options.timeout !== undefined ? options.timeout : this.options.defaultTimeout;
+    const entry = {
+      callback,
+      pluginName,
+      methodName,
+      startedAt: Date.now(),
+      timeout: timeout || null,
+      timer: null,
+      signal: signal || null,
+      onAbort: null
+    };
+
+    if (timeout) {
+      entry.timer = setTimeout(() => {
+        this._settleCall(callbackId, false, new TimeoutError(
+          `${pluginName}.${methodName} timed out after ${timeout}ms`,
+          { pluginName, methodName, timeout }
+        ), this._callbackMeta(callbackId, null));
+      }, timeout);
+    }
+    if (signal) {
+      entry.onAbort = () => {
+        this._settleCall(callbackId, false, new AbortError(
+          `${pluginName}.${methodName} aborted`,
+          { pluginName, methodName, reason: signal.reason }
+        ), this._callbackMeta(callbackId, null));
+      };
+      signal.addEventListener('abort', entry.onAbort, { once: true });
+    }
+
+    this.callbacks.set(callbackId, entry);
+    if (this._middleware.length) {
+      this._runCallMiddleware(callbackId, entry, params, { timeout: entry.timeout, signal: entry.signal }, attempt);
+    } else {
+      this._sendCall(callbackId, pluginName, methodName, params);
+    }
+  }
+
+  /**
+   * Run a call under a retry policy and/or circuit breaker. All attempts
+   * share `callbackId`; between attempts the call stays pending (so
+   * cancelCall(), its signal and cleanup() still reach it) while a backoff
+   * timer runs.
+   * @private
+   */
+  _startResilientCall(callbackId, pluginName, methodName, params, callback, options, { retry, breaker, permit }) {
+    let attempt = 1;
+    const send = (currentPermit) => {
+      this._startCall(callbackId, pluginName, methodName, params, (success, value, meta) => {
+        if (breaker) breaker.record(currentPermit, success, value);
+        if (!success && retry && retry.shouldRetry(value, attempt)) {
+          const delay = retry.delay(attempt);
+          this._emitLifecycle('callRetry', { callbackId, pluginName, methodName, attempt, delay, error: value });
+          attempt++;
+          this._deferCall(callbackId, pluginName, methodName, callback, options, delay, () => {
+            try {
+              send(breaker ? breaker.acquire(methodName) : null);
+            } catch (error) {
+              // Circuit opened meanwhile, or the module client refused the call
+              this._takeCall(callbackId);
+              if (error && typeof error === 'object') error.attempts = attempt;
+              try {
+                callback(false, error, this._callbackMeta(callbackId, null));
+              } catch (callbackError) {
+                this._reportCallbackError(callbackError, { callbackId, pluginName, methodName });
+              }
+            }
+          });
+          return;
+        }
+        if (!success && attempt > 1 && value && typeof value === 'object') value.attempts = attempt;
+        callback(success, value, meta);
+      }, options, attempt);
+    };
+    send(permit);
+  }
+
+  /**
+   * Keep a call pending for `delay` ms between retry attempts, then run
+   * `next`. Cancelling, aborting or cleanup() in the meantime settles it
+   * with an AbortError instead.
+   * @private
+   */
+  _deferCall(callbackId, pluginName, methodName, callback, options, delay, next) {
+    const { signal } = options;
+    const entry = {
+      callback,
+      pluginName,
+      methodName,
+      startedAt: Date.now(),
+      timeout: null,
+      timer: null,
+      signal: signal || null,
+      onAbort: null
+    };
+    entry.timer = setTimeout(() => {
+      if (this._takeCall(callbackId) !== entry) return;
+      next();
+      if (this.eventProcessingInterval) this.eventProcessingInterval.wake();
+    }, delay);
+    if (signal) {
+      entry.onAbort = () => {
+        this._settleCall(callbackId, false, new AbortError(
+          `${pluginName}.${methodName} aborted`,
+          { pluginName, methodName, reason: signal.reason }
+        ), this._callbackMeta(callbackId, null));
+      };
+      if (signal.aborted) {
+        this.callbacks.set(callbackId, entry);
+        entry.onAbort();
+        return;
+      }
+      signal.addEventListener('abort', entry.onAbort, { once: true });
+    }
+    this.callbacks.set(callbackId, entry);
+  }
+
+  /**
+   * The retry policy for a call, or null if it must not be retried.
+   * @private
+   */
+  _retryPolicyFor(pluginName, methodName, options) {
+    if (options.retry === false) return null;
+    let policy = this._retryPolicy;
+    if (options.retry && typeof options.retry === 'object') {
+      policy = policy ? policy.with(options.retry) : new RetryPolicy(options.retry);
+    }
+    if (!policy || policy.maxAttempts < 2) return null;
+    const idempotent = options.idempotent !== undefined
+      ? !!options.idempotent
+      : policy.isIdempotent(pluginName, methodName);
+    return idempotent ? policy : null;
+  }
+
+  /**
+   * The request queue a call goes through, created on first use; null
+   * when no queue is configured for it.
+   * @private
+   */
+  _getCallQueue(pluginName, methodName) {
+    let queueMethod = methodName;
+    let options = this._queueOptionsFor(pluginName, methodName);
+    if (!options) {
+      queueMethod = null;
+      options = this._queueOptionsFor(pluginName);
+    }
+    if (!options) return null;
+
+    let queues = this._callQueues.get(pluginName);
+    if (!queues) {
+      queues = { queue: null, methods: new Map() };
+      this._callQueues.set(pluginName, queues);
+    }
+    if (!queueMethod) {
+      if (!queues.queue) queues.queue = new CallQueue(pluginName, null, options);
+      return queues.queue;
+    }
+    let queue = queues.methods.get(queueMethod);
+    if (!queue) {
+      queue = new CallQueue(pluginName, queueMethod, options);
+      queues.methods.set(queueMethod, queue);
+    }
+    return queue;
+  }
+
+  /**
+   * Configured limits for a method's own queue, or, without a method name,
+   * for the plugin's queue (falling back to "*"); null when there are none.
+   * @private
+   */
+  _queueOptionsFor(pluginName, methodName = null) {
+    const entry = this._queueOptions.get(pluginName);
+    if (methodName) return (entry && entry.methods.get(methodName)) || null;
+    if (entry && entry.options) return entry.options;
+    const fallback = this._queueOptions.get('*');
+    return fallback ? fallback.options : null;
+  }
+
+  /**
+   * Parse a configureQueue() target into plugin and method names.
+   * @private
+   */
+  _queueTarget(target) {
+    let pluginName = target;
+    let methodName = null;
+    if (target && typeof target === 'object') {
+      pluginName = target.plugin;
+      methodName = target.method === undefined ? null : target.method;
+    } else if (typeof target === 'string') {
+      const dot = target.lastIndexOf('.');
+      if (dot > 0 && dot < target.length - 1) {
+        pluginName = target.slice(0, dot);
+        methodName = target.slice(dot + 1);
+      }
+    }
+    if (typeof pluginName !== 'string' || !pluginName ||
+        (methodName !== null && (typeof methodName !== 'string' || !methodName || pluginName === '*'))) {
+      throw new TypeError('Queue target must be "plugin", "plugin.method", "*" or { plugin, method }');
+    }
+    return { pluginName, methodName };
+  }
+
+  /**
+   * Every request queue created so far.
+   * @private
+   */
+  _allCallQueues() {
+    const all = [];
+    for (const { queue, methods } of this._callQueues.values()) {
+      if (queue) all.push(queue);
+      all.push(...methods.values());
+    }
+    return all;
+  }
+
+  /**
+   * Send a call through its request queue. A call that has to wait stays
+   * pending meanwhile (so cancelCall(), its signal, its timeout and cleanup()
+   * still reach it); its timeout counts from when it was queued. The queue
+   * slot is held until the call settles, across retries.
+   * @private
+   */
+  _queueCall(queue, callbackId, pluginName, methodName, params, callback, options) {
+    const queuedAt = Date.now();
+    const timeout = options.timeout !== undefined ? options.timeout : this.options.defaultTimeout;
+    let placeholder = null;
+
+    const ticket = queue.schedule((release) => {
+      const settle = (success, value, meta) => {
+        release();
+        callback(success, value, meta);
+      };
+      if (!placeholder) {
+        // Started right away: errors go to the caller
+        try {
+          this._dispatchCall(callbackId, pluginName, methodName, params, settle, options);
+        } catch (error) {
+          release();
+          throw error;
+        }
+        return;
+      }
+      if (this._takeCall(callbackId) !== placeholder) {
+        release(); // settled while waiting
+        return;
+      }
+      const remaining = timeout ? { timeout: Math.max(1, timeout - (Date.now() - queuedAt)) } : {};
+      try {
+        this._dispatchCall(callbackId, pluginName, methodName, params, settle, { ...options, ...remaining });
+      } catch (error) {
+        this._takeCall(callbackId);
+        release();
+        try {
+          callback(false, error, this._callbackMeta(callbackId, null));
+        } catch (callbackError) {
+          this._reportCallbackError(callbackError, { callbackId, pluginName, methodName });
+        }
+        return;
+      }
+      if (this.eventProcessingInterval) this.eventProcessingInterval.wake();
+    }, methodName);
+    if (!ticket.queued) return;
+
+    const { signal } = options;
+    placeholder = {
+      callback: (success, value, meta) => {
+        ticket.cancel();
+        callback(success, value, meta);
+      },
+      pluginName,
+      methodName,
+      startedAt: queuedAt,
+      timeout: timeout || null,
+      timer: null,
+      signal: signal || null,
+      onAbort: null,
+      queued: queue.key
+    };
+    if (timeout) {
+      placeholder.timer = setTimeout(() => {
+        this._settleCall(callbackId, false, new TimeoutError(
+          `${pluginName}.${methodName} timed out after ${timeout}ms waiting in queue "${queue.key}"`,
+          { pluginName, methodName, timeout }
+        ), this._callbackMeta(callbackId, null));
+      }, timeout);
+    }
+    if (signal) {
+      placeholder.onAbort = () => {
+        this._settleCall(callbackId, false, new AbortError(
+          `${pluginName}.${methodName} aborted while queued`,
+          { pluginName, methodName, reason: signal.reason }
+        ), this._callbackMeta(callbackId, null));
+      };
+      signal.addEventListener('abort', placeholder.onAbort, { once: true });
+    }
+    this.callbacks.set(callbackId, placeholder);
+  }
+
+  /**
+   * Run one entry of batch().
+   * @private
+   */
+  _runBatchCall(call, signal) {
+    if (signal && signal.aborted) {
+      return Promise.reject(new AbortError('Batch aborted before the call was sent', { reason: signal.reason }));
+    }
+    if (typeof call === 'function') return Promise.resolve().then(() => call(signal));
+    const { plugin, method, args = [], options = {} } = Array.isArray(call)
+      ? { plugin: call[0], method: call[1], args: call[2], options: call[3] }
+      : (call || {});
+    return new Promise((resolve, reject) => {
+      if (typeof plugin !== 'string' || typeof method !== 'string') {
+        throw new TypeError('Batch calls must be { plugin, method, args }, [plugin, method, args] or functions');
+      }
+      const params = JSON.stringify(encodeParams(args, this.getSignature(plugin, method), `${plugin}.${method}`));
+      this.callPluginMethodAsync(plugin, method, params, (success, value) => {
+        if (success) resolve(value);
+        else reject(value);
+      }, signal && !options.signal ? { ...options, signal } : options);
+    });
+  }
+
+  /**
+   * The circuit breaker for a plugin, created on first use; null when
+   * circuit breaking is off.
+   * @private
+   */
+  _getCircuitBreaker(pluginName) {
+    if (!this._circuitOptions) return null;
+    let breaker = this._circuitBreakers.get(pluginName);
+    if (!breaker) {
+      breaker = new CircuitBreaker(pluginName, this._circuitOptions, (change) => {
+        this._emitLifecycle('circuitStateChange', change);
+      });
+      this._circuitBreakers.set(pluginName, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * Send a call to the module client; its answer settles `callbackId`.
+   * @private
+   */
+  _sendCall(callbackId, pluginName, methodName, params) {
+    const signature = this.getSignature(pluginName, methodName);
+    const sentAt = Date.now();
+    const registered = this._createRegisteredCallback(
+      (success, value, meta) => this._settleCall(callbackId, success, value, meta),
+      callbackId,
+      {
+        pluginName,
+        methodName,
+        returns: signature && signature.returns,
+        once: true,
+        record: (result, message) => this._record({
+          type: 'call', pluginName, methodName, params, result, message, durationMs: Date.now() - sentAt
+        })
+      }
+    );
+    this._client.callMethodAsync(pluginName, methodName, params, registered, null);
+  }
+
+  /**
+   * Run a pending call through the middleware chain. The chain's terminal
+   * step sends it; the caller's callback gets the chain's outcome, or the
+   * timeout/abort error if that settles the call before it was sent.
+   * @private
+   */
+  _runCallMiddleware(callbackId, entry, params, options, attempt) {
+    const { pluginName, methodName, callback } = entry;
+    let sent = false;
+    let finished = false;
+    let meta = null;
+    const finish = (success, value) => {
+      if (finished) return;
+      finished = true;
+      try {
+        callback(success, value, meta || this._callbackMeta(callbackId, null));
+      } catch (error) {
+        this._reportCallbackError(error, { callbackId, pluginName, methodName });
+      }
+    };
+
+    const outcome = new Promise((resolve, reject) => {
+      entry.callback = (success, value, callMeta) => {
+        meta = callMeta;
+        if (success) resolve(value);
+        else reject(value);
+        if (!sent) finish(success, value);
+      };
+    });
+    outcome.catch(() => { /* observed through the chain */ });
+
+    let wireParams = params;
+    try { wireParams = JSON.parse(params); } catch (_e) { /* passed through as given */ }
+    const ctx = {
+      kind: 'call',
+      callbackId,
+      pluginName,
+      methodName,
+      params: wireParams,
+      options,
+      attempt,
+      startedAt: entry.startedAt,
+      duration: null,
+      result: undefined,
+      error: undefined,
+      meta: null,
+      state: {}
+    };
+
+    compose(this._middleware.slice(), ctx, async () => {
+      if (this.callbacks.has(callbackId)) {
+        sent = true;
+        this._sendCall(callbackId, pluginName, methodName,
+          typeof ctx.params === 'string' ? ctx.params : JSON.stringify(ctx.params));
+      }
+      const sentAt = Date.now();
+      try {
+        ctx.result = await outcome;
+        return ctx.result;
+      } catch (error) {
+        ctx.error = error;
+        throw error;
+      } finally {
+        ctx.duration = Date.now() - sentAt;
+        ctx.meta = meta;
+      }
+    }).then(() => {
+      ctx.error = undefined;
+      finish(true, ctx.result);
+    }, (error) => {
+      ctx.error = error;
+      finish(false, error);
+    }).finally(() => {
+      // Short-circuited or failed before next(): nothing is in flight. A
+      // retry may already have re-registered callbackId; leave that alone.
+      if (!sent && this.callbacks.get(callbackId) === entry) this._takeCall(callbackId);
+    });
+  }
+
+  _dependencyError(plan) {
+    const problems = [
+      ...plan.missing.map(m => `  - missing "${m.name}"` + (m.requiredBy ? ` (required by ${m.requiredBy})` : '')),
+      ...plan.cycles.map(c => `  - cycle ${c.join(' -> ')}`)
+    ];
+    return new DependencyError(
+      `Cannot load ${plan.requested.join(', ')}:\n${problems.join('\n')}`,
+      { missing: plan.missing, cycles: plan.cycles, plan }
+    );
+  }
+
+  /**
+   * Mark a plugin as known after the core accepted its binary.
+   * @private
+   */
+  _processPluginPath(pluginName, pluginPath) {
+    const result = !!this._core.processPlugin(pluginPath);
+    if (result) {
+      this._knownPluginSet.add(pluginName);
+      this._emitLifecycle('pluginProcessed', { pluginName, path: pluginPath });
+    } else {
+      this._emitLifecycle('pluginLoadFailed', { pluginName, stage: 'process', path: pluginPath, error: null });
+    }
+    return result;
+  }
+
+  /**
+   * Emit a lifecycle event. Listener exceptions are logged, never thrown
+   * back into the SDK operation that triggered the event.
+   * @private
+   */
+  _emitLifecycle(eventName, payload) {
+    if (this.listenerCount(eventName) === 0) return;
+    try {
+      this.emit(eventName, { ...payload, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Error in '${eventName}' listener:`, error);
+    }
+  }
+
+  /**
+   * Hand a raw call result or event delivery to the active recorders.
+   * A recorder that fails (e.g. its disk filled up) is stopped, not thrown
+   * into the delivery.
+   * @private
+   */
+  _record(entry) {
+    if (entry.type === 'call') {
+      try { entry.params = JSON.parse(entry.params || '[]'); } catch (_e) { /* keep the raw string */ }
+    }
+    for (const recorder of Array.from(this._recorders)) {
+      try {
+        recorder.capture(entry);
+      } catch (error) {
+        console.error('Recording failed, stopping recorder:', error);
+        try { recorder.stop(); } catch (_e) { this._recorders.delete(recorder); }
+      }
+    }
+  }
+
+  /**
+   * Report an exception thrown by user callback code: emitted as
+   * 'callbackError' when anyone listens, logged otherwise.
+   * @private
+   */
+  _reportCallbackError(error, context) {
+    if (this.listenerCount('callbackError') > 0) {
+      this._emitLifecycle('callbackError', { ...context, error });
+    } else {
+      const id = context.listenerId || context.callbackId;
+      console.error(`Error in callback ${id}:`, error);
+    }
+  }
+
+  _releaseCallback(handle) {
+    if (!this._registeredCallbacks.delete(handle)) return;
+    try { this._backend.releaseCallback(handle); } catch (_e) { /* ignore */ }
+  }
+
+  _eventChannelKey(pluginName, eventName) {
+    return `${pluginName}\u0000${eventName}`;
+  }
+
+  /**
+   * Get (or create) the shared native registration for a plugin/event pair.
+   * The module client has no way to unregister a listener, so a channel
+   * stays registered once created; with no JS listeners it is simply inert,
+   * and re-subscribing reuses it instead of registering another callback.
+   * @private
+   */
+  _getEventChannel(pluginName, eventName) {
+    const key = this._eventChannelKey(pluginName, eventName);
+    let channel = this._eventChannels.get(key);
+    if (channel) return channel;
+
+    channel = {
+      pluginName, eventName, listenerIds: new Set(), registered: null, generation: 0, deliver: null, queue: Promise.resolve()
+    };
+    channel.deliver = (success, value, meta) => {
+      for (const listenerId of Array.from(channel.listenerIds)) {
+        const listener = this.eventListeners.get(listenerId);
+        if (!listener) continue;
+        try {
+          listener.callback(success, value, { ...meta, listenerId });
+        } catch (error) {
+          this._reportCallbackError(error, { listenerId, pluginName, eventName });
+        }
+      }
+    };
+    this._eventChannels.set(key, channel);
+    this._attachEventChannel(channel);
+    return channel;
+  }
+
+  /**
+   * Register a channel with the module client. Called again after its
+   * plugin is reloaded: the new registration bumps the channel's
+   * generation, and deliveries through superseded registrations (which
+   * cannot be released, see above) are dropped.
+   * @private
+   */
+  _attachEventChannel(channel) {
+    const { pluginName, eventName } = channel;
+    const generation = ++channel.generation;
+    const dispatch = (success, value, meta) => {
+      if (channel.generation !== generation) return;
+      if (!this._middleware.length) return channel.deliver(success, value, meta);
+      // Queued per channel so middleware that awaits cannot reorder events
+      channel.queue = channel.queue.then(() => this._runEventMiddleware(channel, success, value, meta, channel.deliver));
+    };
+    channel.registered = this._createRegisteredCallback(dispatch, this._eventChannelKey(pluginName, eventName), {
+      pluginName,
+      methodName: eventName,
+      // Deliveries nobody listens to are left out, as replay would wait for a listener
+      record: (result, message) => {
+        if (channel.generation !== generation || channel.listenerIds.size === 0) return;
+        this._record({ type: 'event', pluginName, eventName, result, message });
+      }
+    });
+    this._client.registerEventListener(pluginName, eventName, channel.registered, null);
+  }
+
+  /**
+   * Re-register the event channels of a reloaded plugin. Channels without
+   * listeners are dropped rather than re-registered.
+   * @private
+   * @returns {number} Listeners re-attached
+   */
+  _reattachEventChannels(pluginName) {
+    let listeners = 0;
+    for (const [key, channel] of Array.from(this._eventChannels)) {
+      if (channel.pluginName !== pluginName) continue;
+      if (channel.listenerIds.size === 0) {
+        this._eventChannels.delete(key);
+        continue;
+      }
+      this._attachEventChannel(channel);
+      listeners += channel.listenerIds.size;
+    }
+    return listeners;
+  }
+
+  /**
+   * Run an event delivery through the middleware chain; the terminal step
+   * hands it to the channel's listeners.
+   * @private
+   */
+  _runEventMiddleware(channel, success, value, meta, deliver) {
+    const { pluginName, eventName } = channel;
+    const ctx = {
+      kind: 'event',
+      pluginName,
+      eventName,
+      startedAt: Date.now(),
+      duration: null,
+      result: success ? value : undefined,
+      error: success ? undefined : value,
+      meta,
+      state: {}
+    };
+    return compose(this._middleware.slice(), ctx, async () => {
+      const startedAt = Date.now();
+      try {
+        if (ctx.error !== undefined) deliver(false, ctx.error, meta);
+        else deliver(true, ctx.result, meta);
+      } finally {
+        ctx.duration = Date.now() - startedAt;
+      }
+      return ctx.result;
+    }).catch((error) => {
+      this._reportCallbackError(error, { pluginName, eventName });
+    });
+  }
+
+  /**
+   * Throw NotInitializedError unless init() has completed.
+   * @private
+   * @param {string} operation - Name of the public method being called
+   */
+  _assertInitialized(operation) {
+    if (!this.isInitialized) throw new NotInitializedError(undefined, { operation });
+  }
+
+  _hasModuleClient() {
+    return !!this._client.callMethodAsync;
+  }
+
+  _generateCallbackId() {
     return `callback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   }
 
   /**
-   * Create a registered koffi callback (persists beyond the C function call).
+   * Create a registered backend callback (persists beyond the C function call).
+   *
+   * Successful messages are decoded via the result codec (using the declared
+   * return type when given); failures are delivered as a MethodCallError.
+   * With `once`, the handle is released after its first invocation.
    * @private
+   * @param {Function} userCallback - (success, value, meta) => void
+   * @param {string} callbackId
+   * @param {Object} [context] - { pluginName, methodName, returns, once, record }; record(result, message)
+   *   receives the raw delivery while a recorder is active
    */
-  _createRegisteredCallback(userCallback, callbackId) {
-    const handle = koffi.register(
+  _createRegisteredCallback(userCallback, callbackId, context = {}) {
+    const { returns = null, once = false, record = null, ...errorContext } = context;
+    const handle = this._backend.createCallback(
       (result, message, _userData) => {
+        this._deliveries++;
+        if (record && this._recorders.size) record(result, message);
+        // Release outside the native call that is invoking us
+        if (once) setImmediate(() => this._releaseCallback(handle));
         try {
           const success = result === 1;
-          let parsedMessage;
-          try {
-            parsedMessage = JSON.parse(message);
-          } catch (_e) {
-            const match = message && message.match(/^Method call successful\. Result: (.+)$/);
-            if (match) {
-              const val = match[1];
-              if (val === 'true') parsedMessage = true;
-              else if (val === 'false') parsedMessage = false;
-              else if (!isNaN(Number(val))) parsedMessage = Number(val);
-              else parsedMessage = val;
-            } else {
-              parsedMessage = message;
+          let value;
+          if (success) {
+            try {
+              value = decodeResult(message, returns);
+            } catch (decodeErr) {
+              userCallback(false, new MethodCallError(
+                `Failed to decode result: ${decodeErr.message}`,
+                { ...errorContext, rawMessage: message, cause: decodeErr }
+              ), this._callbackMeta(callbackId, message));
+              return;
             }
+          } else {
+            value = decodeError(message, errorContext);
           }
-          userCallback(success, parsedMessage, {
-            callbackId,
-            timestamp: new Date().toISOString(),
-            rawMessage: message
-          });
+          userCallback(success, value, this._callbackMeta(callbackId, message));
         } catch (error) {
-          console.error(`Error in callback ${callbackId}:`, error);
+          this._reportCallbackError(error, { callbackId, ...errorContext });
         }
       },
-      koffi.pointer(this._AsyncCallbackProto)
+      'async'
     );
-    this._registeredCallbacks.push(handle);
+    this._registeredCallbacks.add(handle);
     return handle;
   }
 
+  _callbackMeta(callbackId, rawMessage) {
+    return {
+      callbackId,
+      timestamp: new Date().toISOString(),
+      rawMessage
+    };
+  }
+
   // ===== Reflective API helpers =====
 
   _getPluginProxy(pluginName) {
@@ -653,14 +2186,27 @@ class LogosAPI {
     return proxy;
   }
 
+  /**
+   * Shared waitForPlugin() promise behind `logos.<plugin>.ready`.
+   * Dropped on rejection and on unload so a later access probes afresh.
+   * @private
+   */
+  _getReadyPromise(pluginName) {
+    if (!this._readyPromises.has(pluginName)) {
+      const promise = this.waitForPlugin(pluginName).catch((error) => {
+        if (this._readyPromises.get(pluginName) === promise) this._readyPromises.delete(pluginName);
+        throw error;
+      });
+      this._readyPromises.set(pluginName, promise);
+    }
+    return this._readyPromises.get(pluginName);
+  }
+
   _createReflectivePluginProxy(pluginName) {
     const decapitalize = (s) => s.length ? s.charAt(0).toLowerCase() + s.slice(1) : s;
-    const makeParamsJson = (args) => {
-      const toParam = (arg, index) => {
-        const inferred = this._inferTypeAndValue(arg);
-        return { name: `arg${index}`, value: inferred.value, type: inferred.type };
-      };
-      return JSON.stringify(Array.from(args).map(toParam));
+    const makeParamsJson = (methodName, args) => {
+      const signature = this.getSignature(pluginName, methodName);
+      return JSON.stringify(encodeParams(args, signature, `${pluginName}.${methodName}`));
     };
 
     const api = this;
@@ -670,30 +2216,36 @@ class LogosAPI {
         if (property === 'pluginName') return pluginName;
         if (property === 'toString') return () => `[LogosPluginProxy ${pluginName}]`;
         if (property === 'then') return undefined;
+        if (property === 'ready') return api._getReadyPromise(pluginName);
         if (typeof property !== 'string') return undefined;
 
-        // Event subscription: on<EventName>(callback)
+        // Event subscription: on<EventName>(callback) returns a disposer
         if (property.startsWith('on') && property.length > 2) {
           const eventName = decapitalize(property.slice(2));
           return (callback) => {
             if (typeof callback !== 'function') {
-              throw new Error(`Callback must be a function for ${pluginName}.${property}`);
+              throw new TypeError(`Callback must be a function for ${pluginName}.${property}`);
             }
-            return api.registerEventListener(pluginName, eventName, (success, message) => {
-              if (success) callback(message);
-              else callback({ error: true, message });
+            const listenerId = api.registerEventListener(pluginName, eventName, (success, value) => {
+              if (success) callback(value);
+              else callback({ error: true, message: value.message, cause: value });
             });
+            const dispose = () => api.removeEventListener(listenerId);
+            dispose.listenerId = listenerId;
+            return dispose;
           };
         }
 
         // Method invocation: returns a Promise
-        return (...args) => new Promise((resolve, reject) => {
+        // A trailing callOptions({ timeout, signal }) is consumed, not sent
+        return (...rawArgs) => new Promise((resolve, reject) => {
           try {
-            const params = makeParamsJson(args);
-            api.callPluginMethodAsync(pluginName, property, params, (success, message) => {
-              if (success) resolve(message);
-              else reject(message);
-            });
+            const { args, options } = splitCallOptions(rawArgs);
+            const params = makeParamsJson(property, args);
+            api.callPluginMethodAsync(pluginName, property, params, (success, value) => {
+              if (success) resolve(value);
+              else reject(value);
+            }, options);
           } catch (err) {
             reject(err);
           }
@@ -701,22 +2253,48 @@ class LogosAPI {
       }
     });
   }
-
-  _inferTypeAndValue(value) {
-    if (value === null || value === undefined) {
-      return { type: 'string', value: '' };
-    }
-    const t = typeof value;
-    if (t === 'boolean') return { type: 'bool', value: value ? 'true' : 'false' };
-    if (t === 'number') {
-      return Number.isInteger(value)
-        ? { type: 'int', value: String(value) }
-        : { type: 'double', value: String(value) };
-    }
-    if (t === 'string') return { type: 'string', value };
-    try { return { type: 'string', value: JSON.stringify(value) }; }
-    catch (_e) { return { type: 'string', value: String(value) }; }
-  }
 }
 
 module.exports = LogosAPI;
+module.exports.types = types;
+module.exports.TypedValue = TypedValue;
+module.exports.callOptions = callOptions;
+module.exports.CallOptions = CallOptions;
+module.exports.DependencyGraph = DependencyGraph;
+module.exports.LogosError = errors.LogosError;
+module.exports.NotInitializedError = errors.NotInitializedError;
+module.exports.InvalidStateError = errors.InvalidStateError;
+module.exports.InitializationError = errors.InitializationError;
+module.exports.LibraryNotFoundError = errors.LibraryNotFoundError;
+module.exports.PluginsDirNotFoundError = errors.PluginsDirNotFoundError;
+module.exports.ModuleClientUnavailableError = errors.ModuleClientUnavailableError;
+module.exports.PluginNotFoundError = errors.PluginNotFoundError;
+module.exports.PluginLoadError = errors.PluginLoadError;
+module.exports.ManifestValidationError = errors.ManifestValidationError;
+module.exports.DependencyError = errors.DependencyError;
+module.exports.MethodCallError = errors.MethodCallError;
+module.exports.TimeoutError = errors.TimeoutError;
+module.exports.AbortError = errors.AbortError;
+module.exports.CircuitOpenError = errors.CircuitOpenError;
+module.exports.QueueFullError = errors.QueueFullError;
+module.exports.EventOverflowError = errors.EventOverflowError;
+module.exports.ConfigError = errors.ConfigError;
+module.exports.RecordingError = errors.RecordingError;
+module.exports.InstallError = errors.InstallError;
+module.exports.IntegrityError = errors.IntegrityError;
+module.exports.EventStream = EventStream;
+module.exports.StatsMonitor = StatsMonitor;
+module.exports.middleware = { logging, tracing };
+module.exports.Tracer = Tracer;
+module.exports.RetryPolicy = RetryPolicy;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.CallQueue = CallQueue;
+module.exports.Recorder = Recorder;
+module.exports.readRecording = readRecording;
+module.exports.isTransientError = isTransientError;
+module.exports.Gateway = Gateway;
+module.exports.PluginWatcher = PluginWatcher;
+module.exports.NativeBackend = NativeBackend;
+module.exports.MockBackend = MockBackend;
+module.exports.WorkerBackend = WorkerBackend;
+module.exports.ReplayBackend = ReplayBackend;
@@ -14,8 +14,8 @@ pkgs.stdenv.mkDerivation rec {
     mkdir -p $out
 
     # Copy the JavaScript SDK files
-    cp -r index.js README.md package.json package-lock.json $out/
-    cp -r scripts $out/
+    cp -r index.js index.d.ts README.md package.json package-lock.json $out/
+    cp -r src scripts bin $out/
     if [ -d "example" ]; then
       cp -r example $out/
     fi
@@ -77,4 +77,16 @@ exec node "$(dirname "$0")/../index.js" "$@"
 EOF
     chmod +x $out/bin/logos-js-sdk
   '';
+
+  # Make sure the installed tree is loadable, not just copied
+  doInstallCheck = true;
+  installCheckPhase = ''
+    for file in $out/index.js $out/bin/logos.js $(find $out/src -name '*.js'); do
+      node --check "$file"
+    done
+    if [ -d "$out/node_modules" ]; then
+      (cd / && node -e "require('$out'); require('$out/src/cli')")
+      echo "Loaded $out with node"
+    fi
+  '';
 }
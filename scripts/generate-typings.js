@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { describeModule, generateDeclarations } = require('../src/typegen');
+
+const USAGE = `Usage: generate-typings <module-dir|metadata.json|interface.h> [options]
+
+Options:
+  --out <file>       Write the declarations to <file> (default: stdout)
+  --name <plugin>    Plugin name (default: metadata "name" or the header file name)
+  --event <name>     Declare an on<Event> subscription (repeatable)
+  --package <name>   Module to import from and augment (default: logos-api)`;
+
+function parseArgs(argv) {
+  const args = { input: null, out: null, name: null, events: [], packageName: 'logos-api' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--out': args.out = value(); break;
+      case '--name': args.name = value(); break;
+      case '--event': args.events.push(value()); break;
+      case '--package': args.packageName = value(); break;
+      case '-h':
+      case '--help': args.help = true; break;
+      default:
+        if (arg.startsWith('-') || args.input) throw new Error(`Unexpected argument: ${arg}`);
+        args.input = arg;
+    }
+  }
+  return args;
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+  if (args.help || !args.input) {
+    console.log(USAGE);
+    process.exit(args.help ? 0 : 1);
+  }
+
+  const module = describeModule(args.input, { name: args.name, events: args.events });
+  if (!module.methods.length && !module.events.length) {
+    console.warn(`No methods or events found for ${module.name} (sources: ${module.sources.join(', ') || 'none'})`);
+  }
+  const output = generateDeclarations(module, { packageName: args.packageName });
+
+  if (args.out) {
+    fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+    fs.writeFileSync(args.out, output);
+    console.log(`Wrote ${args.out} (${module.methods.length} methods, ${module.events.length} events)`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+main();
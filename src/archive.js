@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { InstallError } = require('./errors');
+
+/**
+ * Minimal readers for module archives: tar (optionally gzipped) and zip.
+ *
+ * Only what module packages need is supported: regular files, directories
+ * and symlinks; ustar, GNU long names and pax `path`/`linkpath` records in
+ * tar; stored and deflated entries in zip (no zip64, no encryption).
+ * Entries are returned with normalized relative paths. Paths that would
+ * land outside the extraction root are rejected, as are symlinks that point
+ * outside it. Problems are reported as InstallError; callers add the
+ * archive path.
+ */
+
+const TAR_BLOCK = 512;
+
+/**
+ * Normalize an entry path; throws for absolute or escaping paths.
+ * @private
+ */
+function safePath(name) {
+  const normalized = path.posix.normalize(String(name).replace(/\\/g, '/')).replace(/^(\.\/)+/, '').replace(/\/+$/, '');
+  if (!normalized || normalized === '.') return null;
+  if (path.posix.isAbsolute(normalized) || /^[A-Za-z]:/.test(normalized)
+    || normalized === '..' || normalized.startsWith('../')) {
+    throw new InstallError(`Archive entry "${name}" points outside the package`);
+  }
+  return normalized;
+}
+
+function checkLink(entryPath, target) {
+  if (path.posix.isAbsolute(target)) {
+    throw new InstallError(`Symlink "${entryPath}" has an absolute target "${target}"`);
+  }
+  const resolved = path.posix.normalize(path.posix.join(path.posix.dirname(entryPath), target));
+  if (resolved === '..' || resolved.startsWith('../')) {
+    throw new InstallError(`Symlink "${entryPath}" points outside the package ("${target}")`);
+  }
+}
+
+function readString(buffer, start, length) {
+  const end = buffer.indexOf(0, start);
+  return buffer.toString('utf8', start, end === -1 || end > start + length ? start + length : end);
+}
+
+function readOctal(buffer, start, length) {
+  const text = readString(buffer, start, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function parsePax(data) {
+  const records = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(data.toString('utf8', offset, space), 10);
+    if (!length) break;
+    const record = data.toString('utf8', space + 1, offset + length - 1);
+    const eq = record.indexOf('=');
+    if (eq !== -1) records[record.slice(0, eq)] = record.slice(eq + 1);
+    offset += length;
+  }
+  return records;
+}
+
+/**
+ * @private
+ */
+function readTar(buffer) {
+  const entries = [];
+  let offset = 0;
+  let longName = null;
+  let longLink = null;
+  let pax = {};
+
+  while (offset + TAR_BLOCK <= buffer.length) {
+    const header = buffer.subarray(offset, offset + TAR_BLOCK);
+    if (header.every(byte => byte === 0)) break;
+
+    const size = readOctal(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const dataStart = offset + TAR_BLOCK;
+    if (dataStart + size > buffer.length) throw new InstallError('Truncated tar archive');
+    const data = buffer.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+    if (type === 'L') { longName = readString(data, 0, data.length); continue; }
+    if (type === 'K') { longLink = readString(data, 0, data.length); continue; }
+    if (type === 'x') { pax = parsePax(data); continue; }
+    if (type === 'g') continue;
+
+    let name = readString(header, 0, 100);
+    if (header.toString('utf8', 257, 262) === 'ustar') {
+      const prefix = readString(header, 345, 155);
+      if (prefix) name = `${prefix}/${name}`;
+    }
+    name = pax.path || longName || name;
+    const linkname = pax.linkpath || longLink || readString(header, 157, 100);
+    const mode = readOctal(header, 100, 8);
+    longName = null;
+    longLink = null;
+    pax = {};
+
+    const entryPath = safePath(name);
+    if (!entryPath) continue;
+    if (type === '0' || type === '\0' || type === '7') {
+      entries.push({ path: entryPath, type: 'file', mode, data });
+    } else if (type === '5') {
+      entries.push({ path: entryPath, type: 'directory', mode });
+    } else if (type === '2') {
+      checkLink(entryPath, linkname);
+      entries.push({ path: entryPath, type: 'symlink', mode, linkname });
+    } else if (type === '1') {
+      // Hard link: copy of an earlier entry
+      const target = entries.find(entry => entry.path === safePath(linkname) && entry.type === 'file');
+      if (!target) throw new InstallError(`Hard link "${entryPath}" refers to missing "${linkname}"`);
+      entries.push({ path: entryPath, type: 'file', mode, data: target.data });
+    }
+    // Devices, FIFOs and other special files are skipped
+  }
+  return entries;
+}
+
+/**
+ * @private
+ */
+function readZip(buffer) {
+  const EOCD = 0x06054b50;
+  let eocd = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+    if (buffer.readUInt32LE(i) === EOCD) { eocd = i; break; }
+  }
+  if (eocd === -1) throw new InstallError('Not a zip archive: end of central directory not found');
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (count === 0xffff || offset === 0xffffffff) throw new InstallError('zip64 archives are not supported');
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new InstallError('Corrupt zip central directory');
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const madeBy = buffer.readUInt16LE(offset + 4) >> 8;
+    const external = buffer.readUInt32LE(offset + 38);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (flags & 0x1) throw new InstallError(`Encrypted zip entry "${name}" is not supported`);
+    const entryPath = safePath(name);
+    if (!entryPath) continue;
+    // Unix permissions live in the high 16 bits when made on Unix (3)
+    const unixMode = madeBy === 3 ? external >>> 16 : 0;
+    const fileType = unixMode & 0o170000;
+    if (name.endsWith('/') || fileType === 0o040000) {
+      entries.push({ path: entryPath, type: 'directory', mode: unixMode & 0o7777 });
+      continue;
+    }
+
+    if (buffer.readUInt32LE(localOffset) !== 0x04034b50) throw new InstallError(`Corrupt zip entry "${name}"`);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const raw = buffer.subarray(dataStart, dataStart + compressedSize);
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8) data = zlib.inflateRawSync(raw);
+    else throw new InstallError(`Zip entry "${name}" uses unsupported compression method ${method}`);
+    if (data.length !== size) throw new InstallError(`Zip entry "${name}" has the wrong size`);
+
+    if (fileType === 0o120000) {
+      const linkname = data.toString('utf8');
+      checkLink(entryPath, linkname);
+      entries.push({ path: entryPath, type: 'symlink', mode: 0o777, linkname });
+    } else {
+      entries.push({ path: entryPath, type: 'file', mode: unixMode & 0o7777, data });
+    }
+  }
+  return entries;
+}
+
+/**
+ * Read the entries of a .tar, .tar.gz/.tgz or .zip archive. The format is
+ * detected from the content, not the file name.
+ * @param {string} archivePath
+ * @returns {Array<{path: string, type: 'file'|'directory'|'symlink', mode: number, data?: Buffer, linkname?: string}>}
+ */
+function readArchive(archivePath) {
+  let buffer = fs.readFileSync(archivePath);
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return readZip(buffer);
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x06054b50) return []; // empty zip
+  if (buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b) buffer = zlib.gunzipSync(buffer);
+  if (buffer.length >= 262 && buffer.toString('utf8', 257, 262) === 'ustar') return readTar(buffer);
+  // Pre-POSIX tar has no magic; accept it if the first header's checksum is right
+  if (buffer.length >= TAR_BLOCK && tarChecksumValid(buffer)) return readTar(buffer);
+  throw new InstallError('Unrecognized archive format (expected .tar, .tar.gz or .zip)');
+}
+
+function tarChecksumValid(buffer) {
+  const expected = readOctal(buffer, 148, 8);
+  let sum = 0;
+  for (let i = 0; i < TAR_BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : buffer[i];
+  return sum === expected;
+}
+
+/**
+ * Write entries below `dir`, which must exist.
+ *
+ * Symlinks are only checked as text when the archive is read, so here no
+ * entry may pass through (or replace) a symlink written before it, and
+ * every parent directory must resolve to somewhere inside `dir`.
+ * @param {Object[]} entries - From readArchive()
+ * @param {string} dir
+ */
+function extractEntries(entries, dir) {
+  const root = fs.realpathSync(dir);
+  const links = new Set();
+  for (const entry of entries) {
+    const parts = entry.path.split('/');
+    for (let i = 1; i <= parts.length; i++) {
+      const prefix = parts.slice(0, i).join('/');
+      if (links.has(prefix)) {
+        throw new InstallError(`Archive entry "${entry.path}" goes through the symlink "${prefix}"`);
+      }
+    }
+
+    const target = path.join(root, ...parts);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const parent = fs.realpathSync(path.dirname(target));
+    if (parent !== root && !parent.startsWith(root + path.sep)) {
+      throw new InstallError(`Archive entry "${entry.path}" points outside the package`);
+    }
+
+    if (entry.type === 'directory') {
+      fs.mkdirSync(target, { recursive: true });
+    } else if (entry.type === 'symlink') {
+      fs.symlinkSync(entry.linkname, target);
+      links.add(entry.path);
+    } else {
+      fs.writeFileSync(target, entry.data, { mode: (entry.mode & 0o777) || 0o644 });
+    }
+  }
+}
+
+module.exports = {
+  readArchive,
+  extractEntries,
+};
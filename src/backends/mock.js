@@ -0,0 +1,226 @@
+const { decodeValue, encodeResult } = require('../codec');
+
+const MOCK_SCHEME = 'mock://';
+
+/**
+ * A fake plugin registered with a MockBackend.
+ */
+class MockPlugin {
+  constructor(backend, name, definition) {
+    this._backend = backend;
+    this.name = name;
+    this.version = definition.version || '0.0.0';
+    this.type = definition.type || null;
+    this.category = definition.category || null;
+    this.description = definition.description || null;
+    this.dependencies = definition.dependencies || [];
+    this.methods = { ...(definition.methods || {}) };
+    this.returns = { ...(definition.returns || {}) };
+    this.stats = definition.stats || null;
+  }
+
+  /**
+   * Emit an event to listeners registered for this plugin.
+   * Delivery happens on the next `processEvents()`, as with the real core.
+   * @param {string} eventName
+   * @param {*} data
+   */
+  emit(eventName, data) {
+    this._backend._emit(this.name, eventName, data);
+  }
+}
+
+/**
+ * MockBackend - an in-process stand-in for liblogos_core and
+ * liblogos_module_client, for running the SDK without native libraries.
+ *
+ * Plugins are plain JS objects registered with `registerPlugin()`. Method
+ * calls decode the wire params, invoke the JS function (sync or async) and
+ * encode its return value the same way the module client does. Results and
+ * events are queued and delivered from `processEvents()`, so application code
+ * still needs `startEventProcessing()` exactly as with the native backend.
+ *
+ * See NativeBackend for the backend surface LogosAPI relies on.
+ */
+class MockBackend {
+  constructor() {
+    this.isVirtual = true;
+    this.core = null;
+    this.client = null;
+    this.plugins = new Map();
+    this.tokens = new Map();
+    this.pluginsDirs = [];
+    this._known = new Set();
+    this._loaded = new Set();
+    this._listeners = [];
+    this._queue = [];
+    this._hostCallbacks = null;
+    this._started = false;
+  }
+
+  /**
+   * Register a fake plugin.
+   * @param {string} name
+   * @param {Object} [definition]
+   * @param {Object<string, Function>} [definition.methods] - Method implementations
+   * @param {Object<string, string>} [definition.returns] - Result wire type per method (inferred when omitted)
+   * @param {string} [definition.version]
+   * @param {string[]} [definition.dependencies]
+   * @param {string} [definition.type]
+   * @param {string} [definition.category]
+   * @param {string} [definition.description]
+   * @param {Object} [definition.stats] - Entry reported by getModuleStats() while loaded
+   * @returns {MockPlugin}
+   */
+  registerPlugin(name, definition = {}) {
+    const plugin = new MockPlugin(this, name, definition);
+    this.plugins.set(name, plugin);
+    return plugin;
+  }
+
+  load() {
+    this.core = {
+      init: () => {},
+      setPluginsDir: (dir) => { this.pluginsDirs = [dir]; },
+      addPluginsDir: (dir) => { this.pluginsDirs.push(dir); },
+      start: () => { this._started = true; },
+      exec: () => 0,
+      cleanup: () => this._reset(),
+
+      getLoadedPlugins: () => Array.from(this._loaded),
+      getKnownPlugins: () => Array.from(this._known),
+      loadPlugin: (name) => this._loadPlugin(name, false),
+      loadPluginWithDeps: (name) => this._loadPlugin(name, true),
+      unloadPlugin: (name) => {
+        if (!this._loaded.has(name)) return 0;
+        this._loaded.delete(name);
+        return 1;
+      },
+      processPlugin: (pluginPath) => {
+        const name = String(pluginPath).startsWith(MOCK_SCHEME) ? pluginPath.slice(MOCK_SCHEME.length) : null;
+        if (!name || !this.plugins.has(name)) return null;
+        this._known.add(name);
+        return name;
+      },
+
+      getToken: (key) => (this.tokens.has(key) ? this.tokens.get(key) : null),
+      getModuleStats: () => JSON.stringify(
+        Array.from(this._loaded)
+          .map(name => this.plugins.get(name))
+          .filter(plugin => plugin && plugin.stats)
+          .map(plugin => ({ name: plugin.name, ...plugin.stats }))
+      ),
+
+      processEvents: () => this._flush(),
+    };
+
+    this.client = {
+      initWithCallbacks: (isLoaded, isKnown, loadPlugin) => {
+        this._hostCallbacks = { isLoaded, isKnown, loadPlugin };
+      },
+      callMethodAsync: (pluginName, methodName, params, cb, _userData) => {
+        this._callMethod(pluginName, methodName, params, cb);
+      },
+      registerEventListener: (pluginName, eventName, cb, _userData) => {
+        this._listeners.push({ pluginName, eventName, cb });
+      },
+      shutdown: () => {
+        this._listeners = [];
+        this._hostCallbacks = null;
+      },
+    };
+  }
+
+  createCallback(fn, _kind) {
+    return fn;
+  }
+
+  releaseCallback(_handle) {}
+
+  resolvePlugin(pluginName) {
+    return this.plugins.has(pluginName) ? `${MOCK_SCHEME}${pluginName}` : null;
+  }
+
+  listPlugins() {
+    return Array.from(this.plugins.values(), plugin => ({
+      name: plugin.name,
+      version: plugin.version,
+      type: plugin.type,
+      category: plugin.category,
+      description: plugin.description,
+      dependencies: plugin.dependencies,
+      path: `${MOCK_SCHEME}${plugin.name}`
+    }));
+  }
+
+  // ===== Internals =====
+
+  _loadPlugin(name, withDeps, visiting = new Set()) {
+    const plugin = this.plugins.get(name);
+    if (!plugin || !this._known.has(name)) return 0;
+    if (this._loaded.has(name)) return 1;
+    if (visiting.has(name)) return 0;
+    visiting.add(name);
+
+    for (const dep of plugin.dependencies) {
+      if (this._loaded.has(dep)) continue;
+      if (!withDeps || !this._loadPlugin(dep, true, visiting)) return 0;
+    }
+    this._loaded.add(name);
+    return 1;
+  }
+
+  async _callMethod(pluginName, methodName, params, cb) {
+    const plugin = this.plugins.get(pluginName);
+    if (!plugin || !this._loaded.has(pluginName)) {
+      this._deliver(cb, 0, JSON.stringify({ message: `Plugin not loaded: ${pluginName}` }));
+      return;
+    }
+    const method = plugin.methods[methodName];
+    if (typeof method !== 'function') {
+      this._deliver(cb, 0, JSON.stringify({ message: `Unknown method: ${pluginName}.${methodName}` }));
+      return;
+    }
+
+    let message;
+    try {
+      const args = JSON.parse(params || '[]').map(param => decodeValue(param.type, param.value));
+      const value = await method.apply(plugin, args);
+      message = encodeResult(value, plugin.returns[methodName] || null);
+    } catch (error) {
+      this._deliver(cb, 0, JSON.stringify({ message: error && error.message ? error.message : String(error) }));
+      return;
+    }
+    this._deliver(cb, 1, message);
+  }
+
+  _emit(pluginName, eventName, data) {
+    const message = encodeResult(data);
+    for (const listener of this._listeners) {
+      if (listener.pluginName === pluginName && listener.eventName === eventName) {
+        this._deliver(listener.cb, 1, message);
+      }
+    }
+  }
+
+  _deliver(cb, result, message) {
+    this._queue.push(() => cb(result, message, null));
+  }
+
+  _flush() {
+    const pending = this._queue;
+    this._queue = [];
+    for (const deliver of pending) deliver();
+  }
+
+  _reset() {
+    this._known.clear();
+    this._loaded.clear();
+    this._listeners = [];
+    this._queue = [];
+    this._started = false;
+  }
+}
+
+module.exports = MockBackend;
+module.exports.MockPlugin = MockPlugin;
@@ -0,0 +1,212 @@
+const koffi = require('koffi');
+const path = require('path');
+const fs = require('fs');
+const { getLibraryExtension, getPlatformDir } = require('../platform');
+const { LibraryNotFoundError } = require('../errors');
+
+const SDK_ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * NativeBackend - binds liblogos_core and liblogos_module_client via koffi.
+ *
+ * Every backend exposes the same surface to LogosAPI:
+ * - `core`: lifecycle, plugin management and event processing functions
+ * - `client`: async calls and event listeners, or null when unavailable
+ * - `createCallback(fn, kind)` / `releaseCallback(handle)`: callback handles
+ *   passed to `client` functions ('async' or 'host' kind)
+ * - `resolvePlugin(name)`: a backend-specific plugin path, or null to use
+ *   the plugins directory on disk
+ * - `listPlugins()`: catalog entries for plugins the backend provides itself
+ * - `isVirtual`: true when the backend needs no files on disk
+ */
+class NativeBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.libPath] - Path to liblogos_core
+   * @param {string} [options.moduleClientLibPath] - Path to liblogos_module_client
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.isVirtual = false;
+    this.core = null;
+    this.client = null;
+    this._coreLib = null;       // koffi handle for liblogos_core
+    this._clientLib = null;     // koffi handle for liblogos_module_client
+    this._AsyncCallbackProto = null;
+    this._HostCallbackProto = null;
+  }
+
+  /**
+   * Load both libraries and bind their C functions.
+   */
+  load() {
+    this._loadCoreLibrary();
+    this._loadModuleClientLibrary();
+  }
+
+  createCallback(fn, kind) {
+    const proto = kind === 'host' ? this._HostCallbackProto : this._AsyncCallbackProto;
+    return koffi.register(fn, koffi.pointer(proto));
+  }
+
+  releaseCallback(handle) {
+    koffi.unregister(handle);
+  }
+
+  resolvePlugin(_pluginName) {
+    return null;
+  }
+
+  listPlugins() {
+    return [];
+  }
+
+  // ===== Library loading =====
+
+  /**
+   * Load the liblogos_core library via koffi
+   * @private
+   */
+  _loadCoreLibrary() {
+    const libPath = this._findLibrary('liblogos_core', this.options.libPath, 'LOGOS_LIBLOGOS_ROOT');
+
+    this._coreLib = koffi.load(libPath);
+    const lib = this._coreLib;
+
+    // Define callback types used by both core and module-client libraries
+    if (!this._AsyncCallbackProto) {
+      this._AsyncCallbackProto = koffi.proto('void AsyncCallback(int result, const char *message, void *user_data)');
+    }
+
+    const getLoadedPlugins = lib.func('void *logos_core_get_loaded_plugins()');
+    const getKnownPlugins = lib.func('void *logos_core_get_known_plugins()');
+
+    this.core = {
+      // Core lifecycle
+      init:               lib.func('void logos_core_init(int argc, void *argv)'),
+      setPluginsDir:      lib.func('void logos_core_set_plugins_dir(const char *dir)'),
+      addPluginsDir:      lib.func('void logos_core_add_plugins_dir(const char *dir)'),
+      start:              lib.func('void logos_core_start()'),
+      exec:               lib.func('int logos_core_exec()'),
+      cleanup:            lib.func('void logos_core_cleanup()'),
+
+      // Plugin management
+      getLoadedPlugins:   () => this._readCStringArray(getLoadedPlugins()),
+      getKnownPlugins:    () => this._readCStringArray(getKnownPlugins()),
+      loadPlugin:         lib.func('int logos_core_load_plugin(const char *name)'),
+      loadPluginWithDeps: lib.func('int logos_core_load_plugin_with_dependencies(const char *name)'),
+      unloadPlugin:       lib.func('int logos_core_unload_plugin(const char *name)'),
+      processPlugin:      lib.func('const char *logos_core_process_plugin(const char *path)'),
+
+      // Token management
+      getToken:           lib.func('const char *logos_core_get_token(const char *key)'),
+
+      // Module stats
+      getModuleStats:     lib.func('const char *logos_core_get_module_stats()'),
+
+      // Qt event processing
+      processEvents:      lib.func('void logos_core_process_events()'),
+    };
+  }
+
+  /**
+   * Load the liblogos_module_client library via koffi
+   * @private
+   */
+  _loadModuleClientLibrary() {
+    let libPath;
+    try {
+      libPath = this._findLibrary('liblogos_module_client', this.options.moduleClientLibPath, 'LOGOS_MODULE_CLIENT_ROOT');
+    } catch (_e) {
+      // Module client is optional — proxy API calls will fail if not loaded
+      console.warn('logos-module-client not found; proxy/async API will not be available.');
+      return;
+    }
+
+    this._clientLib = koffi.load(libPath);
+    const lib = this._clientLib;
+
+    // Ensure async callback type is defined (may already exist from core library)
+    if (!this._AsyncCallbackProto) {
+      this._AsyncCallbackProto = koffi.proto('void AsyncCallback(int result, const char *message, void *user_data)');
+    }
+
+    // Define the host callback types for init
+    this._HostCallbackProto = koffi.proto('int HostCallback(const char *name)');
+
+    this.client = {
+      // Initialization with individual function pointers (FFI-friendly)
+      initWithCallbacks: lib.func('void logos_module_client_init_with_callbacks(HostCallback *is_loaded, HostCallback *is_known, HostCallback *load_plugin)'),
+
+      // Async operations
+      callMethodAsync:      lib.func('void logos_module_client_call_method_async(const char *plugin, const char *method, const char *params, AsyncCallback *cb, void *user_data)'),
+      asyncOperation:       lib.func('void logos_module_client_async_operation(const char *data, AsyncCallback *cb, void *user_data)'),
+      loadPluginAsync:      lib.func('void logos_module_client_load_plugin_async(const char *name, AsyncCallback *cb, void *user_data)'),
+
+      // Event listener
+      registerEventListener: lib.func('void logos_module_client_register_event_listener(const char *plugin, const char *event, AsyncCallback *cb, void *user_data)'),
+
+      // Cleanup
+      shutdown:             lib.func('void logos_module_client_shutdown()'),
+    };
+  }
+
+  /**
+   * Find a native library by name, searching standard locations.
+   * @private
+   * @param {string} libBaseName - e.g. "liblogos_core"
+   * @param {string|null} explicitPath - User-provided path (highest priority)
+   * @param {string} envVar - Environment variable pointing to the install root
+   * @returns {string} Resolved path
+   */
+  _findLibrary(libBaseName, explicitPath, envVar) {
+    if (explicitPath) {
+      if (!fs.existsSync(explicitPath)) {
+        throw new LibraryNotFoundError(`Library not found at explicit path: ${explicitPath}`, {
+          library: libBaseName, searched: [explicitPath], envVar
+        });
+      }
+      return explicitPath;
+    }
+
+    const libName = `${libBaseName}${getLibraryExtension()}`;
+    const platformDir = getPlatformDir();
+    const envRoot = process.env[envVar];
+
+    const candidates = [
+      path.resolve(SDK_ROOT, 'lib', platformDir, libName),
+      path.resolve(SDK_ROOT, 'lib', libName),
+      envRoot && path.join(envRoot, 'lib', libName),
+      path.resolve(SDK_ROOT, 'result', 'lib', libName),
+    ].filter(Boolean);
+
+    const found = candidates.find(p => fs.existsSync(p));
+    if (!found) {
+      throw new LibraryNotFoundError(
+        `${libBaseName} not found. Searched:\n` +
+        candidates.map(p => `  - ${p}`).join('\n') + '\n' +
+        `Set ${envVar} or pass the path in constructor options.`,
+        { library: libBaseName, searched: candidates, envVar }
+      );
+    }
+    return found;
+  }
+
+  /**
+   * Read a null-terminated char** array from a C pointer into a JS string array.
+   * @private
+   */
+  _readCStringArray(ptr) {
+    const result = [];
+    if (!ptr) return result;
+    const ptrSize = koffi.sizeof('void *');
+    for (let i = 0; ; i++) {
+      const str = koffi.decode(ptr, i * ptrSize, 'char *');
+      if (!str) break;
+      result.push(str);
+    }
+    return result;
+  }
+}
+
+module.exports = NativeBackend;
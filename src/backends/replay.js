@@ -0,0 +1,223 @@
+const MockBackend = require('./mock');
+const { readRecording } = require('../recorder');
+
+/**
+ * ReplayBackend - plays a recording (see src/recorder.js) back through the
+ * LogosAPI surface, without native libraries.
+ *
+ * Every plugin that appears in the recording can be processed and loaded.
+ * A method call is answered with the recorded result of a matching call:
+ * the first unused one with the same plugin, method and params, else
+ * (unless `strict`) the first unused one with the same plugin and method.
+ * With `strict`, calls must arrive in recorded order with recorded params.
+ * Calls without a match fail and are listed by unmatchedCalls().
+ *
+ * Events are delivered in recorded order. Each one waits until the calls
+ * recorded before it have been made and a listener for it is registered,
+ * so the interleaving of calls and events is the recorded one. With
+ * `timing: 'realtime'` events also keep their recorded spacing (counted
+ * from start()) and call results their recorded latency, both divided by
+ * `speed`; with the default `timing: 'fast'` they go out as soon as they
+ * may. As with MockBackend, everything is delivered from processEvents().
+ */
+class ReplayBackend extends MockBackend {
+  /**
+   * @param {string|Object[]} recording - Recording file, JSONL text or entries
+   * @param {Object} [options]
+   * @param {string} [options.timing='fast'] - 'fast' or 'realtime'
+   * @param {number} [options.speed=1] - Playback rate for 'realtime'
+   * @param {boolean} [options.strict=false] - Calls must match the recording in order and params
+   */
+  constructor(recording, options = {}) {
+    super();
+    const { timing = 'fast', speed = 1, strict = false } = options;
+    if (timing !== 'fast' && timing !== 'realtime') throw new RangeError("timing must be 'fast' or 'realtime'");
+    if (!Number.isFinite(speed) || speed <= 0) throw new RangeError('speed must be a positive number');
+
+    const { header, entries } = readRecording(recording);
+    this.header = header;
+    this.timing = timing;
+    this.speed = speed;
+    this.strict = strict;
+
+    this._calls = [];
+    this._events = [];
+    for (const entry of entries) {
+      if (entry.type === 'call') {
+        this._calls.push({ ...entry, key: paramsKey(entry.params), used: false });
+      } else {
+        this._events.push({ ...entry, callsBefore: this._calls.length });
+      }
+    }
+    this._t0 = entries.length ? entries[0].t || 0 : 0;
+    this._nextCall = 0;     // index of the first unused call
+    this._nextEvent = 0;    // index of the next event to deliver
+    this._unmatched = [];
+    this._replayStartedAt = null;
+    this._eventTimer = null;
+    this._doneWaiters = [];
+
+    const names = new Set(header.plugins || []);
+    for (const entry of entries) names.add(entry.pluginName);
+    for (const name of names) this.registerPlugin(name, { description: 'Replayed from a recording' });
+  }
+
+  load() {
+    super.load();
+    const start = this.core.start;
+    this.core.start = () => {
+      start();
+      this._replayStartedAt = Date.now();
+      this._pumpEvents();
+    };
+    const registerEventListener = this.client.registerEventListener;
+    this.client.registerEventListener = (...args) => {
+      registerEventListener(...args);
+      this._pumpEvents();
+    };
+  }
+
+  /**
+   * Replay progress.
+   * @returns {{ calls: {total: number, replayed: number, unmatched: number},
+   *   events: {total: number, delivered: number}, done: boolean }}
+   */
+  progress() {
+    const replayed = this._calls.filter(call => call.used).length;
+    return {
+      calls: { total: this._calls.length, replayed, unmatched: this._unmatched.length },
+      events: { total: this._events.length, delivered: this._nextEvent },
+      done: this._isDone()
+    };
+  }
+
+  /**
+   * Calls the recording had no answer for.
+   * @returns {Array<{pluginName: string, methodName: string, params: Array, reason: string}>}
+   */
+  unmatchedCalls() {
+    return this._unmatched.slice();
+  }
+
+  /**
+   * Resolves once every recorded call has been replayed and every recorded
+   * event delivered to the backend's queue.
+   * @returns {Promise<void>}
+   */
+  whenDone() {
+    if (this._isDone()) return Promise.resolve();
+    return new Promise(resolve => this._doneWaiters.push(resolve));
+  }
+
+  // ===== Internals =====
+
+  _callMethod(pluginName, methodName, params, cb) {
+    if (!this._loaded.has(pluginName)) {
+      this._deliver(cb, 0, JSON.stringify({ message: `Plugin not loaded: ${pluginName}` }));
+      return;
+    }
+    let parsed;
+    try {
+      parsed = JSON.parse(params || '[]');
+    } catch (_e) {
+      parsed = params;
+    }
+    const { call, reason } = this._matchCall(pluginName, methodName, paramsKey(parsed));
+    if (!call) {
+      this._unmatched.push({ pluginName, methodName, params: parsed, reason });
+      this._deliver(cb, 0, JSON.stringify({ message: `Replay: ${reason}` }));
+      return;
+    }
+    call.used = true;
+    while (this._nextCall < this._calls.length && this._calls[this._nextCall].used) this._nextCall++;
+
+    const latency = this.timing === 'realtime' ? (call.durationMs || 0) / this.speed : 0;
+    if (latency > 0) {
+      const timer = setTimeout(() => this._deliver(cb, call.result, call.message), latency);
+      if (timer.unref) timer.unref();
+    } else {
+      this._deliver(cb, call.result, call.message);
+    }
+    this._pumpEvents();
+  }
+
+  _matchCall(pluginName, methodName, key) {
+    const label = `${pluginName}.${methodName}`;
+    if (this.strict) {
+      const expected = this._calls[this._nextCall];
+      if (!expected) return { call: null, reason: `no recorded call left for ${label}` };
+      if (expected.pluginName !== pluginName || expected.methodName !== methodName || expected.key !== key) {
+        return {
+          call: null,
+          reason: `diverged from the recording: expected ${expected.pluginName}.${expected.methodName}` +
+            `(${expected.key}), got ${label}(${key})`
+        };
+      }
+      return { call: expected, reason: null };
+    }
+    let fallback = null;
+    for (let i = this._nextCall; i < this._calls.length; i++) {
+      const call = this._calls[i];
+      if (call.used || call.pluginName !== pluginName || call.methodName !== methodName) continue;
+      if (call.key === key) return { call, reason: null };
+      if (!fallback) fallback = call;
+    }
+    return fallback
+      ? { call: fallback, reason: null }
+      : { call: null, reason: `no recorded call left for ${label}` };
+  }
+
+  _pumpEvents() {
+    if (this._replayStartedAt === null) return;
+    while (this._nextEvent < this._events.length) {
+      const event = this._events[this._nextEvent];
+      if (this._nextCall < event.callsBefore) return;
+      const listeners = this._listeners.filter(listener =>
+        listener.pluginName === event.pluginName && listener.eventName === event.eventName);
+      if (!listeners.length) return;
+      if (this.timing === 'realtime') {
+        const wait = this._replayStartedAt + ((event.t || 0) - this._t0) / this.speed - Date.now();
+        if (wait > 0) {
+          if (!this._eventTimer) {
+            this._eventTimer = setTimeout(() => {
+              this._eventTimer = null;
+              this._pumpEvents();
+            }, wait);
+            if (this._eventTimer.unref) this._eventTimer.unref();
+          }
+          return;
+        }
+      }
+      this._nextEvent++;
+      for (const listener of listeners) this._deliver(listener.cb, event.result, event.message);
+    }
+    this._checkDone();
+  }
+
+  _isDone() {
+    return this._nextCall >= this._calls.length && this._nextEvent >= this._events.length;
+  }
+
+  _checkDone() {
+    if (!this._isDone()) return;
+    const waiters = this._doneWaiters;
+    this._doneWaiters = [];
+    for (const resolve of waiters) resolve();
+  }
+
+  _reset() {
+    super._reset();
+    clearTimeout(this._eventTimer);
+    this._eventTimer = null;
+  }
+}
+
+/**
+ * Canonical form of call params for matching.
+ * @private
+ */
+function paramsKey(params) {
+  return JSON.stringify(params === undefined ? [] : params);
+}
+
+module.exports = ReplayBackend;
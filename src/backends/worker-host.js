@@ -0,0 +1,178 @@
+const { parentPort, workerData } = require('worker_threads');
+
+/**
+ * Worker side of WorkerBackend: owns the real backend (NativeBackend unless
+ * `backendModule` names another) and serves the main thread's requests.
+ *
+ * Messages from the main thread arrive on parentPort in order:
+ *   { type: 'call', id, target, name, args }  answered on the sync port
+ *   { type: 'post', target, name, args }      no answer (async client calls)
+ *   { type: 'pump' }                          processEvents(), then 'pumped'
+ *   { type: 'exec' }                          exec(), then 'execDone'
+ *   { type: 'release', id }                   release a callback handle
+ *
+ * Callbacks are forwarded to the main thread as { type: 'callback', id, args }.
+ * A posted call that throws is reported as { type: 'error', ..., callbacks }
+ * with the ids of the callbacks it was given, so the main thread can fail
+ * the pending call instead of waiting for a result that never comes.
+ * Host callbacks must answer synchronously from inside native code, so they
+ * are answered here from the plugin state this side observes instead of
+ * round-tripping to the main thread, which may itself be waiting on us.
+ */
+
+const { backendModule, backendOptions, signal: signalBuffer, syncPort } = workerData;
+const signal = new Int32Array(signalBuffer);
+
+// Core functions that change which plugins are known or loaded
+const STATE_CHANGING = new Set(['processPlugin', 'loadPlugin', 'loadPluginWithDeps', 'unloadPlugin', 'start', 'cleanup']);
+
+const state = { known: new Set(), loaded: new Set() };
+const handles = new Map(); // callback id -> backend handle
+let backend = null;
+
+function reply(message) {
+  syncPort.postMessage(message);
+  Atomics.store(signal, 0, 1);
+  Atomics.notify(signal, 0);
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) return { name: 'Error', message: String(error) };
+  const out = { name: error.name, message: error.message, stack: error.stack };
+  for (const [key, value] of Object.entries(error)) {
+    try {
+      structuredClone(value);
+      out[key] = value;
+    } catch (_e) { /* not transferable; dropped */ }
+  }
+  return out;
+}
+
+function createBackend() {
+  if (!backendModule) {
+    const NativeBackend = require('./native');
+    return new NativeBackend(backendOptions);
+  }
+  // A module exporting (options) => backend, e.g. a MockBackend with plugins registered
+  return require(backendModule)(backendOptions);
+}
+
+function refreshState() {
+  try {
+    state.loaded = new Set(backend.core.getLoadedPlugins());
+    state.known = new Set(backend.core.getKnownPlugins());
+  } catch (_e) { /* keep the last known state */ }
+}
+
+/**
+ * Replace `{ $callback: id, kind }` markers with backend callback handles.
+ */
+function decodeArgs(args) {
+  return args.map(arg => {
+    if (!arg || typeof arg !== 'object' || arg.$callback === undefined) return arg;
+    if (handles.has(arg.$callback)) return handles.get(arg.$callback);
+    const handle = backend.createCallback((result, message) => {
+      parentPort.postMessage({ type: 'callback', id: arg.$callback, args: [result, message] });
+    }, arg.kind);
+    handles.set(arg.$callback, handle);
+    return handle;
+  });
+}
+
+function hostCallback(marker, answer) {
+  const handle = backend.createCallback((name) => answer(name), 'host');
+  handles.set(marker.$callback, handle);
+  return handle;
+}
+
+function initWithCallbacks([isLoaded, isKnown, loadPlugin]) {
+  return backend.client.initWithCallbacks(
+    hostCallback(isLoaded, (name) => (state.loaded.has(name) ? 1 : 0)),
+    hostCallback(isKnown, (name) => (state.known.has(name) ? 1 : 0)),
+    hostCallback(loadPlugin, (name) => {
+      let result = 0;
+      try {
+        result = backend.core.loadPlugin(name);
+      } catch (_e) { /* reported as a failed load */ }
+      if (result === 1) state.loaded.add(name);
+      // Lets the main thread update its own state and emit lifecycle events
+      parentPort.postMessage({ type: 'hostLoad', id: loadPlugin.$callback, name, result });
+      return result;
+    })
+  );
+}
+
+function invoke(target, name, args) {
+  if (target === 'backend') return backend[name](...args);
+  if (target === 'client' && name === 'initWithCallbacks') return initWithCallbacks(args);
+  const result = backend[target][name](...decodeArgs(args));
+  if (target === 'core' && STATE_CHANGING.has(name)) refreshState();
+  return result;
+}
+
+function load() {
+  backend = createBackend();
+  backend.load();
+  return {
+    isVirtual: !!backend.isVirtual,
+    backend: backend.constructor.name,
+    core: Object.keys(backend.core || {}),
+    client: backend.client ? Object.keys(backend.client) : null
+  };
+}
+
+parentPort.on('message', (message) => {
+  switch (message.type) {
+    case 'load':
+    case 'call':
+      try {
+        const result = message.type === 'load' ? load() : invoke(message.target, message.name, message.args);
+        reply({ id: message.id, result });
+      } catch (error) {
+        reply({ id: message.id, error: serializeError(error) });
+      }
+      return;
+    case 'post':
+      try {
+        invoke(message.target, message.name, message.args);
+      } catch (error) {
+        const callbacks = message.args
+          .filter(arg => arg && typeof arg === 'object' && arg.$callback !== undefined)
+          .map(arg => arg.$callback);
+        parentPort.postMessage({
+          type: 'error', error: serializeError(error), target: message.target, name: message.name, callbacks
+        });
+      }
+      return;
+    case 'pump': {
+      const startedAt = process.hrtime.bigint();
+      try {
+        backend.core.processEvents();
+      } catch (error) {
+        parentPort.postMessage({ type: 'error', error: serializeError(error), target: 'core', name: 'processEvents' });
+      }
+      parentPort.postMessage({ type: 'pumped', duration: Number(process.hrtime.bigint() - startedAt) / 1e6 });
+      return;
+    }
+    case 'exec': {
+      let code = -1;
+      let error = null;
+      try {
+        code = backend.core.exec();
+      } catch (e) {
+        error = serializeError(e);
+      }
+      parentPort.postMessage({ type: 'execDone', code, error });
+      return;
+    }
+    case 'release': {
+      const handle = handles.get(message.id);
+      if (!handle) return;
+      handles.delete(message.id);
+      try { backend.releaseCallback(handle); } catch (_e) { /* ignore */ }
+      return;
+    }
+    default:
+      parentPort.postMessage({ type: 'error', error: { name: 'Error', message: `Unknown message type: ${message.type}` } });
+  }
+});
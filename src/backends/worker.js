@@ -0,0 +1,299 @@
+const path = require('path');
+const { Worker, MessageChannel, SHARE_ENV, receiveMessageOnPort } = require('worker_threads');
+const errors = require('../errors');
+const { InvalidStateError, TimeoutError } = errors;
+
+const HOST_SCRIPT = path.join(__dirname, 'worker-host.js');
+
+// Client functions that return nothing and only deliver through callbacks;
+// they are posted to the worker without waiting for it
+const POSTED_CLIENT_FUNCTIONS = new Set(['callMethodAsync', 'asyncOperation', 'loadPluginAsync', 'registerEventListener']);
+
+// Posted functions whose callback answers exactly once; if the worker fails
+// to start one, that callback is answered with the failure
+const ONE_SHOT_CLIENT_FUNCTIONS = new Set(['callMethodAsync', 'asyncOperation', 'loadPluginAsync']);
+
+/**
+ * Rebuild an error serialized by the worker, keeping SDK error classes.
+ * @private
+ */
+function reviveError(data) {
+  const Ctor = Object.prototype.hasOwnProperty.call(errors, data.name) ? errors[data.name] : Error;
+  const error = Object.create(Ctor.prototype);
+  Object.defineProperty(error, 'message', { value: data.message, writable: true, configurable: true });
+  Object.defineProperty(error, 'stack', { value: data.stack, writable: true, configurable: true });
+  for (const [key, value] of Object.entries(data)) {
+    if (key !== 'message' && key !== 'stack') error[key] = value;
+  }
+  return error;
+}
+
+/**
+ * WorkerBackend - hosts another backend (NativeBackend by default) in a
+ * worker_threads Worker, so native work runs off the main thread.
+ *
+ * LogosAPI uses it like any other backend (see NativeBackend). Short core
+ * calls such as getLoadedPlugins() are answered synchronously: the main
+ * thread waits on a shared buffer until the worker replies, bounded by
+ * `syncTimeout`. Method calls, event registrations and processEvents() are
+ * posted without waiting, and results come back as messages, so a slow Qt
+ * event pump no longer stalls the main event loop. `core.exec()` returns a
+ * Promise of the exit code; other core calls fail while it runs, since the
+ * worker thread is inside the Qt event loop.
+ *
+ * The worker handles messages in order, so a synchronous call made while it
+ * is inside processEvents() blocks the main thread (in Atomics.wait) until
+ * that pump returns, for at most `syncTimeout`. Keep it well above your
+ * longest pump but low enough that a wedged worker fails fast.
+ */
+class WorkerBackend {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.libPath] - Passed to the NativeBackend in the worker
+   * @param {string} [options.moduleClientLibPath]
+   * @param {string} [options.backendModule] - Module exporting `(options) => backend` to host instead of NativeBackend
+   * @param {Object} [options.backendOptions] - Options for the hosted backend (default: libPath and moduleClientLibPath)
+   * @param {number} [options.syncTimeout=30000] - Max ms to wait for a synchronous reply
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.isVirtual = false;
+    this.core = null;
+    this.client = null;
+    this.worker = null;
+    this.hostedBackend = null; // constructor name of the backend inside the worker
+    this.syncTimeout = options.syncTimeout || 30000;
+
+    this._signal = null;
+    this._syncPort = null;
+    this._nextId = 1;
+    this._callbacks = new Map(); // callback id -> fn
+    this._hostLoads = new Map(); // pluginName -> result of a load the worker already did
+    this._pumping = false;
+    this._exec = null;           // { resolve, reject } while exec() runs in the worker
+  }
+
+  /**
+   * Start the worker and load the hosted backend in it.
+   */
+  load() {
+    if (this.worker) this._terminate();
+
+    const { port1, port2 } = new MessageChannel();
+    this._signal = new Int32Array(new SharedArrayBuffer(4));
+    this._syncPort = port1;
+    const backendOptions = this.options.backendOptions || {
+      libPath: this.options.libPath || null,
+      moduleClientLibPath: this.options.moduleClientLibPath || null
+    };
+    this.worker = new Worker(HOST_SCRIPT, {
+      workerData: {
+        backendModule: this.options.backendModule || null,
+        backendOptions,
+        signal: this._signal.buffer,
+        syncPort: port2
+      },
+      transferList: [port2],
+      env: SHARE_ENV
+    });
+    this.worker.on('message', (message) => this._onMessage(message));
+    this.worker.on('error', (error) => {
+      console.error('LogosAPI worker failed:', error);
+      this._terminate();
+    });
+    // Pending results keep the process alive through LogosAPI's own timers
+    this.worker.unref();
+
+    let info;
+    try {
+      info = this._request({ type: 'load' }, 'load');
+    } catch (error) {
+      this._terminate();
+      throw error;
+    }
+    this.isVirtual = info.isVirtual;
+    this.hostedBackend = info.backend;
+    this.core = {};
+    for (const name of info.core) this.core[name] = (...args) => this._callSync('core', name, args);
+    this.core.processEvents = () => this._pump();
+    this.core.exec = () => this._startExec();
+    this.core.loadPlugin = (name) => {
+      // The worker already loaded it for the module client; see worker-host.js
+      if (this._hostLoads.has(name)) {
+        const result = this._hostLoads.get(name);
+        this._hostLoads.delete(name);
+        return result;
+      }
+      return this._callSync('core', 'loadPlugin', [name]);
+    };
+    const cleanup = this.core.cleanup;
+    this.core.cleanup = () => {
+      try {
+        // Nothing to clean up once the worker is gone, e.g. on a second cleanup()
+        if (cleanup && this.worker && !this._exec) cleanup();
+      } finally {
+        this._terminate();
+      }
+    };
+
+    this.client = null;
+    if (info.client) {
+      this.client = {};
+      for (const name of info.client) {
+        this.client[name] = POSTED_CLIENT_FUNCTIONS.has(name)
+          ? (...args) => this._post('client', name, args)
+          : (...args) => this._callSync('client', name, args);
+      }
+      const shutdown = this.client.shutdown;
+      if (shutdown) this.client.shutdown = () => (this.worker ? shutdown() : undefined);
+    }
+  }
+
+  createCallback(fn, kind) {
+    const id = this._nextId++;
+    this._callbacks.set(id, fn);
+    return Object.freeze({ $callback: id, kind });
+  }
+
+  releaseCallback(handle) {
+    if (!this._callbacks.delete(handle.$callback)) return;
+    if (this.worker) this.worker.postMessage({ type: 'release', id: handle.$callback });
+  }
+
+  resolvePlugin(pluginName) {
+    return this._callSync('backend', 'resolvePlugin', [pluginName]);
+  }
+
+  listPlugins() {
+    return this._callSync('backend', 'listPlugins', []);
+  }
+
+  // ===== Internals =====
+
+  _callSync(target, name, args) {
+    if (this._exec) {
+      throw new InvalidStateError(`Cannot call ${name}() while exec() is running in the worker`, { operation: name });
+    }
+    return this._request({ type: 'call', target, name, args }, name);
+  }
+
+  _post(target, name, args) {
+    this._assertWorker(name);
+    this.worker.postMessage({ type: 'post', target, name, args });
+  }
+
+  /**
+   * Send a message and block until the worker answers on the sync port.
+   * @private
+   */
+  _request(message, operation) {
+    this._assertWorker(operation);
+    const id = this._nextId++;
+    const deadline = Date.now() + this.syncTimeout;
+    this.worker.postMessage({ ...message, id });
+    for (;;) {
+      // Clear the flag before reading: the worker posts its reply before setting it
+      Atomics.store(this._signal, 0, 0);
+      const received = receiveMessageOnPort(this._syncPort);
+      if (received) {
+        // Replies to requests that timed out earlier are skipped
+        if (received.message.id !== id) continue;
+        if (received.message.error) throw reviveError(received.message.error);
+        return received.message.result;
+      }
+      const remaining = deadline - Date.now();
+      if (remaining <= 0 || Atomics.wait(this._signal, 0, 0, remaining) === 'timed-out') {
+        throw new TimeoutError(`LogosAPI worker did not answer ${operation}() within ${this.syncTimeout}ms`, {
+          timeout: this.syncTimeout
+        });
+      }
+    }
+  }
+
+  _pump() {
+    // One pump at a time; ticks that arrive while the worker is busy are dropped
+    if (this._pumping || this._exec || !this.worker) return;
+    this._pumping = true;
+    this.worker.postMessage({ type: 'pump' });
+  }
+
+  _startExec() {
+    this._assertWorker('exec');
+    if (this._exec) throw new InvalidStateError('exec() is already running in the worker', { operation: 'exec' });
+    return new Promise((resolve, reject) => {
+      this._exec = { resolve, reject };
+      this.worker.ref();
+      this.worker.postMessage({ type: 'exec' });
+    });
+  }
+
+  _onMessage(message) {
+    switch (message.type) {
+      case 'callback': {
+        const fn = this._callbacks.get(message.id);
+        if (fn) fn(...message.args, null);
+        return;
+      }
+      case 'hostLoad': {
+        const fn = this._callbacks.get(message.id);
+        if (!fn) return;
+        this._hostLoads.set(message.name, message.result);
+        try {
+          fn(message.name);
+        } finally {
+          this._hostLoads.delete(message.name);
+        }
+        return;
+      }
+      case 'pumped':
+        this._pumping = false;
+        return;
+      case 'execDone': {
+        const exec = this._exec;
+        this._exec = null;
+        if (this.worker) this.worker.unref();
+        if (!exec) return;
+        if (message.error) exec.reject(reviveError(message.error));
+        else exec.resolve(message.code);
+        return;
+      }
+      case 'error':
+        if (ONE_SHOT_CLIENT_FUNCTIONS.has(message.name) && message.callbacks && message.callbacks.length) {
+          // Fail the call it could not start, in the module client's error format
+          const failure = JSON.stringify({ message: `${message.name}() failed in the worker: ${message.error.message}` });
+          for (const id of message.callbacks) {
+            const fn = this._callbacks.get(id);
+            if (fn) fn(0, failure, null);
+          }
+          return;
+        }
+        console.error(`LogosAPI worker: ${message.name ? `${message.name}() ` : ''}failed:`, reviveError(message.error));
+        return;
+      default:
+        return;
+    }
+  }
+
+  _assertWorker(operation) {
+    if (!this.worker) {
+      throw new InvalidStateError('LogosAPI worker is not running; call init() first', { operation });
+    }
+  }
+
+  _terminate() {
+    const worker = this.worker;
+    if (!worker) return;
+    this.worker = null;
+    this._pumping = false;
+    this._callbacks.clear();
+    this._hostLoads.clear();
+    if (this._syncPort) this._syncPort.close();
+    if (this._exec) {
+      this._exec.reject(new InvalidStateError('LogosAPI worker stopped while exec() was running', { operation: 'exec' }));
+      this._exec = null;
+    }
+    worker.terminate();
+  }
+}
+
+module.exports = WorkerBackend;
@@ -0,0 +1,42 @@
+/**
+ * Per-call options for reflective proxy calls.
+ *
+ * Proxy methods forward every argument to the plugin, so options are passed
+ * as a tagged trailing argument instead of a plain object:
+ *
+ *   await logos.chat.send('hi', callOptions({ timeout: 5000, signal }));
+ */
+class CallOptions {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.timeout] - Timeout in ms (0 disables the default timeout)
+   * @param {AbortSignal} [options.signal] - Cancels the call when aborted
+   */
+  constructor(options = {}) {
+    Object.assign(this, options);
+  }
+}
+
+function callOptions(options) {
+  return new CallOptions(options);
+}
+
+/**
+ * Split a trailing CallOptions off a proxy argument list.
+ * @param {Array} args
+ * @returns {{ args: Array, options: Object }}
+ */
+function splitCallOptions(args) {
+  const list = Array.from(args);
+  if (list.length && list[list.length - 1] instanceof CallOptions) {
+    const options = list.pop();
+    return { args: list, options: { ...options } };
+  }
+  return { args: list, options: {} };
+}
+
+module.exports = {
+  CallOptions,
+  callOptions,
+  splitCallOptions,
+};
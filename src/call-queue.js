@@ -0,0 +1,172 @@
+const { QueueFullError } = require('./errors');
+
+/**
+ * Flow control for method calls: per-plugin (or per-method) request queues.
+ *
+ * A CallQueue lets at most `concurrency` calls be in flight and, with
+ * `rate`, starts at most `rate.limit` calls per `rate.interval` ms (a
+ * sliding window). Calls beyond that wait in FIFO order; once `maxQueue`
+ * calls are waiting, further ones are rejected with QueueFullError.
+ *
+ * LogosAPI keys queues by "plugin" or "plugin.method" (see the `queues`
+ * option); a call goes through the most specific queue configured for it.
+ */
+class CallQueue {
+  /**
+   * @param {string} pluginName
+   * @param {string|null} methodName - null for a plugin-wide queue
+   * @param {Object} [options]
+   * @param {number} [options.concurrency=Infinity] - Calls in flight at once
+   * @param {number} [options.maxQueue=Infinity] - Calls allowed to wait
+   * @param {{limit: number, interval: number}} [options.rate] - Start at most `limit` calls per `interval` ms
+   */
+  constructor(pluginName, methodName = null, options = {}) {
+    // Plugin names may contain dots, so the key is never split back apart
+    this.key = methodName ? `${pluginName}.${methodName}` : pluginName;
+    this.pluginName = pluginName;
+    this.methodName = methodName || null;
+
+    this._active = 0;
+    this._waiting = [];   // tickets, FIFO
+    this._starts = [];    // start times within the rate window
+    this._rateTimer = null;
+    this._stats = { started: 0, completed: 0, rejected: 0, cancelled: 0, maxQueued: 0 };
+    this.update(options);
+  }
+
+  /**
+   * Replace the limits. Waiting calls are started if the new ones allow.
+   * @param {Object} options - As for the constructor
+   */
+  update(options = {}) {
+    const { concurrency = Infinity, maxQueue = Infinity, rate = null } = options;
+    if (!(concurrency === Infinity || (Number.isInteger(concurrency) && concurrency >= 1))) {
+      throw new RangeError('concurrency must be an integer >= 1');
+    }
+    if (!(maxQueue === Infinity || (Number.isInteger(maxQueue) && maxQueue >= 0))) {
+      throw new RangeError('maxQueue must be a non-negative integer');
+    }
+    if (rate !== null) {
+      if (!Number.isInteger(rate.limit) || rate.limit < 1) throw new RangeError('rate.limit must be an integer >= 1');
+      if (!Number.isFinite(rate.interval) || rate.interval <= 0) throw new RangeError('rate.interval must be a positive number of ms');
+    }
+
+    this.concurrency = concurrency;
+    this.maxQueue = maxQueue;
+    this.rate = rate ? { limit: rate.limit, interval: rate.interval } : null;
+    clearTimeout(this._rateTimer);
+    this._rateTimer = null;
+    this._drain();
+  }
+
+  /**
+   * Ask to start a call. `start(release)` runs as soon as the limits allow,
+   * synchronously if they already do; the call must invoke `release()` once
+   * it settles. Throws QueueFullError if the call can neither start nor wait.
+   * @param {Function} start - (release) => void
+   * @param {string} [methodName] - For the error message
+   * @returns {{ queued: boolean, cancel: Function }} cancel() withdraws a waiting call
+   */
+  schedule(start, methodName) {
+    const ticket = { start, queued: false, cancel: () => this._cancel(ticket) };
+    if (!this._waiting.length && this._canStart()) {
+      this._start(ticket);
+      return ticket;
+    }
+    if (this._waiting.length >= this.maxQueue) {
+      this._stats.rejected++;
+      const label = `${this.pluginName}.${methodName || this.methodName || '*'}`;
+      throw new QueueFullError(
+        `${label} rejected: queue "${this.key}" already has ${this._waiting.length} call(s) waiting`,
+        { pluginName: this.pluginName, methodName: methodName || this.methodName, queue: this.key, maxQueue: this.maxQueue }
+      );
+    }
+    ticket.queued = true;
+    this._waiting.push(ticket);
+    this._stats.maxQueued = Math.max(this._stats.maxQueued, this._waiting.length);
+    this._drain();
+    return ticket;
+  }
+
+  /**
+   * Current depth and counters, for monitoring.
+   * @returns {{ key: string, pluginName: string, methodName: string|null, concurrency: number|null,
+   *   maxQueue: number|null, rate: Object|null, active: number, queued: number, started: number,
+   *   completed: number, rejected: number, cancelled: number, maxQueued: number }}
+   */
+  snapshot() {
+    return {
+      key: this.key,
+      pluginName: this.pluginName,
+      methodName: this.methodName,
+      concurrency: this.concurrency === Infinity ? null : this.concurrency,
+      maxQueue: this.maxQueue === Infinity ? null : this.maxQueue,
+      rate: this.rate,
+      active: this._active,
+      queued: this._waiting.length,
+      ...this._stats
+    };
+  }
+
+  /**
+   * Stop the rate timer and drop waiting calls without starting them.
+   * Their owners are expected to settle them (LogosAPI.cleanup() does).
+   */
+  close() {
+    clearTimeout(this._rateTimer);
+    this._rateTimer = null;
+    this._waiting = [];
+  }
+
+  _canStart() {
+    if (this._active >= this.concurrency) return false;
+    if (!this.rate) return true;
+    this._pruneStarts();
+    return this._starts.length < this.rate.limit;
+  }
+
+  _pruneStarts() {
+    const cutoff = Date.now() - this.rate.interval;
+    while (this._starts.length && this._starts[0] <= cutoff) this._starts.shift();
+  }
+
+  _start(ticket) {
+    ticket.queued = false;
+    this._active++;
+    this._stats.started++;
+    if (this.rate) this._starts.push(Date.now());
+    let released = false;
+    ticket.start(() => {
+      if (released) return;
+      released = true;
+      this._active--;
+      this._stats.completed++;
+      this._drain();
+    });
+  }
+
+  _cancel(ticket) {
+    const index = this._waiting.indexOf(ticket);
+    if (index === -1) return false;
+    this._waiting.splice(index, 1);
+    this._stats.cancelled++;
+    return true;
+  }
+
+  _drain() {
+    while (this._waiting.length && this._canStart()) {
+      this._start(this._waiting.shift());
+    }
+    // Rate-limited: come back when the oldest start leaves the window
+    if (this._waiting.length && this.rate && this._active < this.concurrency && !this._rateTimer) {
+      const wait = Math.max(1, this._starts[0] + this.rate.interval - Date.now());
+      this._rateTimer = setTimeout(() => {
+        this._rateTimer = null;
+        this._drain();
+      }, wait);
+      if (this._rateTimer.unref) this._rateTimer.unref();
+    }
+  }
+}
+
+module.exports = CallQueue;
@@ -0,0 +1,489 @@
+const { types, TypedValue } = require('./types');
+const { callOptions } = require('./call-options');
+const { LogosError } = require('./errors');
+const { toJson } = require('./codec');
+const { startRepl } = require('./repl');
+const Gateway = require('./gateway');
+const { resolveConfig } = require('./config');
+
+/**
+ * The `logos` command-line tool (bin/logos.js).
+ *
+ * Each invocation boots its own core, so plugins loaded by one command are
+ * not loaded in the next; `call`, `events` and `stats` load what they need.
+ * For the same reason there is no `plugins unload`: use the REPL's
+ * `.unload`, or unloadPlugin() in the process that loaded the plugin.
+ * Paths, plugin directories, the timeout and event pump settings come from
+ * the config file profile (see src/config.js), overridden by flags.
+ */
+
+const USAGE = `Usage: logos [options] <command>
+
+Commands:
+  plugins list                       Discovered plugins with known/loaded status
+  plugins load <name> [--with-deps]  Process and load a plugin (and its dependencies)
+  plugins install <archive>          Install a module archive (.tar, .tar.gz, .zip) after checking its manifest and checksums
+  plugins uninstall <name>           Remove an installed plugin directory
+  call <plugin> <method> [args...]   Load a plugin, call a method and print the result as JSON
+  events <plugin> <event>            Load a plugin and print its events as JSON lines
+  stats [plugins...]                 Load the given plugins and print getModuleStats()
+  repl [plugins...]                  Interactive shell with logos in scope; loads the given (or the profile's) plugins first
+  gateway [plugins...]               Load the given (or the profile's) plugins and serve them over HTTP/WebSocket JSON-RPC
+
+Options:
+  --config <path>        Config file (default: $LOGOS_CONFIG or ./logos.config.{js,cjs,json})
+  --profile <name>       Config profile (default: $LOGOS_PROFILE or the file's defaultProfile)
+  --lib <path>           Path to liblogos_core
+  --client-lib <path>    Path to liblogos_module_client
+  --plugins-dir <dir>    Plugins directory (repeatable; later ones are added with addPluginsDir)
+  --host <path>          Path to logos_host
+  --timeout <ms>         Call and readiness timeout (default: the profile's defaultTimeout, else 30000)
+  --probe <method>       Method used to check that a plugin is ready (default: the profile's readyProbe, else only wait until it is loaded)
+  --json                 Machine-readable output for plugins list, install and stats
+  -h, --help             Show this help
+
+Call arguments:
+  Untyped arguments are parsed as JSON when possible (5, true, [1,2]) and
+  sent as strings otherwise. Prefix an argument with a type flag to send
+  an exact wire type: --int, --uint, --int64, --uint64, --double, --bool,
+  --string, --bytes (base64), --list (JSON), --map (JSON).
+
+Install:
+  --dir <dir>            Plugins directory to install into or uninstall from (default: the primary one)
+  --force                Replace an installed version even if it is newer
+  --require-checksums    Refuse packages without a checksum for every platform variant
+
+Events:
+  --count <n>            Exit after n events
+  --duration <ms>        Exit after this long
+
+Gateway:
+  --port <n>             Port to listen on (default: 8765)
+  --bind <address>       Interface to bind (default: 127.0.0.1)
+  --allow <pattern>      Callable "plugin.method" pattern, * as wildcard (repeatable)
+  --allow-events <pattern>  Subscribable "plugin.event" pattern (repeatable)
+  --cors <origin>        Origin allowed to call from a browser (Access-Control-Allow-Origin)
+  --insecure             Serve without a token when LOGOS_GATEWAY_TOKEN is not set
+  The bearer token is read from LOGOS_GATEWAY_TOKEN.`;
+
+const TYPE_FLAGS = ['int', 'uint', 'int64', 'uint64', 'double', 'bool', 'string', 'bytes', 'list', 'map'];
+
+const VALUE_OPTIONS = {
+  '--config': 'configPath',
+  '--profile': 'profile',
+  '--lib': 'libPath',
+  '--client-lib': 'moduleClientLibPath',
+  '--host': 'logosHostPath',
+  '--timeout': 'timeout',
+  '--probe': 'probe',
+  '--count': 'count',
+  '--duration': 'duration',
+  '--port': 'port',
+  '--bind': 'bind',
+  '--cors': 'cors',
+  '--dir': 'installDir',
+};
+
+const REPEATABLE_OPTIONS = {
+  '--plugins-dir': 'pluginsDirs',
+  '--allow': 'allow',
+  '--allow-events': 'allowEvents',
+};
+
+const BOOLEAN_OPTIONS = {
+  '--json': 'json',
+  '--with-deps': 'withDeps',
+  '--force': 'force',
+  '--require-checksums': 'requireChecksums',
+  '--insecure': 'insecure',
+  '-h': 'help',
+  '--help': 'help',
+};
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Parse a CLI argument value for a typed flag.
+ * @private
+ */
+function typedArgument(type, text) {
+  switch (type) {
+    case 'bool':
+      if (text !== 'true' && text !== 'false') throw new UsageError(`--bool expects true or false, got "${text}"`);
+      return types.bool(text === 'true');
+    case 'double':
+      return types.double(Number(text));
+    case 'bytes':
+      return types.bytes(Buffer.from(text, 'base64'));
+    case 'list':
+    case 'map':
+      try {
+        return types[type](JSON.parse(text));
+      } catch (error) {
+        throw new UsageError(`--${type} expects JSON: ${error.message}`);
+      }
+    default:
+      return types[type](text);
+  }
+}
+
+/**
+ * Parse an untyped argument: JSON when it parses, else the string itself.
+ * @private
+ */
+function untypedArgument(text) {
+  try {
+    const value = JSON.parse(text);
+    return value === null ? text : value;
+  } catch (_e) {
+    return text;
+  }
+}
+
+/**
+ * Split argv into options, positionals and typed call arguments.
+ * Untyped positionals stay strings; commands coerce the ones that are
+ * call arguments with untypedArgument(). Those after `--` (from
+ * `literalFrom` on) are never coerced.
+ * @param {string[]} argv
+ * @returns {{ options: Object, positionals: Array<string|TypedValue>, literalFrom: number }}
+ */
+function parseArgv(argv) {
+  const options = { pluginsDirs: [], allow: [], allowEvents: [] };
+  const positionals = [];
+  let rest = false;
+  let literalFrom = Infinity;
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new UsageError(`${arg} needs a value`);
+      return argv[++i];
+    };
+
+    if (rest || !arg.startsWith('-') || /^-\d/.test(arg)) {
+      positionals.push(arg);
+    } else if (arg === '--') {
+      rest = true;
+      literalFrom = positionals.length;
+    } else if (REPEATABLE_OPTIONS[arg]) {
+      options[REPEATABLE_OPTIONS[arg]].push(value());
+    } else if (VALUE_OPTIONS[arg]) {
+      options[VALUE_OPTIONS[arg]] = value();
+    } else if (BOOLEAN_OPTIONS[arg]) {
+      options[BOOLEAN_OPTIONS[arg]] = true;
+    } else if (TYPE_FLAGS.includes(arg.slice(2))) {
+      positionals.push(typedArgument(arg.slice(2), value()));
+    } else {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+  }
+
+  for (const key of ['timeout', 'count', 'duration', 'port']) {
+    if (options[key] === undefined) continue;
+    const n = Number(options[key]);
+    if (!Number.isInteger(n) || n < 0) throw new UsageError(`--${key} expects a non-negative integer`);
+    options[key] = n;
+  }
+  return { options, positionals, literalFrom };
+}
+
+/**
+ * A name positional; typed flags and JSON-parsed values are rejected.
+ * @private
+ */
+function nameArgument(positionals, index, label) {
+  const value = positionals[index];
+  if (value === undefined) throw new UsageError(`Missing ${label}`);
+  if (value instanceof TypedValue) throw new UsageError(`${label} cannot be a typed argument`);
+  return String(value);
+}
+
+function formatTable(rows, columns) {
+  const widths = columns.map(col => Math.max(col.length, ...rows.map(row => String(row[col]).length)));
+  const line = (cells) => cells.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(columns), ...rows.map(row => line(columns.map(col => row[col])))].join('\n');
+}
+
+/**
+ * Command implementations. Each receives (api, positionals, options, io)
+ * and returns an exit code.
+ */
+const commands = {
+  async 'plugins list'(api, _positionals, options, io) {
+    const known = new Set(api.getKnownPlugins());
+    const loaded = new Set(api.getLoadedPlugins());
+    const rows = api.discoverPlugins()
+      .filter(entry => !entry.shadowed)
+      .map(entry => ({
+        name: entry.name,
+        version: entry.version || '-',
+        known: known.has(entry.name),
+        loaded: loaded.has(entry.name),
+        source: entry.manifestPath || entry.path || entry.layout,
+        error: entry.error
+      }));
+    for (const name of new Set([...known, ...loaded])) {
+      if (!rows.some(row => row.name === name)) {
+        rows.push({ name, version: '-', known: known.has(name), loaded: loaded.has(name), source: '-', error: null });
+      }
+    }
+
+    if (options.json) {
+      io.stdout.write(toJson(rows, 2) + '\n');
+    } else if (!rows.length) {
+      io.stdout.write(`No plugins found in ${api.getPluginsDirs().join(', ')}\n`);
+    } else {
+      io.stdout.write(formatTable(rows.map(row => ({
+        ...row,
+        known: row.known ? 'yes' : 'no',
+        loaded: row.loaded ? 'yes' : 'no',
+        source: row.error ? `${row.source} (${row.error})` : row.source
+      })), ['name', 'version', 'known', 'loaded', 'source']) + '\n');
+    }
+    return 0;
+  },
+
+  async 'plugins load'(api, positionals, options, io) {
+    const name = nameArgument(positionals, 0, 'plugin name');
+    api.start();
+    if (options.withDeps) {
+      const results = api.processAndLoadPlugins([name]);
+      io.stdout.write(toJson(results, 2) + '\n');
+      return Object.values(results).every(result => result.loaded) ? 0 : 1;
+    }
+    api.processAndLoadPlugin(name);
+    io.stdout.write(`Loaded ${name}\n`);
+    return 0;
+  },
+
+  async 'plugins install'(api, positionals, options, io) {
+    const archivePath = nameArgument(positionals, 0, 'archive path');
+    const result = api.installPlugin(archivePath, {
+      dir: options.installDir,
+      force: !!options.force,
+      requireChecksums: !!options.requireChecksums
+    });
+    if (options.json) {
+      io.stdout.write(toJson(result, 2) + '\n');
+      return 0;
+    }
+    for (const warning of result.warnings) io.stderr.write(`logos: warning: ${warning.field}: ${warning.message}\n`);
+    const replaced = result.previousVersion ? ` (replaced ${result.previousVersion})` : '';
+    const verified = result.verified.length
+      ? `, verified ${result.verified.map(v => v.variant).join(', ')}`
+      : ', no checksums declared';
+    io.stdout.write(`Installed ${result.name} ${result.version}${replaced} to ${result.path}${verified}\n`);
+    return 0;
+  },
+
+  async 'plugins uninstall'(api, positionals, options, io) {
+    const name = nameArgument(positionals, 0, 'plugin name');
+    const result = api.uninstallPlugin(name, { dir: options.installDir });
+    io.stdout.write(`Uninstalled ${name}${result.version ? ` ${result.version}` : ''} from ${result.path}\n`);
+    return 0;
+  },
+
+  async call(api, positionals, options, io) {
+    const pluginName = nameArgument(positionals, 0, 'plugin name');
+    const methodName = nameArgument(positionals, 1, 'method name');
+    await bootPlugins(api, [pluginName], options);
+    const args = positionals.slice(2).map((arg, index) =>
+      (typeof arg === 'string' && index + 2 < options.literalFrom ? untypedArgument(arg) : arg));
+    const result = await api[pluginName][methodName](...args, callOptions({ timeout: options.timeout }));
+    io.stdout.write(toJson(result === undefined ? null : result, 2) + '\n');
+    return 0;
+  },
+
+  async events(api, positionals, options, io) {
+    const pluginName = nameArgument(positionals, 0, 'plugin name');
+    const eventName = nameArgument(positionals, 1, 'event name');
+    await bootPlugins(api, [pluginName], options);
+
+    const stream = api.events(pluginName, eventName);
+    const stop = () => stream.return();
+    const timer = options.duration ? setTimeout(stop, options.duration) : null;
+    io.onInterrupt(stop);
+
+    let received = 0;
+    try {
+      for await (const data of stream) {
+        io.stdout.write(toJson({ timestamp: new Date().toISOString(), plugin: pluginName, event: eventName, data }) + '\n');
+        if (options.count && ++received >= options.count) break;
+      }
+    } finally {
+      if (timer) clearTimeout(timer);
+    }
+    return 0;
+  },
+
+  async stats(api, positionals, options, io) {
+    const names = positionals.map((_, index) => nameArgument(positionals, index, 'plugin name'));
+    if (names.length) await bootPlugins(api, names, options);
+    const stats = api.getModuleStats();
+    io.stdout.write((options.json || typeof stats !== 'string' ? toJson(stats, 2) : stats) + '\n');
+    return 0;
+  },
+
+  async repl(api, positionals, options, io) {
+    const names = positionals.map((_, index) => nameArgument(positionals, index, 'plugin name'));
+    if (!names.length) names.push(...options.plugins);
+    if (names.length) {
+      await bootPlugins(api, names, options);
+    } else {
+      api.start();
+      api.startEventProcessing(options.eventProcessing);
+    }
+    const server = startRepl(api, { input: io.stdin, output: io.stdout });
+    return new Promise(resolve => server.on('exit', () => resolve(0)));
+  },
+
+  async gateway(api, positionals, options, io) {
+    const names = positionals.map((_, index) => nameArgument(positionals, index, 'plugin name'));
+    const token = io.env.LOGOS_GATEWAY_TOKEN || null;
+    if (!token && !options.insecure) throw new UsageError('Set LOGOS_GATEWAY_TOKEN, or pass --insecure to serve without a token');
+    if (!names.length) names.push(...options.plugins);
+    if (names.length) {
+      await bootPlugins(api, names, options);
+    } else {
+      api.start();
+      api.startEventProcessing(options.eventProcessing);
+    }
+    if (!options.allow.length && !options.allowEvents.length) {
+      io.stderr.write('logos: no --allow or --allow-events patterns; only read-only endpoints are served\n');
+    }
+    const gatewayOptions = {
+      port: options.port,
+      host: options.bind,
+      token,
+      insecure: !!options.insecure,
+      allow: options.allow,
+      allowEvents: options.allowEvents,
+      cors: options.cors,
+      timeout: options.timeout
+    };
+    for (const k of Object.keys(gatewayOptions)) if (gatewayOptions[k] === undefined) delete gatewayOptions[k];
+    const gateway = new Gateway(api, gatewayOptions);
+    const { address, port } = await gateway.listen();
+    io.stdout.write(`Gateway listening on http://${address}:${port} (JSON-RPC at /rpc, WebSocket at /events)\n`);
+    return new Promise(resolve => io.onInterrupt(() => gateway.close().then(() => resolve(0))));
+  },
+};
+
+/**
+ * Start the core, load plugins with their dependencies and wait until each answers.
+ * @private
+ */
+async function bootPlugins(api, pluginNames, options) {
+  if (!api.isStarted) api.start();
+  if (!api.eventProcessingInterval) api.startEventProcessing(options.eventProcessing);
+
+  const results = api.processAndLoadPlugins(pluginNames);
+  for (const [name, result] of Object.entries(results)) {
+    if (!result.loaded) throw new Error(`Failed to load ${name}: ${result.error || 'rejected by the core'}`);
+  }
+  for (const name of pluginNames) {
+    // --timeout 0 disables call timeouts; it must not make the wait fail at once
+    const timeout = options.timeout === 0 ? Infinity : options.timeout;
+    await api.waitForPlugin(name, { timeout, probe: options.probe });
+  }
+}
+
+/**
+ * Run the CLI.
+ * @param {string[]} argv - Arguments after the executable
+ * @param {Object} [io]
+ * @param {Function} [io.createApi] - (options) => LogosAPI; defaults to a new LogosAPI
+ * @param {Object} [io.stdin]
+ * @param {Object} [io.stdout]
+ * @param {Object} [io.stderr]
+ * @param {Function} [io.onInterrupt] - Registers a handler for Ctrl+C
+ * @param {Object} [io.env=process.env]
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+  const stdin = io.stdin || process.stdin;
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const onInterrupt = io.onInterrupt || ((handler) => process.once('SIGINT', handler));
+  const env = io.env || process.env;
+
+  let parsed;
+  try {
+    parsed = parseArgv(argv);
+  } catch (error) {
+    stderr.write(`logos: ${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+  const { options, positionals, literalFrom } = parsed;
+
+  const words = positionals.slice(0, 2).map(String);
+  const key = words[0] === 'plugins' ? words.join(' ') : words[0];
+  if (options.help || !key) {
+    (options.help ? stdout : stderr).write(`${USAGE}\n`);
+    return options.help ? 0 : 2;
+  }
+  const command = commands[key];
+  if (!command) {
+    stderr.write(`logos: unknown command "${key}"\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  let api = null;
+  try {
+    // Flags override the config profile and the environment
+    const config = resolveConfig({
+      configPath: options.configPath,
+      profile: options.profile,
+      env,
+      overrides: {
+        libPath: options.libPath,
+        moduleClientLibPath: options.moduleClientLibPath,
+        pluginsDir: options.pluginsDirs[0],
+        pluginsDirs: options.pluginsDirs.length > 1 ? options.pluginsDirs.slice(1) : undefined,
+        logosHostPath: options.logosHostPath,
+        defaultTimeout: options.timeout
+      }
+    });
+    const timeout = config.options.defaultTimeout === undefined ? 30000 : config.options.defaultTimeout;
+    const apiOptions = { ...config.options, defaultTimeout: timeout };
+
+    api = io.createApi ? io.createApi(apiOptions) : new (require('../index'))(apiOptions);
+    for (const dir of config.pluginsDirs) api.addPluginsDir(dir);
+    const args = positionals.slice(key.split(' ').length);
+    const commandOptions = {
+      ...options,
+      literalFrom: literalFrom - key.split(' ').length,
+      timeout,
+      plugins: config.plugins,
+      // The CLI always pumps events; `eventProcessing: false` only applies to fromConfig()
+      eventProcessing: config.eventProcessing || 50
+    };
+    return await command(api, args, commandOptions, { stdin, stdout, stderr, onInterrupt, env });
+  } catch (error) {
+    if (error instanceof UsageError) {
+      stderr.write(`logos: ${error.message}\n\n${USAGE}\n`);
+      return 2;
+    }
+    const code = error instanceof LogosError ? ` [${error.code}]` : '';
+    stderr.write(`logos: ${error.message}${code}\n`);
+    return 1;
+  } finally {
+    if (api) {
+      try { api.cleanup(); } catch (_e) { /* already failing or shut down */ }
+    }
+  }
+}
+
+module.exports = {
+  run,
+  parseArgv,
+  toJson,
+  commands,
+  USAGE,
+};
@@ -0,0 +1,285 @@
+/**
+ * Result decoding for messages delivered by liblogos_module_client.
+ *
+ * The module client reports results in one of two shapes:
+ *   1. JSON, optionally a QVariant envelope `{ "type": "qint64", "value": "..." }`
+ *   2. Legacy text: `Method call successful. Result: <QVariant::toString()>`
+ *
+ * Envelopes and declared return types (see src/types.js signatures) decode
+ * exactly. Only the top-level result is treated as an envelope, and only
+ * when its `type` is a QVariant type name; nested `{ type, value }` maps are
+ * plugin data and are left alone. Untyped legacy text is decoded
+ * conservatively: only text that a number or boolean prints back exactly is
+ * converted, and integers outside the safe range become BigInt rather than
+ * losing precision.
+ */
+
+const { normalizeType, splitType, inferType, encodeValue } = require('./types');
+const { MethodCallError } = require('./errors');
+
+const LEGACY_RESULT = /^Method call successful\. Result: ([\s\S]*)$/;
+
+// Type names the module client writes into envelopes (QMetaType spellings)
+const QVARIANT_TYPES = new Set([
+  'bool', 'int', 'uint', 'qint32', 'quint32', 'qlonglong', 'qulonglong', 'qint64', 'quint64',
+  'double', 'float', 'qreal', 'QString', 'QByteArray', 'QStringList', 'QVariantList', 'QVariantMap',
+  'QJsonObject', 'QJsonArray', 'void'
+]);
+
+// Canonical type -> the QVariant type name encodeResult() writes
+const QVARIANT_NAMES = {
+  int: 'int', uint: 'uint', int64: 'qlonglong', uint64: 'qulonglong', double: 'double', bool: 'bool',
+  string: 'QString', bytes: 'QByteArray', list: 'QVariantList', 'list<string>': 'QStringList', map: 'QVariantMap',
+  void: 'void'
+};
+const BIGINT_MARKER = '\u0000bigint:';
+
+/**
+ * Parse JSON without losing precision on integers outside the safe range.
+ * Unsafe integer literals are decoded as BigInt.
+ * @param {string} text
+ * @returns {*}
+ */
+function parseJson(text) {
+  let out = '';
+  let inString = false;
+  let hasBig = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      out += ch;
+      if (ch === '\\') { out += text[++i] || ''; continue; }
+      if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') { inString = true; out += ch; continue; }
+    if (ch === '-' || (ch >= '0' && ch <= '9')) {
+      const match = /^-?\d+(\.\d+)?([eE][+-]?\d+)?/.exec(text.slice(i));
+      const literal = match ? match[0] : ch;
+      if (match && !match[1] && !match[2] && !Number.isSafeInteger(Number(literal))) {
+        out += JSON.stringify(BIGINT_MARKER + literal);
+        hasBig = true;
+      } else {
+        out += literal;
+      }
+      i += literal.length - 1;
+      continue;
+    }
+    out += ch;
+  }
+  if (!hasBig) return JSON.parse(out);
+  return JSON.parse(out, (_key, value) =>
+    typeof value === 'string' && value.startsWith(BIGINT_MARKER)
+      ? BigInt(value.slice(BIGINT_MARKER.length))
+      : value
+  );
+}
+
+function tryParseJson(text) {
+  if (typeof text !== 'string') return { ok: false };
+  try {
+    return { ok: true, value: parseJson(text) };
+  } catch (_e) {
+    return { ok: false };
+  }
+}
+
+function isEnvelope(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length === 2 && keys.includes('type') && keys.includes('value') && QVARIANT_TYPES.has(value.type);
+}
+
+function toInteger(value, type) {
+  if (typeof value === 'bigint') return value;
+  const text = String(value).trim();
+  if (!/^-?\d+$/.test(text)) {
+    if (typeof value === 'number' && Number.isInteger(value)) return value;
+    throw new TypeError(`Cannot decode ${JSON.stringify(value)} as ${type}`);
+  }
+  const n = Number(text);
+  return Number.isSafeInteger(n) ? n : BigInt(text);
+}
+
+/**
+ * Decode a value (from JSON or legacy text) as the given type.
+ * 32-bit integers and doubles become Numbers, 64-bit integers become Numbers
+ * when safe and BigInt otherwise, bytes become Buffers.
+ * @param {string} type - Canonical or alias type name
+ * @param {*} value
+ * @returns {*}
+ */
+function decodeValue(type, value) {
+  const canonical = normalizeType(type);
+  const { base, element } = splitType(canonical);
+
+  switch (base) {
+    case 'void':
+      return undefined;
+    case 'int':
+    case 'uint':
+    case 'int64':
+    case 'uint64': {
+      const n = toInteger(value, base);
+      return (base === 'int' || base === 'uint') ? Number(n) : n;
+    }
+    case 'double': {
+      const n = typeof value === 'number' ? value : Number(String(value).trim());
+      if (Number.isNaN(n) && String(value).trim().toLowerCase() !== 'nan') {
+        throw new TypeError(`Cannot decode ${JSON.stringify(value)} as double`);
+      }
+      return n;
+    }
+    case 'bool':
+      if (typeof value === 'boolean') return value;
+      if (value === 'true' || value === 1 || value === '1') return true;
+      if (value === 'false' || value === 0 || value === '0') return false;
+      throw new TypeError(`Cannot decode ${JSON.stringify(value)} as bool`);
+    case 'string':
+      return typeof value === 'string' ? value : String(value);
+    case 'bytes':
+      if (Buffer.isBuffer(value)) return value;
+      return Buffer.from(String(value), 'base64');
+    case 'list': {
+      const list = typeof value === 'string' ? parseJson(value) : value;
+      if (!Array.isArray(list)) throw new TypeError('Cannot decode non-array as list');
+      return list.map(item => element ? decodeValue(element, item) : decodeAny(item));
+    }
+    case 'map': {
+      const obj = typeof value === 'string' ? parseJson(value) : value;
+      if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+        throw new TypeError('Cannot decode non-object as map');
+      }
+      const out = {};
+      for (const [k, v] of Object.entries(obj)) out[k] = decodeAny(v);
+      return out;
+    }
+    default:
+      throw new TypeError(`Unsupported result type "${canonical}"`);
+  }
+}
+
+/**
+ * Decode an already-parsed JSON value.
+ * @private
+ */
+function decodeAny(value) {
+  if (Array.isArray(value)) return value.map(decodeAny);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = decodeAny(v);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Decode untyped legacy result text (QVariant::toString()).
+ * @private
+ */
+function decodeLegacyText(text) {
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  let n = null;
+  if (/^-?\d+$/.test(text)) n = toInteger(text, 'int64');
+  else if (/^-?\d+\.\d+([eE][+-]?\d+)?$/.test(text)) n = Number(text);
+  // "00123" or "1.50" are strings that only look numeric
+  return n !== null && String(n) === text ? n : text;
+}
+
+/**
+ * Decode a successful result message.
+ * @param {string|null} message - Raw message from the module client
+ * @param {string|null} [returns] - Declared return type, if any
+ * @returns {*}
+ */
+function decodeResult(message, returns = null) {
+  if (message === null || message === undefined) {
+    return returns ? decodeValue(returns, '') : null;
+  }
+
+  const legacy = LEGACY_RESULT.exec(message);
+  if (legacy) {
+    const text = legacy[1];
+    if (returns) return decodeValue(returns, text);
+    return decodeLegacyText(text);
+  }
+
+  const parsed = tryParseJson(message);
+  if (parsed.ok) {
+    if (isEnvelope(parsed.value)) return decodeValue(returns || parsed.value.type, parsed.value.value);
+    if (returns) return decodeValue(returns, parsed.value);
+    return decodeAny(parsed.value);
+  }
+
+  return returns ? decodeValue(returns, message) : message;
+}
+
+/**
+ * Build a structured error from a failure message.
+ * @param {string|null} message - Raw message from the module client
+ * @param {Object} [context] - { pluginName, methodName }
+ * @returns {MethodCallError}
+ */
+function decodeError(message, context = {}) {
+  const parsed = tryParseJson(message);
+  let details = null;
+  let text = message || 'Unknown error';
+
+  if (parsed.ok && parsed.value && typeof parsed.value === 'object') {
+    details = decodeAny(parsed.value);
+    text = details.message || details.error || text;
+    if (typeof text !== 'string') text = JSON.stringify(text);
+  }
+
+  const label = [context.pluginName, context.methodName].filter(Boolean).join('.');
+  return new MethodCallError(label ? `${label} failed: ${text}` : text, {
+    ...context,
+    details,
+    rawMessage: message === undefined ? null : message
+  });
+}
+
+/**
+ * Encode a JS value as a QVariant envelope message, the inverse of decodeResult.
+ * Used by in-process backends that stand in for the module client.
+ * @param {*} value
+ * @param {string|null} [type] - Wire type; inferred from the value when omitted
+ * @returns {string}
+ */
+function encodeResult(value, type = null) {
+  if (value === undefined || (value === null && !type)) {
+    return JSON.stringify({ type: 'void', value: '' });
+  }
+  const resolved = type ? normalizeType(type) : inferType(value);
+  if (resolved === 'void') return JSON.stringify({ type: 'void', value: '' });
+  const qtType = QVARIANT_NAMES[resolved] || QVARIANT_NAMES[splitType(resolved).base];
+  return JSON.stringify({ type: qtType, value: encodeValue(resolved, value) });
+}
+
+/**
+ * JSON.stringify for decoded values: BigInt as strings, Buffers as base64
+ * and errors as `{ name, code, message }`.
+ * @param {*} value
+ * @param {number} [indent]
+ * @returns {string}
+ */
+function toJson(value, indent) {
+  const json = JSON.stringify(value, function replacer(key, item) {
+    const raw = this[key];
+    if (typeof raw === 'bigint') return raw.toString();
+    if (Buffer.isBuffer(raw)) return raw.toString('base64');
+    if (raw instanceof Error) return { name: raw.name, code: raw.code, message: raw.message };
+    return item;
+  }, indent);
+  return json === undefined ? 'null' : json;
+}
+
+module.exports = {
+  parseJson,
+  toJson,
+  encodeResult,
+  decodeValue,
+  decodeResult,
+  decodeError,
+};
@@ -0,0 +1,292 @@
+const fs = require('fs');
+const path = require('path');
+const { ConfigError } = require('./errors');
+const { formatIssues } = require('./manifest');
+
+/**
+ * Config files and profiles for LogosAPI.fromConfig() and the CLI.
+ *
+ * A config file (logos.config.js, .cjs or .json) holds shared settings at
+ * its top level and named profiles under `profiles`; a profile may
+ * `extends` another. Settings are merged from lowest to highest precedence:
+ *
+ *   1. the config file's top level
+ *   2. the selected profile (after the profiles it extends)
+ *   3. environment variables (ENV_SETTINGS)
+ *   4. options passed in code or on the command line
+ *
+ * Plain values and arrays replace lower layers; objects (eventProcessing,
+ * ready, signatures, retry, queues, ...) are merged one level deep.
+ * Relative paths in a config file are resolved against the file's
+ * directory, others against the working directory.
+ */
+
+const CONFIG_FILES = ['logos.config.js', 'logos.config.cjs', 'logos.config.json'];
+
+// Environment variables and the settings they provide
+const ENV_SETTINGS = {
+  LOGOS_LIB_PATH: 'libPath',
+  LOGOS_MODULE_CLIENT_LIB_PATH: 'moduleClientLibPath',
+  LOGOS_MODULES_DIR: 'pluginsDir',
+  LOGOS_HOST_PATH: 'logosHostPath',
+  LOGOS_DEFAULT_TIMEOUT: 'defaultTimeout',
+};
+
+const PATH_SETTINGS = ['libPath', 'moduleClientLibPath', 'pluginsDir', 'logosHostPath'];
+
+// Settings passed through to the LogosAPI constructor
+const API_SETTINGS = [...PATH_SETTINGS, 'defaultTimeout', 'signatures', 'worker', 'retry', 'circuitBreaker', 'queues', 'readyProbe'];
+
+// Settings fromConfig() acts on after construction
+const BOOT_SETTINGS = ['pluginsDirs', 'plugins', 'eventProcessing', 'ready'];
+
+const SETTINGS = [...API_SETTINGS, ...BOOT_SETTINGS];
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Find a config file in `dir`.
+ * @param {string} [dir=process.cwd()]
+ * @returns {string|null}
+ */
+function findConfigFile(dir = process.cwd()) {
+  for (const name of CONFIG_FILES) {
+    const candidate = path.resolve(dir, name);
+    if (fs.existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+/**
+ * Read a config file. A .js file may export the config object or a
+ * function `(env) => config`.
+ * @param {string} configPath
+ * @param {Object} [env=process.env]
+ * @returns {Object}
+ */
+function readConfigFile(configPath, env = process.env) {
+  let config;
+  try {
+    if (path.extname(configPath) === '.json') {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    } else {
+      const resolved = require.resolve(path.resolve(configPath));
+      delete require.cache[resolved];
+      config = require(resolved);
+      if (typeof config === 'function') config = config(env);
+    }
+  } catch (error) {
+    throw new ConfigError(`Cannot read config file ${configPath}: ${error.message}`, { configPath, cause: error });
+  }
+  if (!isPlainObject(config)) {
+    throw new ConfigError(`Config file ${configPath} must contain an object`, { configPath });
+  }
+  return config;
+}
+
+/**
+ * Check one layer of settings; returns issues as { field, message }.
+ * @private
+ */
+function validateSettings(settings, prefix, extraKeys = []) {
+  const issues = [];
+  const field = (key) => (prefix ? `${prefix}.${key}` : key);
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (extraKeys.includes(key)) continue;
+    if (!SETTINGS.includes(key)) {
+      issues.push({ field: field(key), message: 'unknown setting' });
+      continue;
+    }
+    if (value === null || value === undefined) continue;
+    if (PATH_SETTINGS.includes(key) && typeof value !== 'string') {
+      issues.push({ field: field(key), message: 'must be a path string' });
+    } else if (key === 'defaultTimeout' && !(Number.isFinite(value) && value >= 0)) {
+      issues.push({ field: field(key), message: 'must be a non-negative number of ms' });
+    } else if ((key === 'pluginsDirs' || key === 'plugins')
+      && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+      issues.push({ field: field(key), message: 'must be an array of strings' });
+    } else if (key === 'eventProcessing' && !(value === false || Number.isFinite(value) || isPlainObject(value))) {
+      issues.push({ field: field(key), message: 'must be false, an interval in ms or an options object' });
+    } else if (key === 'readyProbe' && !(typeof value === 'string' || (isPlainObject(value) && typeof value.method === 'string'))) {
+      issues.push({ field: field(key), message: 'must be a method name or { method, args }' });
+    } else if (key === 'ready' && !(typeof value === 'boolean' || isPlainObject(value))) {
+      issues.push({ field: field(key), message: 'must be a boolean or { timeout, probe }' });
+    } else if (['signatures', 'queues', 'retry', 'circuitBreaker', 'worker'].includes(key)
+      && !(isPlainObject(value) || (!['signatures', 'queues'].includes(key) && typeof value === 'boolean'))) {
+      issues.push({
+        field: field(key),
+        message: ['signatures', 'queues'].includes(key) ? 'must be an object' : 'must be a boolean or an object'
+      });
+    }
+  }
+  return issues;
+}
+
+/**
+ * Resolve relative paths in a layer against `baseDir`.
+ * @private
+ */
+function resolvePaths(settings, baseDir) {
+  const out = { ...settings };
+  for (const key of PATH_SETTINGS) {
+    if (typeof out[key] === 'string') out[key] = path.resolve(baseDir, out[key]);
+  }
+  if (Array.isArray(out.pluginsDirs)) out.pluginsDirs = out.pluginsDirs.map(dir => path.resolve(baseDir, dir));
+  return out;
+}
+
+/**
+ * Merge `layer` over `base`: plain values and arrays replace, objects
+ * merge one level deep; undefined leaves the lower value.
+ * @private
+ */
+function mergeLayer(base, layer) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(layer)) {
+    if (value === undefined) continue;
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? { ...out[key], ...value } : value;
+  }
+  return out;
+}
+
+/**
+ * The settings of `profile`, after the profiles it extends.
+ * @private
+ */
+function profileChain(profiles, profile, context) {
+  const chain = [];
+  const seen = [];
+  let name = profile;
+  while (name) {
+    if (seen.includes(name)) {
+      throw new ConfigError(`Profile "${profile}" extends itself: ${[...seen, name].join(' -> ')}`, context);
+    }
+    seen.push(name);
+    const settings = profiles[name];
+    if (!isPlainObject(settings)) {
+      const available = Object.keys(profiles);
+      throw new ConfigError(
+        `Unknown profile "${name}"` + (available.length ? ` (available: ${available.join(', ')})` : ' (the config has no profiles)'),
+        context
+      );
+    }
+    chain.unshift(settings);
+    name = settings.extends;
+  }
+  return chain;
+}
+
+/**
+ * Settings provided by environment variables.
+ * @private
+ */
+function envSettings(env, cwd, context) {
+  const out = {};
+  for (const [variable, key] of Object.entries(ENV_SETTINGS)) {
+    const value = env[variable];
+    if (value === undefined || value === '') continue;
+    if (key === 'defaultTimeout') {
+      const n = Number(value);
+      if (!Number.isFinite(n) || n < 0) {
+        throw new ConfigError(`${variable} must be a non-negative number of ms, got "${value}"`, context);
+      }
+      out[key] = n;
+    } else {
+      out[key] = path.resolve(cwd, value);
+    }
+  }
+  return out;
+}
+
+/**
+ * Resolve the settings for one profile from a config file, the environment
+ * and explicit overrides.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.configPath] - Config file; default: $LOGOS_CONFIG, else a logos.config.* in `cwd`
+ * @param {string} [options.profile] - Default: $LOGOS_PROFILE, else the file's `defaultProfile`
+ * @param {Object} [options.overrides] - Settings that win over everything else
+ * @param {string} [options.cwd=process.cwd()]
+ * @param {Object} [options.env=process.env]
+ * @returns {{ configPath: string|null, profile: string|null, options: Object, pluginsDirs: string[],
+ *   plugins: string[], eventProcessing: false|number|Object|null, ready: false|Object }}
+ */
+function resolveConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const env = options.env || process.env;
+  const explicitPath = options.configPath || env.LOGOS_CONFIG || null;
+
+  let configPath = null;
+  if (explicitPath) {
+    configPath = path.resolve(cwd, explicitPath);
+    if (!fs.existsSync(configPath)) {
+      throw new ConfigError(`Config file not found: ${configPath}`, { configPath });
+    }
+  } else {
+    configPath = findConfigFile(cwd);
+  }
+
+  const file = configPath ? readConfigFile(configPath, env) : {};
+  const profiles = file.profiles === undefined ? {} : file.profiles;
+  const profile = options.profile || env.LOGOS_PROFILE || file.defaultProfile || null;
+  const context = { configPath, profile };
+
+  const issues = validateSettings(file, '', ['profiles', 'defaultProfile']);
+  if (!isPlainObject(profiles)) issues.push({ field: 'profiles', message: 'must be an object of named profiles' });
+  if (file.defaultProfile !== undefined && typeof file.defaultProfile !== 'string') {
+    issues.push({ field: 'defaultProfile', message: 'must be a profile name' });
+  }
+  for (const [name, settings] of Object.entries(isPlainObject(profiles) ? profiles : {})) {
+    if (!isPlainObject(settings)) {
+      issues.push({ field: `profiles.${name}`, message: 'must be an object' });
+      continue;
+    }
+    if (settings.extends !== undefined && typeof settings.extends !== 'string') {
+      issues.push({ field: `profiles.${name}.extends`, message: 'must be a profile name' });
+    }
+    issues.push(...validateSettings(settings, `profiles.${name}`, ['extends']));
+  }
+  const overrides = options.overrides || {};
+  issues.push(...validateSettings(overrides, 'overrides'));
+  if (issues.length) {
+    const where = configPath ? ` in ${configPath}` : '';
+    throw new ConfigError(`Invalid config${where}:\n${formatIssues(issues)}`, { ...context, errors: issues });
+  }
+
+  const chain = profile ? profileChain(isPlainObject(profiles) ? profiles : {}, profile, context) : [];
+  const baseDir = configPath ? path.dirname(configPath) : cwd;
+  let settings = {};
+  for (const layer of [file, ...chain]) {
+    const { profiles: _p, defaultProfile: _d, extends: _e, ...values } = layer;
+    settings = mergeLayer(settings, resolvePaths(values, baseDir));
+  }
+  settings = mergeLayer(settings, envSettings(env, cwd, context));
+  settings = mergeLayer(settings, resolvePaths(overrides, cwd));
+
+  const apiOptions = {};
+  for (const key of API_SETTINGS) {
+    if (settings[key] !== undefined && settings[key] !== null) apiOptions[key] = settings[key];
+  }
+  const ready = settings.ready === true ? {} : (settings.ready || false);
+
+  return {
+    configPath,
+    profile,
+    options: apiOptions,
+    pluginsDirs: settings.pluginsDirs || [],
+    plugins: settings.plugins || [],
+    eventProcessing: settings.eventProcessing === undefined ? null : settings.eventProcessing,
+    ready
+  };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  ENV_SETTINGS,
+  findConfigFile,
+  readConfigFile,
+  resolveConfig,
+};
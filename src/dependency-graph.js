@@ -0,0 +1,136 @@
+/**
+ * DependencyGraph - plugin dependencies declared in manifests, used to plan
+ * load and unload order before anything is handed to the core.
+ */
+class DependencyGraph {
+  /**
+   * @param {Array<{name: string, dependencies?: string[], shadowed?: boolean}>} entries -
+   *   Catalog entries (see discoverPlugins()); shadowed entries are ignored
+   */
+  constructor(entries = []) {
+    this._deps = new Map();
+    for (const entry of entries) {
+      if (entry.shadowed || this._deps.has(entry.name)) continue;
+      this._deps.set(entry.name, Array.from(new Set(entry.dependencies || [])));
+    }
+  }
+
+  has(name) {
+    return this._deps.has(name);
+  }
+
+  /**
+   * Direct dependencies of a plugin (empty if unknown).
+   * @returns {string[]}
+   */
+  dependenciesOf(name) {
+    return (this._deps.get(name) || []).slice();
+  }
+
+  /**
+   * Direct dependents of a plugin.
+   * @returns {string[]}
+   */
+  dependentsOf(name) {
+    const dependents = [];
+    for (const [plugin, deps] of this._deps) {
+      if (deps.includes(name)) dependents.push(plugin);
+    }
+    return dependents.sort();
+  }
+
+  /**
+   * Plan loading the given plugins and everything they depend on.
+   *
+   * The order is a depth-first topological sort: requested plugins in the
+   * order given, each preceded by its dependencies in declaration order, so
+   * the same input always yields the same plan.
+   *
+   * @param {string[]} names - Plugins to load
+   * @param {Object} [options]
+   * @param {Iterable<string>} [options.loaded] - Plugins already loaded (skipped, and
+   *   accepted as dependencies even without a manifest)
+   * @returns {{ ok: boolean, requested: string[], order: string[],
+   *   steps: Array<{name: string, action: string, reason: string, dependencies: string[]}>,
+   *   missing: Array<{name: string, requiredBy: string}>, cycles: string[][] }}
+   */
+  planLoad(names, options = {}) {
+    const loaded = new Set(options.loaded || []);
+    const requested = Array.from(new Set(names));
+    const order = [];
+    const steps = [];
+    const missing = [];
+    const cycles = [];
+    const state = new Map(); // name -> 'visiting' | 'done'
+    const stack = [];
+
+    const visit = (name, requiredBy) => {
+      if (state.get(name) === 'done') return;
+      if (state.get(name) === 'visiting') {
+        cycles.push([...stack.slice(stack.indexOf(name)), name]);
+        return;
+      }
+      if (!this.has(name)) {
+        if (loaded.has(name)) {
+          state.set(name, 'done');
+          order.push(name);
+          steps.push({ name, action: 'skip', reason: 'already loaded', dependencies: [] });
+        } else {
+          missing.push({ name, requiredBy: requiredBy || null });
+          state.set(name, 'done');
+        }
+        return;
+      }
+
+      state.set(name, 'visiting');
+      stack.push(name);
+      const dependencies = this.dependenciesOf(name);
+      for (const dep of dependencies) visit(dep, name);
+      stack.pop();
+      state.set(name, 'done');
+
+      order.push(name);
+      const reason = loaded.has(name)
+        ? 'already loaded'
+        : (requested.includes(name) ? 'requested' : `dependency of ${requiredBy}`);
+      steps.push({ name, action: loaded.has(name) ? 'skip' : 'load', reason, dependencies });
+    };
+
+    for (const name of requested) visit(name, null);
+
+    return {
+      ok: missing.length === 0 && cycles.length === 0,
+      requested,
+      order,
+      steps,
+      missing,
+      cycles
+    };
+  }
+
+  /**
+   * Order for unloading a plugin together with every loaded plugin that
+   * (transitively) depends on it: dependents first, the plugin itself last.
+   *
+   * @param {string} name
+   * @param {Iterable<string>} loaded - Currently loaded plugins
+   * @returns {string[]}
+   */
+  unloadOrder(name, loaded) {
+    const loadedSet = new Set(loaded);
+    const order = [];
+    const seen = new Set();
+    const visit = (plugin) => {
+      if (seen.has(plugin)) return;
+      seen.add(plugin);
+      for (const dependent of this.dependentsOf(plugin)) {
+        if (loadedSet.has(dependent)) visit(dependent);
+      }
+      order.push(plugin);
+    };
+    visit(name);
+    return order;
+  }
+}
+
+module.exports = DependencyGraph;
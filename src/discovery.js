@@ -0,0 +1,181 @@
+const path = require('path');
+const fs = require('fs');
+const { getLibraryExtension, platformVariants } = require('./platform');
+
+/**
+ * Plugin discovery across plugins directories.
+ *
+ * Two on-disk layouts are recognised:
+ *   1. Subdirectory: <dir>/<name>/manifest.json (or metadata.json, as
+ *      produced by module builds) describing the plugin binary
+ *   2. Flat (legacy): <dir>/<name>_plugin.<ext>
+ *
+ * Entries whose names start with "." are skipped.
+ */
+
+const FLAT_SUFFIX = '_plugin';
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Resolve the binary path a manifest's `main` points at for this platform.
+ * `main` is either an object keyed by platform variant, or (metadata.json)
+ * a single binary basename without extension.
+ * @param {string} pluginDir
+ * @param {*} main
+ * @returns {{ variants: string[], path: string|null }}
+ */
+function resolveMain(pluginDir, main) {
+  if (typeof main === 'string') {
+    const file = path.extname(main) ? main : `${main}${getLibraryExtension()}`;
+    const candidate = path.join(pluginDir, file);
+    return { variants: [], path: fs.existsSync(candidate) ? candidate : null };
+  }
+  if (main && typeof main === 'object') {
+    const variants = Object.keys(main);
+    for (const variant of platformVariants()) {
+      if (typeof main[variant] !== 'string') continue;
+      const candidate = path.join(pluginDir, main[variant]);
+      if (fs.existsSync(candidate)) return { variants, path: candidate };
+    }
+    return { variants, path: null };
+  }
+  return { variants: [], path: null };
+}
+
+/**
+ * Build a catalog entry from a manifest-like object.
+ * @private
+ */
+function makeEntry(fields) {
+  return {
+    name: fields.name,
+    version: fields.version || null,
+    type: fields.type || null,
+    category: fields.category || null,
+    description: fields.description || null,
+    dependencies: Array.isArray(fields.dependencies) ? fields.dependencies.slice() : [],
+    variants: fields.variants || [],
+    path: fields.path || null,
+    dir: fields.dir || null,
+    layout: fields.layout,
+    manifestPath: fields.manifestPath || null,
+    error: fields.error || null,
+    shadowed: false,
+    shadowedBy: null,
+    shadows: []
+  };
+}
+
+/**
+ * Read the plugin described by a subdirectory, if any.
+ * @param {string} dir - Plugins directory
+ * @param {string} subdir - Subdirectory name
+ * @returns {Object|null} Catalog entry
+ */
+function readPluginDirectory(dir, subdir) {
+  const pluginDir = path.join(dir, subdir);
+  for (const [file, layout] of [['manifest.json', 'manifest'], ['metadata.json', 'metadata']]) {
+    const manifestPath = path.join(pluginDir, file);
+    if (!fs.existsSync(manifestPath)) continue;
+
+    let manifest;
+    try {
+      manifest = readJson(manifestPath);
+    } catch (error) {
+      return makeEntry({ name: subdir, dir, layout, manifestPath, error: `Invalid JSON: ${error.message}` });
+    }
+    // Lookups go by directory name, so the entry is keyed by it too
+    const { variants, path: binaryPath } = resolveMain(pluginDir, manifest.main);
+    const mismatch = typeof manifest.name === 'string' && manifest.name && manifest.name !== subdir;
+    return makeEntry({
+      ...manifest,
+      name: subdir,
+      variants,
+      path: binaryPath,
+      dir,
+      layout,
+      manifestPath,
+      error: mismatch ? `Manifest name "${manifest.name}" does not match its directory "${subdir}"` : null
+    });
+  }
+  return null;
+}
+
+/**
+ * Scan one plugins directory for both layouts.
+ * @param {string} dir
+ * @returns {Object[]} Catalog entries, subdirectory layout first
+ */
+function scanPluginsDir(dir) {
+  let dirents;
+  try {
+    dirents = fs.readdirSync(dir, { withFileTypes: true });
+  } catch (_e) {
+    return [];
+  }
+  const ext = getLibraryExtension();
+  const sorted = dirents.slice().sort((a, b) => a.name.localeCompare(b.name));
+  const entries = [];
+
+  for (const dirent of sorted) {
+    // Hidden entries include the installer's .install-* and .backup-* directories
+    if (!dirent.isDirectory() || dirent.name.startsWith('.')) continue;
+    const entry = readPluginDirectory(dir, dirent.name);
+    if (entry) entries.push(entry);
+  }
+  for (const dirent of sorted) {
+    if (dirent.isDirectory() || dirent.name.startsWith('.') || !dirent.name.endsWith(`${FLAT_SUFFIX}${ext}`)) continue;
+    entries.push(makeEntry({
+      name: dirent.name.slice(0, -(FLAT_SUFFIX.length + ext.length)),
+      path: path.join(dir, dirent.name),
+      dir,
+      layout: 'flat'
+    }));
+  }
+  return entries;
+}
+
+/**
+ * Describe where an entry came from, for shadowing reports.
+ * @private
+ */
+function entryLocation(entry) {
+  return entry.manifestPath || entry.path || entry.dir || `${entry.layout}:${entry.name}`;
+}
+
+/**
+ * Build a catalog from backend-provided plugins and plugins directories.
+ * The first entry for a name (in precedence order) is active; later ones
+ * are marked `shadowed` and listed in the active entry's `shadows`.
+ * @param {string[]} dirs - Plugins directories in precedence order
+ * @param {Object[]} [backendPlugins] - Entries from the backend's listPlugins()
+ * @returns {Object[]}
+ */
+function buildCatalog(dirs, backendPlugins = []) {
+  const entries = [
+    ...backendPlugins.map(plugin => makeEntry({ ...plugin, layout: 'backend' })),
+    ...dirs.flatMap(dir => scanPluginsDir(dir))
+  ];
+  const active = new Map();
+  for (const entry of entries) {
+    const winner = active.get(entry.name);
+    if (!winner) {
+      active.set(entry.name, entry);
+      continue;
+    }
+    entry.shadowed = true;
+    entry.shadowedBy = entryLocation(winner);
+    winner.shadows.push(entryLocation(entry));
+  }
+  return entries;
+}
+
+module.exports = {
+  resolveMain,
+  readPluginDirectory,
+  scanPluginsDir,
+  buildCatalog,
+};
@@ -0,0 +1,445 @@
+/**
+ * Error classes raised by the SDK.
+ *
+ * Every SDK error extends LogosError and carries a stable `code` to branch
+ * on instead of matching messages, which may change. Errors that wrap a
+ * lower-level failure keep it as `cause`.
+ */
+
+/**
+ * Base class for all SDK errors.
+ */
+class LogosError extends Error {
+  /**
+   * @param {string} message
+   * @param {string} code - Stable machine-readable code, e.g. "ERR_NOT_INITIALIZED"
+   * @param {Object} [context]
+   * @param {Error} [context.cause] - The underlying error, if any
+   */
+  constructor(message, code, context = {}) {
+    super(message, context.cause === undefined ? undefined : { cause: context.cause });
+    this.name = 'LogosError';
+    this.code = code;
+  }
+}
+
+/**
+ * An operation needs init() to have completed first.
+ */
+class NotInitializedError extends LogosError {
+  /**
+   * @param {string} [message]
+   * @param {Object} [context]
+   * @param {string} [context.operation] - The method that was called
+   */
+  constructor(message = 'LogosAPI must be initialized first', context = {}) {
+    super(message, 'ERR_NOT_INITIALIZED', context);
+    this.name = 'NotInitializedError';
+    this.operation = context.operation || null;
+  }
+}
+
+/**
+ * An operation is not valid in the current lifecycle state, e.g. calling
+ * init() or startEventProcessing() twice.
+ */
+class InvalidStateError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.operation] - The method that was called
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_INVALID_STATE', context);
+    this.name = 'InvalidStateError';
+    this.operation = context.operation || null;
+  }
+}
+
+/**
+ * init() failed for a reason not covered by a more specific error.
+ */
+class InitializationError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {Error} [context.cause]
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_INIT_FAILED', context);
+    this.name = 'InitializationError';
+  }
+}
+
+/**
+ * A native library (liblogos_core, liblogos_module_client) could not be found.
+ */
+class LibraryNotFoundError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.library] - Library base name, e.g. "liblogos_core"
+   * @param {string[]} [context.searched] - Paths that were checked
+   * @param {string} [context.envVar] - Environment variable that can point at the install root
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_LIBRARY_NOT_FOUND', context);
+    this.name = 'LibraryNotFoundError';
+    this.library = context.library || null;
+    this.searched = context.searched || [];
+    this.envVar = context.envVar || null;
+  }
+}
+
+/**
+ * The configured plugins directory does not exist.
+ */
+class PluginsDirNotFoundError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.pluginsDir]
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_PLUGINS_DIR_NOT_FOUND', context);
+    this.name = 'PluginsDirNotFoundError';
+    this.pluginsDir = context.pluginsDir || null;
+  }
+}
+
+/**
+ * liblogos_module_client is not loaded, so method calls and events are unavailable.
+ */
+class ModuleClientUnavailableError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.operation] - The method that was called
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_MODULE_CLIENT_UNAVAILABLE', context);
+    this.name = 'ModuleClientUnavailableError';
+    this.operation = context.operation || null;
+  }
+}
+
+/**
+ * A plugin could not be found in the backend or any plugins directory.
+ */
+class PluginNotFoundError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.pluginName]
+   * @param {string[]} [context.searched] - Locations that were checked
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_PLUGIN_NOT_FOUND', context);
+    this.name = 'PluginNotFoundError';
+    this.pluginName = context.pluginName || null;
+    this.searched = context.searched || [];
+  }
+}
+
+/**
+ * The core failed to process or load a plugin.
+ */
+class PluginLoadError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.pluginName]
+   * @param {string} [context.stage] - 'process', 'load' or 'unload' (reloadPlugin())
+   * @param {Error} [context.cause]
+   * @param {string} [code] - Overridden by subclasses
+   */
+  constructor(message, context = {}, code = 'ERR_PLUGIN_LOAD_FAILED') {
+    super(message, code, context);
+    this.name = 'PluginLoadError';
+    this.pluginName = context.pluginName || null;
+    this.stage = context.stage || null;
+  }
+}
+
+/**
+ * A plugin method call (or event delivery) reported failure.
+ */
+class MethodCallError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.pluginName]
+   * @param {string} [context.methodName]
+   * @param {*} [context.details] - Structured failure payload from the module client, if any
+   * @param {string} [context.rawMessage] - Message exactly as delivered over FFI
+   * @param {Error} [context.cause]
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_METHOD_CALL_FAILED', context);
+    this.name = 'MethodCallError';
+    this.pluginName = context.pluginName || null;
+    this.methodName = context.methodName || null;
+    this.details = context.details === undefined ? null : context.details;
+    this.rawMessage = context.rawMessage === undefined ? null : context.rawMessage;
+  }
+}
+
+/**
+ * A plugin method call or wait did not settle within its timeout.
+ */
+class TimeoutError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.pluginName]
+   * @param {string} [context.methodName]
+   * @param {number} [context.timeout] - Timeout that elapsed, in ms
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_TIMEOUT', context);
+    this.name = 'TimeoutError';
+    this.pluginName = context.pluginName || null;
+    this.methodName = context.methodName || null;
+    this.timeout = context.timeout === undefined ? null : context.timeout;
+  }
+}
+
+/**
+ * A plugin method call or wait was cancelled via its AbortSignal or by cleanup().
+ */
+class AbortError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.pluginName]
+   * @param {string} [context.methodName]
+   * @param {*} [context.reason] - The AbortSignal's reason, if any
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_ABORTED', context);
+    this.name = 'AbortError';
+    this.pluginName = context.pluginName || null;
+    this.methodName = context.methodName || null;
+    this.reason = context.reason === undefined ? null : context.reason;
+  }
+}
+
+/**
+ * A call failed fast because its plugin's circuit breaker is open.
+ */
+class CircuitOpenError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.pluginName]
+   * @param {string} [context.methodName]
+   * @param {string} [context.state] - 'open' or 'half-open' (trial calls already in flight)
+   * @param {number} [context.retryAfter] - ms until the circuit lets a trial call through
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_CIRCUIT_OPEN', context);
+    this.name = 'CircuitOpenError';
+    this.pluginName = context.pluginName || null;
+    this.methodName = context.methodName || null;
+    this.state = context.state || null;
+    this.retryAfter = context.retryAfter === undefined ? null : context.retryAfter;
+  }
+}
+
+/**
+ * A call was rejected because its request queue already holds `maxQueue`
+ * waiting calls.
+ */
+class QueueFullError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.pluginName]
+   * @param {string} [context.methodName]
+   * @param {string} [context.queue] - Queue key, "plugin" or "plugin.method"
+   * @param {number} [context.maxQueue]
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_QUEUE_FULL', context);
+    this.name = 'QueueFullError';
+    this.pluginName = context.pluginName || null;
+    this.methodName = context.methodName || null;
+    this.queue = context.queue || null;
+    this.maxQueue = context.maxQueue === undefined ? null : context.maxQueue;
+  }
+}
+
+/**
+ * An event stream's buffer filled up under the 'error' overflow policy.
+ */
+class EventOverflowError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.pluginName]
+   * @param {string} [context.eventName]
+   * @param {number} [context.bufferSize]
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_EVENT_OVERFLOW', context);
+    this.name = 'EventOverflowError';
+    this.pluginName = context.pluginName || null;
+    this.eventName = context.eventName || null;
+    this.bufferSize = context.bufferSize === undefined ? null : context.bufferSize;
+  }
+}
+
+/**
+ * A plugin's manifest failed validation.
+ */
+class ManifestValidationError extends PluginLoadError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.pluginName]
+   * @param {string} [context.manifestPath]
+   * @param {Array<{field: string, message: string}>} [context.errors]
+   * @param {Array<{field: string, message: string}>} [context.warnings]
+   * @param {Array<{variant: string, file: string|null, exists: boolean}>} [context.triedVariants]
+   */
+  constructor(message, context = {}) {
+    super(message, { ...context, stage: 'process' }, 'ERR_INVALID_MANIFEST');
+    this.name = 'ManifestValidationError';
+    this.manifestPath = context.manifestPath || null;
+    this.errors = context.errors || [];
+    this.warnings = context.warnings || [];
+    this.triedVariants = context.triedVariants || [];
+  }
+}
+
+/**
+ * A load plan has missing dependencies or dependency cycles.
+ */
+class DependencyError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {Array<{name: string, requiredBy: string|null}>} [context.missing]
+   * @param {string[][]} [context.cycles]
+   * @param {Object} [context.plan] - The full plan from planLoad()
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_DEPENDENCY', context);
+    this.name = 'DependencyError';
+    this.missing = context.missing || [];
+    this.cycles = context.cycles || [];
+    this.plan = context.plan || null;
+  }
+}
+
+/**
+ * A config file could not be read, or a profile in it is invalid.
+ */
+class ConfigError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.configPath]
+   * @param {string} [context.profile]
+   * @param {Array<{field: string, message: string}>} [context.errors]
+   * @param {Error} [context.cause]
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_INVALID_CONFIG', context);
+    this.name = 'ConfigError';
+    this.configPath = context.configPath || null;
+    this.profile = context.profile || null;
+    this.errors = context.errors || [];
+  }
+}
+
+/**
+ * A call/event recording could not be read or is malformed.
+ */
+class RecordingError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.path] - The recording file, if read from one
+   * @param {number} [context.line] - 1-based line of the offending entry
+   * @param {Error} [context.cause]
+   */
+  constructor(message, context = {}) {
+    super(message, 'ERR_INVALID_RECORDING', context);
+    this.name = 'RecordingError';
+    this.path = context.path || null;
+    this.line = context.line === undefined ? null : context.line;
+  }
+}
+
+/**
+ * A module archive could not be installed: unreadable or unsafe archive,
+ * or a newer version already installed (without `force`).
+ */
+class InstallError extends LogosError {
+  /**
+   * @param {string} message
+   * @param {Object} [context]
+   * @param {string} [context.pluginName]
+   * @param {string} [context.archivePath]
+   * @param {string} [context.version] - Version in the archive
+   * @param {string} [context.installedVersion] - Version already installed
+   * @param {Error} [context.cause]
+   * @param {string} [code] - Overridden by subclasses
+   */
+  constructor(message, context = {}, code = 'ERR_INSTALL_FAILED') {
+    super(message, code, context);
+    this.name = 'InstallError';
+    this.pluginName = context.pluginName || null;
+    this.archivePath = context.archivePath || null;
+    this.version = context.version || null;
+    this.installedVersion = context.installedVersion || null;
+  }
+}
+
+/**
+ * A file in a module archive does not match the SHA-256 checksum its
+ * manifest declares.
+ */
+class IntegrityError extends InstallError {
+  /**
+   * @param {string} message
+   * @param {Object} [context] - As for InstallError, plus:
+   * @param {string} [context.variant] - Platform variant, e.g. "linux-x86_64"
+   * @param {string} [context.file] - Path within the package
+   * @param {string} [context.expected] - Declared SHA-256 (hex)
+   * @param {string} [context.actual] - Computed SHA-256 (hex), null if the file is missing
+   */
+  constructor(message, context = {}) {
+    super(message, context, 'ERR_INTEGRITY');
+    this.name = 'IntegrityError';
+    this.variant = context.variant || null;
+    this.file = context.file || null;
+    this.expected = context.expected || null;
+    this.actual = context.actual || null;
+  }
+}
+
+module.exports = {
+  LogosError,
+  NotInitializedError,
+  InvalidStateError,
+  InitializationError,
+  LibraryNotFoundError,
+  PluginsDirNotFoundError,
+  ModuleClientUnavailableError,
+  PluginNotFoundError,
+  PluginLoadError,
+  ManifestValidationError,
+  DependencyError,
+  MethodCallError,
+  TimeoutError,
+  AbortError,
+  CircuitOpenError,
+  QueueFullError,
+  EventOverflowError,
+  ConfigError,
+  RecordingError,
+  InstallError,
+  IntegrityError,
+};
@@ -0,0 +1,178 @@
+const { performance } = require('perf_hooks');
+
+/**
+ * EventPump - schedules processEvents() calls for startEventProcessing().
+ *
+ * In adaptive mode (the default) the pump runs every `minInterval` ms while
+ * calls are pending or the previous pump delivered something, and otherwise
+ * backs off by `backoff` per quiet pump up to `maxInterval`. A new call
+ * wakes it immediately. The timer is unref()'d while no calls are pending
+ * and no listeners are registered, so an idle pump does not keep the
+ * process alive. With `adaptive: false` it pumps every `interval` ms and
+ * keeps the process alive, as setInterval would.
+ */
+class EventPump {
+  /**
+   * @param {Function} pump - Runs one round of event processing
+   * @param {Object} hooks
+   * @param {Function} hooks.pendingCalls - () => number of calls awaiting results
+   * @param {Function} hooks.listeners - () => number of registered event listeners
+   * @param {Function} hooks.deliveries - () => running count of callbacks delivered
+   * @param {Object} [options]
+   * @param {boolean} [options.adaptive=true]
+   * @param {number} [options.minInterval=5] - Delay while busy, in ms
+   * @param {number} [options.maxInterval=100] - Backoff cap, in ms
+   * @param {number} [options.backoff=2] - Delay multiplier per quiet pump
+   * @param {number} [options.interval=100] - Fixed delay when not adaptive, in ms
+   */
+  constructor(pump, hooks, options = {}) {
+    const {
+      adaptive = true,
+      minInterval = 5,
+      maxInterval = 100,
+      backoff = 2,
+      interval = 100
+    } = options;
+    for (const [name, value] of Object.entries({ minInterval, maxInterval, interval })) {
+      if (!Number.isFinite(value) || value < 0) throw new RangeError(`${name} must be a non-negative number of ms`);
+    }
+    if (!Number.isFinite(backoff) || backoff < 1) throw new RangeError('backoff must be a number >= 1');
+    if (adaptive && minInterval > maxInterval) throw new RangeError('minInterval must not exceed maxInterval');
+
+    this.adaptive = adaptive;
+    this.minInterval = minInterval;
+    this.maxInterval = maxInterval;
+    this.backoff = backoff;
+    this.interval = interval;
+
+    this._pump = pump;
+    this._hooks = hooks;
+    this._timer = null;
+    this._delay = adaptive ? minInterval : interval;
+    this._lastDeliveries = 0;
+    this._stats = null;
+  }
+
+  get running() {
+    return this._stats !== null && this._stats.stoppedAt === null;
+  }
+
+  start() {
+    this._lastDeliveries = this._hooks.deliveries();
+    this._stats = {
+      startedAt: Date.now(),
+      stoppedAt: null,
+      pumps: 0,
+      activePumps: 0,
+      deliveries: 0,
+      totalMs: 0,
+      maxMs: 0,
+      lastMs: null
+    };
+    this._schedule(this._delay);
+  }
+
+  stop() {
+    if (!this.running) return false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._stats.stoppedAt = Date.now();
+    return true;
+  }
+
+  /**
+   * Pump soon: called when a call is sent or a listener is added.
+   */
+  wake() {
+    if (!this.running || !this.adaptive) return;
+    this._delay = this.minInterval;
+    if (!this._timer || this._dueAt - performance.now() > this.minInterval) {
+      this._schedule(this.minInterval);
+    } else {
+      this._updateRef();
+    }
+  }
+
+  /**
+   * Timing and scheduling counters since start().
+   * @returns {Object}
+   */
+  stats() {
+    const stats = this._stats;
+    if (!stats) return EventPump.idleStats();
+    return {
+      running: this.running,
+      adaptive: this.adaptive,
+      interval: this.running ? this._delay : null,
+      referenced: !!(this._timer && this._timer.hasRef()),
+      pumps: stats.pumps,
+      activePumps: stats.activePumps,
+      deliveries: stats.deliveries,
+      totalMs: stats.totalMs,
+      avgMs: stats.pumps ? stats.totalMs / stats.pumps : null,
+      maxMs: stats.maxMs,
+      lastMs: stats.lastMs,
+      startedAt: stats.startedAt && new Date(stats.startedAt).toISOString(),
+      stoppedAt: stats.stoppedAt && new Date(stats.stoppedAt).toISOString()
+    };
+  }
+
+  /**
+   * Stats for a pump that never ran.
+   * @returns {Object}
+   */
+  static idleStats() {
+    return {
+      running: false, adaptive: null, interval: null, referenced: false,
+      pumps: 0, activePumps: 0, deliveries: 0, totalMs: 0, avgMs: null, maxMs: 0, lastMs: null,
+      startedAt: null, stoppedAt: null
+    };
+  }
+
+  _schedule(delay) {
+    clearTimeout(this._timer);
+    this._dueAt = performance.now() + delay;
+    this._timer = setTimeout(() => this._tick(), delay);
+    this._updateRef();
+  }
+
+  _updateRef() {
+    if (!this._timer) return;
+    const outstanding = !this.adaptive || this._hooks.pendingCalls() > 0 || this._hooks.listeners() > 0;
+    if (outstanding) this._timer.ref();
+    else this._timer.unref();
+  }
+
+  _tick() {
+    this._timer = null;
+    const startedAt = performance.now();
+    try {
+      this._pump();
+    } finally {
+      const elapsed = performance.now() - startedAt;
+      const stats = this._stats;
+      stats.pumps++;
+      stats.totalMs += elapsed;
+      stats.lastMs = elapsed;
+      if (elapsed > stats.maxMs) stats.maxMs = elapsed;
+
+      // Results may arrive during the pump or, with a worker, between pumps
+      const deliveries = this._hooks.deliveries();
+      const delivered = deliveries - this._lastDeliveries;
+      this._lastDeliveries = deliveries;
+      stats.deliveries += delivered;
+      if (delivered > 0) stats.activePumps++;
+
+      if (this.running) {
+        if (this.adaptive) {
+          this._delay = delivered > 0 || this._hooks.pendingCalls() > 0
+            ? this.minInterval
+            : Math.min(this.maxInterval, Math.max(1, this._delay) * this.backoff);
+        }
+        this._schedule(this._delay);
+      }
+    }
+  }
+}
+
+module.exports = EventPump;
@@ -0,0 +1,135 @@
+const { EventOverflowError } = require('./errors');
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'error'];
+
+/**
+ * EventStream - an async iterator over plugin events with a bounded buffer.
+ *
+ * Events arriving while nobody is awaiting `next()` are buffered up to
+ * `bufferSize`. When the buffer is full the overflow policy applies:
+ * - 'drop-oldest': discard the oldest buffered event (default)
+ * - 'drop-newest': discard the incoming event
+ * - 'error': end the stream; the next `next()` rejects with EventOverflowError
+ *
+ * A failed delivery ends the stream with that error. Breaking out of a
+ * `for await` loop (or calling `return()`) unsubscribes.
+ */
+class EventStream {
+  /**
+   * @param {Object} options
+   * @param {string} options.pluginName
+   * @param {string} options.eventName
+   * @param {number} [options.bufferSize=100]
+   * @param {string} [options.overflow='drop-oldest']
+   * @param {Function} options.onClose - Called once when the stream ends
+   */
+  constructor(options) {
+    const { pluginName, eventName, bufferSize = 100, overflow = 'drop-oldest', onClose } = options;
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new TypeError(`Invalid overflow policy "${overflow}". Expected one of: ${OVERFLOW_POLICIES.join(', ')}`);
+    }
+    if (!Number.isInteger(bufferSize) || bufferSize < 1) {
+      throw new TypeError('bufferSize must be a positive integer');
+    }
+    this.pluginName = pluginName;
+    this.eventName = eventName;
+    this.bufferSize = bufferSize;
+    this.overflow = overflow;
+    this.dropped = 0;
+    this._buffer = [];
+    this._waiters = [];
+    this._error = null;
+    this._done = false;
+    this._onClose = onClose;
+  }
+
+  /**
+   * Feed an event into the stream.
+   * @private
+   */
+  _push(value) {
+    if (this._done) return;
+    if (this._waiters.length) {
+      this._waiters.shift().resolve({ value, done: false });
+      return;
+    }
+    if (this._buffer.length < this.bufferSize) {
+      this._buffer.push(value);
+      return;
+    }
+    this.dropped++;
+    switch (this.overflow) {
+      case 'drop-oldest':
+        this._buffer.shift();
+        this._buffer.push(value);
+        break;
+      case 'drop-newest':
+        break;
+      case 'error':
+        this._fail(new EventOverflowError(
+          `Event buffer for ${this.pluginName}.${this.eventName} overflowed (${this.bufferSize} events)`,
+          { pluginName: this.pluginName, eventName: this.eventName, bufferSize: this.bufferSize }
+        ));
+        break;
+    }
+  }
+
+  /**
+   * End the stream with an error, delivered after any buffered events.
+   * @private
+   */
+  _fail(error) {
+    if (this._done) return;
+    this._error = error;
+    this._close();
+    while (this._waiters.length) this._waiters.shift().reject(error);
+  }
+
+  /**
+   * End the stream normally.
+   * @private
+   */
+  _end() {
+    if (this._done) return;
+    this._close();
+    while (this._waiters.length) this._waiters.shift().resolve({ value: undefined, done: true });
+  }
+
+  _close() {
+    this._done = true;
+    if (this._onClose) {
+      const onClose = this._onClose;
+      this._onClose = null;
+      onClose();
+    }
+  }
+
+  next() {
+    if (this._buffer.length) {
+      return Promise.resolve({ value: this._buffer.shift(), done: false });
+    }
+    if (this._error) {
+      const error = this._error;
+      this._error = null;
+      return Promise.reject(error);
+    }
+    if (this._done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve, reject) => this._waiters.push({ resolve, reject }));
+  }
+
+  return(value) {
+    this._buffer = [];
+    this._error = null;
+    this._end();
+    return Promise.resolve({ value, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+module.exports = EventStream;
+module.exports.OVERFLOW_POLICIES = OVERFLOW_POLICIES;
@@ -0,0 +1,527 @@
+const crypto = require('crypto');
+const http = require('http');
+const { URL } = require('url');
+const { TypedValue, encodeParams } = require('./types');
+const { parseJson, toJson } = require('./codec');
+const { LogosError, InvalidStateError } = require('./errors');
+const { isValidPluginName } = require('./manifest');
+const { isWebSocketUpgrade, acceptWebSocket, rejectUpgrade } = require('./websocket');
+
+/**
+ * Gateway - exposes a LogosAPI instance to other processes.
+ *
+ *   POST /rpc             JSON-RPC 2.0 (single or batch); method "<plugin>.<method>"
+ *   GET  /plugins         Known, loaded and discovered plugins
+ *   GET  /plugins/:name   validatePlugin() report plus known/loaded
+ *   GET  /stats           getModuleStats()
+ *   GET  /health          Liveness and counters
+ *   GET  /events          WebSocket: JSON-RPC calls plus subscribe/unsubscribe
+ *
+ * Nothing is callable until allowed: `allow` lists "plugin.method" patterns
+ * and `allowEvents` lists "plugin.event" patterns (`*` matches any run of
+ * characters). Every request needs `Authorization: Bearer <token>`;
+ * WebSocket clients that cannot set headers may pass `?token=` instead.
+ * Serving without a token takes an explicit `insecure: true`. Requests
+ * that carry an Origin header (browsers) are refused unless `cors` allows
+ * that origin, and POST /rpc only accepts application/json bodies.
+ */
+
+// JSON-RPC 2.0 error codes
+const RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // Server-defined range: the SDK error's own code is in error.data.code
+  CALL_FAILED: -32000,
+};
+
+class RpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'RpcError';
+    this.rpcCode = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Compile allowlist patterns into one predicate.
+ * @private
+ */
+function compilePatterns(patterns) {
+  const regexes = (patterns || []).map(pattern => new RegExp(
+    '^' + String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'
+  ));
+  return (name) => regexes.some(regex => regex.test(name));
+}
+
+/**
+ * Turn `{ "$type": "int64", "value": "..." }` arguments into TypedValues.
+ * Bytes values are base64 strings.
+ * @private
+ */
+function decodeArgument(arg) {
+  if (!arg || typeof arg !== 'object' || Array.isArray(arg) || !('$type' in arg)) return arg;
+  const value = arg.$type === 'bytes' && typeof arg.value === 'string'
+    ? Buffer.from(arg.value, 'base64')
+    : arg.value;
+  return new TypedValue(arg.$type, value);
+}
+
+/**
+ * Compare secrets without leaking their length through timing.
+ * @private
+ */
+function safeEqual(a, b) {
+  const ha = crypto.createHash('sha256').update(String(a)).digest();
+  const hb = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+class Gateway {
+  /**
+   * @param {LogosAPI} api - Initialized instance; plugins are loaded by the host application
+   * @param {Object} [options]
+   * @param {number} [options.port=8765] - 0 picks a free port
+   * @param {string} [options.host='127.0.0.1'] - Interface to bind
+   * @param {string} [options.token] - Bearer token required on every request
+   * @param {boolean} [options.insecure=false] - Allow serving without a token
+   * @param {string[]} [options.allow=[]] - Callable "plugin.method" patterns
+   * @param {string[]} [options.allowEvents=[]] - Subscribable "plugin.event" patterns
+   * @param {string|boolean} [options.cors] - Origin allowed to call from a browser, sent as
+   *   Access-Control-Allow-Origin; true for "*"
+   * @param {number} [options.timeout] - Per-call timeout in ms; defaults to the api's defaultTimeout
+   * @param {number} [options.maxBodySize=1048576] - Largest accepted request body or WebSocket message
+   */
+  constructor(api, options = {}) {
+    this.api = api;
+    this.options = {
+      port: 8765,
+      host: '127.0.0.1',
+      token: null,
+      insecure: false,
+      allow: [],
+      allowEvents: [],
+      cors: null,
+      timeout: undefined,
+      maxBodySize: 1024 * 1024,
+      ...options
+    };
+    if (!this.options.token && !this.options.insecure) {
+      throw new TypeError('Gateway needs a token; pass insecure: true to serve without authentication');
+    }
+    this._isMethodAllowed = compilePatterns(this.options.allow);
+    this._isEventAllowed = compilePatterns(this.options.allowEvents);
+    this._server = null;
+    this._sockets = new Set();
+    this._connections = new Set();
+    this._onShutdown = () => { this.close(); };
+  }
+
+  /**
+   * Start listening.
+   * @returns {Promise<{address: string, port: number}>}
+   */
+  listen() {
+    if (this._server) {
+      return Promise.reject(new InvalidStateError('Gateway is already listening', { operation: 'listen' }));
+    }
+    const server = http.createServer((req, res) => this._handleRequest(req, res));
+    server.on('upgrade', (req, socket, head) => this._handleUpgrade(req, socket, head));
+    server.on('connection', (socket) => {
+      this._sockets.add(socket);
+      socket.on('close', () => this._sockets.delete(socket));
+    });
+    this._server = server;
+
+    return new Promise((resolve, reject) => {
+      server.once('error', (error) => {
+        this._server = null;
+        reject(error);
+      });
+      server.listen(this.options.port, this.options.host, () => {
+        this.api.once('shutdown', this._onShutdown);
+        resolve(this.address());
+      });
+    });
+  }
+
+  /**
+   * The bound address, or null when not listening.
+   * @returns {{address: string, port: number}|null}
+   */
+  address() {
+    const address = this._server && this._server.address();
+    return address ? { address: address.address, port: address.port } : null;
+  }
+
+  /**
+   * Stop listening, close WebSocket connections (removing their listeners)
+   * and abort calls still in flight.
+   * @returns {Promise<void>}
+   */
+  close() {
+    const server = this._server;
+    if (!server) return Promise.resolve();
+    this._server = null;
+    this.api.removeListener('shutdown', this._onShutdown);
+
+    for (const connection of Array.from(this._connections)) connection.close(1001, 'Gateway closing');
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      for (const socket of this._sockets) socket.destroy();
+    });
+  }
+
+  /**
+   * Handle a parsed JSON-RPC payload (single request or batch).
+   * @param {*} payload
+   * @param {Object} [context]
+   * @param {AbortSignal} [context.signal] - Aborts the calls, e.g. when the client disconnects
+   * @returns {Promise<Object|Object[]|null>} null when nothing needs answering (notifications)
+   */
+  async handleRpc(payload, context = {}) {
+    if (Array.isArray(payload)) {
+      if (!payload.length) return this._rpcErrorResponse(null, new RpcError(RPC_ERRORS.INVALID_REQUEST, 'Empty batch'));
+      const responses = await Promise.all(payload.map(request => this._handleRpcRequest(request, context)));
+      const answered = responses.filter(Boolean);
+      return answered.length ? answered : null;
+    }
+    return this._handleRpcRequest(payload, context);
+  }
+
+  async _handleRpcRequest(request, context) {
+    const id = request && typeof request === 'object' && ('id' in request) ? request.id : undefined;
+    try {
+      if (!request || typeof request !== 'object' || Array.isArray(request) ||
+          request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+        throw new RpcError(RPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
+      }
+      const result = context.dispatch
+        ? await context.dispatch(request.method, request.params)
+        : await this._call(request.method, request.params, context);
+      return id === undefined ? null : { jsonrpc: '2.0', id, result: result === undefined ? null : result };
+    } catch (error) {
+      if (id === undefined && !(error instanceof RpcError && error.rpcCode === RPC_ERRORS.INVALID_REQUEST)) return null;
+      return this._rpcErrorResponse(id === undefined ? null : id, error);
+    }
+  }
+
+  _call(method, params, context) {
+    const dot = method.indexOf('.');
+    const pluginName = method.slice(0, dot);
+    const methodName = method.slice(dot + 1);
+    if (dot <= 0 || !methodName || methodName.includes('.') || method.startsWith('rpc.') ||
+        !this._isMethodAllowed(method)) {
+      throw new RpcError(RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+    if (params !== undefined && !Array.isArray(params)) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'params must be an array of positional arguments');
+    }
+
+    let wire;
+    try {
+      const args = (params || []).map(decodeArgument);
+      wire = JSON.stringify(encodeParams(args, this.api.getSignature(pluginName, methodName), method));
+    } catch (error) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, error.message);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.api.callPluginMethodAsync(pluginName, methodName, wire, (success, value) => {
+        if (success) resolve(value);
+        else reject(value);
+      }, { timeout: this.options.timeout, signal: context.signal });
+    });
+  }
+
+  _rpcErrorResponse(id, error) {
+    let code = RPC_ERRORS.INTERNAL_ERROR;
+    let data;
+    if (error instanceof RpcError) {
+      code = error.rpcCode;
+      data = error.data;
+    } else if (error instanceof LogosError) {
+      code = RPC_ERRORS.CALL_FAILED;
+      data = { code: error.code };
+      for (const key of ['pluginName', 'methodName', 'timeout', 'details', 'retryAfter']) {
+        if (error[key] !== undefined && error[key] !== null) data[key] = error[key];
+      }
+    }
+    const body = { code, message: error.message };
+    if (data !== undefined) body.data = data;
+    return { jsonrpc: '2.0', id, error: body };
+  }
+
+  // ===== HTTP =====
+
+  _handleRequest(req, res) {
+    this._applyCors(res);
+    if (req.method === 'OPTIONS' && this.options.cors) {
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+        'Access-Control-Max-Age': '600'
+      });
+      return res.end();
+    }
+    if (!this._originAllowed(req)) return this._send(res, 403, { error: 'Origin not allowed' });
+    if (!this._authorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      return this._send(res, 401, { error: 'Unauthorized' });
+    }
+
+    const url = new URL(req.url, 'http://gateway');
+    let segments;
+    try {
+      segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (_e) {
+      return this._send(res, 400, { error: `Malformed path ${url.pathname}` });
+    }
+
+    if (segments[0] === 'rpc' && segments.length === 1) {
+      if (req.method !== 'POST') return this._methodNotAllowed(res, 'POST');
+      const contentType = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+      if (contentType !== 'application/json') {
+        req.resume();
+        return this._send(res, 415, { error: 'Content-Type must be application/json' });
+      }
+      return this._handleRpcHttp(req, res);
+    }
+
+    const route = this._readOnlyRoute(segments);
+    if (!route) return this._send(res, 404, { error: `No route for ${url.pathname}` });
+    if (req.method !== 'GET' && req.method !== 'HEAD') return this._methodNotAllowed(res, 'GET');
+    try {
+      return this._send(res, 200, route());
+    } catch (error) {
+      return this._send(res, error.status || (error instanceof LogosError ? 503 : 500), {
+        error: error.message, code: error.code
+      });
+    }
+  }
+
+  _readOnlyRoute(segments) {
+    const api = this.api;
+    const [first, second] = segments;
+    if (segments.length === 1 && first === 'health') {
+      return () => ({
+        status: 'ok',
+        initialized: api.isInitialized,
+        started: api.isStarted,
+        pendingCalls: api.isInitialized ? api.getPendingCalls().length : 0,
+        connections: this._connections.size,
+        circuits: api.getCircuitStates(),
+        queues: api.getQueueStats()
+      });
+    }
+    if (segments.length === 1 && first === 'stats') return () => api.getModuleStats();
+    if (segments.length === 1 && first === 'plugins') {
+      return () => ({
+        ...api.getPluginStatus(),
+        discovered: api.discoverPlugins().filter(entry => !entry.shadowed).map(entry => ({
+          name: entry.name,
+          version: entry.version || null,
+          type: entry.type || null,
+          description: entry.description || null,
+          dependencies: entry.dependencies || [],
+          layout: entry.layout,
+          error: entry.error || null
+        }))
+      });
+    }
+    if (segments.length === 2 && first === 'plugins') {
+      if (!isValidPluginName(second)) {
+        return () => {
+          throw Object.assign(new Error(`Invalid plugin name ${JSON.stringify(second)}`), { status: 400 });
+        };
+      }
+      return () => {
+        const report = api.validatePlugin(second);
+        const { loaded, known } = api.getPluginStatus();
+        return {
+          ...report,
+          known: known.includes(second),
+          loaded: loaded.includes(second)
+        };
+      };
+    }
+    return null;
+  }
+
+  _handleRpcHttp(req, res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort(new Error('Client disconnected'));
+    });
+
+    this._readBody(req, (error, text) => {
+      if (error) return this._send(res, error.status || 400, { error: error.message });
+      let payload;
+      try {
+        payload = parseJson(text);
+      } catch (parseError) {
+        return this._send(res, 200, this._rpcErrorResponse(null,
+          new RpcError(RPC_ERRORS.PARSE_ERROR, `Parse error: ${parseError.message}`)));
+      }
+      this.handleRpc(payload, { signal: controller.signal }).then((response) => {
+        if (response === null) {
+          res.writeHead(204);
+          return res.end();
+        }
+        this._send(res, 200, response);
+      });
+    });
+  }
+
+  _readBody(req, done) {
+    const chunks = [];
+    let size = 0;
+    let finished = false;
+    req.on('data', (chunk) => {
+      if (finished) return;
+      size += chunk.length;
+      if (size > this.options.maxBodySize) {
+        finished = true;
+        const error = new Error(`Request body exceeds ${this.options.maxBodySize} bytes`);
+        error.status = 413;
+        req.resume();
+        return done(error);
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (finished) return;
+      finished = true;
+      done(null, Buffer.concat(chunks).toString('utf8'));
+    });
+    req.on('error', (error) => {
+      if (finished) return;
+      finished = true;
+      done(error);
+    });
+  }
+
+  _authorized(req, url) {
+    const { token } = this.options;
+    if (!token) return true;
+    const header = req.headers.authorization || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    if (match) return safeEqual(match[1].trim(), token);
+    const queryToken = url && url.searchParams.get('token');
+    return queryToken ? safeEqual(queryToken, token) : false;
+  }
+
+  /**
+   * Browsers send Origin on cross-origin requests and WebSocket upgrades; only
+   * the configured `cors` origin may reach the gateway that way. Clients
+   * that send no Origin (curl, other processes) are not browsers and pass.
+   * @private
+   */
+  _originAllowed(req) {
+    const origin = req.headers.origin;
+    if (origin === undefined) return true;
+    const { cors } = this.options;
+    return cors === true || (typeof cors === 'string' && cors === origin);
+  }
+
+  _applyCors(res) {
+    const { cors } = this.options;
+    if (!cors) return;
+    res.setHeader('Access-Control-Allow-Origin', cors === true ? '*' : cors);
+    if (cors !== true) res.setHeader('Vary', 'Origin');
+  }
+
+  _methodNotAllowed(res, allowed) {
+    res.setHeader('Allow', allowed);
+    this._send(res, 405, { error: 'Method not allowed' });
+  }
+
+  _send(res, status, body) {
+    if (res.writableEnded) return;
+    const json = toJson(body);
+    res.writeHead(status, {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Content-Length': Buffer.byteLength(json),
+      'Cache-Control': 'no-store'
+    });
+    res.end(json);
+  }
+
+  // ===== WebSocket =====
+
+  _handleUpgrade(req, socket, head) {
+    const url = new URL(req.url, 'http://gateway');
+    if (url.pathname !== '/events' || !isWebSocketUpgrade(req)) {
+      return rejectUpgrade(socket, 404, `No WebSocket endpoint at ${url.pathname}`);
+    }
+    if (!this._originAllowed(req)) return rejectUpgrade(socket, 403, 'Origin not allowed');
+    if (!this._authorized(req, url)) return rejectUpgrade(socket, 401, 'Unauthorized');
+
+    const connection = acceptWebSocket(req, socket, head, { maxPayload: this.options.maxBodySize });
+    const subscriptions = new Map(); // subscriptionId -> listenerId
+    const controller = new AbortController();
+    this._connections.add(connection);
+
+    const send = (message) => connection.send(toJson(message));
+    const dispatch = (method, params) => {
+      if (method === 'subscribe') return this._subscribe(params, subscriptions, send);
+      if (method === 'unsubscribe') return this._unsubscribe(params, subscriptions);
+      return this._call(method, params, { signal: controller.signal });
+    };
+
+    connection.on('message', (text, isBinary) => {
+      if (isBinary) return connection.close(1003, 'Binary messages are not supported');
+      let payload;
+      try {
+        payload = parseJson(text);
+      } catch (error) {
+        return send(this._rpcErrorResponse(null, new RpcError(RPC_ERRORS.PARSE_ERROR, `Parse error: ${error.message}`)));
+      }
+      this.handleRpc(payload, { dispatch }).then((response) => {
+        if (response !== null) send(response);
+      });
+    });
+    connection.on('close', () => {
+      this._connections.delete(connection);
+      controller.abort(new Error('WebSocket closed'));
+      for (const listenerId of subscriptions.values()) this.api.removeEventListener(listenerId);
+      subscriptions.clear();
+    });
+  }
+
+  _subscribe(params, subscriptions, send) {
+    const { plugin, event } = Array.isArray(params)
+      ? { plugin: params[0], event: params[1] }
+      : (params || {});
+    if (typeof plugin !== 'string' || typeof event !== 'string' || !plugin || !event) {
+      throw new RpcError(RPC_ERRORS.INVALID_PARAMS, 'subscribe expects { plugin, event }');
+    }
+    if (!this._isEventAllowed(`${plugin}.${event}`)) {
+      throw new RpcError(RPC_ERRORS.METHOD_NOT_FOUND, `Event not found: ${plugin}.${event}`);
+    }
+
+    const subscription = crypto.randomUUID();
+    const listenerId = this.api.registerEventListener(plugin, event, (success, value) => {
+      const params = { subscription, plugin, event, timestamp: new Date().toISOString() };
+      if (success) params.data = value;
+      else params.error = { code: value.code || null, message: value.message };
+      send({ jsonrpc: '2.0', method: 'event', params });
+    });
+    subscriptions.set(subscription, listenerId);
+    return { subscription };
+  }
+
+  _unsubscribe(params, subscriptions) {
+    const subscription = Array.isArray(params) ? params[0] : (params || {}).subscription;
+    const listenerId = subscriptions.get(subscription);
+    if (!listenerId) return false;
+    subscriptions.delete(subscription);
+    return this.api.removeEventListener(listenerId);
+  }
+}
+
+module.exports = Gateway;
+module.exports.RPC_ERRORS = RPC_ERRORS;
@@ -0,0 +1,236 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const { readArchive, extractEntries } = require('./archive');
+const { validateManifest, formatIssues, isValidPluginName, compareVersions, normalizeChecksum } = require('./manifest');
+const { InstallError, IntegrityError, ManifestValidationError } = require('./errors');
+
+/**
+ * Module package installation.
+ *
+ * A module package is a .tar, .tar.gz or .zip archive holding a plugin
+ * directory: manifest.json at the root (or inside a single top-level
+ * directory) plus the binaries its `main` points at. It is installed as
+ * `<dir>/<name>/`, where name comes from the manifest.
+ *
+ * The archive is extracted to a staging directory next to the target and
+ * checked there: the manifest must validate (including a binary for this
+ * platform) and every checksum in its `checksums` must match the file
+ * `main` declares for that variant. Only then is the staging directory
+ * swapped in, so a failed install leaves the previous version untouched.
+ */
+
+/**
+ * SHA-256 of a file, lowercase hex.
+ * @param {string} file
+ * @returns {string}
+ */
+function sha256File(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+/**
+ * Read a plugin directory's manifest.json, or null if missing or unreadable.
+ * @private
+ */
+function readInstalledManifest(pluginDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(pluginDir, 'manifest.json'), 'utf8'));
+  } catch (_e) {
+    return null;
+  }
+}
+
+/**
+ * Drop a single top-level directory when manifest.json is not at the root.
+ * @private
+ */
+function packageRoot(entries) {
+  if (entries.some(entry => entry.path === 'manifest.json')) return entries;
+  const tops = new Set(entries.map(entry => entry.path.split('/')[0]));
+  if (tops.size !== 1) return entries;
+  const [top] = tops;
+  return entries
+    .filter(entry => entry.path !== top)
+    .map(entry => ({ ...entry, path: entry.path.slice(top.length + 1) }));
+}
+
+/**
+ * Check the declared checksums against the staged files.
+ * @private
+ * @returns {Array<{variant: string, file: string, sha256: string}>}
+ */
+function verifyChecksums(manifest, stagingDir, context, requireChecksums) {
+  const checksums = manifest.checksums || {};
+  const main = manifest.main && typeof manifest.main === 'object' ? manifest.main : {};
+  const verified = [];
+
+  if (requireChecksums) {
+    const missing = Object.keys(main).filter(variant => !(variant in checksums));
+    if (missing.length) {
+      throw new IntegrityError(
+        `Package "${context.pluginName}" declares no checksum for ${missing.join(', ')}`,
+        { ...context, variant: missing[0], file: main[missing[0]] }
+      );
+    }
+  }
+
+  for (const [variant, digest] of Object.entries(checksums)) {
+    const expected = normalizeChecksum(digest);
+    const file = main[variant];
+    if (typeof file !== 'string') {
+      throw new IntegrityError(
+        `Package "${context.pluginName}" has a checksum for ${variant} but no binary for it in main`,
+        { ...context, variant, expected }
+      );
+    }
+    const fullPath = path.resolve(stagingDir, file);
+    const relative = path.relative(stagingDir, fullPath);
+    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+      throw new IntegrityError(`Binary for ${variant} (${file}) is outside the package`, { ...context, variant, file, expected });
+    }
+    if (!fs.existsSync(fullPath)) {
+      throw new IntegrityError(`Binary for ${variant} (${file}) is missing from the package`, { ...context, variant, file, expected });
+    }
+    const actual = sha256File(fullPath);
+    if (actual !== expected) {
+      throw new IntegrityError(
+        `Checksum mismatch for ${variant} (${file}): expected ${expected}, got ${actual}`,
+        { ...context, variant, file, expected, actual }
+      );
+    }
+    verified.push({ variant, file, sha256: actual });
+  }
+  return verified;
+}
+
+/**
+ * Install a module archive into a plugins directory.
+ *
+ * @param {string} archivePath
+ * @param {string} dir - Plugins directory; created if missing
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Replace even a newer installed version
+ * @param {boolean} [options.requireChecksums=false] - Fail unless every variant in `main` has a checksum
+ * @returns {{ name: string, version: string, previousVersion: string|null, dir: string, path: string,
+ *   verified: Array<{variant: string, file: string, sha256: string}>, warnings: Array<{field: string, message: string}> }}
+ */
+function installArchive(archivePath, dir, options = {}) {
+  const { force = false, requireChecksums = false } = options;
+  const pluginsDir = path.resolve(dir);
+
+  let entries;
+  try {
+    entries = packageRoot(readArchive(archivePath));
+  } catch (error) {
+    throw new InstallError(`Cannot read module archive ${archivePath}: ${error.message}`, { archivePath, cause: error });
+  }
+  const manifestEntry = entries.find(entry => entry.path === 'manifest.json' && entry.type === 'file');
+  if (!manifestEntry) {
+    throw new InstallError(`Module archive ${archivePath} has no manifest.json at its root`, { archivePath });
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(manifestEntry.data.toString('utf8'));
+  } catch (error) {
+    throw new InstallError(`Invalid manifest.json in ${archivePath}: ${error.message}`, { archivePath, cause: error });
+  }
+
+  fs.mkdirSync(pluginsDir, { recursive: true });
+  const suffix = crypto.randomBytes(4).toString('hex');
+  const stagingDir = path.join(pluginsDir, `.install-${suffix}`);
+  fs.mkdirSync(stagingDir);
+
+  try {
+    try {
+      extractEntries(entries, stagingDir);
+    } catch (error) {
+      throw new InstallError(`Cannot extract module archive ${archivePath}: ${error.message}`, { archivePath, cause: error });
+    }
+
+    const name = typeof manifest.name === 'string' ? manifest.name : null;
+    const report = validateManifest(manifest, { pluginDir: stagingDir, dirName: name });
+    if (!report.valid) {
+      const tried = report.triedVariants.length
+        ? `\nPlatform variants tried: ${report.triedVariants.map(t => t.variant).join(', ')}`
+        : '';
+      throw new ManifestValidationError(
+        `Invalid manifest in module archive ${archivePath}:\n${formatIssues(report.errors)}${tried}`,
+        { ...report, pluginName: name, manifestPath: path.join(stagingDir, 'manifest.json') }
+      );
+    }
+
+    const context = { pluginName: name, archivePath, version: manifest.version };
+    if (!isValidPluginName(name)) {
+      throw new InstallError(`Module archive ${archivePath} has an invalid plugin name "${name}"`, context);
+    }
+    const verified = verifyChecksums(manifest, stagingDir, context, requireChecksums);
+
+    const targetDir = path.join(pluginsDir, name);
+    const installed = fs.existsSync(targetDir) ? readInstalledManifest(targetDir) : null;
+    const previousVersion = installed && typeof installed.version === 'string' ? installed.version : null;
+    if (previousVersion && !force) {
+      let newer = false;
+      try {
+        newer = compareVersions(previousVersion, manifest.version) > 0;
+      } catch (_e) { /* unparseable installed version: treat as older */ }
+      if (newer) {
+        throw new InstallError(
+          `${name} ${previousVersion} is already installed, which is newer than ${manifest.version}; use force to replace it`,
+          { ...context, installedVersion: previousVersion }
+        );
+      }
+    }
+
+    // Swap in the staged copy; put the old one back if that fails
+    const backupDir = path.join(pluginsDir, `.backup-${suffix}`);
+    const replacing = fs.existsSync(targetDir);
+    if (replacing) fs.renameSync(targetDir, backupDir);
+    try {
+      fs.renameSync(stagingDir, targetDir);
+    } catch (error) {
+      if (replacing) fs.renameSync(backupDir, targetDir);
+      throw new InstallError(`Cannot install ${name} into ${targetDir}: ${error.message}`, { ...context, cause: error });
+    }
+    if (replacing) fs.rmSync(backupDir, { recursive: true, force: true });
+
+    return {
+      name,
+      version: manifest.version,
+      previousVersion,
+      dir: pluginsDir,
+      path: targetDir,
+      verified,
+      warnings: report.warnings
+    };
+  } finally {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Find an installed (manifest.json) plugin directory.
+ * @param {string} name - Must be a valid plugin name, so the lookup stays inside `dirs`
+ * @param {string[]} dirs - Plugins directories, in lookup order
+ * @returns {{ path: string|null, searched: string[] }}
+ */
+function findInstalled(name, dirs) {
+  if (!isValidPluginName(name)) {
+    throw new InstallError(`Invalid plugin name ${JSON.stringify(name)}`, { pluginName: name });
+  }
+  const searched = [];
+  for (const dir of dirs) {
+    const pluginDir = path.join(path.resolve(dir), name);
+    const manifestPath = path.join(pluginDir, 'manifest.json');
+    searched.push(manifestPath);
+    if (fs.existsSync(manifestPath)) return { path: pluginDir, searched };
+  }
+  return { path: null, searched };
+}
+
+module.exports = {
+  installArchive,
+  findInstalled,
+  readInstalledManifest,
+  sha256File,
+};
@@ -0,0 +1,229 @@
+const path = require('path');
+const fs = require('fs');
+const { getLibraryExtension, platformVariants } = require('./platform');
+
+/**
+ * Plugin manifest validation.
+ *
+ * manifest.json schema:
+ *   name          string, required — [A-Za-z0-9_.-]+
+ *   version       string, required — semver (1.2.3, optional -pre/+build)
+ *   main          required — object mapping platform variant (e.g.
+ *                 "linux-x86_64") to a binary path relative to the plugin
+ *                 directory; metadata.json may instead give a single binary
+ *                 basename
+ *   dependencies  string[], optional — unique plugin names, not itself
+ *   checksums     optional — object mapping platform variants in `main`
+ *                 to the SHA-256 of that binary (64 hex digits, optionally
+ *                 prefixed "sha256:"); verified by installPlugin()
+ *   type, category, description   string, optional
+ */
+
+const NAME_PATTERN = /^[A-Za-z0-9_.-]+$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+(?:-[0-9A-Za-z.-]+)?(?:\+[0-9A-Za-z.-]+)?$/;
+const SHA256_PATTERN = /^(?:sha256:)?[0-9a-fA-F]{64}$/;
+
+/**
+ * Validate a parsed manifest and resolve its binary for this platform.
+ *
+ * @param {Object} manifest - Parsed manifest
+ * @param {Object} [options]
+ * @param {string} [options.pluginDir] - Directory containing the manifest (enables file checks)
+ * @param {string} [options.dirName] - Expected plugin name (the directory name)
+ * @returns {{ valid: boolean, errors: Array<{field: string, message: string}>,
+ *   warnings: Array<{field: string, message: string}>, path: string|null,
+ *   triedVariants: Array<{variant: string, file: string|null, exists: boolean}> }}
+ */
+function validateManifest(manifest, options = {}) {
+  const { pluginDir = null, dirName = null } = options;
+  const errors = [];
+  const warnings = [];
+  const triedVariants = [];
+  let binaryPath = null;
+
+  const error = (field, message) => errors.push({ field, message });
+  const warn = (field, message) => warnings.push({ field, message });
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    error('(root)', 'manifest must be a JSON object');
+    return { valid: false, errors, warnings, path: null, triedVariants };
+  }
+
+  // name
+  if (manifest.name === undefined) {
+    error('name', 'is required');
+  } else if (typeof manifest.name !== 'string' || !NAME_PATTERN.test(manifest.name)) {
+    error('name', `must be a non-empty string of letters, digits, "_", "." or "-" (got ${JSON.stringify(manifest.name)})`);
+  } else if (dirName && manifest.name !== dirName) {
+    error('name', `"${manifest.name}" does not match its directory "${dirName}"`);
+  }
+
+  // version
+  if (manifest.version === undefined) {
+    error('version', 'is required');
+  } else if (typeof manifest.version !== 'string' || !VERSION_PATTERN.test(manifest.version)) {
+    error('version', `must be a semantic version like "1.0.0" (got ${JSON.stringify(manifest.version)})`);
+  }
+
+  // main
+  const main = manifest.main;
+  if (main === undefined) {
+    error('main', 'is required');
+  } else if (typeof main === 'string') {
+    if (!main) {
+      error('main', 'must not be empty');
+    } else {
+      const file = path.extname(main) ? main : `${main}${getLibraryExtension()}`;
+      const candidate = pluginDir ? path.join(pluginDir, file) : null;
+      const exists = !!candidate && fs.existsSync(candidate);
+      triedVariants.push({ variant: '*', file: candidate || file, exists });
+      if (candidate && !exists) error('main', `binary ${candidate} does not exist`);
+      if (exists) binaryPath = candidate;
+    }
+  } else if (main && typeof main === 'object' && !Array.isArray(main)) {
+    for (const [variant, file] of Object.entries(main)) {
+      if (typeof file !== 'string' || !file) {
+        error(`main.${variant}`, 'must be a non-empty relative path');
+      } else if (path.isAbsolute(file)) {
+        error(`main.${variant}`, `must be relative to the plugin directory (got ${file})`);
+      }
+    }
+    for (const variant of platformVariants()) {
+      const file = main[variant];
+      if (typeof file !== 'string' || !file) {
+        triedVariants.push({ variant, file: null, exists: false });
+        continue;
+      }
+      const candidate = pluginDir ? path.join(pluginDir, file) : file;
+      const exists = !!pluginDir && fs.existsSync(candidate);
+      triedVariants.push({ variant, file: candidate, exists });
+      if (exists && !binaryPath) binaryPath = candidate;
+    }
+    const declared = triedVariants.filter(t => t.file);
+    if (!declared.length) {
+      const available = Object.keys(main);
+      error('main', `has no entry for this platform (tried ${platformVariants().join(', ')}; ` +
+        `available: ${available.length ? available.join(', ') : 'none'})`);
+    } else if (pluginDir && !binaryPath) {
+      error('main', `binary for this platform does not exist: ${declared.map(t => `${t.variant} -> ${t.file}`).join(', ')}`);
+    }
+  } else {
+    error('main', 'must be an object mapping platform variants to binary paths');
+  }
+
+  // dependencies
+  if (manifest.dependencies !== undefined) {
+    if (!Array.isArray(manifest.dependencies)) {
+      error('dependencies', 'must be an array of plugin names');
+    } else {
+      const seen = new Set();
+      manifest.dependencies.forEach((dep, index) => {
+        if (typeof dep !== 'string' || !NAME_PATTERN.test(dep)) {
+          error(`dependencies[${index}]`, `must be a plugin name (got ${JSON.stringify(dep)})`);
+        } else if (dep === manifest.name) {
+          error(`dependencies[${index}]`, 'a plugin cannot depend on itself');
+        } else if (seen.has(dep)) {
+          warn(`dependencies[${index}]`, `duplicate dependency "${dep}"`);
+        }
+        seen.add(dep);
+      });
+    }
+  }
+
+  // checksums
+  if (manifest.checksums !== undefined) {
+    const checksums = manifest.checksums;
+    if (!checksums || typeof checksums !== 'object' || Array.isArray(checksums)) {
+      error('checksums', 'must be an object mapping platform variants to SHA-256 digests');
+    } else {
+      for (const [variant, digest] of Object.entries(checksums)) {
+        if (typeof digest !== 'string' || !SHA256_PATTERN.test(digest)) {
+          error(`checksums.${variant}`, `must be a SHA-256 digest of 64 hex digits (got ${JSON.stringify(digest)})`);
+        } else if (main && typeof main === 'object' && !Array.isArray(main) && !(variant in main)) {
+          warn(`checksums.${variant}`, `has no matching entry in main`);
+        }
+      }
+    }
+  }
+
+  for (const field of ['type', 'category', 'description']) {
+    if (manifest[field] !== undefined && typeof manifest[field] !== 'string') {
+      error(field, 'must be a string');
+    }
+  }
+
+  return { valid: errors.length === 0, errors, warnings, path: binaryPath, triedVariants };
+}
+
+/**
+ * Whether a string is usable as a plugin name: it matches NAME_PATTERN and
+ * is not "." or "..", so it cannot address anything outside a plugins
+ * directory.
+ * @param {*} name
+ * @returns {boolean}
+ */
+function isValidPluginName(name) {
+  return typeof name === 'string' && NAME_PATTERN.test(name) && name !== '.' && name !== '..';
+}
+
+/**
+ * Render validation issues one per line, for error messages.
+ * @param {Array<{field: string, message: string}>} issues
+ * @returns {string}
+ */
+function formatIssues(issues) {
+  return issues.map(issue => `  - ${issue.field}: ${issue.message}`).join('\n');
+}
+
+/**
+ * Compare two semantic versions by precedence: -1, 0 or 1. A prerelease
+ * sorts before its release; build metadata is ignored.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareVersions(a, b) {
+  const parse = version => {
+    const [core, pre] = String(version).split('+')[0].split(/-(.*)/s);
+    return { core: core.split('.').map(Number), pre: pre ? pre.split('.') : [] };
+  };
+  const left = parse(a);
+  const right = parse(b);
+  for (let i = 0; i < 3; i++) {
+    if (left.core[i] !== right.core[i]) return left.core[i] < right.core[i] ? -1 : 1;
+  }
+  if (!left.pre.length || !right.pre.length) {
+    return left.pre.length === right.pre.length ? 0 : (left.pre.length ? -1 : 1);
+  }
+  for (let i = 0; i < Math.max(left.pre.length, right.pre.length); i++) {
+    const x = left.pre[i];
+    const y = right.pre[i];
+    if (x === undefined) return -1;
+    if (y === undefined) return 1;
+    if (x === y) continue;
+    const xNum = /^\d+$/.test(x);
+    const yNum = /^\d+$/.test(y);
+    if (xNum && yNum) return Number(x) < Number(y) ? -1 : 1;
+    if (xNum !== yNum) return xNum ? -1 : 1;
+    return x < y ? -1 : 1;
+  }
+  return 0;
+}
+
+/**
+ * Normalize a declared checksum to lowercase hex.
+ * @param {string} digest - "sha256:<hex>" or "<hex>"
+ * @returns {string}
+ */
+function normalizeChecksum(digest) {
+  return digest.replace(/^sha256:/, '').toLowerCase();
+}
+
+module.exports = {
+  validateManifest,
+  formatIssues,
+  isValidPluginName,
+  NAME_PATTERN,
+  compareVersions,
+  normalizeChecksum,
+};
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { performance } = require('perf_hooks');
+const { toJson } = require('./codec');
+
+/**
+ * Middleware for method calls and event deliveries (`logos.use()`).
+ *
+ * A middleware is `async (ctx, next) => {}`, as in Koa. `await next()`
+ * runs the rest of the chain and then the call itself (or, for events,
+ * delivery to the listeners). Afterwards `ctx.result` or `ctx.error` holds
+ * the outcome, and a middleware may replace either. Not calling `next()`
+ * short-circuits: the caller receives `ctx.result` (or the thrown error)
+ * and nothing is sent to the module.
+ *
+ * Call context:  { kind: 'call', callbackId, pluginName, methodName, params,
+ *                  options, attempt, startedAt, duration, result, error, meta, state }
+ * Event context: { kind: 'event', pluginName, eventName, startedAt, duration,
+ *                  result, error, meta, state }
+ *
+ * `params` are the typed wire params (`[{ name, value, type }]`) and may be
+ * rewritten before `next()`. `duration` is the time spent in `next()`'s
+ * terminal step, in ms. `state` is scratch space shared by the chain.
+ */
+
+const DEFAULT_BUCKETS = [1, 2.5, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Run `ctx` through `stack`, ending with `terminal`.
+ * @param {Function[]} stack
+ * @param {Object} ctx
+ * @param {Function} terminal - (ctx) => Promise
+ * @returns {Promise<*>}
+ */
+function compose(stack, ctx, terminal) {
+  let index = -1;
+  const dispatch = (i) => {
+    if (i <= index) return Promise.reject(new Error('next() called multiple times'));
+    index = i;
+    const fn = i === stack.length ? terminal : stack[i];
+    try {
+      return Promise.resolve(fn(ctx, () => dispatch(i + 1)));
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  };
+  return dispatch(0);
+}
+
+function operationName(ctx) {
+  return `${ctx.pluginName}.${ctx.kind === 'event' ? ctx.eventName : ctx.methodName}`;
+}
+
+function describeError(error) {
+  if (!error || typeof error !== 'object') return { message: String(error) };
+  return { name: error.name, code: error.code || null, message: error.message };
+}
+
+/**
+ * Structured debug logging: one record per call or event.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.write] - (record) => void; defaults to a JSON line on stderr
+ * @param {boolean} [options.params=false] - Include wire params
+ * @param {boolean} [options.results=false] - Include results and event data
+ * @param {boolean} [options.events=true] - Log event deliveries as well as calls
+ * @param {Function} [options.filter] - (ctx) => boolean; skip contexts it rejects
+ * @returns {Function} middleware
+ */
+function logging(options = {}) {
+  const {
+    write = (record) => process.stderr.write(`${toJson(record)}\n`),
+    params = false,
+    results = false,
+    events = true,
+    filter = null
+  } = options;
+
+  return async function loggingMiddleware(ctx, next) {
+    if ((ctx.kind === 'event' && !events) || (filter && !filter(ctx))) return next();
+    const startedAt = performance.now();
+    let failed = false;
+    try {
+      return await next();
+    } catch (error) {
+      failed = true;
+      throw error;
+    } finally {
+      const record = {
+        time: new Date().toISOString(),
+        level: failed ? 'warn' : 'debug',
+        kind: ctx.kind,
+        operation: operationName(ctx),
+        pluginName: ctx.pluginName
+      };
+      if (ctx.kind === 'event') record.eventName = ctx.eventName;
+      else Object.assign(record, { methodName: ctx.methodName, callbackId: ctx.callbackId });
+      record.durationMs = Math.round((performance.now() - startedAt) * 1000) / 1000;
+      record.status = failed ? 'error' : 'ok';
+      if (params && ctx.kind === 'call') record.params = ctx.params;
+      if (results && !failed) record.result = ctx.result === undefined ? null : ctx.result;
+      if (failed) record.error = describeError(ctx.error);
+      try {
+        write(record);
+      } catch (_e) { /* logging must not fail the call */ }
+    }
+  };
+}
+
+/**
+ * Tracer - span-style tracing with per-operation latency histograms.
+ *
+ * Each call or event delivery becomes a span. Calls made while a span is
+ * active (for example from an event listener) become its children. Spans
+ * are kept in a ring of `maxSpans`. Histograms accumulate per
+ * "plugin.method" (or "plugin.event") until reset().
+ */
+class Tracer {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxSpans=1000] - Finished spans to keep
+   * @param {number[]} [options.buckets] - Histogram upper bounds in ms
+   * @param {boolean} [options.events=true] - Trace event deliveries as well as calls
+   */
+  constructor(options = {}) {
+    const { maxSpans = 1000, buckets = DEFAULT_BUCKETS, events = true } = options;
+    if (!Number.isInteger(maxSpans) || maxSpans < 0) throw new RangeError('maxSpans must be a non-negative integer');
+    this.maxSpans = maxSpans;
+    this.buckets = Array.from(buckets).sort((a, b) => a - b);
+    this.events = events;
+    this._storage = new AsyncLocalStorage();
+    this._spans = [];
+    this._histograms = new Map();
+  }
+
+  /**
+   * The middleware to pass to `logos.use()`.
+   * @returns {Function}
+   */
+  middleware() {
+    return async (ctx, next) => {
+      if (ctx.kind === 'event' && !this.events) return next();
+      const parent = this._storage.getStore();
+      const span = {
+        traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+        spanId: crypto.randomBytes(8).toString('hex'),
+        parentSpanId: parent ? parent.spanId : null,
+        name: operationName(ctx),
+        kind: ctx.kind,
+        startTime: new Date().toISOString(),
+        durationMs: null,
+        status: 'ok',
+        error: null,
+        attributes: ctx.kind === 'event'
+          ? { pluginName: ctx.pluginName, eventName: ctx.eventName }
+          : { pluginName: ctx.pluginName, methodName: ctx.methodName, callbackId: ctx.callbackId }
+      };
+      ctx.state.span = span;
+      const startedAt = performance.now();
+      try {
+        return await this._storage.run(span, next);
+      } catch (error) {
+        span.status = 'error';
+        span.error = describeError(error);
+        throw error;
+      } finally {
+        span.durationMs = performance.now() - startedAt;
+        this._record(span);
+      }
+    };
+  }
+
+  /**
+   * The span active in the current async context, if any.
+   * @returns {Object|null}
+   */
+  currentSpan() {
+    return this._storage.getStore() || null;
+  }
+
+  /**
+   * Finished spans, oldest first.
+   * @returns {Object[]}
+   */
+  spans() {
+    return this._spans.slice();
+  }
+
+  /**
+   * Latency histograms keyed by operation. Bucket counts are cumulative.
+   * @returns {Object<string, {count: number, errors: number, sumMs: number, minMs: number, maxMs: number,
+   *   avgMs: number, buckets: Array<{le: number|string, count: number}>}>}
+   */
+  histograms() {
+    const out = {};
+    for (const [name, h] of this._histograms) {
+      let cumulative = 0;
+      out[name] = {
+        count: h.count,
+        errors: h.errors,
+        sumMs: h.sumMs,
+        minMs: h.minMs,
+        maxMs: h.maxMs,
+        avgMs: h.sumMs / h.count,
+        buckets: [
+          ...this.buckets.map((le, i) => ({ le, count: (cumulative += h.counts[i]) })),
+          { le: '+Inf', count: h.count }
+        ]
+      };
+    }
+    return out;
+  }
+
+  toJSON() {
+    return {
+      generatedAt: new Date().toISOString(),
+      spans: this.spans(),
+      histograms: this.histograms()
+    };
+  }
+
+  reset() {
+    this._spans = [];
+    this._histograms.clear();
+  }
+
+  _record(span) {
+    if (this.maxSpans > 0) {
+      this._spans.push(span);
+      if (this._spans.length > this.maxSpans) this._spans.shift();
+    }
+
+    let h = this._histograms.get(span.name);
+    if (!h) {
+      h = { count: 0, errors: 0, sumMs: 0, minMs: Infinity, maxMs: 0, counts: new Array(this.buckets.length).fill(0) };
+      this._histograms.set(span.name, h);
+    }
+    h.count++;
+    if (span.status === 'error') h.errors++;
+    h.sumMs += span.durationMs;
+    h.minMs = Math.min(h.minMs, span.durationMs);
+    h.maxMs = Math.max(h.maxMs, span.durationMs);
+    const bucket = this.buckets.findIndex(le => span.durationMs <= le);
+    if (bucket !== -1) h.counts[bucket]++;
+  }
+}
+
+/**
+ * Tracing middleware. The returned function carries its Tracer as `.tracer`.
+ * @param {Object} [options] - See Tracer
+ * @returns {Function} middleware
+ */
+function tracing(options = {}) {
+  const tracer = options instanceof Tracer ? options : new Tracer(options);
+  const middleware = tracer.middleware();
+  middleware.tracer = tracer;
+  return middleware;
+}
+
+module.exports = {
+  compose,
+  logging,
+  tracing,
+  Tracer,
+  DEFAULT_BUCKETS,
+};
@@ -0,0 +1,42 @@
+/**
+ * Platform naming helpers shared by library lookup and plugin resolution.
+ */
+
+/**
+ * Get the appropriate shared library extension for the current platform
+ */
+function getLibraryExtension() {
+  switch (process.platform) {
+    case 'darwin': return '.dylib';
+    case 'win32':  return '.dll';
+    default:       return '.so';
+  }
+}
+
+/**
+ * Get the platform subdirectory name (e.g. "darwin-arm64", "linux-x64")
+ */
+function getPlatformDir() {
+  return `${process.platform}-${process.arch}`;
+}
+
+/**
+ * Manifest `main` keys to try for the current platform, in order.
+ */
+function platformVariants() {
+  const arch = process.arch === 'arm64' ? 'aarch64' : 'x86_64';
+  switch (process.platform) {
+    case 'darwin':
+      return [`darwin-${arch === 'aarch64' ? 'arm64' : arch}`, `darwin-${arch}`];
+    case 'win32':
+      return [`windows-${arch}`];
+    default:
+      return [`linux-${arch}`];
+  }
+}
+
+module.exports = {
+  getLibraryExtension,
+  getPlatformDir,
+  platformVariants,
+};
@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const { getLibraryExtension } = require('./platform');
+
+const MANIFEST_FILES = ['manifest.json', 'metadata.json'];
+const FLAT_SUFFIX = `_plugin${getLibraryExtension()}`;
+
+/**
+ * PluginWatcher - watches plugins directories for rebuilt modules, for
+ * logos.watchPlugins().
+ *
+ * Both discovery layouts are covered: in the subdirectory layout a change
+ * to `<dir>/<name>/manifest.json`, `metadata.json` or any shared library
+ * in that directory belongs to `<name>`; in the flat layout a change to
+ * `<dir>/<name>_plugin.<ext>` does. Changes are collected per plugin and
+ * reported once no more arrive for `debounce` ms, so a build writing
+ * several files triggers one reload. Dot-entries, such as the installer's
+ * `.install-*` staging directories, are ignored. Watch handles and timers
+ * are unref()'d and do not keep the process alive.
+ */
+class PluginWatcher {
+  /**
+   * @param {Function} onChange - (pluginName, files) => void, files being absolute paths
+   * @param {Object} [options]
+   * @param {number} [options.debounce=300] - Quiet period in ms before reporting
+   */
+  constructor(onChange, options = {}) {
+    const { debounce = 300 } = options;
+    if (!Number.isFinite(debounce) || debounce < 0) throw new RangeError('debounce must be a non-negative number of ms');
+    this.debounce = debounce;
+    this._onChange = onChange;
+    this._watchers = new Map(); // watched directory -> fs.FSWatcher
+    this._pending = new Map();  // pluginName -> { timer, files: Set }
+    this._closed = false;
+  }
+
+  /**
+   * Watch a plugins directory and its plugin subdirectories.
+   * @param {string} dir
+   */
+  add(dir) {
+    const resolved = path.resolve(dir);
+    if (this._closed || this._watchers.has(resolved) || !fs.existsSync(resolved)) return;
+    this._watch(resolved, (filename) => this._onDirChange(resolved, filename));
+
+    let entries = [];
+    try { entries = fs.readdirSync(resolved, { withFileTypes: true }); } catch (_e) { /* unreadable */ }
+    for (const entry of entries) {
+      if (entry.isDirectory() && !entry.name.startsWith('.')) this._watchPluginDir(resolved, entry.name);
+    }
+  }
+
+  /**
+   * @returns {string[]} Watched directories
+   */
+  directories() {
+    return Array.from(this._watchers.keys());
+  }
+
+  close() {
+    if (this._closed) return;
+    this._closed = true;
+    for (const watcher of this._watchers.values()) watcher.close();
+    this._watchers.clear();
+    for (const { timer } of this._pending.values()) clearTimeout(timer);
+    this._pending.clear();
+  }
+
+  get closed() {
+    return this._closed;
+  }
+
+  _watch(dir, listener) {
+    let watcher;
+    try {
+      watcher = fs.watch(dir, { persistent: false }, (_eventType, filename) => {
+        if (filename) listener(filename.toString());
+      });
+    } catch (_e) {
+      return; // vanished between readdir and watch
+    }
+    // A watched directory that is deleted (e.g. by a clean build) errors out
+    watcher.on('error', () => this._unwatch(dir));
+    if (watcher.unref) watcher.unref();
+    this._watchers.set(dir, watcher);
+  }
+
+  _unwatch(dir) {
+    const watcher = this._watchers.get(dir);
+    if (!watcher) return;
+    this._watchers.delete(dir);
+    watcher.close();
+  }
+
+  _watchPluginDir(dir, name) {
+    const pluginDir = path.join(dir, name);
+    if (this._watchers.has(pluginDir)) return;
+    this._watch(pluginDir, (filename) => {
+      if (MANIFEST_FILES.includes(filename) || path.extname(filename) === getLibraryExtension()) {
+        this._schedule(name, path.join(pluginDir, filename));
+      }
+    });
+  }
+
+  _onDirChange(dir, filename) {
+    if (filename.startsWith('.')) return;
+    const target = path.join(dir, filename);
+    if (filename.endsWith(FLAT_SUFFIX)) {
+      this._schedule(filename.slice(0, -FLAT_SUFFIX.length), target);
+      return;
+    }
+    let stat = null;
+    try { stat = fs.statSync(target); } catch (_e) { /* removed */ }
+    if (stat && stat.isDirectory()) {
+      // A plugin directory that was created or replaced wholesale
+      this._unwatch(target);
+      this._watchPluginDir(dir, filename);
+      if (MANIFEST_FILES.some(file => fs.existsSync(path.join(target, file)))) this._schedule(filename, target);
+    } else if (!stat) {
+      this._unwatch(target);
+    }
+  }
+
+  _schedule(pluginName, file) {
+    if (this._closed) return;
+    let pending = this._pending.get(pluginName);
+    if (!pending) {
+      pending = { timer: null, files: new Set() };
+      this._pending.set(pluginName, pending);
+    }
+    pending.files.add(file);
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(() => {
+      this._pending.delete(pluginName);
+      this._onChange(pluginName, Array.from(pending.files));
+    }, this.debounce);
+    if (pending.timer.unref) pending.timer.unref();
+  }
+}
+
+module.exports = PluginWatcher;
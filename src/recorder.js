@@ -0,0 +1,171 @@
+const fs = require('fs');
+const { RecordingError } = require('./errors');
+
+/**
+ * Recording of plugin method calls and event deliveries, for replay with
+ * ReplayBackend (see src/backends/replay.js).
+ *
+ * A recording is a JSONL file: a header line, then one line per call
+ * result or event delivery, in the order they reached the SDK. Messages
+ * are kept exactly as the module client delivered them, so a replay goes
+ * through the same decoding as the original session.
+ *
+ *   { "type": "header", "format": "logos-recording", "version": 1, "startedAt": "...", "plugins": [...] }
+ *   { "type": "call", "t": 12, "time": "...", "pluginName": "chat", "methodName": "send",
+ *     "params": [{ "name": "arg0", "value": "hi", "type": "string" }], "result": 1, "message": "true", "durationMs": 3 }
+ *   { "type": "event", "t": 40, "time": "...", "pluginName": "chat", "eventName": "chatMessage",
+ *     "result": 1, "message": "{...}" }
+ *
+ * `t` is ms since the recording started. A call line is written when its
+ * result arrives; `durationMs` is how long that took.
+ */
+
+const FORMAT = 'logos-recording';
+const VERSION = 1;
+
+/**
+ * Recorder - writes calls and events to a recording. Created by
+ * logos.record(); stop() it to close the file.
+ */
+class Recorder {
+  /**
+   * @param {string|Function} target - File path, or (entry) => void to receive entries instead
+   * @param {Object} [options]
+   * @param {string[]} [options.plugins] - Only record these plugins
+   * @param {Function} [onStop] - Called once by stop()
+   */
+  constructor(target, options = {}, onStop = null) {
+    if (typeof target !== 'string' && typeof target !== 'function') {
+      throw new TypeError('Recording target must be a file path or a function (entry) => void');
+    }
+    this.path = typeof target === 'string' ? target : null;
+    this.plugins = options.plugins || null;
+    this.count = 0;
+    this.startedAt = null;
+    this._write = typeof target === 'function' ? target : null;
+    this._fd = null;
+    this._onStop = onStop;
+    this._stopped = false;
+  }
+
+  /**
+   * Open the file and write the header.
+   * @param {string[]} [loadedPlugins] - Plugins loaded when recording starts
+   */
+  start(loadedPlugins = []) {
+    if (this.path) this._fd = fs.openSync(this.path, 'w');
+    this.startedAt = Date.now();
+    this._output({
+      type: 'header',
+      format: FORMAT,
+      version: VERSION,
+      startedAt: new Date(this.startedAt).toISOString(),
+      plugins: Array.from(loadedPlugins)
+    });
+  }
+
+  /**
+   * Record one call result or event delivery.
+   * @param {Object} entry - { type: 'call'|'event', pluginName, ... }
+   */
+  capture(entry) {
+    if (this._stopped || (this.plugins && !this.plugins.includes(entry.pluginName))) return;
+    const now = Date.now();
+    const { type, ...fields } = entry;
+    this._output({ type, t: now - this.startedAt, time: new Date(now).toISOString(), ...fields });
+    this.count++;
+  }
+
+  /**
+   * Stop recording and close the file.
+   */
+  stop() {
+    if (this._stopped) return;
+    this._stopped = true;
+    if (this._fd !== null) {
+      fs.closeSync(this._fd);
+      this._fd = null;
+    }
+    if (this._onStop) this._onStop(this);
+  }
+
+  get stopped() {
+    return this._stopped;
+  }
+
+  _output(entry) {
+    if (this._write) {
+      this._write(entry);
+    } else {
+      // Written synchronously so a crash cannot lose what led up to it
+      fs.writeSync(this._fd, `${JSON.stringify(entry)}\n`);
+    }
+  }
+}
+
+/**
+ * Read a recording from a JSONL file, JSONL text or an array of entries.
+ * @param {string|Object[]} source
+ * @returns {{ header: Object, entries: Object[] }}
+ */
+function readRecording(source) {
+  let lines;
+  let recordingPath = null;
+  if (Array.isArray(source)) {
+    lines = source.map((entry, index) => ({ entry, line: index + 1 }));
+  } else if (typeof source === 'string') {
+    let text = source;
+    if (!source.trimStart().startsWith('{')) {
+      recordingPath = source;
+      try {
+        text = fs.readFileSync(source, 'utf8');
+      } catch (error) {
+        throw new RecordingError(`Cannot read recording ${source}: ${error.message}`, { path: source, cause: error });
+      }
+    }
+    lines = [];
+    text.split('\n').forEach((raw, index) => {
+      if (!raw.trim()) return;
+      try {
+        lines.push({ entry: JSON.parse(raw), line: index + 1 });
+      } catch (error) {
+        throw new RecordingError(`Invalid JSON on line ${index + 1} of the recording: ${error.message}`, {
+          path: recordingPath, line: index + 1, cause: error
+        });
+      }
+    });
+  } else {
+    throw new TypeError('A recording must be a file path, JSONL text or an array of entries');
+  }
+
+  const fail = (message, line) => new RecordingError(`${message} (line ${line})`, { path: recordingPath, line });
+  const [first] = lines;
+  if (!first || first.entry.type !== 'header' || first.entry.format !== FORMAT) {
+    throw fail('Not a logos recording: the first line must be its header', first ? first.line : 1);
+  }
+  if (first.entry.version > VERSION) {
+    throw fail(`Recording format version ${first.entry.version} is newer than this SDK supports (${VERSION})`, first.line);
+  }
+
+  const entries = [];
+  for (const { entry, line } of lines.slice(1)) {
+    if (!entry || (entry.type !== 'call' && entry.type !== 'event')) {
+      throw fail(`Unknown entry type ${JSON.stringify(entry && entry.type)}`, line);
+    }
+    const name = entry.type === 'call' ? entry.methodName : entry.eventName;
+    const message = entry.message;
+    if (typeof entry.pluginName !== 'string' || typeof name !== 'string'
+      || (typeof message !== 'string' && message !== null) || (entry.result !== 0 && entry.result !== 1)) {
+      throw fail(`Incomplete ${entry.type} entry`, line);
+    }
+    entries.push(entry);
+  }
+  return { header: first.entry, entries };
+}
+
+module.exports = {
+  Recorder,
+  readRecording,
+  RECORDING_FORMAT: FORMAT,
+  RECORDING_VERSION: VERSION,
+};
@@ -0,0 +1,240 @@
+const path = require('path');
+const repl = require('repl');
+const util = require('util');
+const { types, TypedValue } = require('./types');
+const { callOptions } = require('./call-options');
+const { describeModule } = require('./typegen');
+
+/**
+ * Interactive REPL around a LogosAPI instance (`logos repl`).
+ *
+ * `logos` is in scope and top-level await works, so plugin calls read the
+ * same as in application code: `await logos.calc_module.add(5, 3)`.
+ * Completion after `logos.` offers known, loaded and discovered plugins;
+ * after `logos.<plugin>.` it offers the methods and events declared in the
+ * plugin's interface header next to its manifest.
+ */
+
+function capitalize(s) {
+  return s.charAt(0).toUpperCase() + s.slice(1);
+}
+
+/**
+ * Completion candidates for plugin names and plugin members.
+ * @private
+ */
+class PluginCompletions {
+  constructor(api) {
+    this._api = api;
+    this._members = new Map(); // pluginName -> string[]
+  }
+
+  pluginNames() {
+    const names = new Set();
+    try {
+      for (const name of this._api.getKnownPlugins()) names.add(name);
+      for (const name of this._api.getLoadedPlugins()) names.add(name);
+    } catch (_e) { /* not initialized */ }
+    for (const entry of this._catalog()) names.add(entry.name);
+    return Array.from(names).sort();
+  }
+
+  members(pluginName) {
+    if (!this._members.has(pluginName)) {
+      const entry = this._catalog().find(e => e.name === pluginName);
+      let members = [];
+      if (entry && entry.manifestPath) {
+        try {
+          const module = describeModule(path.dirname(entry.manifestPath), { name: pluginName });
+          members = [
+            ...module.methods.map(method => method.name),
+            ...module.events.map(event => `on${capitalize(event.name)}`)
+          ];
+        } catch (_e) { /* no readable header */ }
+      }
+      // Only cache when metadata was found; a plugin may be installed later
+      if (!members.length) return ['ready', 'pluginName'];
+      this._members.set(pluginName, [...members, 'ready', 'pluginName']);
+    }
+    return this._members.get(pluginName);
+  }
+
+  invalidate() {
+    this._members.clear();
+  }
+
+  _catalog() {
+    try {
+      return this._api.discoverPlugins().filter(entry => !entry.shadowed);
+    } catch (_e) {
+      return [];
+    }
+  }
+}
+
+/**
+ * Start a REPL bound to `api`.
+ *
+ * @param {LogosAPI} api - Initialized (and usually started) instance
+ * @param {Object} [options]
+ * @param {Object} [options.input=process.stdin]
+ * @param {Object} [options.output=process.stdout]
+ * @param {boolean} [options.terminal] - Defaults to output.isTTY
+ * @param {string} [options.prompt='logos> ']
+ * @returns {repl.REPLServer}
+ */
+function startRepl(api, options = {}) {
+  const output = options.output || process.stdout;
+  const server = repl.start({
+    prompt: options.prompt || 'logos> ',
+    input: options.input || process.stdin,
+    output,
+    terminal: options.terminal,
+    useGlobal: false,
+    ignoreUndefined: true
+  });
+
+  Object.assign(server.context, { logos: api, types, TypedValue, callOptions });
+
+  const completions = new PluginCompletions(api);
+  const defaultCompleter = server.completer;
+  server.completer = (line, callback) => {
+    const member = line.match(/\blogos\.(\w+)\.(\w*)$/);
+    if (member) {
+      const hits = completions.members(member[1]).filter(name => name.startsWith(member[2]));
+      return callback(null, [hits.map(name => `logos.${member[1]}.${name}`), `logos.${member[1]}.${member[2]}`]);
+    }
+    const plugin = line.match(/\blogos\.(\w*)$/);
+    if (plugin) {
+      const own = Object.getOwnPropertyNames(Object.getPrototypeOf(api))
+        .filter(name => !name.startsWith('_') && name !== 'constructor');
+      const hits = [...completions.pluginNames(), ...own].filter(name => name.startsWith(plugin[1]));
+      return callback(null, [Array.from(new Set(hits)).map(name => `logos.${name}`), `logos.${plugin[1]}`]);
+    }
+    return defaultCompleter(line, callback);
+  };
+
+  const listeners = new Map(); // listenerId -> "plugin.event"
+  const print = (text) => {
+    output.write(`${text}\n`);
+  };
+  const printAsync = (text) => {
+    // Output arriving while the user types goes above the prompt
+    output.write(`\r${text}\n`);
+    server.displayPrompt(true);
+  };
+  const run = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      print(`${error.name}${error.code ? ` [${error.code}]` : ''}: ${error.message}`);
+    }
+    server.displayPrompt();
+  };
+  const words = (text) => text.trim().split(/\s+/).filter(Boolean);
+
+  server.defineCommand('plugins', {
+    help: 'List known and loaded plugins',
+    action() {
+      run(() => print(util.inspect(api.getPluginStatus(), { colors: !!output.isTTY })));
+    }
+  });
+
+  server.defineCommand('load', {
+    help: 'Process and load a plugin: .load <name> [--with-deps]',
+    action(text) {
+      run(() => {
+        const [name, flag] = words(text);
+        if (!name) throw new Error('Usage: .load <name> [--with-deps]');
+        if (flag === '--with-deps') {
+          print(util.inspect(api.processAndLoadPlugins([name]), { depth: 3, colors: !!output.isTTY }));
+        } else {
+          api.processAndLoadPlugin(name);
+          print(`Loaded ${name}; await logos.${name}.ready before calling it`);
+        }
+        completions.invalidate();
+      });
+    }
+  });
+
+  server.defineCommand('unload', {
+    help: 'Unload a plugin: .unload <name> [--cascade]',
+    action(text) {
+      run(() => {
+        const [name, flag] = words(text);
+        if (!name) throw new Error('Usage: .unload <name> [--cascade]');
+        const ok = api.unloadPlugin(name, { cascade: flag === '--cascade' });
+        print(ok ? `Unloaded ${name}` : `${name} was not unloaded`);
+      });
+    }
+  });
+
+  server.defineCommand('stats', {
+    help: 'Show getModuleStats()',
+    action() {
+      run(() => print(util.inspect(api.getModuleStats(), { depth: 4, colors: !!output.isTTY })));
+    }
+  });
+
+  server.defineCommand('pending', {
+    help: 'List method calls that have not settled',
+    action() {
+      run(() => {
+        const pending = api.getPendingCalls();
+        if (!pending.length) return print('No pending calls');
+        for (const call of pending) {
+          print(`${call.callbackId}  ${call.pluginName}.${call.methodName}  ${call.age}ms` +
+            (call.timeout ? ` (timeout ${call.timeout}ms)` : ''));
+        }
+      });
+    }
+  });
+
+  server.defineCommand('listen', {
+    help: 'Print events as they arrive: .listen <plugin> <event>; without arguments, list listeners',
+    action(text) {
+      run(() => {
+        const [pluginName, eventName] = words(text);
+        if (!pluginName) {
+          if (!listeners.size) return print('No listeners');
+          for (const [id, label] of listeners) print(`${id}  ${label}`);
+          return;
+        }
+        if (!eventName) throw new Error('Usage: .listen <plugin> <event>');
+        const label = `${pluginName}.${eventName}`;
+        const id = api.registerEventListener(pluginName, eventName, (success, value) => {
+          printAsync(`[${label}] ${success ? util.inspect(value, { depth: 4, colors: !!output.isTTY }) : `error: ${value.message}`}`);
+        });
+        listeners.set(id, label);
+        print(`Listening to ${label} (${id}); stop with .unlisten ${id}`);
+      });
+    }
+  });
+
+  server.defineCommand('unlisten', {
+    help: 'Stop a listener started with .listen: .unlisten <id> | all',
+    action(text) {
+      run(() => {
+        const [id] = words(text);
+        const ids = id === 'all' ? Array.from(listeners.keys()) : [id];
+        for (const listenerId of ids) {
+          if (!listeners.has(listenerId)) throw new Error(`No listener ${listenerId}`);
+          api.removeEventListener(listenerId);
+          print(`Stopped ${listeners.get(listenerId)}`);
+          listeners.delete(listenerId);
+        }
+      });
+    }
+  });
+
+  server.on('exit', () => {
+    for (const id of listeners.keys()) api.removeEventListener(id);
+    listeners.clear();
+  });
+
+  return server;
+}
+
+module.exports = {
+  startRepl,
+};
@@ -0,0 +1,305 @@
+const { CircuitOpenError } = require('./errors');
+
+/**
+ * Retry policies and per-plugin circuit breakers for method calls.
+ *
+ * Both key off the same question: did the call fail because the module was
+ * unreachable (logos_host restarting or still connecting, a timeout), or
+ * because the method itself reported an error? Only the former is worth
+ * retrying or counts against a plugin's circuit. isTransientError() is the
+ * default answer; both classes accept their own predicate.
+ */
+
+// SDK error codes that always mean the module could not be reached. The
+// module client's failure texts are not classified: their wording is not
+// part of its interface, so matching them is left to `retryable`/`isFailure`.
+const TRANSIENT_CODES = new Set(['ERR_TIMEOUT', 'ERR_MODULE_CLIENT_UNAVAILABLE']);
+
+/**
+ * Whether a call error means the module could not be reached rather than
+ * the method failing: a TimeoutError or ModuleClientUnavailableError, by code.
+ * @param {*} error
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+  return !!error && typeof error === 'object' && TRANSIENT_CODES.has(error.code);
+}
+
+/**
+ * Build a matcher for "plugin.method" patterns: exact names, "plugin.*",
+ * "*.method" or "*". Patterns are compared with the whole call, so a dotted
+ * plugin name such as "waku.v2" works ("waku.v2.send", "waku.v2.*"). A
+ * function `(pluginName, methodName) => boolean` is used as is.
+ * @param {string[]|Function} patterns
+ * @returns {Function}
+ */
+function methodMatcher(patterns) {
+  if (typeof patterns === 'function') return patterns;
+  const list = new Set(Array.from(patterns || [], String));
+  return (pluginName, methodName) => list.has('*') ||
+    list.has(`${pluginName}.${methodName}`) ||
+    list.has(`${pluginName}.*`) ||
+    list.has(`*.${methodName}`);
+}
+
+function describeError(error) {
+  if (!error || typeof error !== 'object') return { name: 'Error', code: null, message: String(error) };
+  return { name: error.name, code: error.code || null, message: error.message };
+}
+
+/**
+ * RetryPolicy - when and how often a failed call is sent again.
+ *
+ * Only idempotent methods are retried: those matching `idempotent`, or
+ * calls made with `callOptions({ idempotent: true })`. The delay before
+ * attempt n+1 is `initialDelay * factor^(n-1)`, capped at `maxDelay` and
+ * spread by ±`jitter` (a fraction of the delay).
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts=3] - Attempts in total, including the first
+   * @param {number} [options.initialDelay=100] - ms before the first retry
+   * @param {number} [options.maxDelay=5000] - Backoff cap, in ms
+   * @param {number} [options.factor=2] - Backoff multiplier per attempt
+   * @param {number} [options.jitter=0.2] - Random spread, 0 for none
+   * @param {Function} [options.retryable] - (error, attempt) => boolean; defaults to isTransientError
+   * @param {string[]|Function} [options.idempotent=[]] - "plugin.method" patterns that are safe to repeat
+   */
+  constructor(options = {}) {
+    const {
+      maxAttempts = 3,
+      initialDelay = 100,
+      maxDelay = 5000,
+      factor = 2,
+      jitter = 0.2,
+      retryable = isTransientError,
+      idempotent = []
+    } = options;
+    if (!Number.isInteger(maxAttempts) || maxAttempts < 1) throw new RangeError('maxAttempts must be an integer >= 1');
+    for (const [name, value] of Object.entries({ initialDelay, maxDelay })) {
+      if (!Number.isFinite(value) || value < 0) throw new RangeError(`${name} must be a non-negative number of ms`);
+    }
+    if (!Number.isFinite(factor) || factor < 1) throw new RangeError('factor must be a number >= 1');
+    if (!Number.isFinite(jitter) || jitter < 0 || jitter > 1) throw new RangeError('jitter must be between 0 and 1');
+    if (typeof retryable !== 'function') throw new TypeError('retryable must be a function (error, attempt) => boolean');
+
+    this.options = { maxAttempts, initialDelay, maxDelay, factor, jitter, retryable, idempotent };
+    this.maxAttempts = maxAttempts;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.factor = factor;
+    this.jitter = jitter;
+    this.retryable = retryable;
+    this._isIdempotent = methodMatcher(idempotent);
+  }
+
+  /**
+   * A policy with some options replaced, e.g. from callOptions({ retry }).
+   * @param {Object} overrides
+   * @returns {RetryPolicy}
+   */
+  with(overrides) {
+    return new RetryPolicy({ ...this.options, ...overrides });
+  }
+
+  /**
+   * @param {string} pluginName
+   * @param {string} methodName
+   * @returns {boolean}
+   */
+  isIdempotent(pluginName, methodName) {
+    return !!this._isIdempotent(pluginName, methodName);
+  }
+
+  /**
+   * Whether a call that failed with `error` on attempt `attempt` (1-based)
+   * gets another one. Aborted calls never do.
+   * @param {*} error
+   * @param {number} attempt
+   * @returns {boolean}
+   */
+  shouldRetry(error, attempt) {
+    if (attempt >= this.maxAttempts) return false;
+    if (error && error.code === 'ERR_ABORTED') return false;
+    return !!this.retryable(error, attempt);
+  }
+
+  /**
+   * Delay in ms before the attempt after `attempt`.
+   * @param {number} attempt
+   * @returns {number}
+   */
+  delay(attempt) {
+    const base = Math.min(this.maxDelay, this.initialDelay * Math.pow(this.factor, attempt - 1));
+    if (!this.jitter) return base;
+    const spread = base * this.jitter;
+    return Math.max(0, Math.round(base - spread + Math.random() * 2 * spread));
+  }
+}
+
+/**
+ * CircuitBreaker - fails a plugin's calls fast after repeated failures.
+ *
+ * closed:    calls go through; `failureThreshold` failures in a row open it.
+ * open:      calls fail at once with CircuitOpenError for `resetTimeout` ms.
+ * half-open: up to `halfOpenMaxCalls` trial calls go through; a success
+ *            closes the circuit, a failure opens it again.
+ *
+ * Only errors matching `isFailure` count. Other errors show the module is
+ * reachable and count as successes; aborted calls do not count at all.
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} pluginName
+   * @param {Object} [options]
+   * @param {number} [options.failureThreshold=5] - Consecutive failures that open the circuit
+   * @param {number} [options.resetTimeout=30000] - ms to stay open before a trial call
+   * @param {number} [options.halfOpenMaxCalls=1] - Concurrent trial calls while half-open
+   * @param {Function} [options.isFailure] - (error) => boolean; defaults to isTransientError
+   * @param {Function} [onStateChange] - ({ pluginName, from, to, failures, error }) => void
+   */
+  constructor(pluginName, options = {}, onStateChange = null) {
+    const {
+      failureThreshold = 5,
+      resetTimeout = 30000,
+      halfOpenMaxCalls = 1,
+      isFailure = isTransientError
+    } = options;
+    if (!Number.isInteger(failureThreshold) || failureThreshold < 1) throw new RangeError('failureThreshold must be an integer >= 1');
+    if (!Number.isFinite(resetTimeout) || resetTimeout < 0) throw new RangeError('resetTimeout must be a non-negative number of ms');
+    if (!Number.isInteger(halfOpenMaxCalls) || halfOpenMaxCalls < 1) throw new RangeError('halfOpenMaxCalls must be an integer >= 1');
+    if (typeof isFailure !== 'function') throw new TypeError('isFailure must be a function (error) => boolean');
+
+    this.pluginName = pluginName;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.halfOpenMaxCalls = halfOpenMaxCalls;
+    this.isFailure = isFailure;
+    this._onStateChange = onStateChange;
+
+    this._state = 'closed';
+    this._failures = 0;    // consecutive counted failures
+    this._trials = 0;      // trial calls in flight while half-open
+    this._openedAt = null;
+    this._lastError = null;
+    this._lastChangeAt = Date.now();
+  }
+
+  /**
+   * 'closed', 'open' or 'half-open'. An open circuit whose resetTimeout
+   * has elapsed reads as half-open.
+   */
+  get state() {
+    if (this._state === 'open' && Date.now() - this._openedAt >= this.resetTimeout) {
+      this._transition('half-open', null);
+    }
+    return this._state;
+  }
+
+  /**
+   * Ask to send a call. Returns a permit for record(), or throws a
+   * CircuitOpenError when the call must fail fast.
+   * @param {string} [methodName] - For the error message
+   * @returns {'closed'|'trial'}
+   */
+  acquire(methodName) {
+    const state = this.state;
+    if (state === 'closed') return 'closed';
+    if (state === 'half-open' && this._trials < this.halfOpenMaxCalls) {
+      this._trials++;
+      return 'trial';
+    }
+    const retryAfter = state === 'open' ? Math.max(0, this._openedAt + this.resetTimeout - Date.now()) : 0;
+    const label = methodName ? `${this.pluginName}.${methodName}` : this.pluginName;
+    throw new CircuitOpenError(
+      `${label} failed fast: circuit is ${state} after ${this._failures} consecutive failure(s)` +
+      (this._lastError ? ` (last error: ${this._lastError.message})` : ''),
+      { pluginName: this.pluginName, methodName, state, retryAfter }
+    );
+  }
+
+  /**
+   * Record the outcome of a call sent under `permit`.
+   * @param {'closed'|'trial'} permit
+   * @param {boolean} success
+   * @param {*} [error]
+   */
+  record(permit, success, error) {
+    if (permit === 'trial') this._trials = Math.max(0, this._trials - 1);
+    if (!success && error && error.code === 'ERR_ABORTED') return;
+
+    const failed = !success && !!this.isFailure(error);
+    if (failed) this._lastError = describeError(error);
+
+    if (permit === 'trial') {
+      if (failed) {
+        this._failures++;
+        this._open(error);
+      } else {
+        this._failures = 0;
+        this._transition('closed', null);
+      }
+      return;
+    }
+    // Calls that started before the circuit opened no longer decide anything
+    if (this._state !== 'closed') return;
+    if (!failed) {
+      this._failures = 0;
+      return;
+    }
+    this._failures++;
+    if (this._failures >= this.failureThreshold) this._open(error);
+  }
+
+  /**
+   * Close the circuit and forget past failures.
+   */
+  reset() {
+    this._failures = 0;
+    this._trials = 0;
+    this._lastError = null;
+    this._transition('closed', null);
+  }
+
+  /**
+   * @returns {{ pluginName: string, state: string, failures: number, failureThreshold: number,
+   *   openedAt: string|null, retryAt: string|null, lastError: Object|null, since: string }}
+   */
+  snapshot() {
+    const state = this.state;
+    return {
+      pluginName: this.pluginName,
+      state,
+      failures: this._failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: state === 'closed' ? null : new Date(this._openedAt).toISOString(),
+      retryAt: state === 'open' ? new Date(this._openedAt + this.resetTimeout).toISOString() : null,
+      lastError: this._lastError,
+      since: new Date(this._lastChangeAt).toISOString()
+    };
+  }
+
+  _open(error) {
+    this._openedAt = Date.now();
+    this._trials = 0;
+    this._transition('open', error);
+  }
+
+  _transition(to, error) {
+    const from = this._state;
+    if (from === to) return;
+    this._state = to;
+    this._lastChangeAt = Date.now();
+    if (this._onStateChange) {
+      this._onStateChange({ pluginName: this.pluginName, from, to, failures: this._failures, error: error || null });
+    }
+  }
+}
+
+module.exports = {
+  RetryPolicy,
+  CircuitBreaker,
+  isTransientError,
+  methodMatcher,
+};
@@ -0,0 +1,369 @@
+const { EventEmitter } = require('events');
+const { InvalidStateError } = require('./errors');
+
+/**
+ * StatsMonitor - samples getModuleStats() on an interval, keeps a rolling
+ * window of normalized per-module samples, raises threshold alerts and
+ * exports Prometheus text and JSON lines.
+ *
+ * Events:
+ * - 'sample'      { timestamp, modules: ModuleSample[] }
+ * - 'alert'       Alert, when a rule has held for its duration
+ * - 'resolved'    Alert, when a firing rule no longer holds
+ * - 'sampleError' { error, timestamp }, when getModuleStats() fails (logged if unheard)
+ */
+
+const METRICS = {
+  cpu: 'cpuPercent',
+  cpupercent: 'cpuPercent',
+  memory: 'memoryBytes',
+  mem: 'memoryBytes',
+  memorybytes: 'memoryBytes',
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+
+// Field spellings accepted from the core, with the factor to bytes for memory
+const CPU_FIELDS = ['cpu_percent', 'cpuPercent', 'cpu'];
+const MEMORY_FIELDS = [
+  ['memory_bytes', 1], ['memoryBytes', 1], ['rss', 1], ['memory', 1],
+  ['memory_kb', 1024], ['memoryKB', 1024],
+  ['memory_mb', 1024 ** 2], ['memoryMB', 1024 ** 2], ['memory_mib', 1024 ** 2],
+];
+
+function toNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim() && Number.isFinite(Number(value))) return Number(value);
+  return null;
+}
+
+/**
+ * Normalize one getModuleStats() result into per-module samples.
+ *
+ * Accepts an array of module entries, an object keyed by module name, or
+ * `{ modules: [...] }`. CPU is read from `cpu_percent`/`cpuPercent`/`cpu`
+ * and memory from `memory_bytes`/`rss`/`memory` (bytes), `memory_kb` or
+ * `memory_mb`. Entries without a name are skipped.
+ *
+ * @param {*} stats - Value returned by getModuleStats()
+ * @returns {Array<{name: string, pid: number|null, cpuPercent: number|null, memoryBytes: number|null}>}
+ */
+function normalizeStats(stats) {
+  let entries = stats;
+  if (typeof entries === 'string') {
+    try { entries = JSON.parse(entries); } catch (_e) { return []; }
+  }
+  if (entries && !Array.isArray(entries) && Array.isArray(entries.modules)) entries = entries.modules;
+  if (entries && typeof entries === 'object' && !Array.isArray(entries)) {
+    entries = Object.entries(entries).map(([name, entry]) => ({ name, ...entry }));
+  }
+  if (!Array.isArray(entries)) return [];
+
+  const samples = [];
+  for (const entry of entries) {
+    if (!entry || typeof entry !== 'object') continue;
+    const name = entry.name || entry.module || entry.moduleName;
+    if (typeof name !== 'string' || !name) continue;
+
+    let cpuPercent = null;
+    for (const field of CPU_FIELDS) {
+      if (entry[field] !== undefined) { cpuPercent = toNumber(entry[field]); break; }
+    }
+    let memoryBytes = null;
+    for (const [field, factor] of MEMORY_FIELDS) {
+      const value = toNumber(entry[field]);
+      if (value !== null) { memoryBytes = Math.round(value * factor); break; }
+    }
+    samples.push({ name, pid: toNumber(entry.pid), cpuPercent, memoryBytes });
+  }
+  return samples;
+}
+
+function parseAmount(text, units, label) {
+  const match = String(text).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([a-z%]*)$/);
+  if (!match) throw new TypeError(`Invalid ${label}: "${text}"`);
+  const unit = match[2] === '%' ? '' : match[2];
+  if (unit && !(unit in units)) {
+    throw new TypeError(`Unknown ${label} unit "${match[2]}". Expected one of: ${Object.keys(units).join(', ')}`);
+  }
+  return Number(match[1]) * (unit ? units[unit] : 1);
+}
+
+/**
+ * Parse an alert rule.
+ *
+ * String form: `<module|*> <cpu|memory> <'>'|'<'> <value>[unit] [for <duration>]`,
+ * e.g. "waku memory > 500MB for 30s" or "* cpu > 90% for 1m".
+ *
+ * @param {string|Object} rule - String, or `{ module, metric, above|below, for, name }`
+ * @returns {{ name: string, module: string, metric: string, op: string, threshold: number, for: number }}
+ */
+function parseRule(rule) {
+  if (typeof rule === 'string') {
+    const match = rule.trim().match(/^(\S+)\s+(\w+)\s*([<>])\s*(\S+)(?:\s+for\s+(\S+))?$/i);
+    if (!match) throw new TypeError(`Invalid alert rule "${rule}". Expected e.g. "waku memory > 500MB for 30s"`);
+    const [, module, metricName, op, value, duration] = match;
+    const metric = METRICS[metricName.toLowerCase()];
+    if (!metric) throw new TypeError(`Unknown metric "${metricName}" in rule "${rule}". Expected cpu or memory`);
+    return {
+      name: rule.trim(),
+      module,
+      metric,
+      op,
+      threshold: parseAmount(value, metric === 'memoryBytes' ? SIZE_UNITS : {}, 'threshold'),
+      for: duration ? parseAmount(duration, DURATION_UNITS, 'duration') : 0
+    };
+  }
+
+  if (!rule || typeof rule !== 'object') throw new TypeError('Alert rule must be a string or an object');
+  const metric = METRICS[String(rule.metric || '').toLowerCase()];
+  if (!metric) throw new TypeError(`Unknown metric "${rule.metric}". Expected cpu or memory`);
+  const op = rule.below !== undefined ? '<' : '>';
+  const raw = op === '<' ? rule.below : rule.above;
+  if (raw === undefined) throw new TypeError('Alert rule needs `above` or `below`');
+  const threshold = typeof raw === 'number' ? raw : parseAmount(raw, metric === 'memoryBytes' ? SIZE_UNITS : {}, 'threshold');
+  const duration = rule.for === undefined ? 0 : (typeof rule.for === 'number' ? rule.for : parseAmount(rule.for, DURATION_UNITS, 'duration'));
+  const module = rule.module || '*';
+  return {
+    name: rule.name || `${module} ${rule.metric} ${op} ${raw}${duration ? ` for ${rule.for}` : ''}`,
+    module,
+    metric,
+    op,
+    threshold,
+    for: duration
+  };
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+class StatsMonitor extends EventEmitter {
+  /**
+   * @param {LogosAPI} api
+   * @param {Object} [options]
+   * @param {number} [options.interval=5000] - Sampling interval in ms
+   * @param {number} [options.window=300000] - How long samples are kept, in ms
+   * @param {Array<string|Object>} [options.alerts] - Alert rules (see parseRule())
+   */
+  constructor(api, options = {}) {
+    super();
+    this.api = api;
+    this.interval = options.interval || 5000;
+    this.window = options.window || 300000;
+    this.rules = (options.alerts || []).map(parseRule);
+    this._samples = [];              // { timestamp, modules }
+    this._breaches = new Map();      // rule/module key -> { rule, module, since, firing, alert }
+    this._timer = null;
+    this._onShutdown = () => this.stop();
+  }
+
+  /**
+   * Start sampling. The first sample is taken immediately.
+   * Sampling stops on its own when the API shuts down.
+   */
+  start() {
+    if (this._timer) throw new InvalidStateError('StatsMonitor is already running', { operation: 'start' });
+    this._timer = setInterval(() => this.sample(), this.interval);
+    if (typeof this.api.on === 'function') this.api.on('shutdown', this._onShutdown);
+    this.sample();
+    return this;
+  }
+
+  stop() {
+    if (!this._timer) return false;
+    clearInterval(this._timer);
+    this._timer = null;
+    if (typeof this.api.off === 'function') this.api.off('shutdown', this._onShutdown);
+    return true;
+  }
+
+  get running() {
+    return this._timer !== null;
+  }
+
+  /**
+   * Add an alert rule while running.
+   * @param {string|Object} rule
+   */
+  addAlert(rule) {
+    this.rules.push(parseRule(rule));
+  }
+
+  /**
+   * Take one sample now.
+   * @returns {{ timestamp: number, modules: Array }|null} null if getModuleStats() failed
+   */
+  sample() {
+    const timestamp = Date.now();
+    let modules;
+    try {
+      modules = normalizeStats(this.api.getModuleStats());
+    } catch (error) {
+      if (this.listenerCount('sampleError') > 0) this.emit('sampleError', { error, timestamp });
+      else console.error('StatsMonitor: getModuleStats() failed:', error);
+      return null;
+    }
+
+    const snapshot = { timestamp, modules };
+    this._samples.push(snapshot);
+    const cutoff = timestamp - this.window;
+    while (this._samples.length && this._samples[0].timestamp < cutoff) this._samples.shift();
+
+    this.emit('sample', snapshot);
+    this._evaluate(snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Samples in the window, oldest first, optionally for one module.
+   * @param {string} [moduleName]
+   * @returns {Array<{timestamp: number, name: string, pid: number|null, cpuPercent: number|null, memoryBytes: number|null}>}
+   */
+  samples(moduleName) {
+    const out = [];
+    for (const { timestamp, modules } of this._samples) {
+      for (const module of modules) {
+        if (!moduleName || module.name === moduleName) out.push({ timestamp, ...module });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * The most recent sample, or null before the first one.
+   */
+  latest() {
+    return this._samples.length ? this._samples[this._samples.length - 1] : null;
+  }
+
+  /**
+   * Min/max/average of each metric over the window, per module.
+   * @returns {Object<string, {samples: number, cpuPercent: Object|null, memoryBytes: Object|null}>}
+   */
+  summary() {
+    const byModule = {};
+    for (const sample of this.samples()) {
+      const entry = byModule[sample.name] || (byModule[sample.name] = { samples: 0, cpuPercent: [], memoryBytes: [] });
+      entry.samples++;
+      for (const metric of ['cpuPercent', 'memoryBytes']) {
+        if (sample[metric] !== null) entry[metric].push(sample[metric]);
+      }
+    }
+    for (const entry of Object.values(byModule)) {
+      for (const metric of ['cpuPercent', 'memoryBytes']) {
+        const values = entry[metric];
+        entry[metric] = values.length ? {
+          min: Math.min(...values),
+          max: Math.max(...values),
+          avg: values.reduce((a, b) => a + b, 0) / values.length,
+          last: values[values.length - 1]
+        } : null;
+      }
+    }
+    return byModule;
+  }
+
+  /**
+   * Alerts currently firing.
+   * @returns {Array<Object>}
+   */
+  activeAlerts() {
+    return Array.from(this._breaches.values()).filter(b => b.firing).map(b => b.alert);
+  }
+
+  /**
+   * The latest sample in Prometheus text exposition format.
+   * @returns {string}
+   */
+  toPrometheus() {
+    const latest = this.latest();
+    const lines = [];
+    const gauge = (name, help, values) => {
+      lines.push(`# HELP ${name} ${help}`);
+      lines.push(`# TYPE ${name} gauge`);
+      for (const [labels, value] of values) {
+        const text = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',');
+        lines.push(`${text ? `${name}{${text}}` : name} ${value}`);
+      }
+    };
+    const modules = latest ? latest.modules : [];
+    gauge('logos_module_cpu_percent', 'CPU usage of the module host process, in percent.',
+      modules.filter(m => m.cpuPercent !== null).map(m => [{ module: m.name }, m.cpuPercent]));
+    gauge('logos_module_memory_bytes', 'Memory used by the module host process, in bytes.',
+      modules.filter(m => m.memoryBytes !== null).map(m => [{ module: m.name }, m.memoryBytes]));
+    gauge('logos_module_alert_active', 'Whether an alert rule is firing for the module (1) or not (0).',
+      Array.from(this._breaches.values()).map(b => [{ module: b.module, rule: b.rule.name }, b.firing ? 1 : 0]));
+    if (latest) {
+      gauge('logos_stats_last_sample_timestamp_seconds', 'Unix time of the last getModuleStats() sample.',
+        [[{}, latest.timestamp / 1000]]);
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Every sample in the window as JSON lines, one module per line.
+   * @param {string} [moduleName]
+   * @returns {string}
+   */
+  toJsonLines(moduleName) {
+    return this.samples(moduleName)
+      .map(({ timestamp, ...sample }) => JSON.stringify({ timestamp: new Date(timestamp).toISOString(), ...sample }))
+      .map(line => `${line}\n`)
+      .join('');
+  }
+
+  _evaluate(snapshot) {
+    for (const rule of this.rules) {
+      const modules = rule.module === '*'
+        ? snapshot.modules
+        : snapshot.modules.filter(m => m.name === rule.module);
+      const seen = new Set();
+
+      for (const module of modules) {
+        const key = `${rule.name}\u0000${module.name}`;
+        seen.add(key);
+        const value = module[rule.metric];
+        const breached = value !== null && (rule.op === '>' ? value > rule.threshold : value < rule.threshold);
+        this._update(key, rule, module.name, breached, value, snapshot.timestamp);
+      }
+      // A module that disappeared from the stats no longer breaches
+      for (const [key, breach] of this._breaches) {
+        if (breach.rule === rule && !seen.has(key)) this._update(key, rule, breach.module, false, null, snapshot.timestamp);
+      }
+    }
+  }
+
+  _update(key, rule, moduleName, breached, value, timestamp) {
+    const breach = this._breaches.get(key);
+    if (!breached) {
+      if (breach && breach.firing) {
+        this.emit('resolved', { ...breach.alert, state: 'resolved', resolvedAt: new Date(timestamp).toISOString() });
+      }
+      this._breaches.delete(key);
+      return;
+    }
+
+    const current = breach || { rule, module: moduleName, since: timestamp, firing: false, alert: null };
+    current.alert = {
+      rule: rule.name,
+      module: moduleName,
+      metric: rule.metric,
+      value,
+      threshold: rule.threshold,
+      since: new Date(current.since).toISOString(),
+      duration: timestamp - current.since,
+      state: 'firing'
+    };
+    this._breaches.set(key, current);
+    if (!current.firing && timestamp - current.since >= rule.for) {
+      current.firing = true;
+      this.emit('alert', current.alert);
+    }
+  }
+}
+
+module.exports = StatsMonitor;
+module.exports.normalizeStats = normalizeStats;
+module.exports.parseRule = parseRule;
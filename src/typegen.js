@@ -0,0 +1,290 @@
+const path = require('path');
+const fs = require('fs');
+const { normalizeType, splitType } = require('./types');
+
+/**
+ * TypeScript declaration generator for plugin proxies.
+ *
+ * Reads a module's interface header (the pure virtual Q_INVOKABLE methods
+ * of e.g. calc_module_interface.h) and/or its metadata.json, and emits a
+ * .d.ts that augments `LogosPlugins` so `logos.<plugin>.<method>()` is typed.
+ */
+
+// Methods the host calls on every module; not part of the callable surface
+const HOST_METHODS = new Set(['initLogos', 'name', 'version']);
+
+// Signal that carries named events; individual events are listed separately
+const EVENT_CARRIER_SIGNAL = 'eventResponse';
+
+const TS_RESERVED = new Set([
+  'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete', 'do',
+  'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'new', 'null', 'return', 'super', 'switch', 'this', 'throw', 'true', 'try',
+  'typeof', 'var', 'void', 'while', 'with',
+  'options' // taken by the trailing CallOptions parameter
+]);
+
+function stripComments(source) {
+  return source.replace(/\/\*[\s\S]*?\*\//g, ' ').replace(/\/\/.*$/gm, '');
+}
+
+/**
+ * Split a C++ parameter list on top-level commas (ignoring those inside <>).
+ * @private
+ */
+function splitParams(list) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const ch of list) {
+    if (ch === '<') depth++;
+    if (ch === '>') depth--;
+    if (ch === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current.trim()) parts.push(current);
+  return parts.map(p => p.trim()).filter(p => p && p !== 'void');
+}
+
+/**
+ * Parse one C++ parameter declaration into name and type.
+ * @private
+ */
+function parseParam(decl, index) {
+  const withoutDefault = decl.replace(/\s*=.*$/, '').trim();
+  const match = withoutDefault.match(/^(.*?[\s&*>])(\w+)$/);
+  if (!match || /^(const|unsigned|signed|long)$/.test(match[2]) || !match[1].trim()) {
+    return { name: `arg${index}`, type: withoutDefault };
+  }
+  return { name: match[2], type: match[1].trim() };
+}
+
+/**
+ * Parse a module interface (or plugin) header.
+ *
+ * Methods are the pure virtual or Q_INVOKABLE member functions; events are
+ * the declarations in a `signals:` section, except the generic
+ * `eventResponse` carrier.
+ *
+ * @param {string} source - Header contents
+ * @returns {{ className: string|null,
+ *   methods: Array<{name: string, params: Array<{name: string, type: string}>, returns: string}>,
+ *   events: Array<{name: string, type: string|null}> }}
+ */
+function parseInterfaceHeader(source) {
+  const code = stripComments(source);
+  const classMatch = code.match(/class\s+(\w+)\s*(?::[^{]*)?\{/);
+  const methods = [];
+  const events = [];
+  const seen = new Set();
+
+  const declaration = /(?<=^|[;{}:])\s*((?:Q_INVOKABLE\s+)?(?:virtual\s+)?)([A-Za-z_](?:[\w<>,\s*&]|::)*?)\s*\b(\w+)\s*\(((?:[^()]|\([^()]*\))*)\)\s*(const\s*)?(override\s*)?(=\s*0\s*)?;/g;
+  const sections = /^\s*(public|protected|private|signals|Q_SIGNALS)(?:\s+slots)?\s*:/gm;
+
+  // Record where each access section starts so signals can be told apart
+  const boundaries = [];
+  let sectionMatch;
+  while ((sectionMatch = sections.exec(code))) boundaries.push({ at: sectionMatch.index, name: sectionMatch[1] });
+
+  let match;
+  while ((match = declaration.exec(code))) {
+    const [, qualifiers, rawReturn, name, paramList, , , pure] = match;
+    const at = match.index;
+    let section = null;
+    for (const boundary of boundaries) if (boundary.at <= at) section = boundary.name;
+
+    const params = splitParams(paramList).map(parseParam);
+    const returns = rawReturn.replace(/\b(virtual|Q_INVOKABLE|static|inline|explicit)\b/g, '').trim();
+
+    if (section === 'signals' || section === 'Q_SIGNALS') {
+      if (name !== EVENT_CARRIER_SIGNAL && !events.some(e => e.name === name)) {
+        events.push({ name, type: params.length === 1 ? params[0].type : null });
+      }
+      continue;
+    }
+    const invokable = /Q_INVOKABLE/.test(qualifiers) || (/virtual/.test(qualifiers) && pure);
+    if (!invokable || HOST_METHODS.has(name) || seen.has(name) || name.startsWith('~')) continue;
+    seen.add(name);
+    methods.push({ name, params, returns });
+  }
+
+  return { className: classMatch ? classMatch[1] : null, methods, events };
+}
+
+/**
+ * Map a Qt / wire type to a TypeScript type.
+ * @param {string} type
+ * @param {'param'|'result'} direction
+ * @returns {string}
+ */
+function toTsType(type, direction) {
+  let canonical;
+  try {
+    canonical = normalizeType(type);
+  } catch (_e) {
+    return 'unknown';
+  }
+  const { base, element } = splitType(canonical);
+  switch (base) {
+    case 'void': return 'void';
+    case 'int':
+    case 'uint':
+    case 'double': return 'number';
+    case 'int64':
+    case 'uint64': return direction === 'param' ? 'number | bigint | string' : 'number | bigint';
+    case 'bool': return 'boolean';
+    case 'string': return 'string';
+    case 'bytes': return direction === 'param' ? 'Buffer | Uint8Array | ArrayBuffer' : 'Buffer';
+    case 'list': {
+      const inner = element ? toTsType(element, direction) : 'unknown';
+      return /[ |]/.test(inner) ? `Array<${inner}>` : `${inner}[]`;
+    }
+    case 'map': return 'Record<string, unknown>';
+    default: return 'unknown';
+  }
+}
+
+function pascalCase(name) {
+  return name.split(/[^A-Za-z0-9]+/).filter(Boolean)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('');
+}
+
+function capitalize(name) {
+  return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+function safeIdentifier(name) {
+  return TS_RESERVED.has(name) ? `${name}_` : name;
+}
+
+/**
+ * Find the interface header for a module directory: src/<name>_interface.h,
+ * then any *_interface.h in src/ or the directory itself.
+ * @private
+ */
+function findInterfaceHeader(dir, pluginName) {
+  const candidates = [];
+  for (const sub of ['src', '.', 'include']) {
+    const base = path.join(dir, sub);
+    if (pluginName) candidates.push(path.join(base, `${pluginName}_interface.h`));
+    try {
+      for (const file of fs.readdirSync(base).sort()) {
+        if (file.endsWith('_interface.h')) candidates.push(path.join(base, file));
+      }
+    } catch (_e) { /* no such directory */ }
+  }
+  return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Build a module description from a header, a metadata/manifest JSON file,
+ * or a module directory containing both.
+ *
+ * @param {string} input - Path to a .h file, a .json file or a directory
+ * @param {Object} [options]
+ * @param {string} [options.name] - Plugin name (defaults to metadata `name` or the header file name)
+ * @param {string[]} [options.events] - Extra event names
+ * @returns {{ name: string, version: string|null, description: string|null,
+ *   className: string|null, methods: Array, events: Array, sources: string[] }}
+ */
+function describeModule(input, options = {}) {
+  const stat = fs.statSync(input);
+  let metadataPath = null;
+  let headerPath = null;
+
+  if (stat.isDirectory()) {
+    metadataPath = ['manifest.json', 'metadata.json'].map(f => path.join(input, f)).find(f => fs.existsSync(f)) || null;
+  } else if (input.endsWith('.json')) {
+    metadataPath = input;
+  } else {
+    headerPath = input;
+  }
+
+  const metadata = metadataPath ? JSON.parse(fs.readFileSync(metadataPath, 'utf8')) : {};
+  let name = options.name || (typeof metadata.name === 'string' ? metadata.name : null);
+
+  if (!headerPath && metadataPath) {
+    headerPath = findInterfaceHeader(path.dirname(metadataPath), name);
+  }
+  if (!name && headerPath) {
+    name = path.basename(headerPath).replace(/(_interface)?\.h$/, '');
+  }
+  if (!name) throw new Error(`Cannot determine the plugin name for ${input}; pass a name`);
+
+  const parsed = headerPath
+    ? parseInterfaceHeader(fs.readFileSync(headerPath, 'utf8'))
+    : { className: null, methods: [], events: [] };
+
+  const events = parsed.events.slice();
+  const extraEvents = [...(Array.isArray(metadata.events) ? metadata.events : []), ...(options.events || [])];
+  for (const event of extraEvents) {
+    const entry = typeof event === 'string' ? { name: event, type: null } : { name: event.name, type: event.type || null };
+    if (entry.name && !events.some(e => e.name === entry.name)) events.push(entry);
+  }
+
+  return {
+    name,
+    version: typeof metadata.version === 'string' ? metadata.version : null,
+    description: typeof metadata.description === 'string' ? metadata.description : null,
+    className: parsed.className,
+    methods: parsed.methods,
+    events,
+    sources: [headerPath, metadataPath].filter(Boolean)
+  };
+}
+
+/**
+ * Render a .d.ts for a module description.
+ * @param {Object} module - From describeModule() (or parseInterfaceHeader() plus `name`)
+ * @param {Object} [options]
+ * @param {string} [options.packageName='logos-api'] - Module specifier to import from and augment
+ * @param {string} [options.interfaceName] - Defaults to PascalCase(name) + 'Plugin'
+ * @returns {string}
+ */
+function generateDeclarations(module, options = {}) {
+  const packageName = options.packageName || 'logos-api';
+  const interfaceName = options.interfaceName || `${pascalCase(module.name)}Plugin`;
+  const sources = (module.sources || []).map(file => path.basename(file));
+  const lines = [];
+
+  lines.push(`// Generated by logos-api typegen${sources.length ? ` from ${sources.join(', ')}` : ''}.`);
+  lines.push('// Do not edit by hand; regenerate when the module interface changes.');
+  lines.push(`import type { CallOptions, EventDisposer, PluginArg, PluginProxy } from '${packageName}';`);
+  lines.push('');
+
+  const summary = [module.name, module.description].filter(Boolean).join(' - ');
+  lines.push(`/** ${summary}${module.version ? ` (${module.version})` : ''} */`);
+  lines.push(`export interface ${interfaceName} extends PluginProxy {`);
+  for (const method of module.methods) {
+    const params = method.params.map(param =>
+      `${safeIdentifier(param.name)}: PluginArg<${toTsType(param.type, 'param')}>`);
+    params.push('options?: CallOptions');
+    const result = toTsType(method.returns, 'result');
+    lines.push(`  /** \`${method.returns} ${method.name}(${method.params.map(p => `${p.type} ${p.name}`).join(', ')})\` */`);
+    lines.push(`  ${method.name}(${params.join(', ')}): Promise<${result}>;`);
+  }
+  for (const event of module.events) {
+    const data = event.type ? toTsType(event.type, 'result') : 'unknown';
+    lines.push(`  on${capitalize(event.name)}(callback: (data: ${data}) => void): EventDisposer;`);
+  }
+  lines.push('}');
+  lines.push('');
+  lines.push(`declare module '${packageName}' {`);
+  lines.push('  interface LogosPlugins {');
+  lines.push(`    ${/^[A-Za-z_$][\w$]*$/.test(module.name) ? module.name : JSON.stringify(module.name)}: ${interfaceName};`);
+  lines.push('  }');
+  lines.push('}');
+  lines.push('');
+  return lines.join('\n');
+}
+
+module.exports = {
+  parseInterfaceHeader,
+  describeModule,
+  generateDeclarations,
+  toTsType,
+};
@@ -0,0 +1,354 @@
+/**
+ * Typed parameter marshalling for plugin method calls.
+ *
+ * The module client expects params as a JSON array of
+ * `{ name, value, type }` entries where `value` is always a string.
+ * This module owns the mapping between JS values and those wire
+ * entries, so Q_INVOKABLE methods receive exactly the Qt type they
+ * declare instead of whatever JS number formatting happens to produce.
+ */
+
+const INT32_MIN = -(2 ** 31);
+const INT32_MAX = 2 ** 31 - 1;
+const UINT32_MAX = 2 ** 32 - 1;
+const INT64_MIN = -(2n ** 63n);
+const INT64_MAX = 2n ** 63n - 1n;
+const UINT64_MAX = 2n ** 64n - 1n;
+
+/**
+ * Canonical wire type names understood by the SDK.
+ */
+const TYPE_NAMES = [
+  'int', 'uint', 'int64', 'uint64', 'double', 'bool', 'string', 'bytes', 'list', 'map'
+];
+
+// Qt / C++ spellings accepted in signatures and result tags
+const TYPE_ALIASES = {
+  'int': 'int',
+  'qint32': 'int',
+  'int32': 'int',
+  'uint': 'uint',
+  'unsigned': 'uint',
+  'unsigned int': 'uint',
+  'quint32': 'uint',
+  'uint32': 'uint',
+  'int64': 'int64',
+  'qint64': 'int64',
+  'qlonglong': 'int64',
+  'long long': 'int64',
+  'uint64': 'uint64',
+  'quint64': 'uint64',
+  'qulonglong': 'uint64',
+  'unsigned long long': 'uint64',
+  'double': 'double',
+  'float': 'double',
+  'qreal': 'double',
+  'bool': 'bool',
+  'string': 'string',
+  'qstring': 'string',
+  'bytes': 'bytes',
+  'qbytearray': 'bytes',
+  'list': 'list',
+  'qvariantlist': 'list',
+  'qstringlist': 'list<string>',
+  'map': 'map',
+  'qvariantmap': 'map',
+  'qjsonobject': 'map',
+  'qjsonarray': 'list',
+  'void': 'void',
+};
+
+/**
+ * A JS value tagged with an explicit wire type.
+ */
+class TypedValue {
+  constructor(type, value) {
+    this.type = normalizeType(type);
+    this.value = value;
+  }
+}
+
+/**
+ * Normalize a type name (canonical, Qt alias or `list<T>`) to its canonical form.
+ * @param {string} type
+ * @returns {string}
+ */
+function normalizeType(type) {
+  if (typeof type !== 'string' || !type.trim()) {
+    throw new TypeError(`Invalid type: ${String(type)}`);
+  }
+  const cleaned = type.trim()
+    .replace(/^const\s+/, '')
+    .replace(/\s*&$/, '')
+    .replace(/\s+/g, ' ');
+
+  const listMatch = cleaned.match(/^(?:list|QList|QVector)\s*<\s*(.+)\s*>$/i);
+  if (listMatch) {
+    return `list<${normalizeType(listMatch[1])}>`;
+  }
+
+  const canonical = TYPE_ALIASES[cleaned.toLowerCase()];
+  if (!canonical) {
+    throw new TypeError(`Unknown type "${type}". Expected one of: ${TYPE_NAMES.join(', ')}`);
+  }
+  return canonical;
+}
+
+/**
+ * Split `list<T>` into its base and element type.
+ * @private
+ */
+function splitType(type) {
+  const match = type.match(/^list<(.+)>$/);
+  return match ? { base: 'list', element: match[1] } : { base: type, element: null };
+}
+
+function toBigInt(value, type) {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'number') {
+    if (!Number.isInteger(value)) throw new TypeError(`${type} expects an integer, got ${value}`);
+    if (!Number.isSafeInteger(value)) {
+      throw new TypeError(`${type} value ${value} is not a safe integer; pass a BigInt instead`);
+    }
+    return BigInt(value);
+  }
+  if (typeof value === 'string' && /^-?\d+$/.test(value.trim())) {
+    return BigInt(value.trim());
+  }
+  throw new TypeError(`${type} expects an integer, BigInt or integer string, got ${describe(value)}`);
+}
+
+function toBuffer(value) {
+  if (Buffer.isBuffer(value)) return value;
+  if (value instanceof Uint8Array) return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  if (value instanceof ArrayBuffer) return Buffer.from(value);
+  throw new TypeError(`bytes expects a Buffer, Uint8Array or ArrayBuffer, got ${describe(value)}`);
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Buffer.isBuffer(value)) return 'Buffer';
+  return typeof value === 'object' ? value.constructor?.name || 'object' : `${typeof value} ${String(value)}`;
+}
+
+/**
+ * Convert a JS value into something JSON.stringify can carry inside a list/map.
+ * @private
+ */
+function toJsonValue(value, elementType) {
+  if (value instanceof TypedValue) {
+    return toJsonValue(value.value, value.type);
+  }
+  if (elementType) {
+    const { base } = splitType(elementType);
+    const encoded = encodeValue(elementType, value);
+    switch (base) {
+      case 'int': case 'uint': case 'double': return Number(encoded);
+      case 'bool': return encoded === 'true';
+      case 'list': case 'map': return JSON.parse(encoded);
+      default: return encoded; // int64/uint64/bytes/string travel as strings
+    }
+  }
+  if (typeof value === 'bigint') return value.toString();
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    return toBuffer(value).toString('base64');
+  }
+  if (Array.isArray(value)) return value.map(v => toJsonValue(v));
+  if (value instanceof Map) return toJsonValue(Object.fromEntries(value));
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = toJsonValue(v);
+    return out;
+  }
+  if (value === undefined) return null;
+  return value;
+}
+
+/**
+ * Encode a JS value as the string `value` of a wire param of the given type.
+ * Throws a TypeError if the value cannot be represented losslessly.
+ * @param {string} type - Canonical or alias type name
+ * @param {*} value
+ * @returns {string}
+ */
+function encodeValue(type, value) {
+  const canonical = normalizeType(type);
+  const { base, element } = splitType(canonical);
+
+  if (value instanceof TypedValue) {
+    if (value.type !== canonical && splitType(value.type).base !== base) {
+      throw new TypeError(`Expected ${canonical}, got typed ${value.type}`);
+    }
+    value = value.value;
+  }
+
+  switch (base) {
+    case 'int':
+    case 'uint': {
+      const n = toBigInt(value, base);
+      const min = base === 'int' ? BigInt(INT32_MIN) : 0n;
+      const max = base === 'int' ? BigInt(INT32_MAX) : BigInt(UINT32_MAX);
+      if (n < min || n > max) throw new RangeError(`${base} value ${n} is out of range [${min}, ${max}]`);
+      return n.toString();
+    }
+    case 'int64':
+    case 'uint64': {
+      const n = toBigInt(value, base);
+      const min = base === 'int64' ? INT64_MIN : 0n;
+      const max = base === 'int64' ? INT64_MAX : UINT64_MAX;
+      if (n < min || n > max) throw new RangeError(`${base} value ${n} is out of range [${min}, ${max}]`);
+      return n.toString();
+    }
+    case 'double': {
+      const n = typeof value === 'bigint' ? Number(value) : value;
+      if (typeof n !== 'number' || Number.isNaN(n)) {
+        throw new TypeError(`double expects a number, got ${describe(value)}`);
+      }
+      return String(n);
+    }
+    case 'bool':
+      if (typeof value !== 'boolean') throw new TypeError(`bool expects a boolean, got ${describe(value)}`);
+      return value ? 'true' : 'false';
+    case 'string':
+      if (typeof value !== 'string') throw new TypeError(`string expects a string, got ${describe(value)}`);
+      return value;
+    case 'bytes':
+      return toBuffer(value).toString('base64');
+    case 'list': {
+      if (!Array.isArray(value)) throw new TypeError(`list expects an array, got ${describe(value)}`);
+      return JSON.stringify(value.map(v => toJsonValue(v, element)));
+    }
+    case 'map': {
+      const obj = value instanceof Map ? Object.fromEntries(value) : value;
+      if (!isPlainObject(obj)) throw new TypeError(`map expects a plain object or Map, got ${describe(value)}`);
+      return JSON.stringify(toJsonValue(obj));
+    }
+    default:
+      throw new TypeError(`Type "${canonical}" cannot be used as a parameter`);
+  }
+}
+
+/**
+ * Infer a wire type for an untyped JS value.
+ * Used when no signature is declared for the method being called.
+ * @param {*} value
+ * @returns {string} Canonical type name
+ */
+function inferType(value) {
+  if (value instanceof TypedValue) return value.type;
+  if (value === null || value === undefined) {
+    throw new TypeError(
+      `Cannot infer a type for ${value}; declare a method signature or pass a typed value`
+    );
+  }
+  switch (typeof value) {
+    case 'boolean': return 'bool';
+    case 'string': return 'string';
+    case 'bigint': return value > INT64_MAX ? 'uint64' : 'int64';
+    case 'number':
+      if (!Number.isInteger(value)) return 'double';
+      return value >= INT32_MIN && value <= INT32_MAX ? 'int' : 'int64';
+    default:
+      break;
+  }
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array || value instanceof ArrayBuffer) return 'bytes';
+  if (Array.isArray(value)) return 'list';
+  if (value instanceof Map || isPlainObject(value)) return 'map';
+  throw new TypeError(`Cannot infer a type for ${describe(value)}`);
+}
+
+/**
+ * Normalize a method signature declaration.
+ *
+ * Accepts either an array of param types (`['int', 'int']`), or an object
+ * `{ params: [...], returns: 'int' }` where each param is a type string or
+ * `{ name, type }`.
+ *
+ * @param {Array|Object} signature
+ * @returns {{ params: Array<{name: string, type: string}>, returns: string|null }}
+ */
+function normalizeSignature(signature) {
+  const spec = Array.isArray(signature) ? { params: signature } : signature;
+  if (!spec || typeof spec !== 'object' || !Array.isArray(spec.params || [])) {
+    throw new TypeError('Signature must be an array of param types or { params, returns }');
+  }
+  const params = (spec.params || []).map((param, index) => {
+    if (typeof param === 'string') return { name: `arg${index}`, type: normalizeType(param) };
+    if (param && typeof param.type === 'string') {
+      return { name: param.name || `arg${index}`, type: normalizeType(param.type) };
+    }
+    throw new TypeError(`Invalid param declaration at index ${index}`);
+  });
+  return {
+    params,
+    returns: spec.returns ? normalizeType(spec.returns) : null
+  };
+}
+
+/**
+ * Build the wire params array for a call.
+ * @param {Array} args - JS arguments
+ * @param {Object|null} signature - Normalized signature, or null to infer
+ * @param {string} [label] - "plugin.method" for error messages
+ * @returns {Array<{name: string, value: string, type: string}>}
+ */
+function encodeParams(args, signature, label = 'method') {
+  const list = Array.from(args);
+
+  if (!signature) {
+    return list.map((arg, index) => {
+      const type = inferType(arg);
+      return { name: `arg${index}`, value: encodeValue(type, arg), type: splitType(type).base };
+    });
+  }
+
+  if (list.length !== signature.params.length) {
+    throw new TypeError(
+      `${label} expects ${signature.params.length} argument(s), got ${list.length}`
+    );
+  }
+  return signature.params.map((param, index) => {
+    try {
+      return {
+        name: param.name,
+        value: encodeValue(param.type, list[index]),
+        type: splitType(param.type).base
+      };
+    } catch (error) {
+      const wrapped = new error.constructor(`${label} argument ${index} (${param.name}): ${error.message}`);
+      throw wrapped;
+    }
+  });
+}
+
+const types = {
+  int: (value) => new TypedValue('int', value),
+  uint: (value) => new TypedValue('uint', value),
+  int64: (value) => new TypedValue('int64', value),
+  uint64: (value) => new TypedValue('uint64', value),
+  double: (value) => new TypedValue('double', value),
+  bool: (value) => new TypedValue('bool', value),
+  string: (value) => new TypedValue('string', value),
+  bytes: (value) => new TypedValue('bytes', value),
+  list: (value, elementType) => new TypedValue(elementType ? `list<${elementType}>` : 'list', value),
+  map: (value) => new TypedValue('map', value),
+};
+
+module.exports = {
+  TypedValue,
+  TYPE_NAMES,
+  types,
+  normalizeType,
+  normalizeSignature,
+  encodeValue,
+  inferType,
+  encodeParams,
+  splitType,
+};
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const http = require('http');
+const { EventEmitter } = require('events');
+
+/**
+ * Minimal RFC 6455 WebSocket server connection, enough for the gateway's
+ * JSON subscriptions: text and binary messages, fragmentation, ping/pong
+ * and the close handshake. No extensions (permessage-deflate) or
+ * subprotocols are negotiated.
+ *
+ * Events:
+ * - 'message' (data: string|Buffer, isBinary: boolean)
+ * - 'close'   (code: number, reason: string)
+ * - 'error'   (error), before the connection is closed
+ */
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+};
+
+/**
+ * Whether an HTTP upgrade request asks for a WebSocket.
+ * @param {http.IncomingMessage} req
+ * @returns {boolean}
+ */
+function isWebSocketUpgrade(req) {
+  return (req.headers.upgrade || '').toLowerCase() === 'websocket' &&
+    req.method === 'GET' &&
+    !!req.headers['sec-websocket-key'] &&
+    req.headers['sec-websocket-version'] === '13';
+}
+
+/**
+ * Complete the opening handshake on an upgraded socket.
+ * @param {http.IncomingMessage} req
+ * @param {net.Socket} socket
+ * @param {Buffer} head - First packet of the upgraded stream
+ * @param {Object} [options]
+ * @param {number} [options.maxPayload=1048576] - Largest accepted message in bytes
+ * @returns {WebSocketConnection}
+ */
+function acceptWebSocket(req, socket, head, options = {}) {
+  const accept = crypto.createHash('sha1')
+    .update(req.headers['sec-websocket-key'] + GUID)
+    .digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+  const connection = new WebSocketConnection(socket, options);
+  if (head && head.length) connection._receive(head);
+  return connection;
+}
+
+/**
+ * Reject an upgrade request with a plain HTTP response.
+ * @param {net.Socket} socket
+ * @param {number} status
+ * @param {string} message
+ */
+function rejectUpgrade(socket, status, message) {
+  const body = JSON.stringify({ error: message });
+  socket.end([
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || 'Error'}`,
+    'Content-Type: application/json',
+    `Content-Length: ${Buffer.byteLength(body)}`,
+    'Connection: close',
+    '', body
+  ].join('\r\n'));
+}
+
+class WebSocketConnection extends EventEmitter {
+  constructor(socket, options = {}) {
+    super();
+    this.socket = socket;
+    this.maxPayload = options.maxPayload || 1024 * 1024;
+    this.readyState = 'open';
+
+    this._buffer = Buffer.alloc(0);
+    this._fragments = [];
+    this._fragmentOpcode = null;
+    this._fragmentSize = 0;
+    this._closeSent = false;
+
+    socket.setNoDelay(true);
+    socket.on('data', (chunk) => this._receive(chunk));
+    socket.on('error', (error) => this._fail(error));
+    socket.on('close', () => this._finish(1006, ''));
+  }
+
+  /**
+   * Send a message. Strings are sent as text frames, Buffers as binary.
+   * @param {string|Buffer} data
+   * @returns {boolean} false if the connection is not open
+   */
+  send(data) {
+    if (this.readyState !== 'open') return false;
+    const binary = Buffer.isBuffer(data);
+    this._writeFrame(binary ? OPCODES.binary : OPCODES.text, binary ? data : Buffer.from(String(data)));
+    return true;
+  }
+
+  /**
+   * Start the close handshake.
+   * @param {number} [code=1000]
+   * @param {string} [reason='']
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState === 'closed') return;
+    if (!this._closeSent) {
+      const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+      payload.writeUInt16BE(code, 0);
+      payload.write(reason, 2);
+      this._writeFrame(OPCODES.close, payload);
+      this._closeSent = true;
+    }
+    this.readyState = 'closing';
+    // Don't wait forever for the peer's close frame
+    this._closeTimer = setTimeout(() => this.socket.destroy(), 1000);
+    this._closeTimer.unref();
+  }
+
+  /**
+   * Drop the connection without the close handshake.
+   */
+  terminate() {
+    this.socket.destroy();
+  }
+
+  _writeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+      header = Buffer.alloc(2);
+      header[1] = payload.length;
+    } else if (payload.length < 65536) {
+      header = Buffer.alloc(4);
+      header[1] = 126;
+      header.writeUInt16BE(payload.length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    header[0] = 0x80 | opcode; // FIN; server frames are never masked
+    this.socket.write(Buffer.concat([header, payload]));
+  }
+
+  _receive(chunk) {
+    this._buffer = this._buffer.length ? Buffer.concat([this._buffer, chunk]) : chunk;
+    while (this.readyState !== 'closed') {
+      const frame = this._parseFrame();
+      if (!frame) return;
+      this._handleFrame(frame);
+    }
+  }
+
+  _parseFrame() {
+    const buf = this._buffer;
+    if (buf.length < 2) return null;
+    const fin = (buf[0] & 0x80) !== 0;
+    const opcode = buf[0] & 0x0f;
+    const masked = (buf[1] & 0x80) !== 0;
+    let length = buf[1] & 0x7f;
+    let offset = 2;
+
+    if (buf[0] & 0x70) return this._protocolError(1002, 'Reserved bits set');
+    if (!masked) return this._protocolError(1002, 'Client frames must be masked');
+    if (length === 126) {
+      if (buf.length < 4) return null;
+      length = buf.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) return null;
+      const big = buf.readBigUInt64BE(2);
+      if (big > BigInt(this.maxPayload)) return this._protocolError(1009, 'Message too big');
+      length = Number(big);
+      offset = 10;
+    }
+    if (length > this.maxPayload) return this._protocolError(1009, 'Message too big');
+    if (buf.length < offset + 4 + length) return null;
+
+    const mask = buf.subarray(offset, offset + 4);
+    const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+    this._buffer = buf.subarray(offset + 4 + length);
+    return { fin, opcode, payload };
+  }
+
+  _handleFrame({ fin, opcode, payload }) {
+    switch (opcode) {
+      case OPCODES.ping:
+        if (this.readyState === 'open') this._writeFrame(OPCODES.pong, payload);
+        return;
+      case OPCODES.pong:
+        return;
+      case OPCODES.close: {
+        const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+        const reason = payload.length > 2 ? payload.subarray(2).toString() : '';
+        if (!this._closeSent) {
+          this._writeFrame(OPCODES.close, payload.subarray(0, 2));
+          this._closeSent = true;
+        }
+        this.socket.end();
+        this._finish(code, reason);
+        return;
+      }
+      case OPCODES.text:
+      case OPCODES.binary:
+        if (this._fragmentOpcode !== null) return this._protocolError(1002, 'Expected a continuation frame');
+        if (fin) return this._deliver(opcode, payload);
+        this._fragmentOpcode = opcode;
+        this._fragments = [payload];
+        this._fragmentSize = payload.length;
+        return;
+      case OPCODES.continuation:
+        if (this._fragmentOpcode === null) return this._protocolError(1002, 'Unexpected continuation frame');
+        this._fragmentSize += payload.length;
+        if (this._fragmentSize > this.maxPayload) return this._protocolError(1009, 'Message too big');
+        this._fragments.push(payload);
+        if (fin) {
+          const message = Buffer.concat(this._fragments);
+          const messageOpcode = this._fragmentOpcode;
+          this._fragments = [];
+          this._fragmentOpcode = null;
+          this._fragmentSize = 0;
+          this._deliver(messageOpcode, message);
+        }
+        return;
+      default:
+        this._protocolError(1002, `Unknown opcode ${opcode}`);
+    }
+  }
+
+  _deliver(opcode, payload) {
+    if (this.readyState !== 'open') return;
+    if (opcode === OPCODES.text) this.emit('message', payload.toString('utf8'), false);
+    else this.emit('message', payload, true);
+  }
+
+  _protocolError(code, reason) {
+    this._buffer = Buffer.alloc(0);
+    this.close(code, reason);
+    return null;
+  }
+
+  _fail(error) {
+    if (this.readyState === 'closed') return;
+    if (this.listenerCount('error') > 0) this.emit('error', error);
+    this.socket.destroy();
+  }
+
+  _finish(code, reason) {
+    if (this.readyState === 'closed') return;
+    this.readyState = 'closed';
+    if (this._closeTimer) clearTimeout(this._closeTimer);
+    this.emit('close', code, reason);
+  }
+}
+
+module.exports = {
+  WebSocketConnection,
+  isWebSocketUpgrade,
+  acceptWebSocket,
+  rejectUpgrade,
+};
@@ -0,0 +1,86 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const { callOptions, TimeoutError, AbortError } = require('..');
+const { createApi, delay } = require('./helpers');
+
+const plugins = {
+  slow: {
+    methods: {
+      hang: () => new Promise(() => {}),
+      after: (ms) => delay(ms).then(() => ms)
+    }
+  }
+};
+
+describe('timeouts and cancellation', () => {
+  const { logos } = createApi(plugins, { defaultTimeout: 1000 });
+  after(() => logos.cleanup());
+
+  test('a call that exceeds its timeout fails with TimeoutError', async () => {
+    await assert.rejects(logos.slow.hang(callOptions({ timeout: 20 })), (error) => {
+      assert.ok(error instanceof TimeoutError);
+      assert.strictEqual(error.code, 'ERR_TIMEOUT');
+      assert.strictEqual(error.timeout, 20);
+      assert.strictEqual(error.methodName, 'hang');
+      return true;
+    });
+    assert.deepStrictEqual(logos.getPendingCalls(), []);
+  });
+
+  test('defaultTimeout applies unless the call overrides it', async () => {
+    await assert.rejects(logos.slow.hang(callOptions({ timeout: 10 })), TimeoutError);
+    assert.strictEqual(await logos.slow.after(10, callOptions({ timeout: 0 })), 10);
+  });
+
+  test('aborting the signal fails the call with AbortError', async () => {
+    const controller = new AbortController();
+    const pending = logos.slow.hang(callOptions({ signal: controller.signal }));
+    controller.abort('user gave up');
+    await assert.rejects(pending, (error) => {
+      assert.ok(error instanceof AbortError);
+      assert.strictEqual(error.code, 'ERR_ABORTED');
+      assert.strictEqual(error.reason, 'user gave up');
+      return true;
+    });
+  });
+
+  test('an already aborted signal fails without sending', async () => {
+    await assert.rejects(logos.slow.after(1, callOptions({ signal: AbortSignal.abort() })), AbortError);
+  });
+
+  test('cancelCall() settles the call exactly once', async () => {
+    const settled = [];
+    const callbackId = logos.callPluginMethodAsync('slow', 'hang', '[]', (success, value) => settled.push([success, value]));
+    assert.strictEqual(logos.getPendingCalls().length, 1);
+    assert.strictEqual(logos.cancelCall(callbackId), true);
+    assert.strictEqual(logos.cancelCall(callbackId), false);
+    await delay(20);
+    assert.strictEqual(settled.length, 1);
+    assert.strictEqual(settled[0][0], false);
+    assert.ok(settled[0][1] instanceof AbortError);
+  });
+});
+
+test('cleanup() aborts calls still pending', async () => {
+  const { logos } = createApi(plugins);
+  const pending = logos.slow.hang();
+  logos.cleanup();
+  await assert.rejects(pending, AbortError);
+});
+
+test('a send that throws fails once and leaves nothing pending', async () => {
+  const { logos, backend } = createApi(plugins);
+  try {
+    backend.client.callMethodAsync = () => { throw new Error('ffi failure'); };
+    const settled = [];
+    assert.throws(
+      () => logos.callPluginMethodAsync('slow', 'hang', '[]', (...args) => settled.push(args), { timeout: 20 }),
+      /ffi failure/
+    );
+    assert.deepStrictEqual(logos.getPendingCalls(), []);
+    await delay(50);
+    assert.deepStrictEqual(settled, []);
+  } finally {
+    logos.cleanup();
+  }
+});
@@ -0,0 +1,92 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const LogosAPI = require('..');
+const { run, parseArgv } = require('../src/cli');
+const { TypedValue } = require('../src/types');
+
+function sink() {
+  return { text: '', write(chunk) { this.text += chunk; } };
+}
+
+/**
+ * Run the CLI against a fresh MockBackend with a calc plugin.
+ */
+async function logos(argv) {
+  const stdout = sink();
+  const stderr = sink();
+  const backend = new LogosAPI.MockBackend();
+  backend.registerPlugin('waku', { methods: {}, version: '0.3.0' });
+  backend.registerPlugin('calc', {
+    version: '1.0.0',
+    dependencies: ['waku'],
+    methods: {
+      add: (a, b) => a + b,
+      echo: (...args) => args,
+      fail: () => { throw new Error('division by zero'); }
+    }
+  });
+  const code = await run(argv, {
+    createApi: (options) => new LogosAPI({ ...options, backend }),
+    stdout,
+    stderr,
+    env: {},
+    onInterrupt: () => {}
+  });
+  return { code, stdout: stdout.text, stderr: stderr.text };
+}
+
+describe('parseArgv()', () => {
+  test('collects flags, repeatable options and typed arguments', () => {
+    const { options, positionals } = parseArgv(['call', 'calc', 'add', '--int64', '5', '--plugins-dir', 'a', '--plugins-dir', 'b', '--timeout', '100']);
+    assert.deepStrictEqual(options.pluginsDirs, ['a', 'b']);
+    assert.strictEqual(options.timeout, 100);
+    assert.deepStrictEqual(positionals.slice(0, 3), ['call', 'calc', 'add']);
+    assert.ok(positionals[3] instanceof TypedValue);
+    assert.strictEqual(positionals[3].type, 'int64');
+  });
+
+  test('rejects unknown options and bad numbers', () => {
+    assert.throws(() => parseArgv(['--bogus']), /Unknown option: --bogus/);
+    assert.throws(() => parseArgv(['--timeout', 'soon']), /--timeout expects a non-negative integer/);
+  });
+});
+
+describe('run()', () => {
+  test('prints usage with exit code 2 when no command is given', async () => {
+    const result = await logos([]);
+    assert.strictEqual(result.code, 2);
+    assert.match(result.stderr, /^Usage: logos/);
+    assert.strictEqual((await logos(['frobnicate'])).code, 2);
+  });
+
+  test('call loads the plugin with its dependencies and prints JSON', async () => {
+    const result = await logos(['call', 'calc', 'add', '2', '3']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.strictEqual(JSON.parse(result.stdout), 5);
+  });
+
+  test('call parses untyped arguments as JSON, except after --', async () => {
+    const result = await logos(['call', 'calc', 'echo', '[1,2]', 'text', '--', '7']);
+    assert.deepStrictEqual(JSON.parse(result.stdout), [[1, 2], 'text', '7']);
+  });
+
+  test('failed calls exit with 1 and the error code', async () => {
+    const result = await logos(['call', 'calc', 'fail']);
+    assert.strictEqual(result.code, 1);
+    assert.match(result.stderr, /division by zero \[ERR_METHOD_CALL_FAILED\]/);
+  });
+
+  test('plugins list --json includes backend plugins', async () => {
+    const result = await logos(['plugins', 'list', '--json']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    const rows = JSON.parse(result.stdout);
+    assert.deepStrictEqual(rows.map(row => [row.name, row.version, row.loaded]),
+      [['waku', '0.3.0', false], ['calc', '1.0.0', false]]);
+  });
+
+  test('plugins load --with-deps reports every plugin loaded', async () => {
+    const result = await logos(['plugins', 'load', 'calc', '--with-deps']);
+    assert.strictEqual(result.code, 0, result.stderr);
+    assert.deepStrictEqual(Object.keys(JSON.parse(result.stdout)), ['waku', 'calc']);
+  });
+});
@@ -0,0 +1,76 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { MethodCallError } = require('..');
+const { decodeResult, decodeError, encodeResult } = require('../src/codec');
+const { createApi } = require('./helpers');
+
+describe('result decoding', () => {
+  test('unwraps top-level QVariant envelopes', () => {
+    assert.strictEqual(decodeResult('{"type":"qint64","value":"9007199254740993"}'), 9007199254740993n);
+    assert.strictEqual(decodeResult('{"type":"qint64","value":"42"}'), 42);
+    assert.deepStrictEqual(decodeResult('{"type":"QByteArray","value":"aGk="}'), Buffer.from('hi'));
+    assert.deepStrictEqual(decodeResult('{"type":"QStringList","value":["a"]}'), ['a']);
+  });
+
+  test('leaves plugin data shaped like an envelope alone', () => {
+    assert.deepStrictEqual(decodeResult('{"type":"string","value":"x"}'), { type: 'string', value: 'x' });
+    assert.deepStrictEqual(
+      decodeResult('{"type":"QVariantMap","value":{"a":{"type":"qint64","value":"1"}}}'),
+      { a: { type: 'qint64', value: '1' } }
+    );
+    assert.deepStrictEqual(decodeResult('[{"type":"int","value":"1"}]'), [{ type: 'int', value: '1' }]);
+  });
+
+  test('decodes legacy text and keeps unsafe integers exact', () => {
+    assert.strictEqual(decodeResult('Method call successful. Result: 12345678901234567890'), 12345678901234567890n);
+    assert.strictEqual(decodeResult('Method call successful. Result: true'), true);
+    assert.strictEqual(decodeResult('Method call successful. Result: 007', 'string'), '007');
+    assert.strictEqual(decodeResult('[1, 99999999999999999999]')[1], 99999999999999999999n);
+  });
+
+  test('keeps legacy text that only looks numeric as a string', () => {
+    assert.strictEqual(decodeResult('Method call successful. Result: 00123'), '00123');
+    assert.strictEqual(decodeResult('Method call successful. Result: 1.50'), '1.50');
+    assert.strictEqual(decodeResult('Method call successful. Result: -0'), '-0');
+    assert.strictEqual(decodeResult('Method call successful. Result: 1.5'), 1.5);
+    assert.strictEqual(decodeResult('Method call successful. Result: -42'), -42);
+  });
+
+  test('encodeResult round-trips through decodeResult', () => {
+    for (const value of [1, 2n ** 62n, 1.5, 'x', true, [1, 'a'], { a: [1] }, Buffer.from('b')]) {
+      assert.deepStrictEqual(decodeResult(encodeResult(value)), value);
+    }
+    assert.strictEqual(decodeResult(encodeResult(undefined)), undefined);
+  });
+});
+
+describe('failures', () => {
+  test('decodeError keeps the parsed payload and the raw message', () => {
+    const error = decodeError('{"message":"division by zero","code":7}', { pluginName: 'calc', methodName: 'div' });
+    assert.ok(error instanceof MethodCallError);
+    assert.deepStrictEqual(error.details, { message: 'division by zero', code: 7 });
+    assert.strictEqual(error.rawMessage, '{"message":"division by zero","code":7}');
+    assert.match(error.message, /calc\.div/);
+  });
+
+  test('proxy calls reject with MethodCallError', async () => {
+    const { logos } = createApi({ calc: { methods: { div: () => { throw new Error('division by zero'); } } } });
+    try {
+      await assert.rejects(logos.calc.div(), (error) => error instanceof MethodCallError
+        && error.details.message === 'division by zero');
+    } finally {
+      logos.cleanup();
+    }
+  });
+});
+
+test('declared return types decode results exactly', async () => {
+  const { logos } = createApi({ calc: { methods: { label: () => '007', big: () => 2n ** 64n - 1n }, returns: { big: 'uint64' } } });
+  try {
+    logos.defineSignatures('calc', { label: { params: [], returns: 'string' } });
+    assert.strictEqual(await logos.calc.label(), '007');
+    assert.strictEqual(await logos.calc.big(), 2n ** 64n - 1n);
+  } finally {
+    logos.cleanup();
+  }
+});
@@ -0,0 +1,100 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogosAPI = require('..');
+const { ConfigError } = LogosAPI;
+const { resolveConfig } = require('../src/config');
+
+describe('resolveConfig()', () => {
+  let dir;
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logos-config-'));
+    write('logos.config.json', {
+      defaultProfile: 'dev',
+      defaultTimeout: 10000,
+      retry: { maxAttempts: 2, initialDelay: 50 },
+      profiles: {
+        dev: { pluginsDir: './modules', plugins: ['calc'], ready: true, eventProcessing: { maxInterval: 50 } },
+        ci: { extends: 'dev', defaultTimeout: 30000, retry: { maxAttempts: 5 }, pluginsDirs: ['../extra'] },
+        loop: { extends: 'loop' }
+      }
+    });
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('finds the config file and applies the default profile', () => {
+    const config = resolveConfig({ cwd: dir, env: {} });
+    assert.strictEqual(config.configPath, path.join(dir, 'logos.config.json'));
+    assert.strictEqual(config.profile, 'dev');
+    assert.strictEqual(config.options.pluginsDir, path.join(dir, 'modules'));
+    assert.strictEqual(config.options.defaultTimeout, 10000);
+    assert.deepStrictEqual(config.plugins, ['calc']);
+    assert.deepStrictEqual(config.ready, {});
+    assert.deepStrictEqual(config.eventProcessing, { maxInterval: 50 });
+  });
+
+  test('merges extended profiles, objects one level deep', () => {
+    const config = resolveConfig({ cwd: dir, env: {}, profile: 'ci' });
+    assert.strictEqual(config.options.defaultTimeout, 30000);
+    assert.deepStrictEqual(config.options.retry, { maxAttempts: 5, initialDelay: 50 });
+    assert.deepStrictEqual(config.pluginsDirs, [path.join(path.dirname(dir), 'extra')]);
+    assert.deepStrictEqual(config.plugins, ['calc']);
+  });
+
+  test('lets the environment override the file and overrides win over both', () => {
+    const env = { LOGOS_PROFILE: 'ci', LOGOS_DEFAULT_TIMEOUT: '500', LOGOS_MODULES_DIR: 'env-modules' };
+    const fromEnv = resolveConfig({ cwd: dir, env });
+    assert.strictEqual(fromEnv.profile, 'ci');
+    assert.strictEqual(fromEnv.options.defaultTimeout, 500);
+    assert.strictEqual(fromEnv.options.pluginsDir, path.join(dir, 'env-modules'));
+    const overridden = resolveConfig({ cwd: dir, env, profile: 'dev', overrides: { defaultTimeout: 1 } });
+    assert.strictEqual(overridden.profile, 'dev');
+    assert.strictEqual(overridden.options.defaultTimeout, 1);
+  });
+
+  test('reads .js configs that export a function of the environment', () => {
+    const file = write('env.config.js', 'module.exports = (env) => ({ readyProbe: env.PROBE });');
+    assert.strictEqual(resolveConfig({ cwd: dir, env: { PROBE: 'ping' }, configPath: file }).options.readyProbe, 'ping');
+  });
+
+  test('reports unknown profiles, cycles and every invalid setting', () => {
+    assert.throws(() => resolveConfig({ cwd: dir, env: {}, profile: 'prod' }),
+      (error) => error instanceof ConfigError && /Unknown profile "prod" \(available: dev, ci, loop\)/.test(error.message));
+    assert.throws(() => resolveConfig({ cwd: dir, env: {}, profile: 'loop' }), /extends itself: loop -> loop/);
+    const bad = write('bad.json', { defaultTimeout: -1, profiles: { x: { plugins: 'calc', colour: 'red' } } });
+    assert.throws(() => resolveConfig({ cwd: dir, env: {}, configPath: bad }), (error) => {
+      assert.deepStrictEqual(error.errors.map(issue => issue.field), ['defaultTimeout', 'profiles.x.plugins', 'profiles.x.colour']);
+      return true;
+    });
+    assert.throws(() => resolveConfig({ cwd: dir, env: { LOGOS_DEFAULT_TIMEOUT: 'soon' } }), /LOGOS_DEFAULT_TIMEOUT must be/);
+    assert.throws(() => resolveConfig({ cwd: dir, env: {}, configPath: 'missing.json' }), /Config file not found/);
+  });
+});
+
+test('fromConfig() boots the profile and loads its plugins', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logos-config-'));
+  const backend = new LogosAPI.MockBackend();
+  backend.registerPlugin('waku', { methods: {} });
+  backend.registerPlugin('calc', { methods: { add: (a, b) => a + b }, dependencies: ['waku'] });
+  fs.writeFileSync(path.join(dir, 'logos.config.json'), JSON.stringify({
+    profiles: { dev: { pluginsDir: '.', plugins: ['calc'], ready: { timeout: 1000 } } }
+  }));
+  let logos;
+  try {
+    logos = await LogosAPI.fromConfig({ cwd: dir, env: {}, profile: 'dev', backend });
+    assert.deepStrictEqual(logos.getLoadedPlugins(), ['waku', 'calc']);
+    assert.strictEqual(await logos.calc.add(2, 2), 4);
+    await assert.rejects(LogosAPI.fromConfig({ cwd: dir, env: {}, profile: 'dev', backend: new LogosAPI.MockBackend() }),
+      { code: 'ERR_PLUGIN_LOAD_FAILED' });
+  } finally {
+    if (logos) logos.cleanup();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,88 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const LogosAPI = require('..');
+const { DependencyError } = LogosAPI;
+const DependencyGraph = require('../src/dependency-graph');
+
+describe('DependencyGraph', () => {
+  const graph = new DependencyGraph([
+    { name: 'chat_ui', dependencies: ['chat'] },
+    { name: 'chat', dependencies: ['waku', 'store'] },
+    { name: 'store', dependencies: ['waku'] },
+    { name: 'waku' },
+    { name: 'waku', dependencies: ['ignored'], shadowed: true }
+  ]);
+
+  test('orders dependencies first, in declaration order', () => {
+    const plan = graph.planLoad(['chat_ui', 'store']);
+    assert.strictEqual(plan.ok, true);
+    assert.deepStrictEqual(plan.order, ['waku', 'store', 'chat', 'chat_ui']);
+    assert.deepStrictEqual(plan.steps.map(step => step.reason),
+      ['dependency of chat', 'requested', 'dependency of chat_ui', 'requested']);
+  });
+
+  test('skips loaded plugins and accepts them without a manifest', () => {
+    const plan = new DependencyGraph([{ name: 'chat', dependencies: ['native'] }])
+      .planLoad(['chat'], { loaded: ['native'] });
+    assert.deepStrictEqual(plan.steps.map(step => [step.name, step.action]), [['native', 'skip'], ['chat', 'load']]);
+  });
+
+  test('reports missing dependencies and cycles', () => {
+    const plan = new DependencyGraph([
+      { name: 'a', dependencies: ['b'] },
+      { name: 'b', dependencies: ['a', 'ghost'] }
+    ]).planLoad(['a']);
+    assert.strictEqual(plan.ok, false);
+    assert.deepStrictEqual(plan.cycles, [['a', 'b', 'a']]);
+    assert.deepStrictEqual(plan.missing, [{ name: 'ghost', requiredBy: 'b' }]);
+  });
+
+  test('unloads dependents before the plugin itself', () => {
+    assert.deepStrictEqual(graph.unloadOrder('waku', ['waku', 'store', 'chat']), ['chat', 'store', 'waku']);
+  });
+});
+
+describe('processAndLoadPlugins()', () => {
+  let backend;
+  let logos;
+  beforeEach(() => {
+    backend = new LogosAPI.MockBackend();
+    backend.registerPlugin('waku', { methods: {} });
+    backend.registerPlugin('store', { methods: {}, dependencies: ['waku'] });
+    backend.registerPlugin('chat', { methods: {}, dependencies: ['waku', 'store'] });
+    logos = new LogosAPI({ backend });
+    logos.start();
+  });
+  afterEach(() => logos.cleanup());
+
+  test('loads dependencies that were not listed, in order', () => {
+    const loaded = [];
+    logos.on('pluginLoaded', ({ pluginName }) => loaded.push(pluginName));
+    const results = logos.processAndLoadPlugins(['chat']);
+    assert.deepStrictEqual(loaded, ['waku', 'store', 'chat']);
+    assert.deepStrictEqual(results.chat, { processed: true, loaded: true });
+    assert.deepStrictEqual(logos.processAndLoadPlugins(['chat']).waku, { processed: true, loaded: true, skipped: true });
+  });
+
+  test('reports an unknown requested plugin in its own result', () => {
+    const results = logos.processAndLoadPlugins(['nope', 'waku']);
+    assert.strictEqual(results.nope.processed, false);
+    assert.match(results.nope.error, /Plugin "nope" not found/);
+    assert.strictEqual(results.waku.loaded, true);
+  });
+
+  test('throws DependencyError before loading anything when a dependency is missing', () => {
+    backend.registerPlugin('relay', { methods: {}, dependencies: ['ghost'] });
+    assert.throws(() => logos.processAndLoadPlugins(['waku', 'relay']), (error) =>
+      error instanceof DependencyError && error.missing[0].name === 'ghost');
+    assert.deepStrictEqual(logos.getLoadedPlugins(), []);
+  });
+
+  test('unloadPlugin() with cascade unloads dependents first', () => {
+    logos.processAndLoadPlugins(['chat']);
+    const unloaded = [];
+    logos.on('pluginUnloaded', ({ pluginName }) => unloaded.push(pluginName));
+    assert.strictEqual(logos.unloadPlugin('waku', { cascade: true }), true);
+    assert.deepStrictEqual(unloaded, ['chat', 'store', 'waku']);
+  });
+});
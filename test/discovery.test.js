@@ -0,0 +1,85 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogosAPI = require('..');
+const { buildCatalog } = require('../src/discovery');
+const { platformVariants, getLibraryExtension } = require('../src/platform');
+
+const VARIANT = platformVariants()[0];
+const EXT = getLibraryExtension();
+
+function writePlugin(dir, name, fields = {}) {
+  const pluginDir = path.join(dir, name);
+  fs.mkdirSync(pluginDir, { recursive: true });
+  fs.writeFileSync(path.join(pluginDir, `${name}_plugin${EXT}`), '');
+  fs.writeFileSync(path.join(pluginDir, 'manifest.json'), JSON.stringify({
+    name, version: '1.0.0', main: { [VARIANT]: `${name}_plugin${EXT}` }, ...fields
+  }));
+}
+
+describe('discoverPlugins()', () => {
+  let root;
+  let first;
+  let second;
+  before(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'logos-discovery-'));
+    first = path.join(root, 'first');
+    second = path.join(root, 'second');
+    writePlugin(first, 'chat', { description: 'Chat', dependencies: ['waku'] });
+    writePlugin(second, 'chat', { version: '0.9.0' });
+    writePlugin(second, 'waku');
+    fs.writeFileSync(path.join(second, `store_plugin${EXT}`), '');
+    writePlugin(first, '.install-1a2b3c4d', { name: 'calc' });
+    writePlugin(first, '.backup-1a2b3c4d', { name: 'calc' });
+  });
+  after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+  test('scans every plugins directory for both layouts', () => {
+    const catalog = buildCatalog([first, second]);
+    assert.deepStrictEqual(catalog.map(entry => [entry.name, entry.layout]),
+      [['chat', 'manifest'], ['chat', 'manifest'], ['waku', 'manifest'], ['store', 'flat']]);
+    const [chat] = catalog;
+    assert.strictEqual(chat.description, 'Chat');
+    assert.deepStrictEqual(chat.dependencies, ['waku']);
+    assert.deepStrictEqual(chat.variants, [VARIANT]);
+    assert.strictEqual(chat.path, path.join(first, 'chat', `chat_plugin${EXT}`));
+  });
+
+  test('marks later duplicates as shadowed', () => {
+    const [active, shadowed] = buildCatalog([first, second]);
+    assert.strictEqual(active.shadowed, false);
+    assert.deepStrictEqual(active.shadows, [path.join(second, 'chat', 'manifest.json')]);
+    assert.strictEqual(shadowed.shadowed, true);
+    assert.strictEqual(shadowed.shadowedBy, path.join(first, 'chat', 'manifest.json'));
+  });
+
+  test('skips hidden directories such as installer staging', () => {
+    const names = buildCatalog([first]).map(entry => entry.name);
+    assert.deepStrictEqual(names, ['chat']);
+  });
+
+  test('keys entries by directory and flags a mismatched manifest name', () => {
+    writePlugin(root, 'renamed', { name: 'original' });
+    try {
+      const [entry] = buildCatalog([root]).filter(item => item.layout === 'manifest');
+      assert.strictEqual(entry.name, 'renamed');
+      assert.match(entry.error, /does not match its directory/);
+    } finally {
+      fs.rmSync(path.join(root, 'renamed'), { recursive: true });
+    }
+  });
+
+  test('includes backend plugins first, through LogosAPI', () => {
+    const backend = new LogosAPI.MockBackend();
+    backend.registerPlugin('waku', { methods: {} });
+    const logos = new LogosAPI({ backend, pluginsDir: first });
+    logos.start();
+    logos.addPluginsDir(second);
+    const catalog = logos.discoverPlugins();
+    logos.cleanup();
+    const waku = catalog.filter(entry => entry.name === 'waku');
+    assert.deepStrictEqual(waku.map(entry => [entry.layout, entry.shadowed]), [['backend', false], ['manifest', true]]);
+  });
+});
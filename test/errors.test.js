@@ -0,0 +1,86 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const LogosAPI = require('..');
+const { createApi } = require('./helpers');
+
+const {
+  LogosError, NotInitializedError, PluginNotFoundError, PluginLoadError, ManifestValidationError,
+  MethodCallError
+} = LogosAPI;
+
+describe('error classes', () => {
+  test('carry a stable code and extend LogosError', () => {
+    const cause = new Error('boom');
+    const error = new PluginLoadError('Failed to load calc', { pluginName: 'calc', stage: 'load', cause });
+    assert.ok(error instanceof LogosError);
+    assert.strictEqual(error.code, 'ERR_PLUGIN_LOAD_FAILED');
+    assert.strictEqual(error.name, 'PluginLoadError');
+    assert.strictEqual(error.pluginName, 'calc');
+    assert.strictEqual(error.stage, 'load');
+    assert.strictEqual(error.cause, cause);
+  });
+
+  test('subclasses keep their parent class', () => {
+    const manifestError = new ManifestValidationError('bad', { pluginName: 'calc' });
+    assert.ok(manifestError instanceof PluginLoadError);
+    assert.strictEqual(manifestError.code, 'ERR_INVALID_MANIFEST');
+    assert.strictEqual(manifestError.stage, 'process');
+  });
+});
+
+describe('errors raised by LogosAPI', () => {
+  const { logos } = createApi({
+    calc: {
+      methods: {
+        fail: () => { throw new Error('division by zero'); },
+        reject: async () => { throw new Error('nope'); }
+      }
+    }
+  });
+  after(() => logos.cleanup());
+
+  test('before init()', () => {
+    const idle = new LogosAPI({ backend: new LogosAPI.MockBackend(), autoInit: false });
+    assert.throws(() => idle.processPlugin('calc'), (error) => {
+      assert.ok(error instanceof NotInitializedError);
+      assert.strictEqual(error.operation, 'processPlugin');
+      return true;
+    });
+  });
+
+  test('for a plugin that is nowhere to be found', () => {
+    assert.throws(() => logos.processPlugin('missing'), (error) => {
+      assert.ok(error instanceof PluginNotFoundError);
+      assert.strictEqual(error.code, 'ERR_PLUGIN_NOT_FOUND');
+      assert.strictEqual(error.pluginName, 'missing');
+      assert.ok(error.searched.length > 0);
+      return true;
+    });
+  });
+
+  test('for methods that throw or reject', async () => {
+    for (const method of ['fail', 'reject']) {
+      await assert.rejects(logos.calc[method](), (error) => {
+        assert.ok(error instanceof MethodCallError);
+        assert.strictEqual(error.code, 'ERR_METHOD_CALL_FAILED');
+        assert.strictEqual(error.pluginName, 'calc');
+        assert.strictEqual(error.methodName, method);
+        assert.strictEqual(error.details.message, method === 'fail' ? 'division by zero' : 'nope');
+        assert.strictEqual(JSON.parse(error.rawMessage).message, error.details.message);
+        return true;
+      });
+    }
+  });
+
+  test('for unknown methods', async () => {
+    await assert.rejects(logos.calc.missing(), { code: 'ERR_METHOD_CALL_FAILED', methodName: 'missing' });
+  });
+
+  test('low-level callbacks get the same error', async () => {
+    const [success, error] = await new Promise((resolve) => {
+      logos.callPluginMethodAsync('calc', 'fail', '[]', (ok, value) => resolve([ok, value]));
+    });
+    assert.strictEqual(success, false);
+    assert.ok(error instanceof MethodCallError);
+  });
+});
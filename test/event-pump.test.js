@@ -0,0 +1,103 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const LogosAPI = require('..');
+const EventPump = require('../src/event-pump');
+const { createApi, delay } = require('./helpers');
+
+/**
+ * A pump driven by counters the test controls.
+ */
+function fakePump(options) {
+  const state = { pending: 0, listeners: 0, deliveries: 0, pumps: 0 };
+  const pump = new EventPump(() => { state.pumps++; }, {
+    pendingCalls: () => state.pending,
+    listeners: () => state.listeners,
+    deliveries: () => state.deliveries
+  }, options);
+  return { pump, state };
+}
+
+describe('EventPump', () => {
+  test('backs off while quiet, up to maxInterval', async () => {
+    const { pump } = fakePump({ minInterval: 1, maxInterval: 8 });
+    pump.start();
+    try {
+      await delay(60);
+      const stats = pump.stats();
+      assert.strictEqual(stats.interval, 8);
+      assert.strictEqual(stats.activePumps, 0);
+    } finally {
+      pump.stop();
+    }
+  });
+
+  test('wake() returns to minInterval', async () => {
+    const { pump, state } = fakePump({ minInterval: 1, maxInterval: 1000, backoff: 1000 });
+    pump.start();
+    try {
+      await delay(20);
+      assert.strictEqual(pump.stats().interval, 1000);
+      const before = state.pumps;
+      pump.wake();
+      assert.strictEqual(pump.stats().interval, 1);
+      await delay(20);
+      assert.ok(state.pumps > before);
+    } finally {
+      pump.stop();
+    }
+  });
+
+  test('keeps the process alive only while something is outstanding', () => {
+    const { pump, state } = fakePump();
+    pump.start();
+    try {
+      assert.strictEqual(pump.stats().referenced, false);
+      state.listeners = 1;
+      pump.wake();
+      assert.strictEqual(pump.stats().referenced, true);
+    } finally {
+      pump.stop();
+    }
+    const fixed = fakePump({ adaptive: false, interval: 50 }).pump;
+    fixed.start();
+    assert.strictEqual(fixed.stats().referenced, true);
+    fixed.stop();
+  });
+
+  test('rejects bad options', () => {
+    assert.throws(() => fakePump({ minInterval: -1 }), RangeError);
+    assert.throws(() => fakePump({ backoff: 0.5 }), RangeError);
+    assert.throws(() => fakePump({ minInterval: 10, maxInterval: 5 }), /minInterval must not exceed maxInterval/);
+  });
+});
+
+describe('getEventPumpStats()', () => {
+  test('counts pumps that delivered results', async () => {
+    const { logos } = createApi({ calc: { methods: { add: (a, b) => a + b } } });
+    try {
+      assert.strictEqual(await logos.calc.add(1, 2), 3);
+      const stats = logos.getEventPumpStats();
+      assert.strictEqual(stats.running, true);
+      assert.ok(stats.activePumps >= 1);
+      assert.ok(stats.deliveries >= 1);
+    } finally {
+      logos.cleanup();
+    }
+  });
+
+  test('reports idle stats before the pump starts and keeps counters after it stops', () => {
+    const logos = new LogosAPI({ backend: new LogosAPI.MockBackend() });
+    logos.start();
+    try {
+      assert.deepStrictEqual(logos.getEventPumpStats(), EventPump.idleStats());
+      logos.startEventProcessing();
+      assert.throws(() => logos.startEventProcessing(), { code: 'ERR_INVALID_STATE' });
+      logos.stopEventProcessing();
+      const stats = logos.getEventPumpStats();
+      assert.strictEqual(stats.running, false);
+      assert.ok(stats.stoppedAt);
+    } finally {
+      logos.cleanup();
+    }
+  });
+});
@@ -0,0 +1,89 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const { EventOverflowError } = require('..');
+const { createApi, delay } = require('./helpers');
+
+describe('event listeners', () => {
+  const { logos, handles } = createApi({ chat: { methods: {} } });
+  after(() => logos.cleanup());
+
+  test('removeEventListener() stops delivery', async () => {
+    const received = [];
+    const id = logos.registerEventListener('chat', 'message', (success, data) => received.push(data));
+    handles.chat.emit('message', 'first');
+    await delay(20);
+    assert.strictEqual(logos.removeEventListener(id), true);
+    assert.strictEqual(logos.removeEventListener(id), false);
+    handles.chat.emit('message', 'second');
+    await delay(20);
+    assert.deepStrictEqual(received, ['first']);
+  });
+
+  test('proxy subscriptions return a disposer', async () => {
+    const received = [];
+    const dispose = logos.chat.onMessage(data => received.push(data));
+    assert.strictEqual(typeof dispose.listenerId, 'string');
+    handles.chat.emit('message', 1);
+    await delay(20);
+    dispose();
+    handles.chat.emit('message', 2);
+    await delay(20);
+    assert.deepStrictEqual(received, [1]);
+    assert.strictEqual(logos.eventListeners.size, 0);
+  });
+});
+
+describe('event streams', () => {
+  const { logos, handles } = createApi({ chat: { methods: {} } });
+  after(() => logos.cleanup());
+
+  test('yield events in order and unsubscribe on break', async () => {
+    const stream = logos.events('chat', 'message');
+    for (const n of [1, 2, 3]) handles.chat.emit('message', n);
+    const seen = [];
+    for await (const data of stream) {
+      seen.push(data);
+      if (seen.length === 3) break;
+    }
+    assert.deepStrictEqual(seen, [1, 2, 3]);
+    assert.strictEqual(logos.eventListeners.size, 0);
+  });
+
+  test('drop the oldest buffered events by default', async () => {
+    const stream = logos.events('chat', 'message', { bufferSize: 2 });
+    for (const n of [1, 2, 3]) handles.chat.emit('message', n);
+    await delay(20);
+    assert.strictEqual(stream.dropped, 1);
+    const iterator = stream[Symbol.asyncIterator]();
+    assert.deepStrictEqual(await iterator.next(), { value: 2, done: false });
+    assert.deepStrictEqual(await iterator.next(), { value: 3, done: false });
+    await iterator.return();
+  });
+
+  test('drop the incoming event with drop-newest', async () => {
+    const stream = logos.events('chat', 'message', { bufferSize: 1, overflow: 'drop-newest' });
+    for (const n of [1, 2]) handles.chat.emit('message', n);
+    await delay(20);
+    const iterator = stream[Symbol.asyncIterator]();
+    assert.deepStrictEqual(await iterator.next(), { value: 1, done: false });
+    assert.strictEqual(stream.dropped, 1);
+    await iterator.return();
+  });
+
+  test('end with EventOverflowError under the error policy', async () => {
+    const stream = logos.events('chat', 'message', { bufferSize: 1, overflow: 'error' });
+    for (const n of [1, 2]) handles.chat.emit('message', n);
+    await delay(20);
+    await assert.rejects(async () => {
+      for await (const _data of stream) { /* drain */ }
+    }, EventOverflowError);
+  });
+
+  test('end when the API is cleaned up', async () => {
+    const { logos: other } = createApi({ chat: { methods: {} } });
+    const stream = other.events('chat', 'message');
+    const next = stream[Symbol.asyncIterator]().next();
+    other.cleanup();
+    assert.deepStrictEqual(await next, { value: undefined, done: true });
+  });
+});
@@ -0,0 +1,18 @@
+const { MockBackend } = require('../..');
+
+// Hosted inside the worker by test/worker.test.js
+module.exports = (options = {}) => {
+  const backend = new MockBackend();
+  const chat = backend.registerPlugin('chat', {
+    methods: {
+      send: (text) => {
+        setTimeout(() => chat.emit('chatMessage', { text }), 0);
+        return `sent ${text}`;
+      },
+      fail: () => { throw new Error('chat is offline'); },
+      threadId: () => require('worker_threads').threadId
+    }
+  });
+  backend.tokens.set('greeting', options.greeting || 'hello');
+  return backend;
+};
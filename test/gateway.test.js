@@ -0,0 +1,118 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const LogosAPI = require('..');
+const { Gateway } = LogosAPI;
+const { run } = require('../src/cli');
+const { createApi } = require('./helpers');
+
+const TOKEN = 'secret';
+
+/**
+ * Send a request to the gateway. Resolves { status, body } for plain
+ * responses and { status: 101 } when a WebSocket upgrade is accepted.
+ */
+function request(port, { method = 'POST', path = '/rpc', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path, headers }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+    });
+    req.on('upgrade', (_res, socket) => {
+      socket.destroy();
+      resolve({ status: 101 });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+const rpc = (params) => JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'calc.add', params });
+const auth = { Authorization: `Bearer ${TOKEN}`, 'Content-Type': 'application/json' };
+const upgrade = {
+  Connection: 'Upgrade',
+  Upgrade: 'websocket',
+  'Sec-WebSocket-Key': 'dGhlIHNhbXBsZSBub25jZQ==',
+  'Sec-WebSocket-Version': '13'
+};
+
+describe('Gateway', () => {
+  const { logos } = createApi({ calc: { methods: { add: (a, b) => a + b, secret: () => 'hidden' } } });
+  let gateway;
+  let port;
+  before(async () => {
+    gateway = new Gateway(logos, { port: 0, token: TOKEN, allow: ['calc.add'], cors: 'https://app.example' });
+    ({ port } = await gateway.listen());
+  });
+  after(async () => {
+    await gateway.close();
+    logos.cleanup();
+  });
+
+  test('answers allowed JSON-RPC calls', async () => {
+    const { status, body } = await request(port, { headers: auth, body: rpc([2, 3]) });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body, { jsonrpc: '2.0', id: 1, result: 5 });
+  });
+
+  test('hides methods outside the allowlist', async () => {
+    const response = await gateway.handleRpc({ jsonrpc: '2.0', id: 2, method: 'calc.secret' });
+    assert.strictEqual(response.error.code, Gateway.RPC_ERRORS.METHOD_NOT_FOUND);
+  });
+
+  test('refuses requests without the token', async () => {
+    const { status } = await request(port, { headers: { 'Content-Type': 'application/json' }, body: rpc([1, 1]) });
+    assert.strictEqual(status, 401);
+    assert.strictEqual((await request(port, { method: 'GET', path: '/events', headers: upgrade })).status, 401);
+  });
+
+  test('refuses an Origin other than the configured cors origin', async () => {
+    const headers = { ...auth, Origin: 'https://evil.example' };
+    assert.strictEqual((await request(port, { headers, body: rpc([1, 1]) })).status, 403);
+    const allowed = await request(port, { headers: { ...auth, Origin: 'https://app.example' }, body: rpc([1, 1]) });
+    assert.strictEqual(allowed.status, 200);
+  });
+
+  test('refuses WebSocket upgrades from another Origin', async () => {
+    const path = `/events?token=${TOKEN}`;
+    const evil = await request(port, { method: 'GET', path, headers: { ...upgrade, Origin: 'https://evil.example' } });
+    assert.strictEqual(evil.status, 403);
+    const allowed = await request(port, { method: 'GET', path, headers: { ...upgrade, Origin: 'https://app.example' } });
+    assert.strictEqual(allowed.status, 101);
+  });
+
+  test('answers 415 to RPC bodies that are not JSON', async () => {
+    for (const contentType of [undefined, 'application/x-www-form-urlencoded', 'text/plain']) {
+      const headers = { Authorization: auth.Authorization };
+      if (contentType) headers['Content-Type'] = contentType;
+      assert.strictEqual((await request(port, { headers, body: rpc([1, 1]) })).status, 415, contentType);
+    }
+    const charset = { ...auth, 'Content-Type': 'Application/JSON; charset=utf-8' };
+    assert.strictEqual((await request(port, { headers: charset, body: rpc([1, 1]) })).status, 200);
+  });
+});
+
+describe('Gateway without a token', () => {
+  test('is refused unless insecure is set', () => {
+    const { logos } = createApi();
+    try {
+      assert.throws(() => new Gateway(logos), /Gateway needs a token/);
+      assert.doesNotThrow(() => new Gateway(logos, { insecure: true }));
+    } finally {
+      logos.cleanup();
+    }
+  });
+
+  test('logos gateway refuses to start without LOGOS_GATEWAY_TOKEN or --insecure', async () => {
+    let stderr = '';
+    const code = await run(['gateway'], {
+      createApi: (options) => new LogosAPI({ ...options, backend: new LogosAPI.MockBackend() }),
+      stderr: { write: (chunk) => { stderr += chunk; } },
+      env: {}
+    });
+    assert.strictEqual(code, 2);
+    assert.match(stderr, /Set LOGOS_GATEWAY_TOKEN, or pass --insecure/);
+  });
+});
@@ -0,0 +1,60 @@
+const LogosAPI = require('..');
+
+/**
+ * Shared setup for the tests: a LogosAPI on a MockBackend with the given
+ * fake plugins processed and loaded, and event processing running.
+ *
+ * @param {Object<string, Object>} [plugins] - name -> MockBackend.registerPlugin() spec
+ * @param {Object} [options] - Extra LogosAPI options
+ * @returns {{ logos: LogosAPI, backend: LogosAPI.MockBackend, handles: Object }}
+ */
+function createApi(plugins = {}, options = {}) {
+  const backend = new LogosAPI.MockBackend();
+  const handles = {};
+  for (const [name, spec] of Object.entries(plugins)) handles[name] = backend.registerPlugin(name, spec);
+  const logos = new LogosAPI({ backend, ...options });
+  logos.start();
+  logos.startEventProcessing(5);
+  for (const name of Object.keys(plugins)) logos.processAndLoadPlugin(name);
+  return { logos, backend, handles };
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Build a ustar archive in memory.
+ * @param {Array<{path: string, data?: string|Buffer, type?: string, linkname?: string}>} entries -
+ *   `type` is the tar typeflag: '0' file (default), '2' symlink, '5' directory
+ * @returns {Buffer}
+ */
+function tarball(entries) {
+  const blocks = [];
+  for (const { path, data = '', type = '0', linkname = '' } of entries) {
+    const body = Buffer.from(data);
+    const header = Buffer.alloc(512);
+    header.write(path, 0, 100);
+    header.write(type === '5' ? '0000755' : '0000644', 100);
+    header.write('0000000', 108);
+    header.write('0000000', 116);
+    header.write(body.length.toString(8).padStart(11, '0'), 124);
+    header.write('00000000000', 136);
+    header.fill(' ', 148, 156);
+    header.write(type, 156);
+    header.write(linkname, 157, 100);
+    header.write('ustar\u000000', 257);
+    let sum = 0;
+    for (const byte of header) sum += byte;
+    header.write(`${sum.toString(8).padStart(6, '0')}\u0000 `, 148);
+    blocks.push(header, body, Buffer.alloc((512 - (body.length % 512)) % 512));
+  }
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+module.exports = {
+  createApi,
+  delay,
+  tarball,
+};
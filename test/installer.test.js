@@ -0,0 +1,156 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogosAPI = require('..');
+const { platformVariants } = require('../src/platform');
+const { tarball } = require('./helpers');
+
+const { InstallError, IntegrityError, ManifestValidationError } = LogosAPI;
+
+const VARIANT = platformVariants()[0];
+const BINARY = 'calc_plugin.so';
+const BINARY_DATA = 'not really a shared library';
+const SHA256 = crypto.createHash('sha256').update(BINARY_DATA).digest('hex');
+
+function manifest(fields = {}) {
+  return JSON.stringify({ name: 'calc', version: '1.0.0', main: { [VARIANT]: BINARY }, checksums: { [VARIANT]: SHA256 }, ...fields });
+}
+
+describe('installPlugin()', () => {
+  let dir;
+  let logos;
+  const archive = (name, entries) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, tarball(entries));
+    return file;
+  };
+  const install = (entries, options) => logos.installPlugin(archive('calc.tar', entries), { dir: path.join(dir, 'modules'), ...options });
+  const leftovers = () => fs.readdirSync(path.join(dir, 'modules')).filter(name => name.startsWith('.'));
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logos-install-'));
+    logos = new LogosAPI({ backend: new LogosAPI.MockBackend(), autoInit: false });
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('installs a package whose checksums match', () => {
+    const result = install([
+      { path: 'calc/manifest.json', data: manifest() },
+      { path: `calc/${BINARY}`, data: BINARY_DATA }
+    ]);
+    assert.strictEqual(result.name, 'calc');
+    assert.strictEqual(result.version, '1.0.0');
+    assert.deepStrictEqual(result.verified, [{ variant: VARIANT, file: BINARY, sha256: SHA256 }]);
+    assert.strictEqual(fs.readFileSync(path.join(result.path, BINARY), 'utf8'), BINARY_DATA);
+    assert.deepStrictEqual(leftovers(), []);
+  });
+
+  test('rejects a checksum mismatch and keeps the installed version', () => {
+    install([{ path: 'manifest.json', data: manifest() }, { path: BINARY, data: BINARY_DATA }]);
+    assert.throws(() => install([
+      { path: 'manifest.json', data: manifest({ version: '1.1.0' }) },
+      { path: BINARY, data: 'tampered' }
+    ]), (error) => {
+      assert.ok(error instanceof IntegrityError);
+      assert.strictEqual(error.variant, VARIANT);
+      assert.strictEqual(error.expected, SHA256);
+      assert.notStrictEqual(error.actual, SHA256);
+      return true;
+    });
+    const installed = JSON.parse(fs.readFileSync(path.join(dir, 'modules', 'calc', 'manifest.json'), 'utf8'));
+    assert.strictEqual(installed.version, '1.0.0');
+    assert.deepStrictEqual(leftovers(), []);
+  });
+
+  test('requireChecksums rejects variants without a checksum', () => {
+    assert.throws(() => install([
+      { path: 'manifest.json', data: manifest({ checksums: undefined }) },
+      { path: BINARY, data: BINARY_DATA }
+    ], { requireChecksums: true }), IntegrityError);
+  });
+
+  test('rejects an invalid manifest', () => {
+    assert.throws(() => install([{ path: 'manifest.json', data: manifest({ version: 'one' }) }]), ManifestValidationError);
+  });
+
+  test('rejects entries that escape the package', () => {
+    const escapes = [
+      [{ path: '../evil', data: 'x' }],
+      [{ path: '/etc/evil', data: 'x' }],
+      [{ path: 'link', type: '2', linkname: '../../outside' }],
+      [{ path: 'link', type: '2', linkname: '/etc' }]
+    ];
+    for (const entries of escapes) {
+      assert.throws(() => install([{ path: 'manifest.json', data: manifest() }, ...entries]), InstallError);
+    }
+    assert.ok(!fs.existsSync(path.join(dir, 'evil')));
+  });
+
+  test('rejects writes through a symlink chain', () => {
+    assert.throws(() => install([
+      { path: 'manifest.json', data: manifest() },
+      { path: 'x', type: '5' },
+      { path: 'x/y', type: '2', linkname: '..' },
+      { path: 'x/y/z', type: '2', linkname: '..' },
+      { path: 'x/y/z/PWNED', data: 'x' }
+    ]), InstallError);
+    assert.ok(!fs.existsSync(path.join(dir, 'PWNED')));
+    assert.ok(!fs.existsSync(path.join(dir, 'modules', 'PWNED')));
+    assert.deepStrictEqual(leftovers(), []);
+  });
+
+  test('refuses to downgrade unless forced', () => {
+    const entries = (version) => [
+      { path: 'manifest.json', data: manifest({ version }) },
+      { path: BINARY, data: BINARY_DATA }
+    ];
+    install(entries('2.0.0'));
+    assert.throws(() => install(entries('1.0.0')), (error) => error instanceof InstallError && error.installedVersion === '2.0.0');
+    assert.strictEqual(install(entries('1.0.0'), { force: true }).previousVersion, '2.0.0');
+  });
+
+  test('rejects a package named like a path', () => {
+    for (const name of ['.', '..']) {
+      assert.throws(() => install([{ path: 'manifest.json', data: manifest({ name }) }, { path: BINARY, data: BINARY_DATA }]), InstallError);
+    }
+    assert.ok(!fs.existsSync(path.join(dir, BINARY)));
+  });
+});
+
+describe('uninstallPlugin()', () => {
+  let dir;
+  let logos;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logos-uninstall-'));
+    fs.mkdirSync(path.join(dir, 'modules', 'calc'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'modules', 'calc', 'manifest.json'), manifest());
+    // A manifest one level up, so ".." would resolve to an "installed" plugin
+    fs.writeFileSync(path.join(dir, 'manifest.json'), manifest());
+    logos = new LogosAPI({ backend: new LogosAPI.MockBackend(), autoInit: false });
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('removes an installed plugin', () => {
+    const result = logos.uninstallPlugin('calc', { dir: path.join(dir, 'modules') });
+    assert.strictEqual(result.path, path.join(dir, 'modules', 'calc'));
+    assert.ok(!fs.existsSync(result.path));
+  });
+
+  test('rejects names that leave the plugins directory', () => {
+    for (const name of ['..', '.', '../modules', 'calc/..', '', 42]) {
+      assert.throws(() => logos.uninstallPlugin(name, { dir: path.join(dir, 'modules') }), InstallError);
+    }
+    assert.ok(fs.existsSync(path.join(dir, 'manifest.json')));
+    assert.ok(fs.existsSync(path.join(dir, 'modules', 'calc', 'manifest.json')));
+  });
+});
+
+test('IntegrityError is an InstallError', () => {
+  const error = new IntegrityError('bad checksum', { variant: VARIANT });
+  assert.ok(error instanceof InstallError);
+  assert.strictEqual(error.code, 'ERR_INTEGRITY');
+});
@@ -0,0 +1,53 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LogosAPI = require('..');
+const { delay } = require('./helpers');
+
+test('emits lifecycle events with payloads', async () => {
+  const backend = new LogosAPI.MockBackend();
+  backend.registerPlugin('chat', { methods: {} });
+  const logos = new LogosAPI({ backend, autoInit: false });
+  const seen = [];
+  for (const event of ['initialized', 'started', 'pluginProcessed', 'pluginLoaded', 'pluginUnloaded', 'shutdown']) {
+    logos.on(event, payload => seen.push([event, payload]));
+  }
+  logos.init();
+  logos.start();
+  logos.startEventProcessing(5);
+  logos.processAndLoadPlugin('chat');
+  logos.unloadPlugin('chat');
+  logos.cleanup();
+
+  assert.deepStrictEqual(seen.map(([event]) => event),
+    ['initialized', 'started', 'pluginProcessed', 'pluginLoaded', 'pluginUnloaded', 'shutdown']);
+  assert.strictEqual(seen[2][1].pluginName, 'chat');
+  assert.strictEqual(seen[3][1].trigger, 'loadPlugin');
+  for (const [, payload] of seen) assert.ok(!Number.isNaN(Date.parse(payload.timestamp)));
+});
+
+test('reports failures as pluginLoadFailed and callbackError', async () => {
+  const backend = new LogosAPI.MockBackend();
+  const chat = backend.registerPlugin('chat', { methods: {} });
+  const logos = new LogosAPI({ backend });
+  logos.start();
+  logos.startEventProcessing(5);
+  try {
+    const failures = [];
+    logos.on('pluginLoadFailed', payload => failures.push(payload));
+    assert.strictEqual(logos.loadPlugin('chat'), false); // not processed yet
+    assert.strictEqual(failures.length, 1);
+    assert.strictEqual(failures[0].stage, 'load');
+
+    logos.processAndLoadPlugin('chat');
+    const errors = [];
+    logos.on('callbackError', payload => errors.push(payload));
+    logos.chat.onMessage(() => { throw new Error('listener bug'); });
+    chat.emit('message', 1);
+    await delay(20);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].error.message, 'listener bug');
+    assert.strictEqual(errors[0].eventName, 'message');
+  } finally {
+    logos.cleanup();
+  }
+});
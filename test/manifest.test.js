@@ -0,0 +1,109 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogosAPI = require('..');
+const { ManifestValidationError, PluginNotFoundError } = LogosAPI;
+const { validateManifest, isValidPluginName } = require('../src/manifest');
+const { platformVariants, getLibraryExtension } = require('../src/platform');
+
+const VARIANT = platformVariants()[0];
+const EXT = getLibraryExtension();
+
+function fields(report) {
+  return report.errors.map(issue => issue.field);
+}
+
+describe('validateManifest()', () => {
+  const valid = { name: 'calc', version: '1.2.3-beta+7', main: { [VARIANT]: `calc_plugin${EXT}` } };
+
+  test('accepts a complete manifest', () => {
+    const report = validateManifest({ ...valid, dependencies: ['waku'], description: 'Calculator' });
+    assert.strictEqual(report.valid, true);
+    assert.deepStrictEqual(report.errors, []);
+  });
+
+  test('names every bad field', () => {
+    const report = validateManifest({
+      name: 'bad/name', version: '1.0', main: { [VARIANT]: '/abs/calc.so' },
+      dependencies: ['ok', 3], checksums: { [VARIANT]: 'abc' }, description: 5
+    });
+    assert.strictEqual(report.valid, false);
+    assert.deepStrictEqual(fields(report),
+      ['name', 'version', `main.${VARIANT}`, 'dependencies[1]', `checksums.${VARIANT}`, 'description']);
+  });
+
+  test('requires name, version and main', () => {
+    assert.deepStrictEqual(fields(validateManifest({})), ['name', 'version', 'main']);
+    assert.deepStrictEqual(fields(validateManifest([])), ['(root)']);
+  });
+
+  test('reports a missing platform with the variants it tried', () => {
+    const report = validateManifest({ ...valid, main: { 'plan9-mips': 'calc.so' } });
+    assert.match(report.errors[0].message, /has no entry for this platform .*available: plan9-mips/);
+    assert.ok(report.triedVariants.every(tried => tried.file === null));
+  });
+
+  test('rejects self dependencies and warns on duplicates', () => {
+    const report = validateManifest({ ...valid, dependencies: ['waku', 'waku', 'calc'] });
+    assert.deepStrictEqual(fields(report), ['dependencies[2]']);
+    assert.deepStrictEqual(report.warnings.map(issue => issue.field), ['dependencies[1]']);
+  });
+
+  test('isValidPluginName() refuses path segments', () => {
+    assert.ok(isValidPluginName('waku.v2'));
+    for (const name of ['', '.', '..', '../calc', 'a/b', 'a\\b', null]) {
+      assert.strictEqual(isValidPluginName(name), false, JSON.stringify(name));
+    }
+  });
+});
+
+describe('validatePlugin() and processPlugin()', () => {
+  let dir;
+  let logos;
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logos-manifest-'));
+    fs.mkdirSync(path.join(dir, 'calc'));
+    fs.writeFileSync(path.join(dir, 'calc', `calc_plugin${EXT}`), '');
+    fs.writeFileSync(path.join(dir, 'calc', 'manifest.json'),
+      JSON.stringify({ name: 'calc', version: '1.0.0', main: { [VARIANT]: `calc_plugin${EXT}` } }));
+    fs.mkdirSync(path.join(dir, 'chat'));
+    fs.writeFileSync(path.join(dir, 'chat', 'manifest.json'),
+      JSON.stringify({ name: 'chat', version: '1.0', main: { [VARIANT]: `chat_plugin${EXT}` } }));
+    fs.mkdirSync(path.join(dir, 'broken'));
+    fs.writeFileSync(path.join(dir, 'broken', 'manifest.json'), '{ nope');
+    logos = new LogosAPI({ backend: new LogosAPI.MockBackend(), pluginsDir: dir });
+  });
+  after(() => {
+    logos.cleanup();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('resolves the binary for this platform before init()', () => {
+    const report = logos.validatePlugin('calc');
+    assert.strictEqual(report.valid, true);
+    assert.strictEqual(report.layout, 'manifest');
+    assert.strictEqual(report.path, path.join(dir, 'calc', `calc_plugin${EXT}`));
+  });
+
+  test('reports invalid JSON and missing plugins without throwing', () => {
+    assert.deepStrictEqual(fields(logos.validatePlugin('broken')), ['(root)']);
+    const missing = logos.validatePlugin('nope');
+    assert.strictEqual(missing.found, false);
+    assert.deepStrictEqual(missing.checked, [
+      path.join(dir, 'nope', 'manifest.json'),
+      path.join(dir, 'nope', 'metadata.json'),
+      path.join(dir, `nope_plugin${EXT}`)
+    ]);
+  });
+
+  test('processPlugin() throws ManifestValidationError listing the bad fields', () => {
+    logos.start();
+    assert.throws(() => logos.processPlugin('chat'), (error) =>
+      error instanceof ManifestValidationError &&
+      /version: must be a semantic version/.test(error.message) &&
+      /main: binary for this platform does not exist/.test(error.message));
+    assert.throws(() => logos.processPlugin('nope'), PluginNotFoundError);
+  });
+});
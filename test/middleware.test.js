@@ -0,0 +1,87 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const { middleware } = require('..');
+const { createApi } = require('./helpers');
+
+describe('middleware', () => {
+  const { logos, handles } = createApi({
+    calc: { methods: { add: (a, b) => a + b, fail: () => { throw new Error('bad input'); } } }
+  });
+  after(() => logos.cleanup());
+
+  test('runs around calls in the order added', async () => {
+    const order = [];
+    const removeOuter = logos.use(async (ctx, next) => {
+      order.push(`outer:${ctx.kind}:${ctx.pluginName}.${ctx.methodName}`);
+      await next();
+      order.push(`outer:${ctx.result}`);
+    });
+    const removeInner = logos.use(async (_ctx, next) => {
+      order.push('inner');
+      await next();
+    });
+    assert.strictEqual(await logos.calc.add(1, 2), 3);
+    assert.deepStrictEqual(order, ['outer:call:calc.add', 'inner', 'outer:3']);
+    removeOuter();
+    removeInner();
+  });
+
+  test('can rewrite params and replace the result', async () => {
+    const remove = logos.use(async (ctx, next) => {
+      ctx.params[0].value = '10';
+      await next();
+      ctx.result *= 2;
+    });
+    assert.strictEqual(await logos.calc.add(1, 2), 24);
+    remove();
+  });
+
+  test('short-circuits when next() is not called', async () => {
+    const remove = logos.use(async (ctx) => { ctx.result = 'cached'; });
+    assert.strictEqual(await logos.calc.add(1, 2), 'cached');
+    remove();
+  });
+
+  test('a throwing middleware rejects the call', async () => {
+    const remove = logos.use(async () => { throw new Error('not allowed'); });
+    await assert.rejects(logos.calc.add(1, 2), /not allowed/);
+    remove();
+  });
+
+  test('sees failures as ctx.error', async () => {
+    let seen = null;
+    const remove = logos.use(async (ctx, next) => {
+      try {
+        await next();
+      } finally {
+        seen = ctx.error;
+      }
+    });
+    await assert.rejects(logos.calc.fail(), { code: 'ERR_METHOD_CALL_FAILED' });
+    assert.strictEqual(seen.code, 'ERR_METHOD_CALL_FAILED');
+    remove();
+  });
+
+  test('runs around event deliveries', async () => {
+    const seen = [];
+    const remove = logos.use(async (ctx, next) => {
+      if (ctx.kind === 'event') seen.push([ctx.eventName, ctx.result]);
+      await next();
+    });
+    const received = new Promise(resolve => logos.calc.onTick(resolve));
+    handles.calc.emit('tick', { n: 1 });
+    assert.deepStrictEqual(await received, { n: 1 });
+    assert.deepStrictEqual(seen, [['tick', { n: 1 }]]);
+    remove();
+  });
+
+  test('logging writes one record per call', async () => {
+    const records = [];
+    const remove = logos.use(middleware.logging({ params: true, write: (record) => records.push(record) }));
+    await logos.calc.add(1, 2);
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].operation, 'calc.add');
+    assert.strictEqual(records[0].status, 'ok');
+    remove();
+  });
+});
@@ -0,0 +1,68 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const LogosAPI = require('..');
+const { createApi, delay } = require('./helpers');
+
+describe('MockBackend', () => {
+  const { logos, backend, handles } = createApi({
+    chat: {
+      version: '1.2.0',
+      methods: {
+        joinChannel: async (name) => name === 'general',
+        history: (channel, limit) => [channel, limit]
+      },
+      returns: { joinChannel: 'bool' },
+      stats: { cpu_percent: 1.5, memory_bytes: 1024 }
+    }
+  });
+  after(() => logos.cleanup());
+
+  test('processes and loads registered plugins', () => {
+    assert.deepStrictEqual(logos.getKnownPlugins(), ['chat']);
+    assert.deepStrictEqual(logos.getLoadedPlugins(), ['chat']);
+    assert.strictEqual(logos.validatePlugin('chat').layout, 'backend');
+  });
+
+  test('calls sync and async methods through the proxy', async () => {
+    assert.strictEqual(await logos.chat.joinChannel('general'), true);
+    assert.deepStrictEqual(await logos.chat.history('general', 2), ['general', 2]);
+  });
+
+  test('delivers events to proxy listeners until they are removed', async () => {
+    const received = [];
+    const dispose = logos.chat.onChatMessage(message => received.push(message));
+    handles.chat.emit('chatMessage', { text: 'hi' });
+    await delay(20);
+    dispose();
+    handles.chat.emit('chatMessage', { text: 'ignored' });
+    await delay(20);
+    assert.deepStrictEqual(received, [{ text: 'hi' }]);
+  });
+
+  test('backs tokens and module stats', () => {
+    backend.tokens.set('session', 'abc');
+    assert.strictEqual(logos.getToken('session'), 'abc');
+    assert.deepStrictEqual(logos.getModuleStats(), [{ name: 'chat', cpu_percent: 1.5, memory_bytes: 1024 }]);
+  });
+
+  test('lists its plugins for discovery', () => {
+    const [entry] = logos.discoverPlugins().filter(plugin => plugin.name === 'chat');
+    assert.strictEqual(entry.layout, 'backend');
+    assert.strictEqual(entry.version, '1.2.0');
+  });
+
+  test('unloads plugins', () => {
+    assert.strictEqual(logos.unloadPlugin('chat'), true);
+    assert.deepStrictEqual(logos.getLoadedPlugins(), []);
+  });
+});
+
+test('unregistered plugins are not found', () => {
+  const logos = new LogosAPI({ backend: new LogosAPI.MockBackend() });
+  logos.start();
+  try {
+    assert.throws(() => logos.processPlugin('ghost'), { code: 'ERR_PLUGIN_NOT_FOUND' });
+  } finally {
+    logos.cleanup();
+  }
+});
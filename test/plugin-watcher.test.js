@@ -0,0 +1,99 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PluginWatcher = require('../src/plugin-watcher');
+const { getLibraryExtension } = require('../src/platform');
+const { createApi, delay } = require('./helpers');
+
+const EXT = getLibraryExtension();
+
+describe('PluginWatcher', () => {
+  let dir;
+  let changes;
+  let watcher;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logos-watch-'));
+    fs.mkdirSync(path.join(dir, 'calc'));
+    fs.mkdirSync(path.join(dir, '.install-1a2b'));
+    changes = [];
+    watcher = new PluginWatcher((pluginName, files) => changes.push([pluginName, files.sort()]), { debounce: 50 });
+    watcher.add(dir);
+  });
+  afterEach(() => {
+    watcher.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reports a rebuild that writes several files once', async () => {
+    fs.writeFileSync(path.join(dir, 'calc', `calc_plugin${EXT}`), 'v2');
+    await delay(10);
+    fs.writeFileSync(path.join(dir, 'calc', 'manifest.json'), '{}');
+    fs.writeFileSync(path.join(dir, 'calc', 'notes.txt'), 'ignored');
+    await delay(200);
+    assert.deepStrictEqual(changes, [['calc', [
+      path.join(dir, 'calc', `calc_plugin${EXT}`),
+      path.join(dir, 'calc', 'manifest.json')
+    ]]]);
+  });
+
+  test('covers the flat layout', async () => {
+    fs.writeFileSync(path.join(dir, `store_plugin${EXT}`), 'v1');
+    await delay(200);
+    assert.deepStrictEqual(changes, [['store', [path.join(dir, `store_plugin${EXT}`)]]]);
+  });
+
+  test('ignores dot-entries such as installer staging', async () => {
+    fs.writeFileSync(path.join(dir, '.install-1a2b', 'manifest.json'), '{}');
+    fs.mkdirSync(path.join(dir, '.backup-1a2b'));
+    fs.writeFileSync(path.join(dir, '.backup-1a2b', `calc_plugin${EXT}`), 'old');
+    await delay(200);
+    assert.deepStrictEqual(changes, []);
+    assert.ok(!watcher.directories().some(watched => path.basename(watched).startsWith('.')));
+  });
+
+  test('reports nothing after close()', async () => {
+    fs.writeFileSync(path.join(dir, 'calc', 'manifest.json'), '{}');
+    watcher.close();
+    await delay(200);
+    assert.deepStrictEqual(changes, []);
+  });
+});
+
+describe('reloadPlugin()', () => {
+  test('reloads dependents too and keeps their listeners', async () => {
+    const { logos, handles } = createApi({
+      waku: { methods: {} },
+      chat: { methods: {}, dependencies: ['waku'] }
+    });
+    try {
+      const events = [];
+      logos.chat.onMessage((data) => events.push(data));
+      const unloaded = [];
+      logos.on('pluginUnloaded', ({ pluginName }) => unloaded.push(pluginName));
+
+      const result = await logos.reloadPlugin('waku', { files: ['waku_plugin.so'] });
+      assert.deepStrictEqual(unloaded, ['chat', 'waku']);
+      assert.deepStrictEqual(result.dependents, ['chat']);
+      assert.strictEqual(result.listeners, 1);
+      assert.deepStrictEqual(logos.getLoadedPlugins().sort(), ['chat', 'waku']);
+
+      handles.chat.emit('message', 'after reload');
+      await delay(30);
+      assert.deepStrictEqual(events, ['after reload']);
+    } finally {
+      logos.cleanup();
+    }
+  });
+
+  test('refuses plugins that are not loaded', async () => {
+    const { logos } = createApi({ waku: { methods: {} } });
+    try {
+      logos.unloadPlugin('waku');
+      await assert.rejects(logos.reloadPlugin('waku'), { code: 'ERR_INVALID_STATE' });
+    } finally {
+      logos.cleanup();
+    }
+  });
+});
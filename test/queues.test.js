@@ -0,0 +1,142 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const { callOptions, CallQueue, QueueFullError, AbortError } = require('..');
+const { createApi, delay } = require('./helpers');
+
+function trackedPlugin() {
+  const state = { active: 0, peak: 0, started: [] };
+  const work = async (id) => {
+    state.active++;
+    state.peak = Math.max(state.peak, state.active);
+    state.started.push(id);
+    await delay(10);
+    state.active--;
+    return id;
+  };
+  return { state, spec: { methods: { work, other: work } } };
+}
+
+describe('request queues', () => {
+  const { state, spec } = trackedPlugin();
+  const dotted = trackedPlugin();
+  const { logos } = createApi({ waku: spec, 'org.store': dotted.spec }, {
+    queues: { waku: { concurrency: 2, maxQueue: 3 } }
+  });
+  logos.configureQueue({ plugin: 'org.store' }, { concurrency: 1 });
+  after(() => logos.cleanup());
+
+  test('limit calls in flight and start waiting calls in order', async () => {
+    state.peak = 0;
+    state.started = [];
+    const results = await Promise.all([1, 2, 3, 4, 5].map(id => logos.waku.work(id)));
+    assert.deepStrictEqual(results, [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual(state.started, [1, 2, 3, 4, 5]);
+    assert.strictEqual(state.peak, 2);
+  });
+
+  test('reject calls beyond maxQueue with QueueFullError', async () => {
+    const calls = [1, 2, 3, 4, 5].map(id => logos.waku.work(id));
+    await assert.rejects(logos.waku.work(6), (error) => {
+      assert.ok(error instanceof QueueFullError);
+      assert.strictEqual(error.queue, 'waku');
+      assert.strictEqual(error.maxQueue, 3);
+      return true;
+    });
+    await Promise.all(calls);
+  });
+
+  test('let one call bypass its queue', async () => {
+    state.peak = 0;
+    const calls = [1, 2].map(id => logos.waku.work(id));
+    await logos.waku.work(3, callOptions({ queue: false }));
+    await Promise.all(calls);
+    assert.strictEqual(state.peak, 3);
+  });
+
+  test('cancel waiting calls through their signal', async () => {
+    const controller = new AbortController();
+    const calls = [1, 2].map(id => logos.waku.work(id));
+    const waiting = logos.waku.work(3, callOptions({ signal: controller.signal }));
+    assert.strictEqual(logos.getPendingCalls().filter(call => call.queued).length, 1);
+    controller.abort();
+    await assert.rejects(waiting, AbortError);
+    await Promise.all(calls);
+  });
+
+  test('keep dotted plugin names intact', async () => {
+    dotted.state.peak = 0;
+    await Promise.all([1, 2, 3].map(id => logos['org.store'].work(id)));
+    assert.strictEqual(dotted.state.peak, 1);
+    const stats = logos.getQueueStats().find(queue => queue.key === 'org.store');
+    assert.strictEqual(stats.pluginName, 'org.store');
+    assert.strictEqual(stats.methodName, null);
+    assert.strictEqual(stats.completed, 3);
+  });
+
+  test('prefer the most specific queue', async () => {
+    logos.configureQueue('waku.other', { concurrency: 1 });
+    state.peak = 0;
+    await Promise.all([1, 2, 3].map(id => logos.waku.other(id)));
+    assert.strictEqual(state.peak, 1);
+    const stats = logos.getQueueStats().find(queue => queue.key === 'waku.other');
+    assert.deepStrictEqual([stats.pluginName, stats.methodName], ['waku', 'other']);
+    logos.configureQueue('waku.other', null);
+  });
+});
+
+test('a dotted plugin name does not share a queue with a method of the shorter plugin', async () => {
+  const short = trackedPlugin();
+  const long = trackedPlugin();
+  const { logos } = createApi({ a: { methods: { b: short.spec.methods.work } }, 'a.b': long.spec });
+  try {
+    logos.configureQueue('a.b', { concurrency: 1 });
+    await Promise.all([
+      ...[1, 2, 3].map(id => logos.a.b(id)),
+      ...[1, 2, 3].map(id => logos['a.b'].work(id))
+    ]);
+    assert.strictEqual(short.state.peak, 1);
+    assert.strictEqual(long.state.peak, 3);
+    assert.deepStrictEqual(logos.getQueueStats().map(queue => [queue.pluginName, queue.methodName]), [['a', 'b']]);
+
+    logos.configureQueue({ plugin: 'a.b' }, { concurrency: 2 });
+    long.state.peak = 0;
+    await Promise.all([1, 2, 3].map(id => logos['a.b'].work(id)));
+    assert.strictEqual(long.state.peak, 2);
+    assert.deepStrictEqual(logos.getQueueStats().map(queue => [queue.pluginName, queue.methodName]),
+      [['a', 'b'], ['a.b', null]]);
+
+    logos.configureQueue({ plugin: 'a', method: 'b' }, null);
+    assert.deepStrictEqual(logos.getQueueStats().map(queue => queue.pluginName), ['a.b']);
+  } finally {
+    logos.cleanup();
+  }
+});
+
+test('configureQueue() rejects malformed targets', () => {
+  const { logos } = createApi();
+  try {
+    for (const target of ['', null, { plugin: '' }, { plugin: '*', method: 'b' }, { plugin: 'a', method: '' }]) {
+      assert.throws(() => logos.configureQueue(target, { concurrency: 1 }), TypeError, JSON.stringify(target));
+    }
+  } finally {
+    logos.cleanup();
+  }
+});
+
+test('CallQueue rate limits starts within a sliding window', async () => {
+  const queue = new CallQueue('waku', null, { rate: { limit: 2, interval: 40 } });
+  const startedAt = [];
+  const begin = Date.now();
+  const keepAlive = setInterval(() => {}, 1000); // the rate timer is unref()'d
+  await Promise.all([1, 2, 3].map(() => new Promise((resolve) => {
+    queue.schedule((release) => {
+      startedAt.push(Date.now() - begin);
+      release();
+      resolve();
+    });
+  })));
+  assert.ok(startedAt[1] < 40);
+  assert.ok(startedAt[2] >= 35);
+  clearInterval(keepAlive);
+  queue.close();
+});
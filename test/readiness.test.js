@@ -0,0 +1,67 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const { TimeoutError, AbortError } = require('..');
+const { createApi, delay } = require('./helpers');
+
+describe('waitForPlugin()', () => {
+  let connected = false;
+  const { logos, backend } = createApi({
+    calc: {
+      methods: {
+        libVersion: () => {
+          if (!connected) throw new Error('Plugin calc not connected');
+          return '1.0';
+        }
+      }
+    }
+  });
+  after(() => logos.cleanup());
+
+  test('resolves as soon as a loaded plugin is reported without a probe', async () => {
+    const result = await logos.waitForPlugin('calc');
+    assert.strictEqual(result.pluginName, 'calc');
+    assert.strictEqual(result.attempts, 1);
+    assert.strictEqual((await logos.calc.ready).pluginName, 'calc');
+  });
+
+  test('retries a probe until it answers', async () => {
+    setTimeout(() => { connected = true; }, 30);
+    const result = await logos.waitForPlugin('calc', { probe: 'libVersion', initialDelay: 5, maxDelay: 10 });
+    assert.ok(result.attempts > 1);
+  });
+
+  test('fails with TimeoutError when the probe never answers', async () => {
+    await assert.rejects(
+      logos.waitForPlugin('calc', { probe: 'missing', timeout: 50, initialDelay: 5 }),
+      (error) => error instanceof TimeoutError && /calc did not become ready/.test(error.message)
+    );
+  });
+
+  test('waits for a plugin that is not loaded yet', async () => {
+    backend.registerPlugin('late', { methods: {} });
+    const waiting = logos.waitForPlugin('late', { timeout: 1000, initialDelay: 5 });
+    await delay(20);
+    logos.processAndLoadPlugin('late');
+    assert.strictEqual((await waiting).pluginName, 'late');
+  });
+
+  test('stops when its signal aborts', async () => {
+    await assert.rejects(logos.waitForPlugin('never', { signal: AbortSignal.timeout(20) }), AbortError);
+  });
+});
+
+test('readyProbe sets the default probe per instance', async () => {
+  const calls = [];
+  const { logos } = createApi(
+    { calc: { methods: { ping: () => { calls.push('ping'); return true; } } } },
+    { readyProbe: 'ping' }
+  );
+  try {
+    await logos.calc.ready;
+    assert.deepStrictEqual(calls, ['ping']);
+    await logos.waitForPlugin('calc', { probe: null });
+    assert.deepStrictEqual(calls, ['ping']);
+  } finally {
+    logos.cleanup();
+  }
+});
@@ -0,0 +1,71 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { startRepl } = require('../src/repl');
+const { createApi, delay } = require('./helpers');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'calc-module');
+
+describe('startRepl()', () => {
+  let dir;
+  let logos;
+  let server;
+  let output = '';
+  before(() => {
+    // The calc_module fixture as an installed plugin, for member completion
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logos-repl-'));
+    fs.mkdirSync(path.join(dir, 'calc_module', 'src'), { recursive: true });
+    fs.copyFileSync(path.join(FIXTURE, 'metadata.json'), path.join(dir, 'calc_module', 'metadata.json'));
+    fs.copyFileSync(path.join(FIXTURE, 'src', 'calc_module_interface.h'),
+      path.join(dir, 'calc_module', 'src', 'calc_module_interface.h'));
+
+    ({ logos } = createApi({ chat: { methods: { send: (text) => `sent ${text}` } } }, { pluginsDir: dir }));
+    const stream = new PassThrough();
+    stream.on('data', (chunk) => { output += chunk; });
+    server = startRepl(logos, { input: new PassThrough(), output: stream, terminal: false });
+  });
+  after(() => {
+    server.close();
+    logos.cleanup();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const complete = (line) => new Promise((resolve, reject) => {
+    server.completer(line, (error, result) => (error ? reject(error) : resolve(result)));
+  });
+
+  const command = async (line) => {
+    output = '';
+    server.input.write(`${line}\n`);
+    await delay(20);
+    return output;
+  };
+
+  test('completes plugin names after logos.', async () => {
+    const [hits, partial] = await complete('logos.c');
+    assert.strictEqual(partial, 'logos.c');
+    assert.ok(hits.includes('logos.calc_module'));
+    assert.ok(hits.includes('logos.chat'));
+    assert.ok(hits.includes('logos.callPluginMethodAsync'));
+  });
+
+  test('completes methods and events from the interface header', async () => {
+    const [hits] = await complete('logos.calc_module.');
+    assert.ok(hits.includes('logos.calc_module.add'));
+    assert.ok(hits.includes('logos.calc_module.ready'));
+    const [narrowed] = await complete('logos.calc_module.mu');
+    assert.deepStrictEqual(narrowed, ['logos.calc_module.multiply']);
+  });
+
+  test('evaluates plugin calls with top-level await', async () => {
+    assert.match(await command("await logos.chat.send('hi')"), /'sent hi'/);
+  });
+
+  test('.unload and errors from commands are printed', async () => {
+    assert.match(await command('.unload chat'), /Unloaded chat/);
+    assert.match(await command('.unlisten 42'), /Error: No listener 42/);
+  });
+});
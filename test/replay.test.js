@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LogosAPI = require('..');
+const { createApi, delay } = require('./helpers');
+
+const { ReplayBackend, readRecording, RecordingError } = LogosAPI;
+
+async function recordSession(target) {
+  const { logos, handles } = createApi({ calc: { methods: { add: (a, b) => a + b } } });
+  const recorder = logos.record(target);
+  logos.calc.onTick(() => {});
+  assert.strictEqual(await logos.calc.add(1, 2), 3);
+  handles.calc.emit('tick', { n: 1 });
+  assert.strictEqual(await logos.calc.add(2, 2), 4);
+  await delay(20);
+  recorder.stop();
+  logos.cleanup();
+}
+
+function startReplay(recording, options) {
+  const backend = new ReplayBackend(recording, options);
+  const logos = new LogosAPI({ backend });
+  logos.start();
+  logos.startEventProcessing(5);
+  logos.processAndLoadPlugin('calc');
+  return { logos, backend };
+}
+
+test('record() writes a header, then calls and events in order', async () => {
+  const entries = [];
+  await recordSession(entry => entries.push(entry));
+  assert.deepStrictEqual(entries.map(entry => entry.type), ['header', 'call', 'event', 'call']);
+  assert.deepStrictEqual(entries[0].plugins, ['calc']);
+  const call = entries[1];
+  assert.strictEqual(`${call.pluginName}.${call.methodName}`, 'calc.add');
+  assert.deepStrictEqual(call.params.map(param => param.value), ['1', '2']);
+  assert.strictEqual(typeof call.message, 'string');
+  assert.strictEqual(entries[2].eventName, 'tick');
+});
+
+test('a recording replays calls and events without the mock', async () => {
+  const entries = [];
+  await recordSession(entry => entries.push(entry));
+  const { logos, backend } = startReplay(entries);
+  try {
+    const events = [];
+    logos.calc.onTick(data => events.push(data));
+    assert.strictEqual(await logos.calc.add(2, 2), 4);
+    assert.strictEqual(await logos.calc.add(1, 2), 3);
+    await backend.whenDone();
+    assert.deepStrictEqual(events, [{ n: 1 }]);
+    assert.deepStrictEqual(backend.unmatchedCalls(), []);
+    assert.strictEqual(backend.progress().done, true);
+    await assert.rejects(logos.calc.add(5, 5), /no recorded call left/);
+    assert.strictEqual(backend.unmatchedCalls().length, 1);
+  } finally {
+    logos.cleanup();
+  }
+});
+
+test('strict replay requires the recorded order', async () => {
+  const entries = [];
+  await recordSession(entry => entries.push(entry));
+  const { logos, backend } = startReplay(entries, { strict: true });
+  try {
+    await assert.rejects(logos.calc.add(2, 2), { code: 'ERR_METHOD_CALL_FAILED' });
+    assert.strictEqual(backend.unmatchedCalls().length, 1);
+  } finally {
+    logos.cleanup();
+  }
+});
+
+test('recordings round-trip through a JSONL file', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'logos-replay-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'session.jsonl');
+  await recordSession(file);
+  assert.strictEqual(readRecording(file).entries.filter(entry => entry.type === 'call').length, 2);
+
+  fs.writeFileSync(path.join(dir, 'broken.jsonl'), '{"type":"header","format":"logos-recording","version":1}\nnot json\n');
+  assert.throws(() => readRecording(path.join(dir, 'broken.jsonl')), (error) => {
+    assert.ok(error instanceof RecordingError);
+    assert.strictEqual(error.line, 2);
+    return true;
+  });
+});
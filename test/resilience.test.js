@@ -0,0 +1,142 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const {
+  callOptions, isTransientError, RetryPolicy, CircuitOpenError, MethodCallError, TimeoutError,
+  ModuleClientUnavailableError
+} = require('..');
+const { methodMatcher } = require('../src/resilience');
+const { createApi } = require('./helpers');
+
+function methodError(message) {
+  return new MethodCallError(`calc.add failed: ${message}`, {
+    pluginName: 'calc', methodName: 'add', details: { message }, rawMessage: JSON.stringify({ message })
+  });
+}
+
+// Never settles, so the call times out
+const hang = () => new Promise(() => {});
+
+describe('isTransientError()', () => {
+  test('accepts timeouts and a missing module client by code', () => {
+    assert.strictEqual(isTransientError(new TimeoutError('slow', { timeout: 10 })), true);
+    assert.strictEqual(isTransientError(new ModuleClientUnavailableError('gone')), true);
+  });
+
+  test('treats every method error as the method failing', () => {
+    for (const message of ['Plugin not loaded: calc', 'Connection refused', 'service unavailable']) {
+      assert.strictEqual(isTransientError(methodError(message)), false, message);
+    }
+    assert.strictEqual(isTransientError(new Error('timed out')), false);
+    assert.strictEqual(isTransientError(null), false);
+  });
+});
+
+describe('methodMatcher()', () => {
+  test('matches exact names and wildcards', () => {
+    const matches = methodMatcher(['chat.history', 'waku.*', '*.ping']);
+    assert.strictEqual(matches('chat', 'history'), true);
+    assert.strictEqual(matches('chat', 'send'), false);
+    assert.strictEqual(matches('waku', 'send'), true);
+    assert.strictEqual(matches('store', 'ping'), true);
+    assert.strictEqual(methodMatcher(['*'])('any', 'thing'), true);
+  });
+
+  test('matches dotted plugin names against the whole call', () => {
+    const matches = methodMatcher(['waku.v2.send', 'relay.v1.*']);
+    assert.strictEqual(matches('waku.v2', 'send'), true);
+    assert.strictEqual(matches('waku', 'v2'), false);
+    assert.strictEqual(matches('waku', 'send'), false);
+    assert.strictEqual(matches('relay.v1', 'publish'), true);
+    assert.strictEqual(matches('relay', 'v1'), false);
+  });
+
+  test('RetryPolicy uses it for idempotent methods', () => {
+    const policy = new RetryPolicy({ idempotent: ['waku.v2.*'] });
+    assert.strictEqual(policy.isIdempotent('waku.v2', 'history'), true);
+    assert.strictEqual(policy.isIdempotent('waku', 'v2'), false);
+  });
+});
+
+describe('retries', () => {
+  let hangs = 0;
+  const attempts = { flaky: 0, broken: 0 };
+  const { logos } = createApi({
+    calc: {
+      methods: {
+        flaky: () => {
+          attempts.flaky++;
+          return hangs-- > 0 ? hang() : 'ok';
+        },
+        broken: () => {
+          attempts.broken++;
+          throw new Error('Connection refused');
+        }
+      }
+    }
+  }, { defaultTimeout: 20, retry: { maxAttempts: 3, initialDelay: 1, jitter: 0, idempotent: ['calc.flaky'] } });
+  after(() => logos.cleanup());
+
+  test('resends idempotent calls that time out', async () => {
+    hangs = 2;
+    attempts.flaky = 0;
+    const retries = [];
+    logos.on('callRetry', (info) => retries.push(info.attempt));
+    assert.strictEqual(await logos.calc.flaky(), 'ok');
+    assert.strictEqual(attempts.flaky, 3);
+    assert.strictEqual(retries.length, 2);
+    logos.removeAllListeners('callRetry');
+  });
+
+  test('gives up after maxAttempts and reports the attempts', async () => {
+    hangs = 5;
+    attempts.flaky = 0;
+    await assert.rejects(logos.calc.flaky(), (error) => error instanceof TimeoutError && error.attempts === 3);
+    assert.strictEqual(attempts.flaky, 3);
+  });
+
+  test('does not retry non-idempotent methods or method errors', async () => {
+    hangs = 1;
+    attempts.flaky = 0;
+    await assert.rejects(logos.calc.flaky(callOptions({ retry: false })), TimeoutError);
+    assert.strictEqual(attempts.flaky, 1);
+    await assert.rejects(logos.calc.broken(callOptions({ idempotent: true })), MethodCallError);
+    assert.strictEqual(attempts.broken, 1);
+  });
+
+  test('a custom retryable can match failure texts', async () => {
+    attempts.broken = 0;
+    const retryable = (error) => /^Connection refused/.test(error.details && error.details.message);
+    await assert.rejects(logos.calc.broken(callOptions({ idempotent: true, retry: { retryable } })), MethodCallError);
+    assert.strictEqual(attempts.broken, 3);
+  });
+});
+
+test('a circuit breaker opens after repeated timeouts', async () => {
+  const { logos } = createApi({
+    calc: { methods: { down: hang, fine: () => 1 } }
+  }, { defaultTimeout: 10, circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 } });
+  try {
+    await assert.rejects(logos.calc.down(), TimeoutError);
+    await assert.rejects(logos.calc.down(), TimeoutError);
+    assert.strictEqual(logos.getCircuitState('calc').state, 'open');
+    await assert.rejects(logos.calc.fine(), CircuitOpenError);
+    assert.strictEqual(await logos.calc.fine(callOptions({ circuitBreaker: false })), 1);
+    logos.resetCircuit('calc');
+    assert.strictEqual(await logos.calc.fine(), 1);
+  } finally {
+    logos.cleanup();
+  }
+});
+
+test('method errors do not open the circuit', async () => {
+  const { logos } = createApi({
+    calc: { methods: { fail: () => { throw new Error('Plugin calc not connected'); } } }
+  }, { circuitBreaker: { failureThreshold: 1 } });
+  try {
+    await assert.rejects(logos.calc.fail(), MethodCallError);
+    await assert.rejects(logos.calc.fail(), MethodCallError);
+    assert.strictEqual(logos.getCircuitState('calc').state, 'closed');
+  } finally {
+    logos.cleanup();
+  }
+});
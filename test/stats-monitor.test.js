@@ -0,0 +1,105 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { StatsMonitor } = require('..');
+const { normalizeStats, parseRule } = require('../src/stats-monitor');
+const { createApi, delay } = require('./helpers');
+
+/**
+ * A stand-in API whose getModuleStats() returns whatever `stats` holds.
+ */
+function fakeApi(stats) {
+  const api = { stats, getModuleStats: () => api.stats };
+  return api;
+}
+
+describe('normalizeStats()', () => {
+  test('accepts arrays, objects keyed by name and { modules }', () => {
+    const expected = [{ name: 'waku', pid: 12, cpuPercent: 3.5, memoryBytes: 2048 }];
+    assert.deepStrictEqual(normalizeStats('[{"name":"waku","pid":12,"cpu_percent":3.5,"memory_kb":2}]'), expected);
+    assert.deepStrictEqual(normalizeStats({ waku: { pid: '12', cpu: '3.5', rss: 2048 } }), expected);
+    assert.deepStrictEqual(normalizeStats({ modules: [{ module: 'waku', pid: 12, cpuPercent: 3.5, memoryBytes: 2048 }] }), expected);
+  });
+
+  test('ignores unreadable input and nameless entries', () => {
+    assert.deepStrictEqual(normalizeStats('not json'), []);
+    assert.deepStrictEqual(normalizeStats([{ cpu: 1 }, null]), []);
+  });
+});
+
+describe('parseRule()', () => {
+  test('parses the string form with units', () => {
+    assert.deepStrictEqual(parseRule('waku memory > 500MB for 30s'), {
+      name: 'waku memory > 500MB for 30s', module: 'waku', metric: 'memoryBytes', op: '>', threshold: 500 * 1024 ** 2, for: 30000
+    });
+    assert.strictEqual(parseRule('* cpu > 90%').threshold, 90);
+  });
+
+  test('parses the object form', () => {
+    const rule = parseRule({ metric: 'cpu', below: 1, for: '1m' });
+    assert.deepStrictEqual([rule.module, rule.op, rule.threshold, rule.for], ['*', '<', 1, 60000]);
+  });
+
+  test('rejects malformed rules', () => {
+    assert.throws(() => parseRule('waku disk > 5'), /Unknown metric "disk"/);
+    assert.throws(() => parseRule('waku memory > 5XB'), /Unknown threshold unit "xb"/);
+    assert.throws(() => parseRule('memory is high'), /Invalid alert rule/);
+  });
+});
+
+describe('StatsMonitor', () => {
+  test('fires an alert once the rule has held for its duration, then resolves it', async () => {
+    const api = fakeApi([{ name: 'waku', cpu: 95 }]);
+    const monitor = new StatsMonitor(api, { alerts: ['waku cpu > 90% for 30ms'] });
+    const events = [];
+    monitor.on('alert', alert => events.push(['alert', alert.module, alert.value]));
+    monitor.on('resolved', alert => events.push(['resolved', alert.module]));
+
+    monitor.sample();
+    assert.deepStrictEqual(events, []);
+    await delay(40);
+    monitor.sample();
+    assert.deepStrictEqual(events, [['alert', 'waku', 95]]);
+    assert.strictEqual(monitor.activeAlerts().length, 1);
+
+    api.stats = [{ name: 'waku', cpu: 10 }];
+    monitor.sample();
+    assert.deepStrictEqual(events, [['alert', 'waku', 95], ['resolved', 'waku']]);
+    assert.deepStrictEqual(monitor.activeAlerts(), []);
+  });
+
+  test('summarizes the window per module', () => {
+    const api = fakeApi([{ name: 'waku', cpu: 10, memory: 100 }]);
+    const monitor = new StatsMonitor(api);
+    monitor.sample();
+    api.stats = [{ name: 'waku', cpu: 30, memory: 300 }];
+    monitor.sample();
+    assert.deepStrictEqual(monitor.summary().waku.cpuPercent, { min: 10, max: 30, avg: 20, last: 30 });
+    assert.strictEqual(monitor.toJsonLines('waku').trim().split('\n').length, 2);
+  });
+
+  test('exports the latest sample as Prometheus text', () => {
+    const monitor = new StatsMonitor(fakeApi([{ name: 'we"ird', cpu: 1.5, memory_mb: 2 }]), { alerts: ['* cpu > 1'] });
+    monitor.sample();
+    const text = monitor.toPrometheus();
+    assert.match(text, /# TYPE logos_module_cpu_percent gauge\nlogos_module_cpu_percent\{module="we\\"ird"\} 1.5\n/);
+    assert.match(text, /logos_module_memory_bytes\{module="we\\"ird"\} 2097152\n/);
+    assert.match(text, /logos_module_alert_active\{module="we\\"ird",rule="\* cpu > 1"\} 1\n/);
+  });
+
+  test('reports failures as sampleError', () => {
+    const monitor = new StatsMonitor({ getModuleStats: () => { throw new Error('core gone'); } });
+    const errors = [];
+    monitor.on('sampleError', ({ error }) => errors.push(error.message));
+    assert.strictEqual(monitor.sample(), null);
+    assert.deepStrictEqual(errors, ['core gone']);
+  });
+
+  test('samples a LogosAPI and stops when it shuts down', () => {
+    const { logos } = createApi({ waku: { methods: {}, stats: { pid: 7, cpu_percent: 2, memory_bytes: 64 } } });
+    const monitor = new StatsMonitor(logos, { interval: 60000 }).start();
+    assert.deepStrictEqual(monitor.latest().modules, [{ name: 'waku', pid: 7, cpuPercent: 2, memoryBytes: 64 }]);
+    assert.throws(() => monitor.start(), { code: 'ERR_INVALID_STATE' });
+    logos.cleanup();
+    assert.strictEqual(monitor.running, false);
+  });
+});
@@ -0,0 +1,56 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const { types } = require('..');
+const { encodeParams, normalizeSignature, normalizeType } = require('../src/types');
+const { createApi } = require('./helpers');
+
+describe('typed parameters', () => {
+  test('infers wire types from JS values', () => {
+    const params = encodeParams([1, 2 ** 40, 1.5, true, 'x', 5n, Buffer.from('hi'), [1], { a: 1 }], null);
+    assert.deepStrictEqual(params.map(p => p.type),
+      ['int', 'int64', 'double', 'bool', 'string', 'int64', 'bytes', 'list', 'map']);
+    assert.strictEqual(params[6].value, Buffer.from('hi').toString('base64'));
+  });
+
+  test('accepts Qt spellings as type aliases', () => {
+    assert.strictEqual(normalizeType('qint64'), 'int64');
+    assert.strictEqual(normalizeType('const QString &'), 'string');
+    assert.strictEqual(normalizeType('QList<int>'), 'list<int>');
+    assert.throws(() => normalizeType('QWidget'), TypeError);
+  });
+
+  test('declared signatures coerce and range-check', () => {
+    const signature = normalizeSignature({ params: ['int', { name: 'x', type: 'double' }], returns: 'double' });
+    assert.deepStrictEqual(encodeParams([1, 1], signature, 'calc.scale'), [
+      { name: 'arg0', value: '1', type: 'int' },
+      { name: 'x', value: '1', type: 'double' }
+    ]);
+    assert.throws(() => encodeParams([2 ** 31, 1], signature, 'calc.scale'), RangeError);
+    assert.throws(() => encodeParams([1], signature, 'calc.scale'), /expects 2 argument/);
+  });
+
+  test('typed values override inference', () => {
+    const [param] = encodeParams([types.uint64(2n ** 63n)], null);
+    assert.deepStrictEqual(param, { name: 'arg0', value: String(2n ** 63n), type: 'uint64' });
+    assert.throws(() => encodeParams([null], null), TypeError);
+  });
+});
+
+describe('calls through the proxy', () => {
+  const { logos } = createApi({
+    calc: { methods: { add: (a, b) => a + b, echo: (x) => x } }
+  });
+  after(() => logos.cleanup());
+
+  test('send typed params', async () => {
+    assert.strictEqual(await logos.calc.add(2, 3), 5);
+    assert.strictEqual(await logos.calc.echo(types.int64(2n ** 60n)), 2n ** 60n);
+    assert.deepStrictEqual(await logos.calc.echo(Buffer.from('hi')), Buffer.from('hi'));
+  });
+
+  test('reject arguments that do not fit the declared signature', async () => {
+    logos.defineSignatures('calc', { add: ['int', 'int'] });
+    await assert.rejects(logos.calc.add(2 ** 31, 1), RangeError);
+    assert.strictEqual(await logos.calc.add(2 ** 31 - 1, 0), 2 ** 31 - 1);
+  });
+});
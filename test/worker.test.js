@@ -0,0 +1,48 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { threadId } = require('worker_threads');
+const LogosAPI = require('..');
+const { MethodCallError, PluginNotFoundError } = LogosAPI;
+
+describe('worker option', () => {
+  const logos = new LogosAPI({
+    worker: {
+      backendModule: path.join(__dirname, 'fixtures', 'worker-backend.js'),
+      backendOptions: { greeting: 'hi' }
+    }
+  });
+  logos.start();
+  logos.startEventProcessing(5);
+  after(() => logos.cleanup());
+
+  test('hosts the backend in another thread', async () => {
+    assert.ok(logos.processAndLoadPlugin('chat'));
+    assert.deepStrictEqual(logos.getLoadedPlugins(), ['chat']);
+    assert.notStrictEqual(await logos.chat.threadId(), threadId);
+  });
+
+  test('answers synchronous calls with the worker state', () => {
+    assert.strictEqual(logos.getToken('greeting'), 'hi');
+  });
+
+  test('delivers results and events from the worker', async () => {
+    const event = new Promise(resolve => logos.chat.onChatMessage(resolve));
+    assert.strictEqual(await logos.chat.send('hey'), 'sent hey');
+    assert.deepStrictEqual(await event, { text: 'hey' });
+  });
+
+  test('keeps the class and code of errors raised in the worker', async () => {
+    await assert.rejects(logos.chat.fail(), (error) =>
+      error instanceof MethodCallError && error.details.message === 'chat is offline');
+    assert.throws(() => logos.processPlugin('missing'), (error) =>
+      error instanceof PluginNotFoundError && error.code === 'ERR_PLUGIN_NOT_FOUND');
+  });
+
+  test('cleanup() stops the worker and can be called again', () => {
+    const backend = logos._backend;
+    logos.cleanup();
+    assert.strictEqual(backend.worker, null);
+    assert.doesNotThrow(() => logos.cleanup());
+  });
+});